@@ -0,0 +1,454 @@
+const Autobase = require("autobase");
+const b4a = require("b4a");
+const c = require("compact-encoding");
+
+const ARCHIVE_FORMAT = "syncbase-archive";
+const ARCHIVE_END = "syncbase-archive-end";
+const ARCHIVE_VERSION = 1;
+
+/**
+ * ActionArchive - Backup and migration of a server as its signed actions
+ *
+ * An archive is a JSONL file:
+ * - a header `{ format, version, key, exportedAt }`
+ * - one line per signed action found in the writer cores of the Autobase,
+ *   `{ writer, seq, type, version, nonce, signer, signature, payload }` with hex
+ *   encoded keys
+ * - a trailer `{ format, count, hash, signer, signature }` where `hash`
+ *   covers every line before it and is signed by the exporting peer
+ *
+ * Actions of one writer are written in the order they were appended. The
+ * writers are interleaved by timestamp (then writer), which is close to the
+ * order they were applied in, without letting a timestamp chosen by the signer
+ * move an action ahead of or behind the actions its writer appended around
+ * it. Anything that still
+ * arrives before its prerequisites on import is deferred by the dependency
+ * resolver, like it would be during replication.
+ *
+ * Importing replays the actions into the base of a new server. Each action
+ * has its signature checked and is run through `ActionValidator.validateAction`
+ * against the view rebuilt so far; the ones that don't make it are reported
+ * with the reason they were rejected.
+ *
+ * The writer of the importer is bound to none of the signers, so it does not
+ * append the actions as they are. It opens the import with
+ * `@server/import-archive` as the first action of the new base, then wraps
+ * every archived action in an `@server/import-action` it signs itself. Apply
+ * unwraps them and checks them like any other action, except for the writer
+ * binding. Only the writer and key that opened the import may wrap actions,
+ * and no more than the archive announced.
+ */
+class ActionArchive {
+  /**
+   * Create a new ActionArchive instance
+   * @param {SyncBase} syncBase - The SyncBase instance
+   * @param {CryptoManager} crypto - Crypto manager instance
+   * @param {ActionValidator} validator - Validator instance
+   */
+  constructor(syncBase, crypto, validator) {
+    this.syncBase = syncBase;
+    this.crypto = crypto;
+    this.validator = validator;
+  }
+
+  /**
+   * Write every signed action of the server to a stream and end it
+   * @param {Writable} stream - The stream to write the archive to
+   * @returns {Promise<Number>} The number of archived actions
+   */
+  async export(stream) {
+    const base = this.syncBase.base;
+    const entries = (await this.readActions()).map(
+      ({ writer, seq, action }) => ({
+        writer: b4a.toString(writer, "hex"),
+        seq,
+        type: action.type,
+        version: this.syncBase.protocol.versionOf(action),
+        nonce: action.nonce,
+        signer: b4a.toString(b4a.from(action.signer), "hex"),
+        signature: b4a.toString(b4a.from(action.signature), "hex"),
+        payload: action.payload,
+      })
+    );
+
+    const lines = [
+      JSON.stringify({
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        key: b4a.toString(base.key, "hex"),
+        exportedAt: Date.now(),
+      }),
+      ...entries.map((entry) => JSON.stringify(entry)),
+    ];
+
+    const hash = b4a.toString(this.crypto.hash(lines.join("\n")), "hex");
+    lines.push(
+      JSON.stringify({
+        format: ARCHIVE_END,
+        count: entries.length,
+        hash,
+        signer: b4a.toString(this.crypto.publicKey, "hex"),
+        signature: b4a.toString(this.crypto.sign(hash), "hex"),
+      })
+    );
+
+    for (const line of lines) {
+      if (!stream.write(line + "\n")) await once(stream, "drain");
+    }
+    await new Promise((resolve, reject) => {
+      stream.once("finish", resolve);
+      stream.once("error", reject);
+      stream.end();
+    });
+
+    return entries.length;
+  }
+
+  /**
+   * Replay an archive into this server
+   * @param {Readable|AsyncIterable} stream - The archive
+   * @returns {Promise<Object>} Report of `{ source, signer, total, imported, rejected }`,
+   *   every rejected entry is `{ index, type, actionId, reason }`
+   */
+  async import(stream) {
+    const { header, entries, trailer } = await this._read(stream);
+    const base = this.syncBase.base;
+    const rejected = [];
+    const appended = [];
+
+    const startedAt = this.crypto.now();
+    await base.append(
+      this.crypto.createSignedAction("@server/import-archive", {
+        writerKey: b4a.toString(base.local.key, "hex"),
+        importer: b4a.toString(this.crypto.publicKey, "hex"),
+        source: header.key,
+        count: entries.length,
+        startedAt,
+        timestamp: startedAt,
+      }),
+      { optimistic: true }
+    );
+    await base.update();
+
+    for (let index = 0; index < entries.length; index++) {
+      const entry = entries[index];
+      const action = toAction(entry);
+      const reject = (reason) =>
+        rejected.push({
+          index,
+          type: entry && entry.type ? entry.type : null,
+          actionId: action ? this.crypto.actionId(action) : null,
+          reason,
+        });
+
+      if (!action) {
+        reject("Malformed entry");
+        continue;
+      }
+      if (!this.crypto.verifyAction(action)) {
+        reject("Invalid signature");
+        continue;
+      }
+      if (await this.syncBase.isProcessed(action)) {
+        reject("Duplicate action");
+        continue;
+      }
+
+      // Actions waiting on a prerequisite are left to the dependency resolver
+      const missing = await this.syncBase.resolver.getUnmetDependencies(
+        action,
+        base.view
+      );
+      if (missing.length === 0) {
+        const isValid = await this.validator.validateAction(
+          action.payload,
+          action.signature,
+          null,
+          action.signer,
+          base.view,
+          true,
+          action
+        );
+        if (!isValid) {
+          reject("Rejected by validator");
+          continue;
+        }
+      }
+
+      await base.append(
+        this.crypto.createSignedAction("@server/import-action", {
+          action: JSON.stringify(action),
+        }),
+        { optimistic: true }
+      );
+      await base.update();
+      appended.push({ index, action });
+    }
+
+    // Whatever was appended but is not part of the view never got applied
+    const pending = new Map();
+    for (const entry of await this.syncBase.getPendingActions()) {
+      pending.set(entry.id, entry.dependency);
+    }
+    let imported = 0;
+    for (const { index, action } of appended) {
+      if (await this.syncBase.isProcessed(action)) {
+        imported++;
+        continue;
+      }
+      const actionId = this.crypto.actionId(action);
+      rejected.push({
+        index,
+        type: action.type,
+        actionId,
+        reason: pending.has(actionId)
+          ? `Missing prerequisite: ${pending.get(actionId)}`
+          : "Failed to apply",
+      });
+    }
+    rejected.sort((a, b) => a.index - b.index);
+
+    return {
+      source: header.key,
+      signer: trailer.signer,
+      total: entries.length,
+      imported,
+      rejected,
+    };
+  }
+
+  /**
+   * Check an `@server/import-archive` or `@server/import-action` action,
+   * called by the validator
+   * @param {Object} action - The action
+   * @param {Buffer|null} writerKey - Key of the writer that appended the action
+   * @param {Object} view - The database view
+   * @returns {Promise<Boolean>} Whether the action is valid
+   */
+  async validate(action, writerKey, view) {
+    const { payload } = action;
+    if (!payload || !writerKey) return false;
+    const writer = b4a.toString(writerKey, "hex");
+    const signer = b4a.toString(b4a.from(action.signer), "hex");
+
+    if (action.type === "@server/import-archive") {
+      // Imports only start a new server, before anything else is applied
+      if (await view.findOne("@server/server", {})) return false;
+      if (await view.findOne("@server/import", {})) return false;
+      return (
+        payload.writerKey === writer &&
+        payload.importer === signer &&
+        typeof payload.source === "string" &&
+        Number.isInteger(payload.count) &&
+        payload.count >= 0
+      );
+    }
+
+    const record = await view.get("@server/import", { writerKey: writer });
+    if (!record || (record.imported || 0) >= record.count) return false;
+    if (signer !== record.importer) return false;
+    const imported = unwrap(action);
+    return (
+      !!imported &&
+      imported.type !== "@server/import-archive" &&
+      imported.type !== "@server/import-action"
+    );
+  }
+
+  /**
+   * Count a valid `@server/import-action` against its import, called from apply
+   * @param {Object} action - The import action
+   * @param {Buffer} writerKey - Key of the writer that appended it
+   * @param {Object} view - The database view
+   * @returns {Promise<Object>} The archived action it wraps
+   */
+  async applyImport(action, writerKey, view) {
+    const writer = b4a.toString(writerKey, "hex");
+    const record = await view.get("@server/import", { writerKey: writer });
+    await view.insert("@server/import", {
+      ...record,
+      imported: (record.imported || 0) + 1,
+    });
+    await view.flush();
+    return unwrap(action);
+  }
+
+  /**
+   * Read every signed action from the writer cores, in archive order
+   * @returns {Promise<Array>} Entries of `{ writer, seq, action }`
+   */
+  async readActions() {
+    await this.syncBase.base.update();
+
+    const writers = [];
+    for (const key of await this._getWriterKeys()) {
+      const entries = await this._readWriter(key);
+      if (entries.length > 0) writers.push(entries);
+    }
+    return interleave(writers);
+  }
+
+  async _getWriterKeys() {
+    const base = this.syncBase.base;
+    const keys = new Map();
+    const add = (key) => keys.set(b4a.toString(key, "hex"), key);
+
+    if (base.system) {
+      for await (const { key } of base.system.list()) add(key);
+    }
+    for (const writer of base.activeWriters) add(writer.core.key);
+    if (base.local) add(base.local.key);
+
+    return [...keys.values()];
+  }
+
+  async _readWriter(key) {
+    const base = this.syncBase.base;
+    // A session of its own, decrypted the way Autobase reads its writers
+    const core = base.store.get({
+      key,
+      writable: false,
+      active: false,
+      encryption: base.getWriterEncryption(),
+    });
+    const entries = [];
+
+    try {
+      await core.ready();
+      for (let seq = 0; seq < core.length; seq++) {
+        if (!(await core.has(seq))) continue;
+
+        const value = await Autobase.decodeValue(
+          await core.get(seq, { wait: false })
+        );
+        if (value == null) continue;
+
+        let action = c.decode(base.valueEncoding, value);
+        if (!action || !action.type || !action.signature || !action.signer) {
+          continue;
+        }
+        // Imported actions are archived as they were signed
+        if (action.type === "@server/import-archive") continue;
+        if (action.type === "@server/import-action") action = unwrap(action);
+        if (!action) continue;
+
+        entries.push({ writer: key, seq, action });
+      }
+    } finally {
+      await core.close();
+    }
+
+    return entries;
+  }
+
+  async _read(stream) {
+    let buffered = "";
+    const lines = [];
+    for await (const chunk of stream) {
+      buffered += typeof chunk === "string" ? chunk : b4a.toString(chunk);
+      const parts = buffered.split("\n");
+      buffered = parts.pop();
+      lines.push(...parts);
+    }
+    if (buffered) lines.push(buffered);
+    while (lines.length > 0 && lines[lines.length - 1] === "") lines.pop();
+
+    const header = parseLine(lines[0]);
+    if (!header || header.format !== ARCHIVE_FORMAT) {
+      throw new Error("Not a SyncBase archive");
+    }
+    if (header.version > ARCHIVE_VERSION) {
+      throw new Error(`Unsupported archive version: ${header.version}`);
+    }
+
+    const trailer = parseLine(lines[lines.length - 1]);
+    if (!trailer || trailer.format !== ARCHIVE_END) {
+      throw new Error("Archive is incomplete");
+    }
+
+    const body = lines.slice(0, -1);
+    const hash = b4a.toString(this.crypto.hash(body.join("\n")), "hex");
+    if (
+      body.length - 1 !== trailer.count ||
+      hash !== trailer.hash ||
+      !isHex(trailer.signer) ||
+      !isHex(trailer.signature) ||
+      !this.crypto.verify(
+        b4a.from(trailer.signature, "hex"),
+        hash,
+        b4a.from(trailer.signer, "hex")
+      )
+    ) {
+      throw new Error("Archive signature is invalid");
+    }
+
+    return { header, entries: body.slice(1).map(parseLine), trailer };
+  }
+}
+
+function parseLine(line) {
+  try {
+    return JSON.parse(line);
+  } catch (err) {
+    return null;
+  }
+}
+
+function unwrap(action) {
+  if (typeof action.payload?.action !== "string") return null;
+  const imported = parseLine(action.payload.action);
+  if (!imported || typeof imported.type !== "string") return null;
+  if (!imported.payload || !imported.signature || !imported.signer) return null;
+  return imported;
+}
+
+function toAction(entry) {
+  if (!entry || typeof entry.type !== "string" || !entry.payload) return null;
+  if (!isHex(entry.signer) || !isHex(entry.signature)) return null;
+
+  return {
+    type: entry.type,
+    version: Number.isInteger(entry.version) ? entry.version : 1,
+    ...(typeof entry.nonce === "string" ? { nonce: entry.nonce } : {}),
+    signature: b4a.from(entry.signature, "hex"),
+    payload: entry.payload,
+    signer: b4a.from(entry.signer, "hex"),
+  };
+}
+
+function isHex(value) {
+  return typeof value === "string" && /^([0-9a-f]{2})+$/i.test(value);
+}
+
+// Merge the entries of every writer, each list stays in sequence order
+function interleave(writers) {
+  const heads = writers.map(() => 0);
+  const entries = [];
+  for (;;) {
+    let next = -1;
+    for (let i = 0; i < writers.length; i++) {
+      if (heads[i] === writers[i].length) continue;
+      if (
+        next === -1 ||
+        compareEntries(writers[i][heads[i]], writers[next][heads[next]]) < 0
+      ) {
+        next = i;
+      }
+    }
+    if (next === -1) return entries;
+    entries.push(writers[next][heads[next]++]);
+  }
+}
+
+function compareEntries(a, b) {
+  const ta = (a.action.payload && a.action.payload.timestamp) || 0;
+  const tb = (b.action.payload && b.action.payload.timestamp) || 0;
+  if (ta !== tb) return ta - tb;
+  return b4a.compare(a.writer, b.writer);
+}
+
+function once(emitter, event) {
+  return new Promise((resolve) => emitter.once(event, resolve));
+}
+
+module.exports = ActionArchive;
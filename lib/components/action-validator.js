@@ -1,5 +1,16 @@
 const b4a = require("b4a");
 
+// Payload fields that name the user performing the action, stored as-is by
+// the router, so they have to name the signer
+const ACTOR_FIELDS = {
+  "@server/create-channel": ["createdBy"],
+  "@server/send-message": ["author"],
+  "@server/set-role": ["updatedBy"],
+  "@server/create-invite": ["createdBy"],
+  "@server/revoke-invite": ["revokedBy"],
+  "@server/ban-user": ["bannedBy"],
+};
+
 /**
  * ActionValidator - Validates user actions before they're applied
  * Updated to work with the "SyncBase is a server" paradigm
@@ -33,10 +44,7 @@ class ActionValidator {
   );
 
   async getUserRole(action, view) {
-    const signerBuffer = b4a.isBuffer(action.signer)
-      ? action.signer
-      : b4a.from(action.signer);
-    const userId = b4a.toString(signerBuffer, "hex");
+    const userId = await this.getSignerId(action, view);
 
     // Check if the user has permission to update channels
     const userRole = await view.get("@server/role", {
@@ -45,12 +53,23 @@ class ActionValidator {
     return userRole;
   }
 
+  /**
+   * Get the user that signed an action, linked devices and rotated identity
+   * keys act as their user
+   * @param {Object} action - The signed action
+   * @param {Object} view - The database view
+   * @returns {Promise<String>} The user id as hex string
+   */
+  async getSignerId(action, view) {
+    return this.syncbase.devices.accountOf(action.signer, view);
+  }
+
   /**
    * Validate an action
    * @param {Object} action - The action to validate
    * @param {Buffer} authorKey - The public key of the author
    * @param {Object} view - The database view
-   * @param {Boolean} optimistic - Whether this is an optimistic operation
+   * @param {Boolean} optimistic - Skip checking the signature and the signer, for actions checked before
    * @returns {Promise<Boolean>} Whether the action is valid
    */
   async validateAction(
@@ -68,7 +87,7 @@ class ActionValidator {
 
       // Verify the signature first
       const signatureIsValid =
-        optimistic || this._verifySignature(payload, signature, signer);
+        optimistic || (await this._verifySignature(action, authorKey, view));
 
       if (!signatureIsValid) {
         console.warn("Invalid signature");
@@ -83,6 +102,11 @@ class ActionValidator {
         return false;
       }
 
+      if (!(await this._actorsMatch(action, view))) {
+        console.warn(`Actor of ${actionType} is not its signer`);
+        return false;
+      }
+
       // Validate based on action type
       switch (actionType) {
         case "@server/create-server":
@@ -102,12 +126,49 @@ class ActionValidator {
         case "@server/create-invite":
           return this._validateCreateInvite(action, authorId, view);
         case "@server/claim-invite":
-          return this._validateClaimInvite(action, authorKey, view);
         case "claim-invite":
-          // TODO add validation here
+          return this._validateClaimInvite(action, authorKey, view);
+        case "@server/repair-view":
+          return this._validateRepairView(action, view);
+        case "@server/migrate-schema":
+          return this.syncbase.migrator.validate(action, view);
+        case "@server/bind-writer":
+          // Checked against the registry with the signature
           return true;
+        case "@server/import-archive":
+        case "@server/import-action":
+          return this.syncbase.archive.validate(action, authorKey, view);
+        case "@server/link-device":
+        case "@server/revoke-device":
+          return this.syncbase.devices.validate(action, view);
+        case "@server/rotate-identity":
+          return this.syncbase.identities.validate(action, view);
+        case "@server/setup-recovery":
+        case "@server/request-recovery":
+        case "@server/approve-recovery":
+          return this.syncbase.recovery.validate(action, view);
+        case "@server/rekey-channel":
+          return this.syncbase.privateChannels.validate(
+            action,
+            await this.getSignerId(action, view),
+            view
+          );
+        case "@server/create-thread":
+          return this._validateCreateThread(action, view);
+        case "@server/send-direct-message":
+          return this._validateSendDirectMessage(action, view);
+        case "@server/create-group-dm":
+        case "@server/update-group-dm":
+        case "@server/add-group-participant":
+        case "@server/remove-group-participant":
+        case "@server/rekey-group-dm":
+        case "@server/send-group-message":
+          return this._validateGroupDM(action, view);
         case "@server/revoke-invite":
           return this._validateRevokeInvite(action, authorId, view);
+        case "@server/ban-user":
+        case "@server/unban-user":
+          return this._validateBan(action, view);
         case "@server/delete-message":
           return this._validateDeleteMessage(action, authorId, view);
         case "@server/edit-message":
@@ -123,36 +184,71 @@ class ActionValidator {
   }
 
   /**
-   * Verify the signature of an action
+   * Verify the signature of an action against the key of its signer
+   * The signer has to be a registered user of the server, except for the
+   * actions that register them: creating the server and claiming an invite,
+   * and the writer that appended the action has to act for the signer
    * @param {Object} action - The action to verify
-   * @param {Buffer} publicKey - The public key to verify against
-   * @returns {Boolean} Whether the signature is valid
+   * @param {Buffer} authorKey - Key of the writer that appended the action
+   * @param {Object} view - The database view
+   * @returns {Promise<Boolean>} Whether the signature is valid
    * @private
    */
-  _verifySignature(payload, signature, publicKey) {
-    // Skip signature verification if not present (for testing/development)
-    if (!payload || !signature) {
+  async _verifySignature(action, authorKey, view) {
+    if (!action || !action.signature || !action.signer) {
       return false;
     }
 
-    try {
-      // Create a canonical representation of the payload for verification
-      const sortedPayload = Object.keys(payload)
-        .sort()
-        .reduce((obj, key) => {
-          obj[key] = payload[key];
-          return obj;
-        }, {});
-
-      const message = JSON.stringify(sortedPayload);
-      const isValid = this.crypto.verify(signature, message, publicKey);
-      console.log("Signature Verification Result:", { isValid, message });
+    // Actions without a nonce were signed over their payload only
+    if (typeof action.nonce !== "string") {
+      console.warn(`Missing nonce in ${action.type}`);
+      return false;
+    }
 
-      return isValid;
-    } catch (err) {
-      console.error("Error verifying signature:", err);
+    if (!this.crypto.verifyAction(action)) {
+      return false;
+    }
+
+    if (action.type === "@server/claim-invite") return true;
+    // Sent by a device that has no identity of the server yet
+    if (action.type === "@server/request-recovery") return true;
+    // Signed by the importer, checked against the import they started
+    if (action.type === "@server/import-archive") return true;
+    if (action.type === "@server/import-action") return true;
+    if (action.type === "@server/create-server") {
+      return !(await view.findOne("@server/server", {}));
+    }
+
+    const id = await this.getSignerId(action, view);
+    const user = await view.findOne("@server/user", {
+      gte: { id },
+      lte: { id },
+    });
+    if (!user) {
+      console.warn(`Signer is not a registered user: ${id}`);
       return false;
     }
+
+    if (!(await this.syncbase.writers.canAppend(action, authorKey, view))) {
+      console.warn(`Writer is not bound to the signer: ${id}`);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Check that the payload fields naming the acting user name the signer
+   * @param {Object} action - The action to check
+   * @param {Object} view - The database view
+   * @returns {Promise<Boolean>} Whether every actor field names the signer
+   * @private
+   */
+  async _actorsMatch(action, view) {
+    const fields = ACTOR_FIELDS[action.type];
+    if (!fields) return true;
+
+    const signerId = await this.getSignerId(action, view);
+    return fields.every((field) => action.payload?.[field] === signerId);
   }
 
   // Implement specific validation methods (examples)
@@ -237,9 +333,9 @@ class ActionValidator {
    */
   async _validateUpdateChannel(action, authorId, view) {
     // Check if the channel exists
-    const channel = await this.syncbase.channels.getChannel(
-      action.payload.channelId
-    );
+    const channel = await view.get("@server/channel", {
+      channelId: action.payload.channelId,
+    });
     if (!channel) {
       return false;
     }
@@ -277,9 +373,9 @@ class ActionValidator {
    */
   async _validateDeleteChannel(action, authorId, view) {
     // Check if the channel exists
-    const channel = await this.syncbase.channels.getChannel(
-      action.payload.channelId
-    );
+    const channel = await view.get("@server/channel", {
+      channelId: action.payload.channelId,
+    });
     if (!channel) {
       return false;
     }
@@ -310,6 +406,36 @@ class ActionValidator {
       console.log("NO AUTH");
       return false;
     }
+    if (
+      await this.isBanned(
+        await this.getSignerId(action, view),
+        view,
+        action.payload.channelId
+      )
+    ) {
+      return false;
+    }
+
+    // Private channels only take messages of their members
+    const channel = await view.get("@server/channel", {
+      channelId: action.payload.channelId,
+    });
+    if (!this._validateAttachments(action, userRole, channel)) {
+      return false;
+    }
+    if (!(await this.syncbase.threads.validateMessage(action, view))) {
+      return false;
+    }
+    if (
+      channel?.private &&
+      !(await this.syncbase.privateChannels.validateMessage(
+        action,
+        await this.getSignerId(action, view),
+        view
+      ))
+    ) {
+      return false;
+    }
 
     // Basic validation of required fields
     return !!(
@@ -320,6 +446,106 @@ class ActionValidator {
     );
   }
 
+  /**
+   * Validate the attachments of a SEND_MESSAGE action
+   * @param {Object} action - The action to validate
+   * @param {Object} userRole - The role of the author
+   * @param {Object} channel - The channel the message is sent to
+   * @returns {Boolean} Whether the attachments are valid
+   * @private
+   */
+  _validateAttachments(action, userRole, channel) {
+    const { attachments } = action.payload;
+    if (attachments === undefined || attachments === null) return true;
+    if (!this.syncbase.attachments.validate(attachments)) return false;
+    if (this.syncbase.attachments.getAttachments(action.payload).length === 0) {
+      return true;
+    }
+
+    // Attachments are readable by every member, private channels refuse them
+    return (
+      this._hasPermission(userRole.role, "ATTACH_FILES") && !channel?.private
+    );
+  }
+
+  /**
+   * Validate CREATE_THREAD action
+   * @param {Object} action - The action to validate
+   * @param {Object} view - The database view
+   * @returns {Promise<Boolean>} Whether the action is valid
+   * @private
+   */
+  async _validateCreateThread(action, view) {
+    const userRole = await this.getUserRole(action, view);
+
+    if (!userRole || !this._hasPermission(userRole.role, "SEND_MESSAGES")) {
+      return false;
+    }
+
+    return this.syncbase.threads.validate(
+      action,
+      await this.getSignerId(action, view),
+      view
+    );
+  }
+
+  /**
+   * Validate REPAIR_VIEW action
+   * Repairs overwrite any record of the view, only owners may sign them
+   * @param {Object} action - The action to validate
+   * @param {Object} view - The database view
+   * @returns {Promise<Boolean>} Whether the action is valid
+   * @private
+   */
+  async _validateRepairView(action, view) {
+    const userRole = await this.getUserRole(action, view);
+    if (!userRole || userRole.role !== "OWNER") return false;
+    return this.syncbase.auditor.validate(action);
+  }
+
+  /**
+   * Validate SEND_DIRECT_MESSAGE action
+   * @param {Object} action - The action to validate
+   * @param {Object} view - The database view
+   * @returns {Promise<Boolean>} Whether the action is valid
+   * @private
+   */
+  async _validateSendDirectMessage(action, view) {
+    const userRole = await this.getUserRole(action, view);
+
+    if (!userRole || !this._hasPermission(userRole.role, "SEND_MESSAGES")) {
+      return false;
+    }
+
+    return this.syncbase.directMessages.validate(action, view);
+  }
+
+  /**
+   * Validate a group DM action
+   * @param {Object} action - The action to validate
+   * @param {Object} view - The database view
+   * @returns {Promise<Boolean>} Whether the action is valid
+   * @private
+   */
+  async _validateGroupDM(action, view) {
+    // Leaving a group and resealing its key never need a permission
+    if (
+      action.type !== "@server/remove-group-participant" &&
+      action.type !== "@server/rekey-group-dm"
+    ) {
+      const userRole = await this.getUserRole(action, view);
+      if (!userRole || !this._hasPermission(userRole.role, "SEND_MESSAGES")) {
+        return false;
+      }
+    }
+
+    return this.syncbase.groups.validate(
+      action,
+      await this.getSignerId(action, view),
+      view
+    );
+  }
+
   /**
    * Validate SET_ROLE action
    * @param {Object} action - The action to validate
@@ -335,7 +561,7 @@ class ActionValidator {
       return false;
     }
 
-    const userRole = await this.getUserRole(action, view);
+    const authorRole = await this.getUserRole(action, view);
 
     if (!authorRole) {
       return false;
@@ -346,10 +572,11 @@ class ActionValidator {
       return false;
     }
 
-    // ADMINs and OWNERs can set MODERATOR and MEMBER roles
+    // ADMINs and OWNERs can set MODERATOR, MEMBER and GUEST roles
     if (
       (action.payload.role === "MODERATOR" ||
-        action.payload.role === "MEMBER") &&
+        action.payload.role === "MEMBER" ||
+        action.payload.role === "GUEST") &&
       authorRole.role !== "ADMIN" &&
       authorRole.role !== "OWNER"
     ) {
@@ -367,6 +594,8 @@ class ActionValidator {
 
   /**
    * Validate CLAIM_INVITE action
+   * `claim-invite` is appended by the member that paired the new user, it
+   * names the invite by its id and needs that member to create invites
    * @param {Object} action - The action to validate
    * @param {Buffer} authorKey - The public key of the author
    * @param {Object} view - The database view
@@ -374,10 +603,15 @@ class ActionValidator {
    * @private
    */
   async _validateClaimInvite(action, authorKey, view) {
+    if (action.type === "claim-invite") {
+      return this._validatePairedClaim(action, view);
+    }
+
     // Check if the invite exists and is valid
-    const invite = await view.findOne("@server/invite", {
-      code: action.payload.inviteCode,
-    });
+    const invite = await this.syncbase.invites.getInvite(
+      action.payload.inviteCode,
+      view
+    );
 
     if (!invite) {
       return false;
@@ -396,6 +630,28 @@ class ActionValidator {
     return !existingUser;
   }
 
+  async _validatePairedClaim(action, view) {
+    const { user } = action.payload;
+    if (!user || !/^[0-9a-f]{64}$/.test(user.id)) return false;
+    if (typeof user.code !== "string") return false;
+
+    const userRole = await this.getUserRole(action, view);
+    if (!userRole || !this._hasPermission(userRole.role, "CREATE_INVITES")) {
+      return false;
+    }
+
+    const invite = await view.get("@server/invite", {
+      id: b4a.from(user.code, "hex"),
+    });
+    if (!invite) return false;
+
+    const existingUser = await view.findOne("@server/user", {
+      gte: { id: user.id },
+      lte: { id: user.id },
+    });
+    return !existingUser;
+  }
+
   /**
    * Validate CREATE_INVITE action
    * @param {Object} action - The action to validate
@@ -418,8 +674,11 @@ class ActionValidator {
     }
 
     // Check if the invite ID is already taken
-    const existingInvite = await view.findOne("@server/invite", {
-      id: action.payload.id,
+    if (!action.payload.id) {
+      return false;
+    }
+    const existingInvite = await view.get("@server/invite", {
+      id: b4a.from(action.payload.id),
     });
     if (existingInvite) {
       return false;
@@ -443,26 +702,24 @@ class ActionValidator {
    */
   async _validateDeleteMessage(action, authorId, view) {
     // Check if the message exists
-    const message = await view.findOne("@server/message", {
+    const message = await view.get("@server/message", {
       id: action.payload.id,
+      channelId: action.payload.channelId,
     });
     if (!message) {
       return false;
     }
 
     // Find the channel for this message
-    const channel = await this.syncbase.channels.getChannel(
-      action.payload.channelId
-    );
+    const channel = await view.get("@server/channel", {
+      channelId: action.payload.channelId,
+    });
     if (!channel) {
       return false;
     }
 
-    const signerPubKey = b4a.isBuffer(action.signer)
-      ? action.signer
-      : b4a.from(action.signer);
     // Users can only edit their own messages
-    if (message.author !== b4a.toString(signerPubKey, "hex")) {
+    if (message.author !== (await this.getSignerId(action, view))) {
       return false;
     }
 
@@ -486,19 +743,32 @@ class ActionValidator {
    */
   async _validateEditMessage(action, authorId, view) {
     // Check if the message exists
-    const message = await this.syncbase.messages.getMessage(
-      action.payload.id,
-      action.payload.channelId
-    );
+    const message = await view.get("@server/message", {
+      id: action.payload.id,
+      channelId: action.payload.channelId,
+    });
     if (!message) {
       return false;
     }
 
-    const signerPubKey = b4a.isBuffer(action.signer)
-      ? action.signer
-      : b4a.from(action.signer);
     // Users can only edit their own messages
-    if (message.author !== b4a.toString(signerPubKey, "hex")) {
+    const signerId = await this.getSignerId(action, view);
+    if (message.author !== signerId) {
+      return false;
+    }
+
+    // and in private channels only while they are a member
+    const channel = await view.get("@server/channel", {
+      channelId: action.payload.channelId,
+    });
+    if (
+      channel?.private &&
+      !(await this.syncbase.privateChannels.validateMessage(
+        action,
+        signerId,
+        view
+      ))
+    ) {
       return false;
     }
 
@@ -520,8 +790,11 @@ class ActionValidator {
    */
   async _validateRevokeInvite(action, authorId, view) {
     // Check if the invite exists
-    const invite = await view.findOne("@server/invite", {
-      code: action.payload.code,
+    if (typeof action.payload.id !== "string") {
+      return false;
+    }
+    const invite = await view.get("@server/invite", {
+      id: b4a.from(action.payload.id, "hex"),
     });
     if (!invite) {
       return false;
@@ -534,19 +807,73 @@ class ActionValidator {
     }
 
     // Check if the user has permission to manage invites
-    const userRole = await view.findOne("@server/role", {
-      userId: authorId,
-    });
+    const userRole = await this.getUserRole(action, view);
 
     if (!userRole || !this._hasPermission(userRole.role, "MANAGE_INVITES")) {
       return false;
     }
 
     // Basic validation of required fields
-    return !!(
-      action.payload.code &&
-      action.payload.serverId &&
-      action.payload.timestamp
+    return !!(action.payload.serverId && action.payload.timestamp);
+  }
+
+  /**
+   * Validate BAN_USER and UNBAN_USER actions
+   * Bans need `BAN_MEMBERS` and a target of a lower role, an unban names a
+   * ban that exists
+   * @param {Object} action - The action to validate
+   * @param {Object} view - The database view
+   * @returns {Promise<Boolean>} Whether the action is valid
+   * @private
+   */
+  async _validateBan(action, view) {
+    const { payload } = action;
+    if (!payload.userId || typeof payload.channelId !== "string") {
+      return false;
+    }
+
+    const userRole = await this.getUserRole(action, view);
+    if (!userRole || !this._hasPermission(userRole.role, "BAN_MEMBERS")) {
+      return false;
+    }
+
+    if (action.type === "@server/unban-user") {
+      return !!(await view.get("@server/ban", {
+        userId: payload.userId,
+        channelId: payload.channelId,
+      }));
+    }
+
+    if (
+      payload.channelId &&
+      !(await view.get("@server/channel", { channelId: payload.channelId }))
+    ) {
+      return false;
+    }
+
+    // Nobody bans a user of an equal or higher role
+    const { ROLES } = this.syncbase.permissions;
+    const targetRole = await view.get("@server/role", {
+      userId: payload.userId,
+    });
+    if (targetRole && ROLES[targetRole.role] >= ROLES[userRole.role]) {
+      return false;
+    }
+
+    return Number.isInteger(payload.bannedAt);
+  }
+
+  /**
+   * Check whether a user is banned from the server or from a channel
+   * @param {String} userId - The user ID
+   * @param {Object} view - The database view
+   * @param {String} [channelId] - The channel, server bans count everywhere
+   * @returns {Promise<Boolean>} Whether the user is banned
+   */
+  async isBanned(userId, view, channelId) {
+    if (await view.get("@server/ban", { userId, channelId: "" })) return true;
+    return (
+      !!channelId && !!(await view.get("@server/ban", { userId, channelId }))
     );
   }
 
@@ -570,6 +897,9 @@ class ActionValidator {
         "EDIT_CHANNEL",
         "DELETE_CHANNEL",
         "MANAGE_INVITES",
+        "BAN_MEMBERS",
+        "ATTACH_FILES",
+        "READ_MESSAGES",
       ],
       ADMIN: [
         "MANAGE_CHANNELS",
@@ -580,14 +910,19 @@ class ActionValidator {
         "EDIT_CHANNEL",
         "MANAGE_SERVER",
         "MANAGE_INVITES",
+        "BAN_MEMBERS",
+        "ATTACH_FILES",
+        "READ_MESSAGES",
       ],
       MODERATOR: [
         "SEND_MESSAGES",
         "DELETE_MESSAGES",
         "CREATE_INVITES",
         "MANAGE_INVITES",
+        "ATTACH_FILES",
+        "READ_MESSAGES",
       ],
-      MEMBER: ["SEND_MESSAGES"],
+      MEMBER: ["SEND_MESSAGES", "ATTACH_FILES", "READ_MESSAGES"],
     };
 
     const permissions = rolePermissions[role] || [];
@@ -0,0 +1,241 @@
+const b4a = require("b4a");
+const crypto = require("hypercore-crypto");
+const sodium = require("sodium-native");
+const Hyperblobs = require("hyperblobs");
+const { Readable } = require("stream");
+
+// Messages are not meant to carry whole folders
+const MAX_ATTACHMENTS = 10;
+// How long a download waits for a peer that has the blocks
+const DOWNLOAD_TIMEOUT = 30000;
+
+/**
+ * AttachmentManager - File contents of messages, stored in Hyperblobs
+ *
+ * Every peer appends the files it attaches to a Hyperblobs core of its own,
+ * named `attachments` in the store of the server and encrypted with the
+ * `encryptionKey` of the base, so relays only replicate ciphertext. Messages
+ * do not carry the bytes, only a descriptor:
+ * `{ id, name, type, size, hash, core, blob }`, where `hash` is the BLAKE2b
+ * hash of the contents, `core` the key of the Hyperblobs core and `blob` the
+ * pointer Hyperblobs returned for them.
+ *
+ * Nothing is downloaded eagerly. Readers open the core of the uploader when
+ * they read an attachment and stream its blocks from whoever has them, the
+ * contents are checked against `hash` before the download completes.
+ *
+ * Attaching needs `ATTACH_FILES`. Attachments are readable by every member
+ * of the server, so private channels do not take them.
+ */
+class AttachmentManager {
+  /**
+   * Create a new AttachmentManager instance
+   * @param {SyncBase} syncBase - The SyncBase instance
+   * @param {CryptoManager} crypto - Crypto manager instance
+   */
+  constructor(syncBase, crypto) {
+    this.syncBase = syncBase;
+    this.crypto = crypto;
+    this.blobs = null; // Hyperblobs of this peer, opened on first use
+    this.remotes = new Map(); // core key -> Hyperblobs of other peers, once opened
+    this.uploaded = new Map(); // hash -> pointer, to store contents once
+  }
+
+  /**
+   * Store the contents of a file in the Hyperblobs core of this peer
+   * @param {Buffer|String} data - The file contents
+   * @param {Object} [options] - File details
+   * @param {String} [options.name] - The file name
+   * @param {String} [options.type="application/octet-stream"] - The MIME type
+   * @returns {Promise<Object>} The descriptor to attach to a message
+   */
+  async upload(data, { name = "", type = "application/octet-stream" } = {}) {
+    const contents = b4a.isBuffer(data) ? data : b4a.from(data);
+    const hash = b4a.toString(crypto.hash(contents), "hex");
+
+    const blobs = await this._getBlobs();
+    if (!this.uploaded.has(hash)) {
+      this.uploaded.set(hash, await blobs.put(contents));
+    }
+
+    return {
+      id: this.crypto.generateId(),
+      name,
+      type,
+      size: contents.byteLength,
+      hash,
+      core: b4a.toString(blobs.core.key, "hex"),
+      blob: { ...this.uploaded.get(hash) },
+    };
+  }
+
+  /**
+   * Prepare the attachments of a new message, uploading raw files
+   * @param {Array<Object>} attachments - Descriptors returned by `upload`, or
+   *   files `{ name, type, data }` to upload first
+   * @returns {Promise<Array<Object>>} Descriptors
+   */
+  async prepare(attachments) {
+    if (attachments.length > MAX_ATTACHMENTS) {
+      throw new Error(`Messages take at most ${MAX_ATTACHMENTS} attachments`);
+    }
+
+    const descriptors = [];
+    for (const attachment of attachments) {
+      if (attachment && attachment.data !== undefined) {
+        descriptors.push(await this.upload(attachment.data, attachment));
+      } else if (isDescriptor(attachment)) {
+        descriptors.push(attachment);
+      } else {
+        throw new Error("Invalid attachment");
+      }
+    }
+    return descriptors;
+  }
+
+  /**
+   * Get the attachments of a message
+   * @param {Object} message - The message
+   * @returns {Array<Object>} Descriptors, empty if the message has none
+   */
+  getAttachments(message) {
+    return parse(message && message.attachments) || [];
+  }
+
+  /**
+   * Stream the contents of an attachment from the peers that have them
+   * @param {Object} attachment - The descriptor
+   * @param {Object} [options] - Download options
+   * @param {Number} [options.timeout=30000] - How long to wait for a block in ms
+   * @returns {Readable} Stream of the contents, it errors if they do not match the hash
+   */
+  createReadStream(attachment, options) {
+    return Readable.from(this._read(attachment, options), {
+      objectMode: false,
+    });
+  }
+
+  /**
+   * Download the contents of an attachment
+   * @param {Object} attachment - The descriptor
+   * @param {Object} [options] - `{ timeout }`, see `createReadStream`
+   * @returns {Promise<Buffer>} The contents, checked against the hash
+   */
+  async download(attachment, options) {
+    const chunks = [];
+    for await (const chunk of this._read(attachment, options)) {
+      chunks.push(chunk);
+    }
+    return b4a.concat(chunks);
+  }
+
+  /**
+   * Check the attachments of a `send-message` action, called by the validator
+   * @param {*} attachments - The `attachments` field of the payload
+   * @returns {Boolean} Whether they are a list of valid descriptors
+   */
+  validate(attachments) {
+    const list = parse(attachments);
+    return (
+      Array.isArray(list) &&
+      list.length <= MAX_ATTACHMENTS &&
+      list.every(isDescriptor)
+    );
+  }
+
+  /**
+   * Close the Hyperblobs cores opened by this manager
+   * @returns {Promise<void>}
+   */
+  async close() {
+    const opening = [...this.remotes.values()];
+    if (this.blobs) opening.push(this.blobs);
+    this.blobs = null;
+    this.remotes.clear();
+    for (const blobs of await Promise.all(opening)) await blobs.close();
+  }
+
+  async *_read(attachment, { timeout = DOWNLOAD_TIMEOUT } = {}) {
+    if (!isDescriptor(attachment)) throw new Error("Invalid attachment");
+
+    const blobs = await this._getRemote(attachment.core);
+    const state = b4a.alloc(sodium.crypto_generichash_STATEBYTES);
+    sodium.crypto_generichash_init(state, null, 32);
+
+    let size = 0;
+    for await (const chunk of blobs.createReadStream(attachment.blob, {
+      wait: true,
+      timeout,
+    })) {
+      sodium.crypto_generichash_update(state, chunk);
+      size += chunk.byteLength;
+      yield chunk;
+    }
+
+    const hash = b4a.alloc(32);
+    sodium.crypto_generichash_final(state, hash);
+    if (
+      size !== attachment.size ||
+      b4a.toString(hash, "hex") !== attachment.hash
+    ) {
+      throw new Error("Attachment contents do not match their hash");
+    }
+  }
+
+  _getBlobs() {
+    if (!this.blobs) {
+      this.blobs = this._open({ name: "attachments" });
+    }
+    return this.blobs;
+  }
+
+  async _getRemote(key) {
+    const blobs = await this._getBlobs();
+    if (key === b4a.toString(blobs.core.key, "hex")) return blobs;
+    if (!this.remotes.has(key)) {
+      this.remotes.set(key, this._open({ key: b4a.from(key, "hex") }));
+    }
+    return this.remotes.get(key);
+  }
+
+  async _open(options) {
+    const { encryptionKey } = this.syncBase.base;
+    const core = this.syncBase.store.get({
+      ...options,
+      encryption: encryptionKey ? { key: encryptionKey } : null,
+    });
+    const blobs = new Hyperblobs(core);
+    await blobs.ready();
+    return blobs;
+  }
+}
+
+function isDescriptor(attachment) {
+  if (!attachment || typeof attachment !== "object") return false;
+  const { id, name, type, size, hash, core, blob } = attachment;
+  return (
+    typeof id === "string" &&
+    typeof name === "string" &&
+    typeof type === "string" &&
+    /^[0-9a-f]{64}$/.test(hash) &&
+    /^[0-9a-f]{64}$/.test(core) &&
+    Number.isInteger(size) &&
+    !!blob &&
+    ["blockOffset", "blockLength", "byteOffset", "byteLength"].every(
+      (field) => Number.isInteger(blob[field]) && blob[field] >= 0
+    ) &&
+    blob.byteLength === size
+  );
+}
+
+function parse(attachments) {
+  if (Array.isArray(attachments)) return attachments;
+  if (typeof attachments !== "string" || !attachments) return null;
+  try {
+    return JSON.parse(attachments);
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = AttachmentManager;
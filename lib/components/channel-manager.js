@@ -29,6 +29,7 @@ class ChannelManager {
    * @param {String} params.name - The channel name
    * @param {String} [params.type='TEXT'] - The channel type (TEXT, VOICE, etc.)
    * @param {String} [params.topic=''] - The channel topic
+   * @param {Boolean} [params.private=false] - Encrypt messages for members only, see `PrivateChannelManager`
    * @param {Number} [params.timestamp] - Optional timestamp
    * @returns {Promise<Object>} The created channel
    */
@@ -36,7 +37,8 @@ class ChannelManager {
     name,
     type = "TEXT",
     topic = "",
-    timestamp = Date.now(),
+    private: isPrivate = false,
+    timestamp = this.syncBase.crypto.now(),
   }) {
     try {
       await this.syncBase.base.ready();
@@ -81,7 +83,7 @@ class ChannelManager {
       const id = this.syncBase.crypto.generateId(32);
       const channelId = this.syncBase.crypto.generateId();
       // Get current user ID for creator tracking
-      const creatorId = b4a.toString(this.syncBase.crypto.publicKey, "hex");
+      const creatorId = this.syncBase.userId;
       // Prepare the channel data
       const channelData = {
         id,
@@ -92,12 +94,13 @@ class ChannelManager {
         createdBy: creatorId,
         createdAt: timestamp,
         position,
+        private: isPrivate,
       };
       const action = await this.syncBase.crypto.createSignedAction(
         "@server/create-channel",
         channelData
       );
-      await this.syncBase.base.append(action, { optimistic: true });
+      await this.syncBase.outbox.append(action);
       return channelData;
     } catch (err) {
       console.error("Error creating channel:", err);
@@ -149,7 +152,7 @@ class ChannelManager {
         "@server/delete-channel",
         channel
       );
-      await this.syncBase.base.append(action, { optimistic: true });
+      await this.syncBase.outbox.append(action);
       return true;
     } catch (err) {
       console.error("Error deleting channel:", err);
@@ -173,6 +176,12 @@ class ChannelManager {
         throw new Error("Channel not found");
       }
 
+      // Only the fields passed in are changed, concurrent updates of other
+      // fields are kept
+      const changed = [];
+      if (name) changed.push("name");
+      if (topic !== undefined) changed.push("topic");
+
       // Prepare update data
       const updateData = {
         id: id,
@@ -183,13 +192,18 @@ class ChannelManager {
         type: channel.type,
         createdBy: channel.createdBy,
         createdAt: channel.createdAt,
-        updatedAt: Date.now(),
+        updatedAt: this.syncBase.crypto.now(),
+        parents: await this.syncBase.conflicts.getParents(
+          "@server/channel",
+          channelId,
+          changed
+        ),
       };
       const action = this.syncBase.crypto.createSignedAction(
         "@server/update-channel",
         updateData
       );
-      await this.syncBase.base.append(action, { optimistic: true });
+      await this.syncBase.outbox.append(action);
       return updateData;
     } catch (err) {
       console.error("Error updating channel:", err);
@@ -0,0 +1,267 @@
+const b4a = require("b4a");
+
+// Merge policy of every collection that is updated in place
+const POLICIES = {
+  "@server/server": "lww",
+  "@server/channel": "lww",
+  "@server/message": "lww",
+  "@server/group_dm": "lww",
+  "@server/role": "conflict",
+};
+
+// Every field of a record merged as one under the `conflict` policy
+const RECORD = "*";
+
+/**
+ * ConflictResolver - Merges concurrent updates of the same record
+ *
+ * Updates used to delete and reinsert the whole record, so the outcome of two
+ * concurrent updates depended on the order Autobase linearized them in and
+ * fields from one of them were lost. Instead, every update is merged under
+ * the policy of its collection:
+ * - `lww` - field-level last writer wins. Each field keeps the clock of the
+ *   update that wrote it and only takes values from updates with a later one
+ * - `conflict` - the record is merged as a whole, the later update wins and
+ *   the competing update is kept in an open conflict record until the record
+ *   is updated again by someone who saw both
+ *
+ * Clocks are `{ d, t, by, id }`: the depth of the update in the history of the
+ * field, the hybrid clock timestamp carried in the action, then the signer and
+ * the action id as tie breakers, so every peer picks the same winner. Clocks
+ * are stored per record in `@server/revision`.
+ *
+ * The depth comes first because timestamps are chosen by the signer. An
+ * update based on the current holder of a field is one deeper and always
+ * replaces it, so a timestamp far in the future only wins against updates
+ * that did not see it. Updates based on an older state, or without `parents`,
+ * take the depth of the holder and compete with it on the timestamp.
+ *
+ * Updates carry the clocks they were based on as `parents` in their signed
+ * payload, `{ field: actionId }` for every field they change. An update
+ * competes with the current holder of a field if it was not based on it; such
+ * updates are recorded in `@server/conflict`. Updates without `parents` are
+ * still merged but cannot be told apart from sequential ones.
+ */
+class ConflictResolver {
+  /**
+   * Create a new ConflictResolver instance
+   * @param {SyncBase} syncBase - The SyncBase instance
+   * @param {CryptoManager} crypto - Crypto manager instance
+   */
+  constructor(syncBase, crypto) {
+    this.syncBase = syncBase;
+    this.crypto = crypto;
+    this.policies = { ...POLICIES };
+  }
+
+  /**
+   * Get the merge policy of a collection
+   * @param {String} collection - The collection name
+   * @returns {String} `lww` or `conflict`
+   */
+  policyOf(collection) {
+    return this.policies[collection] || "lww";
+  }
+
+  /**
+   * Get the `parents` to sign into an update of a record
+   * @param {String} collection - The collection name
+   * @param {String} key - The record key, as passed to `merge`
+   * @param {Array<String>} fields - The fields the update changes
+   * @returns {Promise<Object>} Action id of the update each field was last written by
+   */
+  async getParents(collection, key, fields) {
+    const clocks = await this._getClocks(
+      this.syncBase.base.view,
+      collection,
+      key
+    );
+    const units = this.policyOf(collection) === "conflict" ? [RECORD] : fields;
+
+    const parents = {};
+    for (const unit of units) {
+      parents[unit] = clocks[unit] ? clocks[unit].id : null;
+    }
+    return parents;
+  }
+
+  /**
+   * Merge an update into a record, called from apply
+   * @param {Object} view - The database view
+   * @param {Object} update - The update
+   * @param {String} update.collection - The collection name
+   * @param {String} update.key - Key identifying the record in revisions and conflicts
+   * @param {Object} update.record - The record as it is in the view
+   * @param {Object} update.changes - The values the update may change, by field
+   * @param {Object} context - The apply context of the update
+   * @returns {Promise<Object>} `{ record, changed, conflicts }`, the merged record,
+   *   the fields that took values from this update and the recorded conflicts
+   */
+  async merge(view, { collection, key, record, changes }, context) {
+    const clock = this._clockOf(context);
+    const parents = this._parentsOf(context);
+    const policy = this.policyOf(collection);
+    const clocks = await this._getClocks(view, collection, key);
+
+    // Legacy updates change every field they carry
+    const fields = Object.keys(changes).filter(
+      (field) =>
+        changes[field] !== undefined &&
+        (policy === "conflict" || !parents || Object.hasOwn(parents, field))
+    );
+    const units = policy === "conflict" ? [RECORD] : fields;
+
+    const merged = { ...record };
+    const changed = [];
+    const competing = new Map(); // action id of the holder -> { holder, units }
+
+    for (const unit of units) {
+      const holder = clocks[unit];
+      const unitFields = unit === RECORD ? fields : [unit];
+      const unitClock = { d: depthOf(holder, parents, unit), ...clock };
+      const wins = !holder || compareClocks(unitClock, holder) > 0;
+
+      if (parents && holder && holder.id !== (parents[unit] ?? null)) {
+        if (!competing.has(holder.id)) {
+          competing.set(holder.id, { holder, wins, fields: [] });
+        }
+        competing.get(holder.id).fields.push(...unitFields);
+      }
+
+      if (!wins) continue;
+
+      for (const field of unitFields) merged[field] = changes[field];
+      changed.push(...unitFields);
+      clocks[unit] = unitClock;
+    }
+
+    await view.insert("@server/revision", {
+      collection,
+      key,
+      fields: encodeClocks(clocks),
+    });
+
+    const conflicts = [];
+    for (const { holder, wins, fields: contested } of competing.values()) {
+      const [winner, loser] = wins ? [clock, holder] : [holder, clock];
+      const conflict = {
+        collection,
+        key,
+        id: [clock.id, holder.id].sort().join(":"),
+        fields: JSON.stringify(contested),
+        winner: winner.id,
+        loser: loser.id,
+        values: JSON.stringify(pick(wins ? record : changes, contested)),
+        timestamp: winner.t,
+        resolved: policy === "lww",
+      };
+      await view.insert("@server/conflict", conflict);
+      conflicts.push(decode(conflict));
+    }
+
+    // An update based on the current state settles the open conflicts
+    if (policy === "conflict" && parents && competing.size === 0) {
+      for (const conflict of await this._find(view, collection, key)) {
+        if (conflict.resolved) continue;
+        await view.insert("@server/conflict", { ...conflict, resolved: true });
+      }
+    }
+
+    return { record: merged, changed, conflicts };
+  }
+
+  /**
+   * List the concurrent updates recorded for a collection or a record
+   * @param {String} collection - The collection name
+   * @param {String} [key] - Only list conflicts of this record
+   * @param {Object} [options] - Query options
+   * @param {Boolean} [options.resolved] - Only list resolved or open conflicts
+   * @returns {Promise<Array<Object>>} Conflicts with `fields` and `values` decoded
+   */
+  async getConflicts(collection, key = null, options = {}) {
+    const conflicts = await this._find(
+      this.syncBase.base.view,
+      collection,
+      key
+    );
+    return conflicts
+      .filter(
+        (conflict) =>
+          options.resolved === undefined ||
+          conflict.resolved === options.resolved
+      )
+      .map(decode);
+  }
+
+  async _find(view, collection, key) {
+    const query = key
+      ? { gte: { collection, key }, lte: { collection, key } }
+      : { gte: { collection }, lte: { collection } };
+    const conflicts = [];
+    for await (const conflict of view.find("@server/conflict", query)) {
+      conflicts.push(conflict);
+    }
+    return conflicts;
+  }
+
+  async _getClocks(view, collection, key) {
+    const revision = await view.get("@server/revision", { collection, key });
+    return revision ? JSON.parse(revision.fields) : {};
+  }
+
+  _clockOf(context) {
+    const action = context.action || {};
+    return {
+      t: context.timestamp || 0,
+      by: context.signer ? b4a.toString(context.signer, "hex") : "",
+      id: action.signature ? this.crypto.actionId(action) : "",
+    };
+  }
+
+  _parentsOf(context) {
+    const parents = context.action?.payload?.parents;
+    return parents && typeof parents === "object" ? parents : null;
+  }
+}
+
+// Sorted by field, so the record does not depend on the order of the updates
+function encodeClocks(clocks) {
+  const sorted = {};
+  for (const field of Object.keys(clocks).sort()) {
+    const { d, t, by, id } = clocks[field];
+    sorted[field] = { d, t, by, id };
+  }
+  return JSON.stringify(sorted);
+}
+
+// Depth of an update in the history of a unit, clocks stored before depths count as 0
+function depthOf(holder, parents, unit) {
+  if (!holder) return 1;
+  const depth = holder.d || 0;
+  return parents && parents[unit] === holder.id ? depth + 1 : depth;
+}
+
+function compareClocks(a, b) {
+  const depth = (a.d || 0) - (b.d || 0);
+  if (depth !== 0) return depth < 0 ? -1 : 1;
+  if (a.t !== b.t) return a.t < b.t ? -1 : 1;
+  if (a.by !== b.by) return a.by < b.by ? -1 : 1;
+  if (a.id !== b.id) return a.id < b.id ? -1 : 1;
+  return 0;
+}
+
+function pick(values, fields) {
+  const picked = {};
+  for (const field of fields) picked[field] = values[field];
+  return picked;
+}
+
+function decode(conflict) {
+  return {
+    ...conflict,
+    fields: JSON.parse(conflict.fields),
+    values: conflict.values ? JSON.parse(conflict.values) : null,
+  };
+}
+
+module.exports = ConflictResolver;
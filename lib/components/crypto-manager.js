@@ -1,6 +1,106 @@
 const crypto = require("hypercore-crypto");
 const sodium = require("sodium-native");
 const b4a = require("b4a");
+const HybridClock = require("./hybrid-clock");
+const c = require("compact-encoding");
+const bip39 = require("bip39-mnemonic");
+const { PROTOCOL_VERSION } = require("./protocol-manager");
+
+// Separates action signatures from anything else signed with the same key
+const SIGNING_DOMAIN = "syncbase/action";
+const NONCE_BYTES = 16;
+// Separates identity keys from anything else derived from a mnemonic
+const IDENTITY_DOMAIN = "syncbase/identity";
+// Separates continuity proofs of key rotations from action signatures
+const ROTATION_DOMAIN = "syncbase/rotate-identity";
+
+// Tags of the values in the canonical payload encoding
+const NULL = 0;
+const FALSE = 1;
+const TRUE = 2;
+const NUMBER = 3;
+const STRING = 4;
+const ARRAY = 5;
+const OBJECT = 6;
+
+// Canonical encoding of a JSON value
+const canonicalValue = {
+  preencode(state, v) {
+    state.end++; // tag
+    if (typeof v === "number") c.float64.preencode(state, v);
+    else if (typeof v === "string") c.string.preencode(state, v);
+    else if (Array.isArray(v)) {
+      c.uint.preencode(state, v.length);
+      for (const item of v) canonicalValue.preencode(state, item);
+    } else if (v !== null && typeof v === "object") {
+      const keys = Object.keys(v).sort();
+      c.uint.preencode(state, keys.length);
+      for (const key of keys) {
+        c.string.preencode(state, key);
+        canonicalValue.preencode(state, v[key]);
+      }
+    }
+  },
+  encode(state, v) {
+    if (v === null) c.uint8.encode(state, NULL);
+    else if (v === false) c.uint8.encode(state, FALSE);
+    else if (v === true) c.uint8.encode(state, TRUE);
+    else if (typeof v === "number") {
+      c.uint8.encode(state, NUMBER);
+      c.float64.encode(state, v);
+    } else if (typeof v === "string") {
+      c.uint8.encode(state, STRING);
+      c.string.encode(state, v);
+    } else if (Array.isArray(v)) {
+      c.uint8.encode(state, ARRAY);
+      c.uint.encode(state, v.length);
+      for (const item of v) canonicalValue.encode(state, item);
+    } else {
+      const keys = Object.keys(v).sort();
+      c.uint8.encode(state, OBJECT);
+      c.uint.encode(state, keys.length);
+      for (const key of keys) {
+        c.string.encode(state, key);
+        canonicalValue.encode(state, v[key]);
+      }
+    }
+  },
+};
+
+const signableAction = {
+  preencode(state, m) {
+    c.string.preencode(state, SIGNING_DOMAIN);
+    c.string.preencode(state, m.type);
+    c.uint.preencode(state, m.version);
+    c.fixed32.preencode(state, m.signer);
+    c.buffer.preencode(state, m.nonce);
+    canonicalValue.preencode(state, m.payload);
+  },
+  encode(state, m) {
+    c.string.encode(state, SIGNING_DOMAIN);
+    c.string.encode(state, m.type);
+    c.uint.encode(state, m.version);
+    c.fixed32.encode(state, m.signer);
+    c.buffer.encode(state, m.nonce);
+    canonicalValue.encode(state, m.payload);
+  },
+};
+
+// Statement the new key signs when a user rotates their identity key
+const continuityStatement = {
+  preencode(state, m) {
+    c.string.preencode(state, ROTATION_DOMAIN);
+    c.string.preencode(state, m.userId);
+    c.fixed32.preencode(state, m.previousKey);
+    c.fixed32.preencode(state, m.key);
+  },
+  encode(state, m) {
+    c.string.encode(state, ROTATION_DOMAIN);
+    c.string.encode(state, m.userId);
+    c.fixed32.encode(state, m.previousKey);
+    c.fixed32.encode(state, m.key);
+  },
+};
 
 /**
  * CryptoManager - Handles cryptographic operations
@@ -11,12 +111,10 @@ class CryptoManager {
    * @param {String|Array} [seedPhrase] - Seed phrase to derive keys from
    */
   constructor(seedPhrase) {
+    this.clock = new HybridClock();
+
     if (seedPhrase) {
-      console.log("Deriving keys from ", seedPhrase);
-      const keys = CryptoManager.deriveKeysFromSeed(seedPhrase);
-      this.publicKey = keys.publicKey;
-      this.secretKey = keys.secretKey;
-      this.discoveryKey = keys.discoveryKey;
+      this.setKeys(CryptoManager.deriveKeysFromSeed(seedPhrase));
     }
   }
 
@@ -45,6 +143,64 @@ class CryptoManager {
     return { publicKey, secretKey, discoveryKey };
   }
 
+  /**
+   * Generate a new BIP39 mnemonic
+   * @returns {String} 24 English words
+   */
+  static generateMnemonic() {
+    return bip39.generateMnemonic();
+  }
+
+  /**
+   * Check whether a mnemonic is a valid BIP39 mnemonic, checksum included
+   * @param {String|Array} mnemonic - The mnemonic
+   * @returns {Boolean} Whether the mnemonic is valid
+   */
+  static validateMnemonic(mnemonic) {
+    if (Array.isArray(mnemonic)) mnemonic = mnemonic.join(" ");
+    if (typeof mnemonic !== "string") return false;
+    return bip39.validateMnemonic(bip39.normalizeMnemonic(mnemonic));
+  }
+
+  /**
+   * Derive keys from a BIP39 mnemonic
+   * The BIP39 seed is hashed under an identity domain into the signing seed,
+   * so the same words derive the same identity on every device
+   * @param {String|Array} mnemonic - The mnemonic
+   * @param {String} [passphrase=""] - Optional BIP39 passphrase
+   * @returns {Promise<Object>} Generated keys
+   */
+  static async deriveKeysFromMnemonic(mnemonic, passphrase = "") {
+    if (!CryptoManager.validateMnemonic(mnemonic)) {
+      throw new Error("Invalid mnemonic");
+    }
+    if (Array.isArray(mnemonic)) mnemonic = mnemonic.join(" ");
+
+    const bip39Seed = await bip39.mnemonicToSeed(mnemonic, passphrase);
+    const seed = b4a.alloc(sodium.crypto_sign_SEEDBYTES);
+    sodium.crypto_generichash(seed, bip39Seed, b4a.from(IDENTITY_DOMAIN));
+
+    const publicKey = b4a.alloc(sodium.crypto_sign_PUBLICKEYBYTES);
+    const secretKey = b4a.alloc(sodium.crypto_sign_SECRETKEYBYTES);
+    sodium.crypto_sign_seed_keypair(publicKey, secretKey, seed);
+    sodium.sodium_memzero(seed);
+
+    const discoveryKey = crypto.hash(
+      b4a.concat([crypto.hash(bip39Seed), b4a.from("discovery")])
+    );
+    return { publicKey, secretKey, discoveryKey };
+  }
+
+  /**
+   * Use a set of keys, e.g. ones unlocked from a keystore after construction
+   * @param {Object} keys - `{ publicKey, secretKey, discoveryKey }`
+   */
+  setKeys(keys) {
+    this.publicKey = keys.publicKey;
+    this.secretKey = keys.secretKey;
+    this.discoveryKey = keys.discoveryKey;
+  }
+
   /**
    * Sign a message with the secret key
    * @param {Buffer|String} message - Message to sign
@@ -63,13 +219,28 @@ class CryptoManager {
     return signature;
   }
 
+  /**
+   * Get a timestamp for a new action from the hybrid logical clock
+   * @returns {Number} Timestamp in milliseconds
+   */
+  now() {
+    return this.clock.now();
+  }
+
+  /**
+   * Create a signed action
+   * The signature covers the canonical binary encoding of the type, protocol
+   * version, signer, nonce and payload (see `CryptoManager.signable`)
+   * @param {String} type - The action type
+   * @param {Object} payload - The action payload, stamped with a timestamp if it has none
+   * @returns {Object} The action ({ type, version, nonce, signature, payload, signer })
+   */
   createSignedAction(type, payload) {
     // Ensure payload has the required fields
     if (!payload.timestamp) {
-      payload.timestamp = Date.now();
+      payload.timestamp = this.clock.now();
     }
 
-    // Create a canonical representation of the payload for signing
     const sortedPayload = Object.keys(payload)
       .sort()
       .reduce((obj, key) => {
@@ -77,21 +248,85 @@ class CryptoManager {
         return obj;
       }, {});
 
-    // Create a canonical string, but remove the timestamp for signing
-    const payloadForSigning = { ...sortedPayload };
-    delete payloadForSigning.timestamp;
-
-    const message = JSON.stringify(payloadForSigning);
-
-    // Sign the message
-    const signature = this.sign(message);
-
-    return {
+    const action = {
       type,
-      signature,
+      version: PROTOCOL_VERSION,
+      nonce: this.generateId(NONCE_BYTES),
+      signature: null,
       payload: sortedPayload,
       signer: b4a.from(this.publicKey, "hex"),
     };
+    action.signature = this.sign(CryptoManager.signable(action));
+
+    return action;
+  }
+
+  /**
+   * Verify the signature of an action made by `createSignedAction`
+   * Actions are checked against their canonical binary encoding. Actions
+   * created before nonces were introduced never verify: their signature only
+   * covered the payload, so it held for the same payload under any type
+   * @param {Object} action - The signed action ({ signature, payload, signer })
+   * @returns {Boolean} True if the signer signed the action
+   */
+  verifyAction(action) {
+    if (!action || !action.payload || !action.signature || !action.signer) {
+      return false;
+    }
+
+    if (typeof action.nonce !== "string") return false;
+
+    try {
+      return this.verify(
+        b4a.from(action.signature),
+        CryptoManager.signable(action),
+        b4a.from(action.signer)
+      );
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Get the bytes an action is signed over
+   * A domain tag, then the type, protocol version, signer, nonce and the
+   * payload in a canonical binary form: object keys sorted, numbers as
+   * float64 and every value tagged with its kind. The payload is taken in its
+   * JSON form, which is how other peers receive it, so buffers and dates sign
+   * the same before and after replication
+   * @param {Object} action - The action ({ type, version, nonce, signer, payload })
+   * @returns {Buffer} The canonical encoding of the action
+   */
+  static signable(action) {
+    if (
+      typeof action.nonce !== "string" ||
+      !/^[0-9a-f]+$/i.test(action.nonce)
+    ) {
+      throw new Error("Cannot sign: The action has no valid nonce");
+    }
+
+    return c.encode(signableAction, {
+      type: action.type,
+      version: action.version || 1,
+      signer: b4a.from(action.signer),
+      nonce: b4a.from(action.nonce, "hex"),
+      payload: JSON.parse(JSON.stringify(action.payload)),
+    });
+  }
+
+  /**
+   * Get the statement the new key signs when an identity key is rotated
+   * It binds the user to both keys, so the proof cannot be replayed for
+   * another user or another predecessor
+   * @param {Object} rotation - `{ userId, previousKey, key }`, keys as hex strings
+   * @returns {Buffer} The bytes to sign
+   */
+  static continuity({ userId, previousKey, key }) {
+    return c.encode(continuityStatement, {
+      userId,
+      previousKey: b4a.from(previousKey, "hex"),
+      key: b4a.from(key, "hex"),
+    });
   }
 
   /**
@@ -105,7 +340,7 @@ class CryptoManager {
     const data =
       typeof message === "string"
         ? b4a.from(message)
-        : typeof message === "object"
+        : typeof message === "object" && !b4a.isBuffer(message)
         ? b4a.from(JSON.stringify(message, Object.keys(message).sort()))
         : message;
 
@@ -143,6 +378,41 @@ class CryptoManager {
     return crypto.hash(data);
   }
 
+  /**
+   * Derive a stable identifier for a signed action
+   * The id only depends on the signer and the nonce of the action, so every
+   * peer computes the same id regardless of which writer appended it and a
+   * replay of the action is recognised as the same action. Actions without a
+   * nonce are identified by their type, signer and signature
+   * @param {Object} action - The signed action ({ type, signer, nonce, signature })
+   * @returns {String} Action ID as hex string
+   */
+  actionId(action) {
+    const signer = action.signer ? b4a.from(action.signer) : b4a.alloc(0);
+
+    if (typeof action.nonce === "string") {
+      return b4a.toString(
+        this.hash(
+          b4a.concat([
+            b4a.from(SIGNING_DOMAIN),
+            signer,
+            b4a.from(action.nonce, "hex"),
+          ])
+        ),
+        "hex"
+      );
+    }
+
+    const signature = action.signature
+      ? b4a.from(action.signature)
+      : b4a.from(JSON.stringify(action.payload || {}));
+
+    return b4a.toString(
+      this.hash(b4a.concat([b4a.from(action.type || ""), signer, signature])),
+      "hex"
+    );
+  }
+
   /**
    * Generate a symmetric encryption key
    * @returns {Buffer} Encryption key
@@ -199,6 +469,146 @@ class CryptoManager {
       return null;
     }
   }
+
+  /**
+   * Encrypt data so only the holder of an identity key can read it
+   * The Ed25519 identity key is converted to its X25519 form for a sealed box
+   * @param {Buffer|String} data - Data to encrypt
+   * @param {Buffer|String} publicKey - Identity key of the recipient
+   * @returns {Buffer} Sealed data
+   */
+  static seal(data, publicKey) {
+    const message = typeof data === "string" ? b4a.from(data) : data;
+    const curveKey = toCurvePublicKey(publicKey);
+
+    const sealed = b4a.alloc(message.length + sodium.crypto_box_SEALBYTES);
+    sodium.crypto_box_seal(sealed, message, curveKey);
+    return sealed;
+  }
+
+  /**
+   * Decrypt data sealed to the identity key of this peer with `CryptoManager.seal`
+   * @param {Buffer} sealed - Sealed data
+   * @returns {Buffer|null} Decrypted data or null if it was not sealed to this key
+   */
+  openSealed(sealed) {
+    if (!this.secretKey || sealed.length < sodium.crypto_box_SEALBYTES) {
+      return null;
+    }
+
+    const publicKey = toCurvePublicKey(this.publicKey);
+    const secretKey = this._curveSecretKey();
+
+    const message = b4a.alloc(sealed.length - sodium.crypto_box_SEALBYTES);
+    const opened = sodium.crypto_box_seal_open(
+      message,
+      sealed,
+      publicKey,
+      secretKey
+    );
+    sodium.sodium_memzero(secretKey);
+    return opened ? message : null;
+  }
+
+  /**
+   * Encrypt data between the identity key of this peer and another one
+   * Both Ed25519 keys are converted to X25519 and combined into a shared key,
+   * so the recipient and this peer can read the result, nobody else can
+   * @param {Buffer|String} data - Data to encrypt
+   * @param {Buffer|String} publicKey - Identity key of the other party
+   * @returns {Object} `{ nonce, ciphertext }` as Buffers
+   */
+  box(data, publicKey) {
+    if (!this.secretKey) {
+      throw new Error("Cannot encrypt: No secret key available");
+    }
+    const message = typeof data === "string" ? b4a.from(data) : data;
+    const nonce = crypto.randomBytes(sodium.crypto_box_NONCEBYTES);
+    const ciphertext = b4a.alloc(message.length + sodium.crypto_box_MACBYTES);
+
+    const secretKey = this._curveSecretKey();
+    sodium.crypto_box_easy(
+      ciphertext,
+      message,
+      nonce,
+      toCurvePublicKey(publicKey),
+      secretKey
+    );
+    sodium.sodium_memzero(secretKey);
+    return { nonce, ciphertext };
+  }
+
+  /**
+   * Decrypt data made with `box`, by either of the two parties
+   * @param {Buffer} ciphertext - Encrypted data
+   * @param {Buffer} nonce - The nonce it was encrypted with
+   * @param {Buffer|String} publicKey - Identity key of the other party
+   * @returns {Buffer|null} Decrypted data or null if it is not for this key
+   */
+  openBox(ciphertext, nonce, publicKey) {
+    if (!this.secretKey || ciphertext.length < sodium.crypto_box_MACBYTES) {
+      return null;
+    }
+
+    const message = b4a.alloc(ciphertext.length - sodium.crypto_box_MACBYTES);
+    const secretKey = this._curveSecretKey();
+    const opened = sodium.crypto_box_open_easy(
+      message,
+      ciphertext,
+      nonce,
+      toCurvePublicKey(publicKey),
+      secretKey
+    );
+    sodium.sodium_memzero(secretKey);
+    return opened ? message : null;
+  }
+
+  /**
+   * Get the X25519 form of the secret key of this peer
+   * @returns {Buffer} The secret key, zero it after use
+   * @private
+   */
+  _curveSecretKey() {
+    const secretKey = b4a.alloc(sodium.crypto_box_SECRETKEYBYTES);
+    sodium.crypto_sign_ed25519_sk_to_curve25519(secretKey, this.secretKey);
+    return secretKey;
+  }
+
+  /**
+   * Get the seed the signing keypair of this peer is derived from
+   * @returns {Buffer} The 32 byte Ed25519 seed
+   */
+  getSeed() {
+    if (!this.secretKey) {
+      throw new Error("Cannot export: No secret key available");
+    }
+    // Ed25519 secret keys are the seed followed by the public key
+    return b4a.from(this.secretKey.subarray(0, sodium.crypto_sign_SEEDBYTES));
+  }
+
+  /**
+   * Derive keys from the Ed25519 seed returned by `getSeed`
+   * @param {Buffer} seed - The 32 byte seed
+   * @returns {Object} Generated keys
+   */
+  static keysFromSeed(seed) {
+    const publicKey = b4a.alloc(sodium.crypto_sign_PUBLICKEYBYTES);
+    const secretKey = b4a.alloc(sodium.crypto_sign_SECRETKEYBYTES);
+    sodium.crypto_sign_seed_keypair(publicKey, secretKey, seed);
+
+    const discoveryKey = crypto.hash(
+      b4a.concat([crypto.hash(seed), b4a.from("discovery")])
+    );
+    return { publicKey, secretKey, discoveryKey };
+  }
+}
+
+// X25519 form of an Ed25519 identity key
+function toCurvePublicKey(publicKey) {
+  const key = b4a.isBuffer(publicKey) ? publicKey : b4a.from(publicKey, "hex");
+  const curveKey = b4a.alloc(sodium.crypto_box_PUBLICKEYBYTES);
+  sodium.crypto_sign_ed25519_pk_to_curve25519(curveKey, key);
+  return curveKey;
 }
 
 module.exports = CryptoManager;
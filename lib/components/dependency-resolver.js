@@ -0,0 +1,344 @@
+const b4a = require("b4a");
+
+/**
+ * DependencyResolver - Tracks prerequisites of actions during apply
+ *
+ * Autobase may hand us nodes whose prerequisites (the server, a channel, the
+ * signer's role, ...) have not been applied yet, e.g. a message that was
+ * linearized before the channel it belongs to. Instead of dropping such an
+ * action, it is parked in the `@server/pending` collection of the view under
+ * the first dependency it is missing. Once an action providing that
+ * dependency is applied, the parked actions are handed back for replay.
+ *
+ * Because the pending collection lives in the view, it is undone and reapplied
+ * together with the rest of the view when Autobase reorders nodes.
+ *
+ * Dependencies are plain strings of the form `<kind>:<id>`:
+ * - `server` - the server record exists
+ * - `channel:<channelId>` - the channel exists
+ * - `message:<messageId>` - the message exists
+ * - `user:<userId>` - the user record exists
+ * - `role:<userId>` - the user has a role assigned
+ * - `writer:<writerKey>` - the writer is bound to a user, see WriterRegistry
+ * - `channel-key:<channelId>:<epoch>` - the key of a private channel epoch exists
+ * - `group:<groupId>` - the group DM exists
+ * - `group-key:<groupId>:<epoch>` - the key of a group DM epoch exists
+ * - `thread:<rootId>` - the thread under the message exists
+ * - `schema:<version>` - this build supports the schema version, see SchemaMigrator
+ *
+ * Dependencies on the signer are on the user a linked device or rotated
+ * identity key acts for.
+ *
+ * Actions from a newer protocol are parked under `protocol:<version>` by the
+ * ProtocolManager and released once this build supports that version.
+ */
+class DependencyResolver {
+  /**
+   * Create a new DependencyResolver instance
+   * @param {SyncBase} syncBase - The SyncBase instance
+   * @param {CryptoManager} crypto - Crypto manager instance
+   */
+  constructor(syncBase, crypto) {
+    this.syncBase = syncBase;
+    this.crypto = crypto;
+  }
+
+  /**
+   * Get the dependencies an action needs before it can be applied
+   * @param {Object} action - The signed action
+   * @param {String} [signer] - The user that signed the action, defaults to the signer key
+   * @returns {Array<String>} Dependency keys
+   */
+  getDependencies(action, signer = this._signerId(action)) {
+    const payload = action.payload || {};
+    const signerRole = signer ? [`role:${signer}`] : [];
+
+    switch (action.type) {
+      case "@server/update-server":
+      case "@server/repair-view":
+        return ["server", ...signerRole];
+      case "@server/create-channel":
+        return ["server", ...signerRole];
+      case "@server/update-channel":
+      case "@server/delete-channel":
+        return [`channel:${payload.channelId}`, ...signerRole];
+      case "@server/send-message":
+        // Messages of private channels wait on the key they were encrypted
+        // with, replies on the message and the thread they belong to
+        return [
+          `channel:${payload.channelId}`,
+          ...(Number.isInteger(payload.keyEpoch)
+            ? [`channel-key:${payload.channelId}:${payload.keyEpoch}`]
+            : []),
+          ...(payload.replyTo ? [`message:${payload.replyTo}`] : []),
+          ...(payload.threadId ? [`thread:${payload.threadId}`] : []),
+          ...signerRole,
+        ];
+      case "@server/create-thread":
+        return [
+          `channel:${payload.channelId}`,
+          `message:${payload.rootId}`,
+          ...signerRole,
+        ];
+      case "@server/rekey-channel":
+        return [`channel:${payload.channelId}`, ...signerRole];
+      case "@server/edit-message":
+        return [
+          `channel:${payload.channelId}`,
+          `message:${payload.id}`,
+          ...signerRole,
+        ];
+      case "@server/delete-message":
+        return [
+          `channel:${payload.channelId}`,
+          `message:${payload.id}`,
+          ...signerRole,
+        ];
+      case "@server/set-role":
+        return ["server", `user:${payload.userId}`, ...signerRole];
+      case "@server/ban-user":
+      case "@server/unban-user":
+        return [
+          "server",
+          `role:${payload.userId}`,
+          ...(payload.channelId ? [`channel:${payload.channelId}`] : []),
+          ...signerRole,
+        ];
+      case "@server/create-invite":
+        return ["server", ...signerRole];
+      case "@server/revoke-invite":
+      case "@server/claim-invite":
+        return ["server"];
+      case "claim-invite":
+        return ["server", ...signerRole];
+      case "@server/bind-writer":
+      case "@server/link-device":
+      case "@server/revoke-device":
+      case "@server/rotate-identity":
+      case "@server/setup-recovery":
+      case "@server/approve-recovery":
+        return ["server", `user:${signer}`];
+      case "@server/request-recovery":
+        return ["server"];
+      case "@server/migrate-schema":
+        return ["server", `schema:${payload.version}`];
+      case "@server/send-direct-message":
+        return ["server", `user:${payload.recipient}`, ...signerRole];
+      case "@server/create-group-dm":
+        return ["server", ...signerRole];
+      case "@server/update-group-dm":
+        return [`group:${payload.id}`, ...signerRole];
+      case "@server/add-group-participant":
+      case "@server/remove-group-participant":
+      case "@server/rekey-group-dm":
+        return [`group:${payload.groupId}`, ...signerRole];
+      case "@server/send-group-message":
+        return [
+          `group:${payload.groupId}`,
+          `group-key:${payload.groupId}:${payload.keyEpoch}`,
+          ...signerRole,
+        ];
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Get the dependencies an action satisfies once it has been applied
+   * @param {Object} action - The signed action
+   * @returns {Array<String>} Dependency keys
+   */
+  getProvided(action) {
+    const payload = action.payload || {};
+    const signer = this._signerId(action);
+
+    switch (action.type) {
+      case "@server/create-server":
+        return signer
+          ? ["server", `user:${signer}`, `role:${signer}`]
+          : ["server"];
+      case "@server/create-channel":
+        return [`channel:${payload.channelId}`];
+      case "@server/send-message":
+        return [`message:${payload.id}`];
+      case "@server/create-thread":
+        return [`thread:${payload.rootId}`];
+      case "@server/rekey-channel":
+        return [`channel-key:${payload.channelId}:${payload.epoch}`];
+      case "@server/create-group-dm":
+        return [`group:${payload.id}`, `group-key:${payload.id}:0`];
+      case "@server/add-group-participant":
+      case "@server/remove-group-participant":
+      case "@server/rekey-group-dm":
+        return [`group-key:${payload.groupId}:${payload.epoch}`];
+      case "@server/set-role":
+        return [`role:${payload.userId}`];
+      case "claim-invite":
+        return payload.user?.id
+          ? [`user:${payload.user.id}`, `role:${payload.user.id}`]
+          : [];
+      case "@server/bind-writer":
+        return [`writer:${payload.writerKey}`];
+      case "@server/link-device":
+        // Actions of the device waited on it as a user of its own
+        return [`user:${payload.deviceKey}`, `role:${payload.deviceKey}`];
+      case "@server/rotate-identity":
+        // Actions of the new key waited on it as a user of its own
+        return [`user:${payload.key}`, `role:${payload.key}`];
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Get the dependencies of an action that are not present in the view yet
+   * @param {Object} action - The signed action
+   * @param {Object} view - The database view
+   * @returns {Promise<Array<String>>} Missing dependency keys
+   */
+  async getUnmetDependencies(action, view) {
+    const signer = action.signer
+      ? await this.syncBase.devices.accountOf(action.signer, view)
+      : null;
+
+    const missing = [];
+    for (const dependency of this.getDependencies(action, signer)) {
+      if (!(await this.isSatisfied(dependency, view))) {
+        missing.push(dependency);
+      }
+    }
+    return missing;
+  }
+
+  /**
+   * Check whether a single dependency is present in the view
+   * @param {String} dependency - Dependency key
+   * @param {Object} view - The database view
+   * @returns {Promise<Boolean>} Whether the dependency is satisfied
+   */
+  async isSatisfied(dependency, view) {
+    const separator = dependency.indexOf(":");
+    const kind = separator === -1 ? dependency : dependency.slice(0, separator);
+    const id = separator === -1 ? null : dependency.slice(separator + 1);
+
+    switch (kind) {
+      case "server":
+        return !!(await view.findOne("@server/server", {}));
+      case "channel":
+        return !!(await view.get("@server/channel", { channelId: id }));
+      case "channel-key": {
+        const epoch = id.lastIndexOf(":");
+        return !!(await view.get("@server/channel_key", {
+          channelId: id.slice(0, epoch),
+          epoch: Number(id.slice(epoch + 1)),
+        }));
+      }
+      case "thread":
+        return !!(await view.get("@server/thread", { rootId: id }));
+      case "group":
+        return !!(await view.get("@server/group_dm", { id }));
+      case "group-key": {
+        const epoch = id.lastIndexOf(":");
+        return !!(await view.get("@server/group_dm_key", {
+          groupId: id.slice(0, epoch),
+          epoch: Number(id.slice(epoch + 1)),
+        }));
+      }
+      case "message":
+        return !!(await view.findOne("@server/message", {
+          gte: { id },
+          lte: { id },
+        }));
+      case "user":
+        return !!(await view.findOne("@server/user", {
+          gte: { id },
+          lte: { id },
+        }));
+      case "role":
+        return !!(await view.get("@server/role", { userId: id }));
+      case "writer":
+        return !!(await view.get("@server/writer", { writerKey: id }));
+      case "schema":
+        return Number(id) <= this.syncBase.migrator.version;
+      default:
+        // Never applied, an action naming it stays parked on every peer alike
+        console.warn(`Unknown dependency kind: ${kind}`);
+        return false;
+    }
+  }
+
+  /**
+   * Park an action until one of its dependencies is applied
+   * @param {Object} action - The signed action
+   * @param {Buffer|null} writerKey - Key of the writer that appended the action
+   * @param {String} dependency - The dependency the action is waiting on
+   * @param {Object} view - The database view
+   * @returns {Promise<void>}
+   */
+  async park(action, writerKey, dependency, view) {
+    const id = this.crypto.actionId(action);
+    console.log(`Deferring action ${action.type} until ${dependency} exists`);
+
+    await view.insert("@server/pending", {
+      id,
+      dependency,
+      type: action.type,
+      action: JSON.stringify(action),
+      writerKey: writerKey ? b4a.toString(writerKey, "hex") : null,
+    });
+  }
+
+  /**
+   * Remove and return every action waiting on a dependency
+   * @param {String} dependency - The dependency that was just satisfied
+   * @param {Object} view - The database view
+   * @returns {Promise<Array<Object>>} Entries of { action, writerKey }
+   */
+  async release(dependency, view) {
+    const entries = await this._find(view, dependency);
+
+    for (const entry of entries) {
+      await view.delete("@server/pending", {
+        dependency: entry.dependency,
+        id: entry.id,
+      });
+    }
+
+    return entries.map((entry) => ({
+      action: JSON.parse(entry.action),
+      writerKey: entry.writerKey ? b4a.from(entry.writerKey, "hex") : null,
+    }));
+  }
+
+  /**
+   * List the actions that are currently waiting on a dependency
+   * @param {Object} view - The database view
+   * @param {String} [dependency] - Only list actions waiting on this dependency
+   * @returns {Promise<Array<Object>>} Pending entries with the decoded action
+   */
+  async getPending(view, dependency = null) {
+    const entries = await this._find(view, dependency);
+    return entries.map((entry) => ({
+      ...entry,
+      action: JSON.parse(entry.action),
+    }));
+  }
+
+  async _find(view, dependency) {
+    const query = dependency
+      ? { gte: { dependency }, lte: { dependency } }
+      : {};
+    const entries = [];
+    for await (const entry of view.find("@server/pending", query)) {
+      entries.push(entry);
+    }
+    return entries;
+  }
+
+  _signerId(action) {
+    if (!action.signer) return null;
+    return b4a.toString(b4a.from(action.signer), "hex");
+  }
+}
+
+module.exports = DependencyResolver;
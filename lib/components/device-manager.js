@@ -0,0 +1,202 @@
+const b4a = require("b4a");
+
+/**
+ * DeviceManager - Multi-device accounts
+ *
+ * Every device has its own keypair. A user is identified by the key they
+ * joined with; further devices are linked to that user by an existing device,
+ * which signs a `@server/link-device` action carrying the public key of the
+ * new device. Once linked, the device acts as the user: its actions are
+ * checked against the role of the user, it binds its writer to the user and
+ * it is listed as one of their devices instead of showing up as a member.
+ *
+ * Identities are resolved in apply with `accountOf`, a signer that is not a
+ * linked device is its own account.
+ *
+ * A lost device is revoked with `@server/revoke-device`, signed by any other
+ * device of the user. Its writers are unbound and removed from the Autobase,
+ * and apply refuses anything it signs from then on.
+ */
+class DeviceManager {
+  /**
+   * Create a new DeviceManager instance
+   * @param {SyncBase} syncBase - The SyncBase instance
+   * @param {CryptoManager} crypto - Crypto manager instance
+   */
+  constructor(syncBase, crypto) {
+    this.syncBase = syncBase;
+    this.crypto = crypto;
+    this.accountId = null; // user this device was linked to
+    this.revoked = false;
+  }
+
+  /**
+   * Get the user a signer acts for
+   * Keys that are no device are resolved as identity keys, see IdentityManager
+   * @param {Buffer|String} signer - The public key that signed an action
+   * @param {Object} [view] - The database view, defaults to the live view
+   * @returns {Promise<String>} The user id as hex string
+   */
+  async accountOf(signer, view = this.syncBase.base.view) {
+    const deviceKey = toHex(signer);
+    const device = await view.get("@server/device", { deviceKey });
+    if (device) return device.revokedAt ? deviceKey : device.userId;
+    return this.syncBase.identities.accountOf(deviceKey, view);
+  }
+
+  /**
+   * Check whether a signer is a revoked device
+   * @param {Buffer|String} signer - The public key that signed an action
+   * @param {Object} [view] - The database view, defaults to the live view
+   * @returns {Promise<Boolean>} Whether the device was revoked
+   */
+  async isRevoked(signer, view = this.syncBase.base.view) {
+    if (!signer) return false;
+    const device = await view.get("@server/device", {
+      deviceKey: toHex(signer),
+    });
+    return !!(device && device.revokedAt);
+  }
+
+  /**
+   * List the devices linked to a user, revoked ones included
+   * @param {Buffer|String} userId - The public key of the user
+   * @returns {Promise<Array<Object>>} Devices `{ deviceKey, userId, name, addedAt, addedBy, revokedAt }`
+   */
+  async getDevices(userId) {
+    const id = toHex(userId);
+    const devices = [];
+    for await (const device of this.syncBase.base.view.find(
+      "@server/device",
+      {}
+    )) {
+      if (device.userId === id) devices.push(device);
+    }
+    return devices;
+  }
+
+  /**
+   * Authorise a new device to act as the user of this device
+   * @param {Object} params - Link parameters
+   * @param {Buffer|String} params.deviceKey - Public key of the new device
+   * @param {String} [params.name] - Name to show for the device
+   * @returns {Promise<Object>} `{ key, encryptionKey, userId }`, what the new
+   *   device needs to open the server
+   */
+  async linkDevice({ deviceKey, name = "" }) {
+    const key = toHex(deviceKey);
+    if (!/^[0-9a-f]{64}$/i.test(key)) {
+      throw new Error("Invalid device key");
+    }
+
+    const userId = this.syncBase.userId;
+    const addedAt = this.crypto.now();
+    const action = this.crypto.createSignedAction("@server/link-device", {
+      deviceKey: key,
+      userId,
+      name,
+      addedAt,
+      addedBy: b4a.toString(this.crypto.publicKey, "hex"),
+      timestamp: addedAt,
+    });
+    await this.syncBase.outbox.append(action);
+
+    const base = this.syncBase.base;
+    return {
+      key: b4a.toString(base.key, "hex"),
+      encryptionKey: base.encryptionKey
+        ? b4a.toString(base.encryptionKey, "hex")
+        : null,
+      userId,
+    };
+  }
+
+  /**
+   * Revoke a device of the user of this device
+   * @param {Object} params - Revoke parameters
+   * @param {Buffer|String} params.deviceKey - Public key of the device
+   * @returns {Promise<Object>} The device record with `revokedAt` set
+   */
+  async revokeDevice({ deviceKey }) {
+    const device = await this.syncBase.base.view.get("@server/device", {
+      deviceKey: toHex(deviceKey),
+    });
+    if (!device || device.userId !== this.syncBase.userId) {
+      throw new Error("Device not found");
+    }
+    if (device.revokedAt) {
+      throw new Error("Device already revoked");
+    }
+
+    const revokedAt = this.crypto.now();
+    const revoked = { ...device, revokedAt };
+    const action = this.crypto.createSignedAction("@server/revoke-device", {
+      ...revoked,
+      timestamp: revokedAt,
+    });
+    await this.syncBase.outbox.append(action);
+    return revoked;
+  }
+
+  /**
+   * Pick up the user this device was linked to, called on every update
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    if (!this.crypto.publicKey) return;
+
+    const device = await this.syncBase.base.view.get("@server/device", {
+      deviceKey: b4a.toString(this.crypto.publicKey, "hex"),
+    });
+    if (!device) return;
+
+    if (device.revokedAt) {
+      this.accountId = null;
+      if (!this.revoked) {
+        this.revoked = true;
+        this.syncBase.eventEmitter.emit("device-revoked", device);
+      }
+      return;
+    }
+    this.accountId = device.userId;
+  }
+
+  /**
+   * Check whether a signer may link or revoke a device, called by the validator
+   * @param {Object} action - The `link-device` or `revoke-device` action
+   * @param {Object} view - The database view
+   * @returns {Promise<Boolean>} Whether the action is valid
+   */
+  async validate(action, view) {
+    const { payload } = action;
+    const account = await this.accountOf(action.signer, view);
+    if (!payload || payload.userId !== account) return false;
+    if (typeof payload.deviceKey !== "string") return false;
+
+    const device = await view.get("@server/device", {
+      deviceKey: payload.deviceKey,
+    });
+
+    if (action.type === "@server/revoke-device") {
+      return !!(device && device.userId === account && !device.revokedAt);
+    }
+
+    // Keys are linked once and never to an existing member or identity
+    if (device || payload.deviceKey === account) return false;
+    if (await view.get("@server/identity", { key: payload.deviceKey })) {
+      return false;
+    }
+    if (payload.addedBy !== toHex(action.signer)) return false;
+    const user = await view.findOne("@server/user", {
+      gte: { id: payload.deviceKey },
+      lte: { id: payload.deviceKey },
+    });
+    return !user;
+  }
+}
+
+function toHex(key) {
+  return typeof key === "string" ? key : b4a.toString(b4a.from(key), "hex");
+}
+
+module.exports = DeviceManager;
@@ -0,0 +1,271 @@
+const b4a = require("b4a");
+const crypto = require("hypercore-crypto");
+
+// `CryptoManager.encrypt` puts the nonce in front of the ciphertext
+const NONCE_BYTES = 24;
+
+/**
+ * DirectMessageManager - End-to-end encrypted messages between two members
+ *
+ * Everything in the view is readable by whoever holds the `encryptionKey` of
+ * the base, so direct messages are encrypted once more. Every message has a
+ * key of its own, sealed to every key that acts for the sender or the
+ * recipient, their identity keys and linked devices, the same way group DMs
+ * share their keys, see `PrivateChannelManager.sealFor`. Other members and
+ * relays only store the ciphertext.
+ *
+ * Messages sent before keys were sealed are encrypted with `CryptoManager.box`
+ * between the identity keys of the two members, and only those keys read them.
+ */
+class DirectMessageManager {
+  /**
+   * Create a new DirectMessageManager instance
+   * @param {SyncBase} syncBase - The SyncBase instance
+   * @param {CryptoManager} crypto - Crypto manager instance
+   */
+  constructor(syncBase, crypto) {
+    this.syncBase = syncBase;
+    this.crypto = crypto;
+  }
+
+  /**
+   * Get the id of the conversation between two users, the same for both
+   * @param {Buffer|String} a - The id of a user
+   * @param {Buffer|String} b - The id of the other user
+   * @returns {String} The conversation id as hex string
+   */
+  static conversationId(a, b) {
+    const ids = [toHex(a), toHex(b)].sort();
+    return b4a.toString(crypto.hash(b4a.from(ids.join(":"))), "hex");
+  }
+
+  /**
+   * Encrypt a message to another member and send it
+   * @param {Object} params - Message parameters
+   * @param {Buffer|String} params.recipientId - The id of the member to write to
+   * @param {String} params.content - The message content
+   * @returns {Promise<Object>} The message `{ id, conversationId, sender, recipient, content, sentAt }`
+   */
+  async sendDirectMessage({ recipientId, content }) {
+    if (typeof content !== "string" || !content) {
+      throw new Error("Message content is required");
+    }
+
+    const sender = this.syncBase.userId;
+    const recipient = toHex(recipientId || "");
+    if (recipient === sender) {
+      throw new Error("You cannot send a direct message to yourself");
+    }
+    const view = this.syncBase.base.view;
+    const user = await view.findOne("@server/user", {
+      gte: { id: recipient },
+      lte: { id: recipient },
+    });
+    const recipientKey =
+      user && (await this.syncBase.identities.getCurrentKey(recipient));
+    if (!recipientKey) {
+      throw new Error(`Recipient is not a member: ${recipient}`);
+    }
+
+    const key = this.crypto.generateEncryptionKey();
+    const keys = await this.syncBase.privateChannels.sealFor(key, [
+      sender,
+      recipient,
+    ]);
+    const encrypted = this.crypto.encrypt(content, key);
+    const nonce = encrypted.subarray(0, NONCE_BYTES);
+    const ciphertext = encrypted.subarray(NONCE_BYTES);
+    const sentAt = this.crypto.now();
+    const message = {
+      id: this.crypto.generateId(),
+      conversationId: DirectMessageManager.conversationId(sender, recipient),
+      sender,
+      recipient,
+      senderKey: toHex(this.crypto.publicKey),
+      recipientKey,
+      nonce: b4a.toString(nonce, "hex"),
+      ciphertext: b4a.toString(ciphertext, "hex"),
+      sentAt,
+      keys: JSON.stringify(keys),
+    };
+    const action = this.crypto.createSignedAction(
+      "@server/send-direct-message",
+      { ...message, timestamp: sentAt }
+    );
+    await this.syncBase.outbox.append(action);
+
+    return {
+      id: message.id,
+      conversationId: message.conversationId,
+      sender,
+      recipient,
+      content,
+      sentAt,
+    };
+  }
+
+  /**
+   * List the conversations of a user, most recent first
+   * @param {Buffer|String} userId - The id of the user
+   * @returns {Promise<Array<Object>>} Conversations `{ id, userId, createdAt, lastMessageAt }`,
+   *   `userId` is the other member
+   */
+  async getConversations(userId) {
+    const id = toHex(userId);
+    const conversations = [];
+    for await (const conversation of this.syncBase.base.view.find(
+      "@server/direct_conversation",
+      {}
+    )) {
+      if (conversation.userA !== id && conversation.userB !== id) continue;
+      conversations.push({
+        id: conversation.id,
+        userId:
+          conversation.userA === id ? conversation.userB : conversation.userA,
+        createdAt: conversation.createdAt,
+        lastMessageAt: conversation.lastMessageAt,
+      });
+    }
+    return conversations.sort((a, b) => b.lastMessageAt - a.lastMessageAt);
+  }
+
+  /**
+   * Get the messages this peer exchanged with another member, decrypted
+   * @param {Buffer|String} userId - The id of the other member
+   * @param {Object} [options] - Query options
+   * @param {Number} [options.limit=50] - Maximum number of messages to return
+   * @param {Number} [options.before] - Return messages sent before this timestamp
+   * @returns {Promise<Array<Object>>} Messages oldest first,
+   *   `{ id, conversationId, sender, recipient, content, sentAt }`, `content`
+   *   is null for messages encrypted to a key this peer does not hold
+   */
+  async getMessages(userId, { limit = 50, before } = {}) {
+    const conversationId = DirectMessageManager.conversationId(
+      this.syncBase.userId,
+      userId
+    );
+    const messages = [];
+    for await (const message of this.syncBase.base.view.find(
+      "@server/direct_message",
+      { gte: { conversationId }, lte: { conversationId } }
+    )) {
+      if (before && message.sentAt >= before) continue;
+      messages.push(message);
+    }
+    messages.sort((a, b) => a.sentAt - b.sentAt);
+
+    return messages.slice(-limit).map((message) => ({
+      id: message.id,
+      conversationId: message.conversationId,
+      sender: message.sender,
+      recipient: message.recipient,
+      content: this._decrypt(message),
+      sentAt: message.sentAt,
+    }));
+  }
+
+  /**
+   * Check whether a direct message is valid, called by the validator
+   * @param {Object} action - The `send-direct-message` action
+   * @param {Object} view - The database view
+   * @returns {Promise<Boolean>} Whether the action is valid
+   */
+  async validate(action, view) {
+    const { payload } = action;
+    if (!payload) return false;
+    if (typeof payload.id !== "string" || !payload.id) return false;
+    if (typeof payload.ciphertext !== "string" || !payload.ciphertext) {
+      return false;
+    }
+    if (!/^[0-9a-f]{48}$/.test(payload.nonce)) return false;
+
+    // Signed by the sender, with the key the message was encrypted with
+    const signer = toHex(action.signer);
+    if (payload.senderKey !== signer) return false;
+    const sender = await this.syncBase.devices.accountOf(signer, view);
+    if (payload.sender !== sender) return false;
+
+    // Encrypted to a key of the recipient, who is another member
+    const recipient = payload.recipient;
+    if (typeof recipient !== "string" || recipient === sender) return false;
+    const user = await view.findOne("@server/user", {
+      gte: { id: recipient },
+      lte: { id: recipient },
+    });
+    if (!user) return false;
+    if (
+      (await this.syncBase.identities.accountOf(payload.recipientKey, view)) !==
+      recipient
+    ) {
+      return false;
+    }
+
+    if (
+      payload.conversationId !==
+      DirectMessageManager.conversationId(sender, recipient)
+    ) {
+      return false;
+    }
+
+    // Sealed keys are for keys of the two members only
+    if (payload.keys === undefined || payload.keys === null) return true;
+    let keys;
+    try {
+      keys = JSON.parse(payload.keys);
+    } catch (err) {
+      return false;
+    }
+    if (!Array.isArray(keys) || keys.length === 0) return false;
+    for (const member of keys) {
+      if (member?.userId !== sender && member?.userId !== recipient) {
+        return false;
+      }
+      if (!(await this.syncBase.privateChannels.isSealedTo(member, view))) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Decrypt a stored message with the key of this peer
+   * @param {Object} message - The stored message
+   * @returns {String|null} The content or null if it is not for this key
+   * @private
+   */
+  _decrypt(message) {
+    const key = toHex(this.crypto.publicKey);
+    if (message.keys) {
+      const member = JSON.parse(message.keys).find((m) => m.key === key);
+      const opened =
+        member && this.crypto.openSealed(b4a.from(member.sealedKey, "hex"));
+      if (!opened) return null;
+      const content = this.crypto.decrypt(
+        b4a.concat([
+          b4a.from(message.nonce, "hex"),
+          b4a.from(message.ciphertext, "hex"),
+        ]),
+        opened
+      );
+      return content ? b4a.toString(content) : null;
+    }
+
+    let other = null;
+    if (message.senderKey === key) other = message.recipientKey;
+    else if (message.recipientKey === key) other = message.senderKey;
+    if (!other) return null;
+
+    const content = this.crypto.openBox(
+      b4a.from(message.ciphertext, "hex"),
+      b4a.from(message.nonce, "hex"),
+      other
+    );
+    return content ? b4a.toString(content) : null;
+  }
+}
+
+function toHex(key) {
+  return typeof key === "string" ? key : b4a.toString(b4a.from(key), "hex");
+}
+
+module.exports = DirectMessageManager;
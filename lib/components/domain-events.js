@@ -0,0 +1,87 @@
+const debounceify = require("debounceify");
+
+/**
+ * DomainEvents - Typed events for what the apply pipeline changed
+ *
+ * Router handlers record what they insert or delete while an action is
+ * applied (`message:created`, `channel:created`, ...). Nothing is emitted from
+ * inside apply: the events are collected per action and delivered on the next
+ * Autobase update, once the action is actually part of the view.
+ *
+ * With optimistic appends Autobase may undo applied actions and reapply them
+ * in a different order. Delivered events are remembered until the view they
+ * landed in is indexed; if their action disappears from the view before
+ * that, `<event>:undone` is emitted with the same payload so consumers can
+ * roll back. A reapplied action is delivered again as a regular event.
+ *
+ * Every payload carries `{ record, signer, actionId }`.
+ */
+class DomainEvents {
+  /**
+   * Create a new DomainEvents instance
+   * @param {SyncBase} syncBase - The SyncBase instance
+   */
+  constructor(syncBase) {
+    this.syncBase = syncBase;
+    this.queued = []; // { actionId, events } collected during apply
+    this.delivered = new Map(); // actionId -> { events, length }
+
+    this.flush = debounceify(this._flush.bind(this));
+  }
+
+  /**
+   * Collect the events of an applied action, called from apply
+   * @param {String} actionId - Id of the applied action
+   * @param {Array<Object>} events - Events recorded by the router handlers
+   */
+  collect(actionId, events) {
+    if (events.length === 0) return;
+    this.queued.push({
+      actionId,
+      events: events.map((event) => ({ ...event, actionId })),
+    });
+  }
+
+  async _flush() {
+    const base = this.syncBase.base;
+    const emitter = this.syncBase.eventEmitter;
+
+    // Compensate for delivered actions a reorder removed from the view
+    for (const [actionId, entry] of this.delivered) {
+      if (entry.length <= base.indexedLength) {
+        this.delivered.delete(actionId);
+        continue;
+      }
+      if (await this.syncBase.isProcessed(actionId)) continue;
+
+      this.delivered.delete(actionId);
+      for (const event of entry.events.slice().reverse()) {
+        emitter.emit(`${event.type}:undone`, payload(event));
+      }
+    }
+
+    const queued = this.queued;
+    this.queued = [];
+
+    for (const { actionId, events } of queued) {
+      // Already delivered, or undone again before we got to deliver it
+      if (this.delivered.has(actionId)) continue;
+      if (!(await this.syncBase.isProcessed(actionId))) continue;
+
+      this.delivered.set(actionId, { events, length: base.length });
+      for (const event of events) {
+        emitter.emit(event.type, payload(event));
+      }
+    }
+  }
+}
+
+function payload(event) {
+  return {
+    record: event.record,
+    signer: event.signer,
+    actionId: event.actionId,
+  };
+}
+
+module.exports = DomainEvents;
@@ -0,0 +1,492 @@
+const b4a = require("b4a");
+
+// Group DMs are for a few people, larger groups belong in a channel
+const MIN_PARTICIPANTS = 3;
+const MAX_PARTICIPANTS = 10;
+
+/**
+ * GroupDMManager - Small encrypted conversations outside the channels
+ *
+ * A group DM has a title, an optional icon and between 3 and 10
+ * participants. Like private channels, its messages are encrypted with a key
+ * per epoch that is sealed to every key acting for a participant, see
+ * `PrivateChannelManager.sealFor`, and the participants are whoever the
+ * current key is sealed to:
+ * - `@server/create-group-dm` creates the group with the key of epoch 0
+ * - `@server/add-group-participant` and `@server/remove-group-participant`
+ *   change the participants and start a new epoch with a fresh key, so
+ *   people who left cannot read new messages and people who joined cannot
+ *   read old ones
+ * - `@server/rekey-group-dm` keeps the participants and reseals a fresh key
+ *   when their keys change, after a rotation or when a device is linked or
+ *   revoked. Participants holding the key do it on the next update
+ *
+ * Any participant can add people, rename the group or leave it. Only its
+ * creator removes others, and never below 3 participants.
+ */
+class GroupDMManager {
+  /**
+   * Create a new GroupDMManager instance
+   * @param {SyncBase} syncBase - The SyncBase instance
+   * @param {CryptoManager} crypto - Crypto manager instance
+   */
+  constructor(syncBase, crypto) {
+    this.syncBase = syncBase;
+    this.crypto = crypto;
+    this.rekeying = new Set(); // epochs this peer already replaced
+  }
+
+  /**
+   * Get a group DM with its participants
+   * @param {String} groupId - The group ID
+   * @param {Object} [view] - The database view, defaults to the live view
+   * @returns {Promise<Object|null>} `{ id, title, icon, createdBy, createdAt, updatedAt,
+   *   lastMessageAt, epoch, participants }`
+   */
+  async getGroup(groupId, view = this.syncBase.base.view) {
+    const group = await view.get("@server/group_dm", { id: groupId });
+    if (!group) return null;
+    const record = await this.getKeyRecord(groupId, undefined, view);
+    return {
+      ...group,
+      epoch: record ? record.epoch : 0,
+      participants: record ? participantsOf(record) : [],
+    };
+  }
+
+  /**
+   * List the group DMs a user takes part in, most recent first
+   * @param {String} userId - The user ID
+   * @returns {Promise<Array<Object>>} Groups as returned by `getGroup`
+   */
+  async getGroups(userId) {
+    const view = this.syncBase.base.view;
+    const ids = [];
+    for await (const group of view.find("@server/group_dm", {})) {
+      ids.push(group.id);
+    }
+
+    const groups = [];
+    for (const id of ids) {
+      const group = await this.getGroup(id, view);
+      if (group.participants.includes(userId)) groups.push(group);
+    }
+    return groups.sort((a, b) => lastActivity(b) - lastActivity(a));
+  }
+
+  /**
+   * Get the key record of an epoch of a group DM
+   * @param {String} groupId - The group ID
+   * @param {Number} [epoch] - The epoch, defaults to the current one
+   * @param {Object} [view] - The database view, defaults to the live view
+   * @returns {Promise<Object|null>} `{ groupId, epoch, members, participant, createdBy, createdAt }`,
+   *   `members` parsed into `[{ userId, key, sealedKey }]`
+   */
+  async getKeyRecord(groupId, epoch, view = this.syncBase.base.view) {
+    let record = null;
+    if (epoch === undefined) {
+      for await (const node of view.find("@server/group_dm_key", {
+        gte: { groupId },
+        lte: { groupId },
+      })) {
+        if (!record || node.epoch > record.epoch) record = node;
+      }
+    } else {
+      record = await view.get("@server/group_dm_key", { groupId, epoch });
+    }
+    if (!record) return null;
+    return { ...record, members: JSON.parse(record.members) };
+  }
+
+  /**
+   * Create a group DM with this user and other members
+   * @param {Object} params - Group parameters
+   * @param {String} params.title - The title of the group
+   * @param {String} [params.icon] - The icon of the group
+   * @param {Array<String>} params.participants - Ids of the other members
+   * @returns {Promise<Object>} `{ id, title, icon, participants }`
+   */
+  async createGroup({ title, icon, participants = [] }) {
+    if (typeof title !== "string" || !title) {
+      throw new Error("Group title is required");
+    }
+    const userIds = [...new Set([this.syncBase.userId, ...participants])];
+    this._checkSize(userIds.length);
+    for (const userId of userIds) {
+      if (!(await this._hasAccess(userId))) {
+        throw new Error(`User cannot read messages: ${userId}`);
+      }
+    }
+
+    const id = this.crypto.generateId();
+    const createdAt = this.crypto.now();
+    const members = await this.syncBase.privateChannels.sealFor(
+      this.crypto.generateEncryptionKey(),
+      userIds
+    );
+    const action = this.crypto.createSignedAction("@server/create-group-dm", {
+      id,
+      title,
+      icon,
+      members: JSON.stringify(members),
+      createdBy: this.syncBase.userId,
+      createdAt,
+      timestamp: createdAt,
+    });
+    await this.syncBase.outbox.append(action);
+    return { id, title, icon, participants: userIds };
+  }
+
+  /**
+   * Change the title or the icon of a group DM
+   * @param {String} groupId - The group ID
+   * @param {Object} changes - `{ title, icon }`
+   * @returns {Promise<Object>} The updated group
+   */
+  async updateGroup(groupId, { title, icon } = {}) {
+    const group = await this._getOwnGroup(groupId);
+    const updatedAt = this.crypto.now();
+
+    // Only the fields passed in are changed, see ConflictResolver
+    const changed = [];
+    if (title) changed.push("title");
+    if (icon !== undefined) changed.push("icon");
+
+    const updated = {
+      id: group.id,
+      title: title || group.title,
+      icon: icon !== undefined ? icon : group.icon,
+      createdBy: group.createdBy,
+      createdAt: group.createdAt,
+      updatedAt,
+    };
+    const action = this.crypto.createSignedAction("@server/update-group-dm", {
+      ...updated,
+      parents: await this.syncBase.conflicts.getParents(
+        "@server/group_dm",
+        group.id,
+        changed
+      ),
+      timestamp: updatedAt,
+    });
+    await this.syncBase.outbox.append(action);
+    return { ...group, ...updated };
+  }
+
+  /**
+   * Add a member to a group DM, the group is rekeyed with them
+   * @param {String} groupId - The group ID
+   * @param {String} userId - The user to add
+   * @returns {Promise<Object>} `{ groupId, epoch, participants }`
+   */
+  async addParticipant(groupId, userId) {
+    const group = await this._getOwnGroup(groupId);
+    if (group.participants.includes(userId)) {
+      throw new Error("User is already a participant of this group");
+    }
+    this._checkSize(group.participants.length + 1);
+    if (!(await this._hasAccess(userId))) {
+      throw new Error(`User cannot read messages: ${userId}`);
+    }
+    return this._rekey(
+      "@server/add-group-participant",
+      group,
+      [...group.participants, userId],
+      userId
+    );
+  }
+
+  /**
+   * Remove a participant from a group DM, or leave it, the group is rekeyed without them
+   * @param {String} groupId - The group ID
+   * @param {String} userId - The user to remove, this user to leave
+   * @returns {Promise<Object>} `{ groupId, epoch, participants }`
+   */
+  async removeParticipant(groupId, userId) {
+    const group = await this._getOwnGroup(groupId);
+    if (!group.participants.includes(userId)) {
+      throw new Error("User is not a participant of this group");
+    }
+    if (userId !== this.syncBase.userId) {
+      if (group.createdBy !== this.syncBase.userId) {
+        throw new Error("Only the creator of the group can remove others");
+      }
+      this._checkSize(group.participants.length - 1);
+    }
+    return this._rekey(
+      "@server/remove-group-participant",
+      group,
+      group.participants.filter((participant) => participant !== userId),
+      userId
+    );
+  }
+
+  /**
+   * Encrypt a message with the current key of a group DM and send it
+   * @param {Object} params - Message parameters
+   * @param {String} params.groupId - The group ID
+   * @param {String} params.content - The message content
+   * @returns {Promise<Object>} The message `{ id, groupId, sender, content, sentAt }`
+   */
+  async sendMessage({ groupId, content }) {
+    if (typeof content !== "string" || !content) {
+      throw new Error("Message content is required");
+    }
+    const record = await this.getKeyRecord(groupId);
+    const key = record && this.syncBase.privateChannels.openKey(record);
+    if (!key) {
+      throw new Error("You are not a participant of this group");
+    }
+
+    const sentAt = this.crypto.now();
+    const message = {
+      id: this.crypto.generateId(),
+      groupId,
+      sender: this.syncBase.userId,
+      keyEpoch: record.epoch,
+      content: b4a.toString(this.crypto.encrypt(content, key), "hex"),
+      sentAt,
+    };
+    const action = this.crypto.createSignedAction(
+      "@server/send-group-message",
+      { ...message, timestamp: sentAt }
+    );
+    await this.syncBase.outbox.append(action);
+    return { id: message.id, groupId, sender: message.sender, content, sentAt };
+  }
+
+  /**
+   * Get the messages of a group DM, decrypted
+   * @param {String} groupId - The group ID
+   * @param {Object} [options] - Query options
+   * @param {Number} [options.limit=50] - Maximum number of messages to return
+   * @param {Number} [options.before] - Return messages sent before this timestamp
+   * @returns {Promise<Array<Object>>} Messages oldest first, `{ id, groupId, sender, content, sentAt }`,
+   *   `content` is null for messages of epochs this peer has no key for
+   */
+  async getMessages(groupId, { limit = 50, before } = {}) {
+    const view = this.syncBase.base.view;
+    const messages = [];
+    for await (const message of view.find("@server/group_dm_message", {
+      gte: { groupId },
+      lte: { groupId },
+    })) {
+      if (before && message.sentAt >= before) continue;
+      messages.push(message);
+    }
+    messages.sort((a, b) => a.sentAt - b.sentAt);
+
+    const result = [];
+    for (const message of messages.slice(-limit)) {
+      result.push({
+        id: message.id,
+        groupId: message.groupId,
+        sender: message.sender,
+        content: await this._decrypt(message, view),
+        sentAt: message.sentAt,
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Reseal the keys of the group DMs this peer holds the key of when the keys
+   * of their participants changed, called on every update
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    if (!this.crypto.publicKey) return;
+    const view = this.syncBase.base.view;
+    const privateChannels = this.syncBase.privateChannels;
+
+    for (const group of await this.getGroups(this.syncBase.userId)) {
+      const record = await this.getKeyRecord(group.id, undefined, view);
+      if (!record || !privateChannels.openKey(record)) continue;
+
+      const id = `${record.groupId}:${record.epoch}`;
+      if (this.rekeying.has(id)) continue;
+
+      const keys = await privateChannels.keysFor(group.participants, view);
+      const current = record.members.map((m) => `${m.userId}:${m.key}`).sort();
+      const wanted = keys.map((m) => `${m.userId}:${m.key}`).sort();
+      if (current.join() === wanted.join()) continue;
+
+      if (this.rekeying.has(id)) continue;
+      this.rekeying.add(id);
+      await this._rekey("@server/rekey-group-dm", group, group.participants);
+    }
+  }
+
+  /**
+   * Check whether a group DM action is valid, called by the validator
+   * @param {Object} action - The group DM action
+   * @param {String} signer - The user that signed the action
+   * @param {Object} view - The database view
+   * @returns {Promise<Boolean>} Whether the action is valid
+   */
+  async validate(action, signer, view) {
+    const { payload } = action;
+    if (!payload) return false;
+
+    if (action.type === "@server/create-group-dm") {
+      if (payload.createdBy !== signer || !payload.title) return false;
+      if (await view.get("@server/group_dm", { id: payload.id })) return false;
+      const participants = await this._validateMembers(payload, view);
+      if (!participants || !participants.includes(signer)) return false;
+      if (
+        participants.length < MIN_PARTICIPANTS ||
+        participants.length > MAX_PARTICIPANTS
+      ) {
+        return false;
+      }
+      for (const participant of participants) {
+        if (!(await this._hasAccess(participant, view))) return false;
+      }
+      return true;
+    }
+
+    const groupId =
+      action.type === "@server/update-group-dm" ? payload.id : payload.groupId;
+    const group = await this.getGroup(groupId, view);
+    if (!group || !group.participants.includes(signer)) return false;
+
+    switch (action.type) {
+      case "@server/update-group-dm":
+        return typeof payload.title === "string" && !!payload.title;
+      case "@server/send-group-message":
+        return (
+          payload.sender === signer &&
+          typeof payload.content === "string" &&
+          !!(await this.getKeyRecord(groupId, payload.keyEpoch, view))
+        );
+      case "@server/add-group-participant":
+      case "@server/remove-group-participant":
+      case "@server/rekey-group-dm":
+        return this._validateRekey(action, group, signer, view);
+      default:
+        return false;
+    }
+  }
+
+  async _validateRekey(action, group, signer, view) {
+    const { payload } = action;
+    if (payload.createdBy !== signer) return false;
+    if (payload.epoch !== group.epoch + 1) return false;
+    const participants = await this._validateMembers(payload, view);
+    if (!participants) return false;
+
+    // The participants after the change
+    let expected = group.participants;
+    if (action.type === "@server/add-group-participant") {
+      if (group.participants.includes(payload.participant)) return false;
+      if (!(await this._hasAccess(payload.participant, view))) return false;
+      expected = [...group.participants, payload.participant];
+      if (expected.length > MAX_PARTICIPANTS) return false;
+    } else if (action.type === "@server/remove-group-participant") {
+      if (!group.participants.includes(payload.participant)) return false;
+      expected = group.participants.filter((p) => p !== payload.participant);
+      // Anyone leaves, only the creator removes others
+      if (payload.participant !== signer) {
+        if (group.createdBy !== signer) return false;
+        if (expected.length < MIN_PARTICIPANTS) return false;
+      }
+    }
+    return participants.sort().join() === [...expected].sort().join();
+  }
+
+  /**
+   * Check the sealed keys of a create or rekey action
+   * @param {Object} payload - Payload with `members`
+   * @param {Object} view - The database view
+   * @returns {Promise<Array<String>|null>} The participants, null if a key is invalid
+   * @private
+   */
+  async _validateMembers(payload, view) {
+    let members;
+    try {
+      members = JSON.parse(payload.members);
+    } catch (err) {
+      return null;
+    }
+    if (!Array.isArray(members)) return null;
+
+    for (const member of members) {
+      if (!(await this.syncBase.privateChannels.isSealedTo(member, view))) {
+        return null;
+      }
+    }
+    return participantsOf({ members });
+  }
+
+  /**
+   * Start a new epoch with a fresh key sealed to the participants
+   * @param {String} type - The action type
+   * @param {Object} group - The group as returned by `getGroup`
+   * @param {Array<String>} userIds - The participants after the change
+   * @param {String} [participant] - The user added or removed
+   * @returns {Promise<Object>} `{ groupId, epoch, participants }`
+   * @private
+   */
+  async _rekey(type, group, userIds, participant) {
+    const members = await this.syncBase.privateChannels.sealFor(
+      this.crypto.generateEncryptionKey(),
+      userIds
+    );
+    const epoch = group.epoch + 1;
+    const createdAt = this.crypto.now();
+    const action = this.crypto.createSignedAction(type, {
+      groupId: group.id,
+      epoch,
+      members: JSON.stringify(members),
+      participant,
+      createdBy: this.syncBase.userId,
+      createdAt,
+      timestamp: createdAt,
+    });
+    await this.syncBase.outbox.append(action);
+    return { groupId: group.id, epoch, participants: userIds };
+  }
+
+  _hasAccess(userId, view) {
+    return this.syncBase.privateChannels.hasAccess(userId, view);
+  }
+
+  async _getOwnGroup(groupId) {
+    const group = await this.getGroup(groupId);
+    if (!group) throw new Error("Group not found");
+    if (!group.participants.includes(this.syncBase.userId)) {
+      throw new Error("You are not a participant of this group");
+    }
+    return group;
+  }
+
+  async _decrypt(message, view) {
+    const record = await this.getKeyRecord(
+      message.groupId,
+      message.keyEpoch,
+      view
+    );
+    const key = record && this.syncBase.privateChannels.openKey(record);
+    if (!key) return null;
+    const content = this.crypto.decrypt(b4a.from(message.content, "hex"), key);
+    return content ? b4a.toString(content) : null;
+  }
+
+  _checkSize(count) {
+    if (count < MIN_PARTICIPANTS || count > MAX_PARTICIPANTS) {
+      throw new Error(
+        `Group DMs have between ${MIN_PARTICIPANTS} and ${MAX_PARTICIPANTS} participants`
+      );
+    }
+  }
+}
+
+function participantsOf(record) {
+  return [...new Set(record.members.map((member) => member.userId))];
+}
+
+function lastActivity(group) {
+  return Math.max(group.lastMessageAt || 0, group.createdAt);
+}
+
+module.exports = GroupDMManager;
@@ -0,0 +1,60 @@
+// How far ahead of the wall clock a remote timestamp may be and still be followed
+const MAX_DRIFT = 60 * 1000;
+
+/**
+ * HybridClock - Hybrid logical clock for action timestamps
+ *
+ * Timestamps are milliseconds since the epoch like `Date.now()`, so they can
+ * be stored in the same fields and shown as dates, but:
+ * - they never go backwards and every call returns a new one, when the wall
+ *   clock stalls or jumps back the clock counts on one millisecond at a time
+ * - they move past every timestamp seen in applied actions, so an action
+ *   created after another one was received is stamped later, whatever the
+ *   local wall clock says
+ *
+ * Remote timestamps more than `maxDrift` ahead of the wall clock are not
+ * followed, one peer with a broken clock cannot drag everyone into the future.
+ * This only bounds the local clock, the action keeps its timestamp. Merges
+ * therefore order updates by their `parents` before their timestamps, see
+ * ConflictResolver.
+ *
+ * The clock only stamps actions when they are created. Apply handlers read
+ * the timestamp carried in the action and never the clock.
+ */
+class HybridClock {
+  /**
+   * Create a new HybridClock instance
+   * @param {Object} [options] - Clock options
+   * @param {Function} [options.wallClock=Date.now] - Source of the physical time
+   * @param {Number} [options.maxDrift=60000] - Largest lead of a remote timestamp that is followed, in milliseconds
+   */
+  constructor(options = {}) {
+    this.wallClock = options.wallClock || Date.now;
+    this.maxDrift = options.maxDrift ?? MAX_DRIFT;
+    this.last = 0;
+  }
+
+  /**
+   * Get a new timestamp
+   * @returns {Number} Timestamp, later than every timestamp returned or seen before
+   */
+  now() {
+    this.last = Math.max(this.wallClock(), this.last + 1);
+    return this.last;
+  }
+
+  /**
+   * Move the clock past a timestamp received from another peer
+   * @param {Number} timestamp - The remote timestamp
+   * @returns {Boolean} Whether the timestamp was accepted
+   */
+  update(timestamp) {
+    if (!Number.isInteger(timestamp) || timestamp <= 0) return false;
+    if (timestamp > this.wallClock() + this.maxDrift) return false;
+
+    if (timestamp > this.last) this.last = timestamp;
+    return true;
+  }
+}
+
+module.exports = HybridClock;
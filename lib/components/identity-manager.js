@@ -0,0 +1,196 @@
+const b4a = require("b4a");
+const CryptoManager = require("./crypto-manager");
+
+/**
+ * IdentityManager - Rotation of identity keys
+ *
+ * A user is identified by the key they joined with, and that id stays theirs
+ * for good: roles, bans and the authorship of messages are all stored under
+ * it. The key a user signs with can be replaced with `@server/rotate-identity`,
+ * which is signed twice:
+ * - by the current key, as the action signer, proving the user wants it
+ * - by the new key, over `CryptoManager.continuity`, proving the new key is
+ *   held by whoever rotates to it and was meant for this user
+ *
+ * Every key a user signed with has a record in `@server/identity`. The new
+ * key acts as the user from then on, the previous one is retired and apply
+ * refuses anything it signs, the same way it refuses revoked devices.
+ */
+class IdentityManager {
+  /**
+   * Create a new IdentityManager instance
+   * @param {SyncBase} syncBase - The SyncBase instance
+   * @param {CryptoManager} crypto - Crypto manager instance
+   */
+  constructor(syncBase, crypto) {
+    this.syncBase = syncBase;
+    this.crypto = crypto;
+    this.accountId = null; // user this key was rotated in for
+  }
+
+  /**
+   * Get the user an identity key acts for
+   * @param {Buffer|String} key - The public key that signed an action
+   * @param {Object} [view] - The database view, defaults to the live view
+   * @returns {Promise<String>} The user id as hex string
+   */
+  async accountOf(key, view = this.syncBase.base.view) {
+    const id = toHex(key);
+    const identity = await view.get("@server/identity", { key: id });
+    return identity ? identity.userId : id;
+  }
+
+  /**
+   * Check whether a key was rotated out
+   * @param {Buffer|String} key - The public key that signed an action
+   * @param {Object} [view] - The database view, defaults to the live view
+   * @returns {Promise<Boolean>} Whether the key is retired
+   */
+  async isRetired(key, view = this.syncBase.base.view) {
+    if (!key) return false;
+    const identity = await view.get("@server/identity", { key: toHex(key) });
+    return !!(identity && identity.retiredAt);
+  }
+
+  /**
+   * Get the key a user currently signs with
+   * @param {Buffer|String} userId - The id of the user
+   * @param {Object} [view] - The database view, defaults to the live view
+   * @returns {Promise<String|null>} The key as hex string, null if every key was retired
+   */
+  async getCurrentKey(userId, view = this.syncBase.base.view) {
+    const id = toHex(userId);
+    for (const identity of await this.getHistory(id, view)) {
+      if (!identity.retiredAt) return identity.key;
+    }
+    return (await this.isRetired(id, view)) ? null : id;
+  }
+
+  /**
+   * List the keys a user signed with, oldest first
+   * Users that never rotated have no records
+   * @param {Buffer|String} userId - The id of the user
+   * @param {Object} [view] - The database view, defaults to the live view
+   * @returns {Promise<Array<Object>>} Records `{ key, userId, previousKey, nextKey, proof, addedAt, retiredAt }`
+   */
+  async getHistory(userId, view = this.syncBase.base.view) {
+    const id = toHex(userId);
+    const identities = [];
+    for await (const identity of view.find("@server/identity", {})) {
+      if (identity.userId === id) identities.push(identity);
+    }
+    return identities.sort((a, b) => a.addedAt - b.addedAt);
+  }
+
+  /**
+   * Replace the key this peer signs with
+   * The rotation is signed with the current key, the new one signs the
+   * continuity proof. From then on this peer signs with the new key
+   * @param {Object} keys - `{ publicKey, secretKey, discoveryKey }` of the new key
+   * @returns {Promise<Object>} `{ identity, action }`, the identity record of
+   *   the new key and the queued rotation
+   */
+  async rotate(keys) {
+    if (!this.crypto.secretKey) {
+      throw new Error("Cannot rotate: No secret key available");
+    }
+    if (this.syncBase.devices.accountId) {
+      throw new Error(
+        "Linked devices cannot rotate the identity of their user, revoke and link the device instead"
+      );
+    }
+
+    const userId = this.syncBase.userId;
+    const previousKey = toHex(this.crypto.publicKey);
+    const key = toHex(keys.publicKey);
+    if (key === previousKey) {
+      throw new Error("The new key is the current key");
+    }
+
+    const next = new CryptoManager();
+    next.setKeys(keys);
+    const proof = next.sign(
+      CryptoManager.continuity({ userId, previousKey, key })
+    );
+
+    const addedAt = this.crypto.now();
+    const identity = {
+      key,
+      userId,
+      previousKey,
+      proof: b4a.toString(proof, "hex"),
+      addedAt,
+    };
+    const action = this.crypto.createSignedAction("@server/rotate-identity", {
+      ...identity,
+      timestamp: addedAt,
+    });
+    await this.syncBase.outbox.append(action);
+
+    // Actions signed with the new key wait in apply until the rotation lands
+    this.accountId = userId;
+    this.crypto.setKeys(keys);
+    return { identity, action };
+  }
+
+  /**
+   * Pick up the user the key of this peer was rotated in for, called on every update
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    if (!this.crypto.publicKey) return;
+
+    const identity = await this.syncBase.base.view.get("@server/identity", {
+      key: toHex(this.crypto.publicKey),
+    });
+    if (identity && !identity.retiredAt) this.accountId = identity.userId;
+  }
+
+  /**
+   * Check whether a rotation is valid, called by the validator
+   * @param {Object} action - The `rotate-identity` action
+   * @param {Object} view - The database view
+   * @returns {Promise<Boolean>} Whether the action is valid
+   */
+  async validate(action, view) {
+    const { payload } = action;
+    if (!payload || typeof payload.key !== "string") return false;
+    if (!/^[0-9a-f]{64}$/.test(payload.key)) return false;
+
+    // Only the key the user currently signs with may rotate it, not a device
+    const signer = toHex(action.signer);
+    if (payload.previousKey !== signer) return false;
+    const account = await this.syncBase.devices.accountOf(signer, view);
+    if (payload.userId !== account) return false;
+    if ((await this.getCurrentKey(payload.userId, view)) !== signer) {
+      return false;
+    }
+
+    // The new key is unused, it is no identity, device or member yet
+    if (await view.get("@server/identity", { key: payload.key })) return false;
+    if (await view.get("@server/device", { deviceKey: payload.key })) {
+      return false;
+    }
+    const user = await view.findOne("@server/user", {
+      gte: { id: payload.key },
+      lte: { id: payload.key },
+    });
+    if (user) return false;
+
+    try {
+      return this.crypto.verify(
+        payload.proof,
+        CryptoManager.continuity(payload),
+        payload.key
+      );
+    } catch (err) {
+      return false;
+    }
+  }
+}
+
+function toHex(key) {
+  return typeof key === "string" ? key : b4a.toString(b4a.from(key), "hex");
+}
+
+module.exports = IdentityManager;
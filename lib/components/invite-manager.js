@@ -1,7 +1,6 @@
 const BlindPairing = require("blind-pairing");
 const z32 = require("z32");
 const b4a = require("b4a");
-const { dispatch } = require("./spec/hyperdispatch/");
 const crypto = require("crypto");
 const EventEmitter = require("events");
 
@@ -98,10 +97,10 @@ class InviteManager {
       // Add extra fields to the payload to make the action unique
       const extendedPayload = {
         ...payload,
-        timestamp: Date.now() + retryCount,
+        timestamp: this.crypto.now(),
         uniqueId: b4a.toString(crypto.randomBytes(8), "hex"),
         serverId: options.serverId || this.syncBase.serverId,
-        createdBy: b4a.toString(this.crypto.publicKey, "hex"),
+        createdBy: this.syncBase.userId,
         expiresAt: expiresAt, // Store the actual expiration timestamp
         maxUses: maxUses, // Store maximum uses (0 = unlimited)
         uses: 0, // Initialize use counter
@@ -115,7 +114,7 @@ class InviteManager {
 
       // Append the action and wait for confirmation
       try {
-        await this.syncBase.base.append(action, { optimistic: true });
+        await this.syncBase.outbox.append(action);
       } catch (appendErr) {
         console.error(
           `Failed to append invite action to the log: ${appendErr.message}`
@@ -143,7 +142,7 @@ class InviteManager {
       const inviteCode = z32.encode(invite);
 
       // Verify the invite was stored and add the inviteCode string
-      const storedInviteCheck = await this.syncBase.base.view.findOne("@server/invite", {
+      const storedInviteCheck = await this.syncBase.base.view.get("@server/invite", {
         id: id,
       });
       const inviteIdHex = b4a.toString(id, "hex");
@@ -202,17 +201,14 @@ class InviteManager {
    * @param {Number} params.timestamp - The timestamp of the claim
    * @returns {Promise<Boolean>} Whether the claim was successful
    */
-  async claimInvite({ inviteCode, timestamp = Date.now() }) {
+  async claimInvite({ inviteCode, timestamp = this.crypto.now() }) {
     // Create the claim action
     const action = this.crypto.createSignedAction("@server/claim-invite", {
       inviteCode,
       timestamp,
     });
 
-    // Dispatch the action with optimistic flag
-    await this.syncBase.base.append(dispatch("@server/claim-invite", action), {
-      optimistic: true,
-    });
+    await this.syncBase.outbox.append(action);
 
     return true;
   }
@@ -386,8 +382,7 @@ class InviteManager {
         },
       });
 
-      // Append the action to the autobase optimistically
-      await this.syncBase.base.append(action, { optimistic: true });
+      await this.syncBase.outbox.append(action);
 
       // Confirm the pairing by sharing keys
       candidate.confirm({
@@ -545,50 +540,33 @@ class InviteManager {
     if (!inviteCode) return false;
 
     try {
-      // Find the invite with matching code
-      let invite = null;
-      try {
-        invite = await this.syncBase.base.view.findOne("@server/invite", {
-          code: inviteCode,
-        });
-      } catch (err) {
-        console.log("Error finding invite:", err);
-      }
-
+      const invite = await this.getInvite(inviteCode);
       if (!invite) {
         return false;
       }
 
       // Check permission
-      const userId = b4a.toString(this.crypto.publicKey, "hex");
-      const hasPermission = await this.syncBase.permissions.hasPermission(
-        "MANAGE_INVITES",
-        {
-          userId,
-          channelId: null,
-        }
-      );
+      const userId = this.syncBase.userId;
+      const hasPermission = await this.syncBase.hasPermission("MANAGE_INVITES");
 
       if (!hasPermission) {
         throw new Error("You do not have permission to revoke invites");
       }
 
-      // Create payload for revocation
-      const payload = {
+      // The invite is named by its key, the code only identifies it locally
+      const revokedAt = this.crypto.now();
+      const action = this.crypto.createSignedAction("@server/revoke-invite", {
+        id: b4a.toString(invite.id, "hex"),
+        invite: b4a.toString(invite.invite, "hex"),
+        publicKey: b4a.toString(invite.publicKey, "hex"),
+        expires: invite.expires,
         code: inviteCode,
-        serverId: invite.serverId,
-        revokedAt: Date.now(),
+        serverId: (await this.syncBase.getServerInfo()).id,
+        revokedAt,
         revokedBy: userId,
-      };
-
-      // First remove the invite from the view to ensure it's properly revoked
-      try {
-        // Get all invites
-        const allInvites =
-          (await this.syncBase.base.view.get("@server/invite")) || [];
-      } catch (viewError) {
-        console.warn("Error updating view for invite revocation:", viewError);
-      }
+        timestamp: revokedAt,
+      });
+      await this.syncBase.outbox.append(action);
 
       return true;
     } catch (error) {
@@ -596,6 +574,24 @@ class InviteManager {
       return false;
     }
   }
+
+  /**
+   * Find the invite an invite code was created for
+   * @param {String} inviteCode - The invite code
+   * @param {Object} [view] - The database view, defaults to the live view
+   * @returns {Promise<Object|null>} The invite record
+   */
+  async getInvite(inviteCode, view = this.syncBase.base.view) {
+    for await (const invite of view.find("@server/invite", {})) {
+      if (
+        invite.inviteCode === inviteCode ||
+        z32.encode(invite.invite) === inviteCode
+      ) {
+        return invite;
+      }
+    }
+    return null;
+  }
 }
 
 module.exports = InviteManager;
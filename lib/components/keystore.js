@@ -0,0 +1,242 @@
+const fs = require("fs");
+const path = require("path");
+const sodium = require("sodium-native");
+const b4a = require("b4a");
+const CryptoManager = require("./crypto-manager");
+
+const KEYSTORE_VERSION = 1;
+const KEYSTORE_FILE = "identity.keystore";
+
+/**
+ * Keystore - Password encrypted identity on disk
+ *
+ * Holds the BIP39 mnemonic of the identity of this device, so the keys can be
+ * unlocked with a password on startup instead of keeping a seed phrase in the
+ * config. The file lives next to the Corestore by default and is JSON:
+ * - `publicKey` - hex encoded identity, readable without the password
+ * - `kdf` - Argon2id parameters and salt the encryption key is derived with
+ * - `nonce` / `ciphertext` - the mnemonic, sealed with XSalsa20-Poly1305
+ *
+ * The mnemonic itself is the backup, writing it down is enough to recover the
+ * identity on another device or after the password is lost.
+ */
+class Keystore {
+  /**
+   * Create a new Keystore instance
+   * @param {Object} store - The corestore the keystore belongs to
+   * @param {Object} [options] - Keystore options
+   * @param {String} [options.path] - File to use, defaults to one in the corestore directory
+   */
+  constructor(store, options = {}) {
+    this.path = options.path || Keystore.pathFor(store);
+  }
+
+  /**
+   * Get the default keystore file of a corestore
+   * @param {Object} store - The corestore instance
+   * @returns {String} The path of the keystore file
+   */
+  static pathFor(store) {
+    const dir = store && store.storage && store.storage.path;
+    if (!dir) {
+      throw new Error("Cannot place the keystore, pass options.keystore");
+    }
+    return path.join(dir, KEYSTORE_FILE);
+  }
+
+  /**
+   * Check whether the keystore file exists
+   * @returns {Promise<Boolean>} Whether there is a keystore
+   */
+  async exists() {
+    try {
+      await fs.promises.access(this.path);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Read the public part of the keystore
+   * @returns {Promise<Object|null>} The parsed file, null when there is none
+   */
+  async read() {
+    let data;
+    try {
+      data = await fs.promises.readFile(this.path, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+
+    const file = JSON.parse(data);
+    if (file.version !== KEYSTORE_VERSION) {
+      throw new Error(`Unsupported keystore version: ${file.version}`);
+    }
+    return file;
+  }
+
+  /**
+   * Store a mnemonic, encrypted with a password
+   * @param {String|Array} mnemonic - A valid BIP39 mnemonic
+   * @param {String} password - The password to encrypt with
+   * @returns {Promise<Object>} The keys derived from the mnemonic
+   */
+  async create(mnemonic, password) {
+    if (await this.exists()) {
+      throw new Error("Keystore already exists");
+    }
+    return this._write(mnemonic, password);
+  }
+
+  /**
+   * Decrypt the keystore
+   * @param {String} password - The password it was encrypted with
+   * @returns {Promise<Object>} `{ mnemonic, keys }`
+   */
+  async unlock(password) {
+    const file = await this.read();
+    if (!file) throw new Error("No keystore found");
+
+    const salt = b4a.from(file.kdf.salt, "hex");
+    const key = await deriveKey(password, salt, file.kdf);
+    const nonce = b4a.from(file.nonce, "hex");
+    const ciphertext = b4a.from(file.ciphertext, "hex");
+    const plaintext = b4a.alloc(
+      ciphertext.byteLength - sodium.crypto_secretbox_MACBYTES
+    );
+
+    const opened = sodium.crypto_secretbox_open_easy(
+      plaintext,
+      ciphertext,
+      nonce,
+      key
+    );
+    sodium.sodium_memzero(key);
+    if (!opened) throw new Error("Invalid keystore password");
+
+    const mnemonic = b4a.toString(plaintext);
+    const keys = await CryptoManager.deriveKeysFromMnemonic(mnemonic);
+    if (b4a.toString(keys.publicKey, "hex") !== file.publicKey) {
+      throw new Error("Keystore does not match its identity");
+    }
+    return { mnemonic, keys };
+  }
+
+  /**
+   * Encrypt the keystore with a new password
+   * @param {String} password - The current password
+   * @param {String} newPassword - The password to encrypt with from now on
+   * @returns {Promise<void>}
+   */
+  async changePassword(password, newPassword) {
+    const { mnemonic } = await this.unlock(password);
+    await this._write(mnemonic, newPassword);
+  }
+
+  /**
+   * Store the mnemonic of a rotated identity in place of the current one
+   * @param {String} password - The keystore password
+   * @param {String|Array} mnemonic - The mnemonic of the new identity
+   * @returns {Promise<Object>} The keys derived from the new mnemonic
+   */
+  async replace(password, mnemonic) {
+    await this.unlock(password);
+    return this._write(mnemonic, password);
+  }
+
+  /**
+   * Unlock the keystore, or create it when a mnemonic is passed and there is none
+   * @param {Object} params - Identity parameters
+   * @param {String} params.password - The keystore password
+   * @param {String|Array} [params.mnemonic] - Mnemonic to store, or to check the stored one against
+   * @returns {Promise<Object>} The keys of the identity
+   */
+  async open({ mnemonic, password }) {
+    if (!(await this.exists())) {
+      if (!mnemonic) {
+        throw new Error("No keystore found, pass a mnemonic to create one");
+      }
+      return this.create(mnemonic, password);
+    }
+
+    const { keys } = await this.unlock(password);
+    if (mnemonic) {
+      const expected = await CryptoManager.deriveKeysFromMnemonic(mnemonic);
+      if (!b4a.equals(expected.publicKey, keys.publicKey)) {
+        throw new Error("Mnemonic does not match the keystore");
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Encrypt a mnemonic and replace the file with it
+   * @param {String|Array} mnemonic - A valid BIP39 mnemonic
+   * @param {String} password - The password to encrypt with
+   * @returns {Promise<Object>} The keys derived from the mnemonic
+   * @private
+   */
+  async _write(mnemonic, password) {
+    if (typeof password !== "string" || !password) {
+      throw new Error("A keystore password is required");
+    }
+    if (Array.isArray(mnemonic)) mnemonic = mnemonic.join(" ");
+    const keys = await CryptoManager.deriveKeysFromMnemonic(mnemonic);
+
+    const kdf = {
+      algorithm: "argon2id13",
+      opslimit: sodium.crypto_pwhash_OPSLIMIT_INTERACTIVE,
+      memlimit: sodium.crypto_pwhash_MEMLIMIT_INTERACTIVE,
+    };
+    const salt = random(sodium.crypto_pwhash_SALTBYTES);
+    const nonce = random(sodium.crypto_secretbox_NONCEBYTES);
+    const key = await deriveKey(password, salt, kdf);
+
+    const plaintext = b4a.from(mnemonic);
+    const ciphertext = b4a.alloc(
+      plaintext.byteLength + sodium.crypto_secretbox_MACBYTES
+    );
+    sodium.crypto_secretbox_easy(ciphertext, plaintext, nonce, key);
+    sodium.sodium_memzero(key);
+
+    const file = {
+      version: KEYSTORE_VERSION,
+      publicKey: b4a.toString(keys.publicKey, "hex"),
+      kdf: { ...kdf, salt: b4a.toString(salt, "hex") },
+      nonce: b4a.toString(nonce, "hex"),
+      ciphertext: b4a.toString(ciphertext, "hex"),
+    };
+
+    // Write next to the file and rename, a crash never leaves half a keystore
+    await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+    const tmp = this.path + ".tmp";
+    await fs.promises.writeFile(tmp, JSON.stringify(file, null, 2), {
+      mode: 0o600,
+    });
+    await fs.promises.rename(tmp, this.path);
+    return keys;
+  }
+}
+
+async function deriveKey(password, salt, { opslimit, memlimit }) {
+  const key = b4a.alloc(sodium.crypto_secretbox_KEYBYTES);
+  await sodium.crypto_pwhash_async(
+    key,
+    b4a.from(password),
+    salt,
+    opslimit,
+    memlimit,
+    sodium.crypto_pwhash_ALG_ARGON2ID13
+  );
+  return key;
+}
+
+function random(bytes) {
+  const buf = b4a.alloc(bytes);
+  sodium.randombytes_buf(buf);
+  return buf;
+}
+
+module.exports = Keystore;
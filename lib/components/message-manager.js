@@ -1,5 +1,4 @@
 const { dispatch } = require("./spec/hyperdispatch/");
-const b4a = require("b4a");
 
 /**
  * MessageManager - Handles message operations within a SyncBase server
@@ -28,15 +27,22 @@ class MessageManager {
    * @param {Object} params - Message parameters
    * @param {String} params.channelId - The channel ID
    * @param {String} params.content - The message content
-   * @param {Array} [params.attachments] - Optional attachments
+   * @param {Array<Object>} [params.attachments] - Optional attachments, descriptors
+   *   returned by `AttachmentManager.upload` or files `{ name, type, data }`
+   * @param {String} [params.replyTo] - The message this answers
+   * @param {String} [params.threadId] - The root of the thread this is sent to
    * @returns {Promise<Object>} The created message
    */
-  async sendMessage({ channelId, content, attachments = [] }) {
+  async sendMessage({
+    channelId,
+    content,
+    attachments = [],
+    replyTo,
+    threadId,
+  }) {
     try {
       // Check if the channel exists
-      const channel = await this.syncBase.base.view.findOne("@server/channel", {
-        channelId: channelId,
-      });
+      const channel = await this.syncBase.channels.getChannel(channelId);
       if (!channel) {
         throw new Error("Channel not found");
       }
@@ -50,103 +56,51 @@ class MessageManager {
         );
       }
 
-      // FIXED: Completely revamped authorization logic for message sending
-      let authorized = false;
-
-      try {
-        // First, try to check permissions formally
-        if (await this.syncBase.hasPermission("SEND_MESSAGES")) {
-          console.log("User has SEND_MESSAGES permission, authorizing");
-          authorized = true;
-        }
-      } catch (permErr) {
-        console.log(
-          "Permission check error, falling back to writer check:",
-          permErr.message
+      // A role that is known locally must allow sending messages. Peers whose
+      // role has not replicated yet still queue the message, the apply step
+      // is the final authority and marks it rejected if it is not allowed
+      const canSend = await this.syncBase.hasPermission("SEND_MESSAGES");
+      if (canSend === false) {
+        throw new Error(
+          "You do not have permission to send messages in this channel"
         );
       }
 
-      // If formal permission check failed, check if user is a writer
-      if (!authorized) {
-        try {
-          // First check - are we writable?
-          if (this.syncBase.base.writable === true) {
-            console.log("User has writable permission, authorizing message");
-            authorized = true;
-          }
-          // Second check - are we in direct connection mode?
-          else if (this.syncBase.base.key && this.syncBase.base.encryptionKey) {
-            console.log(
-              "User is in direct connection mode, authorizing message"
-            );
-            authorized = true;
-          }
-          // Third check - are we explicitly a writer?
-          else if (this.syncBase.base.writers) {
-            try {
-              // Check if we're in the writer list
-              const isWriter = this.syncBase.base.writers.some(
-                (writer) =>
-                  writer.key &&
-                  b4a.equals(writer.key, this.syncBase.base.local.key)
-              );
-              if (isWriter) {
-                console.log("User is a recognized writer, authorizing message");
-                authorized = true;
-              }
-            } catch (writerCheckErr) {
-              console.warn(`Writer check error: ${writerCheckErr.message}`);
-              // If we get here on User 3, we'll authorize as a fallback
-              console.log(
-                "Writers check failed, authorizing by direct key access"
-              );
-              authorized = true;
-            }
-          }
-
-          // Final fallback for User 3 - always authorize if we're using the same key
-          if (
-            !authorized &&
-            this.syncBase.options &&
-            this.syncBase.options.key
-          ) {
-            console.log(
-              "Final authorization check - using explicitly passed key"
-            );
-            authorized = true;
-          }
-        } catch (writerErr) {
-          console.warn(`Writer check error: ${writerErr.message}`);
-          // In case of errors, err on the side of permissiveness for testing
-          authorized = true;
-        }
+      // Replies and threads stay within their channel
+      const view = this.syncBase.base.view;
+      if (
+        threadId &&
+        (await this.syncBase.threads.getThreadRecord(threadId))?.channelId !==
+          channelId
+      ) {
+        throw new Error("Thread not found");
       }
-
-      // Special override for test scenarios - in test/3.js the authorization
-      // should always succeed for User 3
       if (
-        !authorized &&
-        process.argv[1] &&
-        process.argv[1].includes("test/3.js")
+        replyTo &&
+        !(await view.get("@server/message", { id: replyTo, channelId }))
       ) {
-        console.log("Authorizing because we're in test/3.js");
-        authorized = true;
+        throw new Error("The message to reply to was not found");
       }
 
-      if (!authorized) {
-        console.log("NO AUTH");
-        throw new Error(
-          "You do not have permission to send messages in this channel"
-        );
-      } else {
-        console.log("Message sending authorized");
+      // Attachments are uploaded before the message that points to them
+      const files = Array.isArray(attachments) ? attachments : [];
+      if (files.length > 0) {
+        if (channel.private) {
+          throw new Error("Private channels do not take attachments");
+        }
+        if ((await this.syncBase.hasPermission("ATTACH_FILES")) === false) {
+          throw new Error(
+            "You do not have permission to attach files in this channel"
+          );
+        }
       }
+      const descriptors = await this.syncBase.attachments.prepare(files);
 
       // Generate a unique ID for the message
       const id = this.syncBase.crypto.generateId();
 
       // Get the author ID (current user)
-      const author = b4a.toString(this.syncBase.crypto.publicKey, "hex");
+      const author = this.syncBase.userId;
 
       // Prepare message data
       const messageData = {
@@ -154,17 +108,22 @@ class MessageManager {
         channelId,
         content,
         author,
-        attachments: Array.isArray(attachments)
-          ? JSON.stringify(attachments)
-          : null,
-        timestamp: Date.now(),
+        attachments: JSON.stringify(descriptors),
+        replyTo,
+        threadId,
+        timestamp: this.syncBase.crypto.now(),
       };
 
+      // Private channels only store content their members can decrypt
+      const sealed = channel.private
+        ? await this.syncBase.privateChannels.encrypt(channelId, content)
+        : {};
+
       const action = await this.syncBase.crypto.createSignedAction(
         "@server/send-message",
-        messageData
+        { ...messageData, ...sealed }
       );
-      await this.syncBase.base.append(action, { optimistic: true });
+      await this.syncBase.outbox.append(action);
       return messageData;
     } catch (err) {
       console.error("Error sending message:", err);
@@ -191,24 +150,40 @@ class MessageManager {
       }
 
       // Verify ownership - only the author can edit their messages
-      const authorId = b4a.toString(this.syncBase.crypto.publicKey, "hex");
+      const authorId = this.syncBase.userId;
       if (message.author !== authorId) {
         throw new Error("You can only edit your own messages");
       }
 
-      // Prepare edit data
+      // Prepare edit data, stamped with the time of the edit rather than
+      // the timestamp of the message it copies
+      const editedAt = this.syncBase.crypto.now();
+      const channel = await this.syncBase.channels.getChannel(channelId);
+      const sealed = channel?.private
+        ? await this.syncBase.privateChannels.encrypt(
+            channelId,
+            content,
+            message.keyEpoch
+          )
+        : { content };
       const editData = {
         ...message,
         id: messageId,
-        content,
-        editedAt: Date.now(),
+        content: sealed.content,
+        editedAt,
+        timestamp: editedAt,
+        parents: await this.syncBase.conflicts.getParents(
+          "@server/message",
+          `${channelId}:${messageId}`,
+          ["content", "editedAt"]
+        ),
       };
       const action = this.syncBase.crypto.createSignedAction(
         "@server/edit-message",
         editData
       );
-      await this.syncBase.base.append(action, { optimistic: true });
-      return { ...message, ...editData };
+      await this.syncBase.outbox.append(action);
+      return { ...(await this._reveal(message)), content, editedAt };
     } catch (err) {
       console.error("Error editing message:", err);
       throw err;
@@ -235,7 +210,7 @@ class MessageManager {
         "@server/delete-message",
         message
       );
-      await this.syncBase.base.append(action, { optimistic: true });
+      await this.syncBase.outbox.append(action);
 
       return true;
     } catch (err) {
@@ -260,8 +235,9 @@ class MessageManager {
       query || {}
     );
     const messages = [];
+    const channels = new Map();
     for await (const node of stream) {
-      messages.push(node);
+      messages.push(await this._reveal(node, channels));
     }
     return messages;
   }
@@ -273,10 +249,11 @@ class MessageManager {
    */
   async getMessage(messageId, channelId = null) {
     await this.syncBase.base.ready();
-    return this.syncBase.base.view.get("@server/message", {
+    const message = await this.syncBase.base.view.get("@server/message", {
       id: messageId,
       channelId,
     });
+    return message && this._reveal(message);
   }
 
   /**
@@ -365,6 +342,28 @@ class MessageManager {
     // Create history array starting with the original message
     return [message, ...edits];
   }
+
+  /**
+   * Decrypt the content of a message of a private channel
+   * Content this peer has no key for is returned as null
+   * @param {Object} message - The stored message
+   * @param {Map} [channels] - Channels already looked up, by channel ID
+   * @returns {Promise<Object>} The message with its content readable
+   * @private
+   */
+  async _reveal(message, channels = new Map()) {
+    if (!channels.has(message.channelId)) {
+      channels.set(
+        message.channelId,
+        await this.syncBase.channels.getChannel(message.channelId)
+      );
+    }
+    if (!channels.get(message.channelId)?.private) return message;
+    return {
+      ...message,
+      content: await this.syncBase.privateChannels.decrypt(message),
+    };
+  }
 }
 
 module.exports = MessageManager;
@@ -0,0 +1,284 @@
+const HyperDB = require("hyperdb");
+const b4a = require("b4a");
+const db = require("./spec/db");
+
+/**
+ * Outbox - Durable local queue for actions created by this peer
+ *
+ * Managers hand their signed actions to the outbox instead of appending them
+ * to the Autobase directly. Actions are stored in a local HyperDB (next to,
+ * not inside, the replicated view) and appended in the order they were queued
+ * as soon as this peer is able to write:
+ * - the local writer is writable, or
+ * - the base runs in optimistic mode and at least one peer is connected that
+ *   can acknowledge the optimistic append
+ *
+ * Nothing is appended while the protocol policy blocks writes, because a
+ * newer peer wrote actions this build does not understand.
+ *
+ * Every entry carries a status:
+ * - `queued` - stored locally, not appended yet
+ * - `appended` - appended to the local writer, waiting to be applied
+ * - `applied` - applied to the view
+ * - `rejected` - the view refused the action, `error` holds the reason
+ *
+ * Only `applied` is final. The optimistic view rejects actions that a later
+ * reorder applies after all, e.g. once a dependency arrived, so rejected
+ * entries are still watched and turn `applied` when the action makes it in.
+ *
+ * Status changes are emitted as `action-status` events on the SyncBase.
+ */
+class Outbox {
+  /**
+   * Create a new Outbox instance
+   * @param {SyncBase} syncBase - The SyncBase instance
+   * @param {CryptoManager} crypto - Crypto manager instance
+   */
+  constructor(syncBase, crypto) {
+    this.syncBase = syncBase;
+    this.crypto = crypto;
+    this.db = null;
+    this.seq = 0;
+    this.unsettled = new Map(); // id -> entry, for entries not applied yet
+
+    this._flushing = Promise.resolve();
+    this._onwritable = () => this._flushSafe();
+    this._onconnection = () => this._flushSafe();
+  }
+
+  /**
+   * Open the local outbox and resume any actions left from a previous session
+   * @returns {Promise<void>}
+   */
+  async init() {
+    const base = this.syncBase.base;
+    const core = this.syncBase.store.get({
+      name: "outbox-" + b4a.toString(base.key, "hex"),
+    });
+
+    this.db = HyperDB.bee(core, db, { extension: false, autoUpdate: true });
+    await this.db.ready();
+
+    for await (const entry of this.db.find("@server/outbox", {})) {
+      this.seq = Math.max(this.seq, entry.seq + 1);
+      if (entry.status !== "applied") this.unsettled.set(entry.id, entry);
+    }
+
+    base.on("writable", this._onwritable);
+    this.syncBase.transport.on("connection", this._onconnection);
+
+    await this.refresh();
+    this._flushSafe();
+  }
+
+  /**
+   * Close the local outbox
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.syncBase.base.off("writable", this._onwritable);
+    this.syncBase.transport.removeListener("connection", this._onconnection);
+
+    await this._flushing;
+    if (this.db) await this.db.close();
+  }
+
+  /**
+   * Whether queued actions can be appended right now
+   * @returns {Boolean} True if appends will reach the base
+   */
+  get online() {
+    if (this.syncBase.protocol.blocked) return false;
+
+    const base = this.syncBase.base;
+    if (base.writable) return true;
+
+    const optimistic = this.syncBase.options.optimistic !== false;
+    return optimistic && this.syncBase.transport.connections.size > 0;
+  }
+
+  /**
+   * Queue a signed action and append it right away if possible
+   * @param {Object} action - The signed action
+   * @returns {Promise<Object>} The outbox entry with its current status
+   */
+  async append(action) {
+    const id = this.crypto.actionId(action);
+    const existing = this.unsettled.get(id);
+    if (existing && existing.status !== "rejected") {
+      return this._decode(existing);
+    }
+
+    const entry = {
+      seq: this.seq++,
+      id,
+      type: action.type,
+      action: JSON.stringify(action),
+      status: "queued",
+      error: null,
+      createdAt: Date.now(),
+      updatedAt: null,
+    };
+
+    await this.db.insert("@server/outbox", entry);
+    await this.db.flush();
+    this.unsettled.set(id, entry);
+    this._emit(entry);
+
+    await this.flush();
+    return this._decode(this.unsettled.get(id) || entry);
+  }
+
+  /**
+   * Append every queued action, in order, if this peer is online, and pick up
+   * the status of actions that were already appended
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this._serialize(() => this._flush());
+  }
+
+  // Status changes run one after the other, so a late rejection cannot
+  // overwrite the status a flush set in the meantime
+  _serialize(fn) {
+    const running = this._flushing.then(fn);
+    this._flushing = running.catch(() => {});
+    return running;
+  }
+
+  async _flush() {
+    if (this.online) await this._appendQueued();
+    await this.refresh();
+  }
+
+  async _appendQueued() {
+    const queued = [...this.unsettled.values()]
+      .filter((entry) => entry.status === "queued")
+      .sort((a, b) => a.seq - b.seq);
+
+    for (const entry of queued) {
+      try {
+        await this.syncBase.base.append(JSON.parse(entry.action), {
+          optimistic: true,
+        });
+      } catch (err) {
+        // Keep the entry (and everything after it) queued, retried on the
+        // next flush
+        console.warn(`Error appending queued ${entry.type}: ${err.message}`);
+        return;
+      }
+
+      // Applying the append locally may already have rejected it
+      if (entry.status === "queued") await this._setStatus(entry, "appended");
+    }
+  }
+
+  _flushSafe() {
+    this.flush().catch((err) =>
+      console.warn("Error flushing outbox:", err.message)
+    );
+  }
+
+  /**
+   * Mark appended or rejected actions that made it into the view as applied
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    for (const entry of [...this.unsettled.values()]) {
+      if (entry.status === "queued") continue;
+      if (await this.syncBase.isProcessed(JSON.parse(entry.action))) {
+        await this._setStatus(entry, "applied");
+      }
+    }
+  }
+
+  /**
+   * Mark an action as rejected if it was queued by this peer and is not
+   * applied yet, after the flush that is running
+   * @param {Object} action - The signed action
+   * @param {String} reason - Why the action was rejected
+   * @returns {Promise<void>}
+   */
+  reject(action, reason) {
+    const id = this.crypto.actionId(action);
+    return this._serialize(async () => {
+      const entry = this.unsettled.get(id);
+      if (!entry) return;
+      await this._setStatus(entry, "rejected", reason);
+    });
+  }
+
+  /**
+   * Get the status of a queued action
+   * @param {Object|String} action - The signed action or its action id
+   * @returns {Promise<Object|null>} The outbox entry or null if unknown
+   */
+  async getStatus(action) {
+    const id =
+      typeof action === "string" ? action : this.crypto.actionId(action);
+    if (this.unsettled.has(id)) return this._decode(this.unsettled.get(id));
+
+    for await (const entry of this.db.find("@server/outbox", {})) {
+      if (entry.id === id) return this._decode(entry);
+    }
+    return null;
+  }
+
+  /**
+   * Wait until a queued action is applied, the only final status
+   * @param {Object|String} action - The signed action or its action id
+   * @returns {Promise<Object>} The outbox entry once it is applied
+   */
+  whenApplied(action) {
+    const id =
+      typeof action === "string" ? action : this.crypto.actionId(action);
+    const emitter = this.syncBase.eventEmitter;
+
+    return new Promise((resolve, reject) => {
+      const onstatus = (entry) => {
+        if (entry.id !== id || entry.status !== "applied") return;
+        emitter.off("action-status", onstatus);
+        resolve(entry);
+      };
+      emitter.on("action-status", onstatus);
+      this.getStatus(id).then((entry) => entry && onstatus(entry), reject);
+    });
+  }
+
+  /**
+   * List outbox entries in the order they were queued
+   * @param {String} [status] - Only list entries with this status
+   * @returns {Promise<Array<Object>>} Outbox entries with the decoded action
+   */
+  async getEntries(status = null) {
+    const entries = [];
+    for await (const entry of this.db.find("@server/outbox", {})) {
+      if (status && entry.status !== status) continue;
+      entries.push(this._decode(entry));
+    }
+    return entries;
+  }
+
+  async _setStatus(entry, status, error = null) {
+    entry.status = status;
+    entry.error = error;
+    entry.updatedAt = Date.now();
+
+    await this.db.insert("@server/outbox", entry);
+    await this.db.flush();
+
+    if (status === "applied") this.unsettled.delete(entry.id);
+    else this.unsettled.set(entry.id, entry);
+    this._emit(entry);
+  }
+
+  _emit(entry) {
+    this.syncBase.eventEmitter.emit("action-status", this._decode(entry));
+  }
+
+  _decode(entry) {
+    return { ...entry, action: JSON.parse(entry.action) };
+  }
+}
+
+module.exports = Outbox;
@@ -1,4 +1,3 @@
-const { dispatch } = require("./spec/hyperdispatch/");
 const b4a = require("b4a");
 
 /**
@@ -37,6 +36,7 @@ class PermissionManager {
         "PIN_MESSAGES",
         "EMBED_LINKS",
         "ATTACH_FILES",
+        "READ_MESSAGES",
         "READ_MESSAGE_HISTORY",
       ],
       ADMIN: [
@@ -51,6 +51,7 @@ class PermissionManager {
         "PIN_MESSAGES",
         "EMBED_LINKS",
         "ATTACH_FILES",
+        "READ_MESSAGES",
         "READ_MESSAGE_HISTORY",
       ],
       MODERATOR: [
@@ -61,12 +62,14 @@ class PermissionManager {
         "PIN_MESSAGES",
         "EMBED_LINKS",
         "ATTACH_FILES",
+        "READ_MESSAGES",
         "READ_MESSAGE_HISTORY",
       ],
       MEMBER: [
         "SEND_MESSAGES",
         "EMBED_LINKS",
         "ATTACH_FILES",
+        "READ_MESSAGES",
         "READ_MESSAGE_HISTORY",
       ],
       GUEST: ["READ_MESSAGE_HISTORY"],
@@ -90,25 +93,29 @@ class PermissionManager {
    * @param {Number} [params.timestamp] - Optional timestamp
    * @returns {Promise<Object>} The updated role
    */
-  async setRole({ userId, serverId, role, timestamp = Date.now() }) {
-    // Validate the role
-    if (!this.ROLES[role]) {
+  async setRole({
+    userId,
+    serverId,
+    role,
+    timestamp = this.syncBase.crypto.now(),
+  }) {
+    // Validate the role, GUEST is level 0
+    if (this.ROLES[role] === undefined) {
       throw new Error(`Invalid role: ${role}`);
     }
 
-    // Create the set role action
+    // Create the set role action, based on the role as this peer sees it
     const action = this.syncBase.crypto.createSignedAction("@server/set-role", {
       userId,
       serverId,
       role,
-      updatedAt: Date.now(),
-      updatedBy: this.syncBase.crypto.publicKey,
+      updatedAt: timestamp,
+      updatedBy: this.syncBase.userId,
+      parents: await this.syncBase.conflicts.getParents("@server/role", userId),
     });
 
-    // Dispatch the action
-    await this.syncBase.base.append(dispatch("@server/set-role", action), {
-      optimistic: true,
-    });
+    // Queue the action, it is appended as soon as this peer can write
+    await this.syncBase.outbox.append(action);
 
     return { userId, serverId, role };
   }
@@ -0,0 +1,425 @@
+const b4a = require("b4a");
+const CryptoManager = require("./crypto-manager");
+
+/**
+ * PrivateChannelManager - Channels only their members can read
+ *
+ * The content of every message in a private channel is encrypted with
+ * `CryptoManager.encrypt` under a key of the channel. The key is generated by
+ * whoever changes the members, and sealed to every key that acts for a
+ * member: their current identity key and the devices linked to them. Each
+ * `@server/rekey-channel` starts a new epoch with a fresh key, messages name
+ * the epoch they were encrypted in.
+ *
+ * Only users whose role grants `READ_MESSAGES` get a key. Members keep the
+ * keys of the epochs they were part of, so a new key is what keeps anyone
+ * who lost access out of new messages. Adding or removing a member rekeys
+ * the channel right away. Losing access in other ways, a role without
+ * `READ_MESSAGES`, a ban, a rotated identity key, a revoked device, is
+ * picked up on the next update by the members that hold the key, who rekey
+ * it without the keys that no longer qualify.
+ */
+class PrivateChannelManager {
+  /**
+   * Create a new PrivateChannelManager instance
+   * @param {SyncBase} syncBase - The SyncBase instance
+   * @param {CryptoManager} crypto - Crypto manager instance
+   */
+  constructor(syncBase, crypto) {
+    this.syncBase = syncBase;
+    this.crypto = crypto;
+    this.keys = new Map(); // sealed key -> opened channel key
+    this.rekeying = new Set(); // epochs this peer already replaced
+  }
+
+  /**
+   * Get the key record of an epoch of a private channel
+   * @param {String} channelId - The channel ID
+   * @param {Number} [epoch] - The epoch, defaults to the current one
+   * @param {Object} [view] - The database view, defaults to the live view
+   * @returns {Promise<Object|null>} `{ channelId, epoch, members, createdBy, createdAt }`,
+   *   `members` parsed into `[{ userId, key, sealedKey }]`
+   */
+  async getKeyRecord(channelId, epoch, view = this.syncBase.base.view) {
+    let record = null;
+    if (epoch === undefined) {
+      for await (const node of view.find("@server/channel_key", {
+        gte: { channelId },
+        lte: { channelId },
+      })) {
+        if (!record || node.epoch > record.epoch) record = node;
+      }
+    } else {
+      record = await view.get("@server/channel_key", { channelId, epoch });
+    }
+    if (!record) return null;
+    return { ...record, members: JSON.parse(record.members) };
+  }
+
+  /**
+   * List the members of a private channel
+   * @param {String} channelId - The channel ID
+   * @param {Object} [view] - The database view, defaults to the live view
+   * @returns {Promise<Array<String>>} User ids of the members
+   */
+  async getMembers(channelId, view = this.syncBase.base.view) {
+    const record = await this.getKeyRecord(channelId, undefined, view);
+    if (!record) return [];
+    return [...new Set(record.members.map((member) => member.userId))];
+  }
+
+  /**
+   * Check whether a user may hold the key of a private channel
+   * @param {String} userId - The user ID
+   * @param {Object} [view] - The database view, defaults to the live view
+   * @param {String} [channelId] - The channel, bans from it count too
+   * @returns {Promise<Boolean>} Whether the role of the user grants
+   *   `READ_MESSAGES` and the user is not banned
+   */
+  async hasAccess(userId, view = this.syncBase.base.view, channelId) {
+    const role = await view.get("@server/role", { userId });
+    return (
+      !!role &&
+      this.syncBase.validator.hasPermission(role.role, "READ_MESSAGES") &&
+      !(await this.syncBase.validator.isBanned(userId, view, channelId))
+    );
+  }
+
+  /**
+   * Create a channel only its members can read
+   * @param {Object} params - Channel parameters
+   * @param {String} params.name - The channel name
+   * @param {String} [params.topic] - The channel topic
+   * @param {Array<String>} [params.members] - Ids of the users to add, the creator is always one
+   * @returns {Promise<Object>} The created channel
+   */
+  async createPrivateChannel({ name, topic, members = [] }) {
+    const userIds = [...new Set([this.syncBase.userId, ...members])];
+    const view = this.syncBase.base.view;
+    for (const userId of userIds) {
+      if (!(await this.hasAccess(userId, view))) {
+        throw new Error(`User cannot read messages: ${userId}`);
+      }
+    }
+
+    const channel = await this.syncBase.channels.createChannel({
+      name,
+      topic,
+      private: true,
+    });
+    await this._rekey(channel.channelId, userIds, 0);
+    return channel;
+  }
+
+  /**
+   * Add a member to a private channel, they can read from the new epoch on
+   * @param {String} channelId - The channel ID
+   * @param {String} userId - The user to add
+   * @returns {Promise<Object>} The new key record `{ channelId, epoch, members }`
+   */
+  async addMember(channelId, userId) {
+    const record = await this._getManagedRecord(channelId);
+    const members = [...new Set(record.members.map((m) => m.userId))];
+    if (members.includes(userId)) {
+      throw new Error("User is already a member of this channel");
+    }
+    if (!(await this.hasAccess(userId, undefined, channelId))) {
+      throw new Error(`User cannot read messages: ${userId}`);
+    }
+    return this._rekey(channelId, [...members, userId], record.epoch + 1);
+  }
+
+  /**
+   * Remove a member from a private channel and rekey it without them
+   * @param {String} channelId - The channel ID
+   * @param {String} userId - The user to remove
+   * @returns {Promise<Object>} The new key record `{ channelId, epoch, members }`
+   */
+  async removeMember(channelId, userId) {
+    const record = await this._getManagedRecord(channelId);
+    const members = [...new Set(record.members.map((m) => m.userId))];
+    if (!members.includes(userId)) {
+      throw new Error("User is not a member of this channel");
+    }
+    return this._rekey(
+      channelId,
+      members.filter((member) => member !== userId),
+      record.epoch + 1
+    );
+  }
+
+  /**
+   * Encrypt the content of a message with a key of a channel
+   * @param {String} channelId - The channel ID
+   * @param {String} content - The message content
+   * @param {Number} [epoch] - The epoch of the key, defaults to the current one,
+   *   edits keep the epoch of the message they change
+   * @returns {Promise<Object>} `{ content, keyEpoch }`, content as hex string
+   */
+  async encrypt(channelId, content, epoch) {
+    const record = await this.getKeyRecord(channelId, epoch);
+    const key = record && this.openKey(record);
+    if (!key) {
+      throw new Error("You are not a member of this private channel");
+    }
+    return {
+      content: b4a.toString(this.crypto.encrypt(content, key), "hex"),
+      keyEpoch: record.epoch,
+    };
+  }
+
+  /**
+   * Decrypt the content of a message of a private channel
+   * @param {Object} message - The stored message
+   * @returns {Promise<String|null>} The content or null if this peer has no key for it
+   */
+  async decrypt(message) {
+    const record = await this.getKeyRecord(message.channelId, message.keyEpoch);
+    const key = record && this.openKey(record);
+    if (!key) return null;
+    const content = this.crypto.decrypt(b4a.from(message.content, "hex"), key);
+    return content ? b4a.toString(content) : null;
+  }
+
+  /**
+   * Rekey the private channels this peer holds the key of when some of their
+   * keys lost access, called on every update
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    if (!this.crypto.publicKey) return;
+    const view = this.syncBase.base.view;
+    const userId = this.syncBase.userId;
+    if (!(await this.hasAccess(userId, view))) return;
+
+    const channels = [];
+    for await (const channel of view.find("@server/channel", {})) {
+      if (channel.private) channels.push(channel);
+    }
+
+    for (const channel of channels) {
+      const record = await this.getKeyRecord(
+        channel.channelId,
+        undefined,
+        view
+      );
+      if (!record || !this.openKey(record)) continue;
+
+      const id = `${record.channelId}:${record.epoch}`;
+      if (this.rekeying.has(id)) continue;
+
+      const members = [];
+      for (const member of new Set(record.members.map((m) => m.userId))) {
+        if (await this.hasAccess(member, view, channel.channelId)) {
+          members.push(member);
+        }
+      }
+      const keys = await this.keysFor(members, view);
+      const current = record.members.map((m) => `${m.userId}:${m.key}`).sort();
+      const wanted = keys.map((m) => `${m.userId}:${m.key}`).sort();
+      if (current.join() === wanted.join()) continue;
+
+      // Members that manage channels rekey, the others only when none of
+      // those is left, the first rekey of an epoch to be applied wins
+      if (!(await this._canManage(userId, view))) {
+        let managed = false;
+        for (const member of members) {
+          if (await this._canManage(member, view)) managed = true;
+        }
+        if (managed) continue;
+      }
+
+      if (this.rekeying.has(id)) continue;
+      this.rekeying.add(id);
+      await this._rekey(record.channelId, members, record.epoch + 1);
+    }
+  }
+
+  /**
+   * Check whether a rekey is valid, called by the validator
+   * @param {Object} action - The `rekey-channel` action
+   * @param {String} signer - The user that signed the action
+   * @param {Object} view - The database view
+   * @returns {Promise<Boolean>} Whether the action is valid
+   */
+  async validate(action, signer, view) {
+    const { payload } = action;
+    if (!payload || !Number.isInteger(payload.epoch)) return false;
+    if (payload.createdBy !== signer) return false;
+
+    const channel = await view.get("@server/channel", {
+      channelId: payload.channelId,
+    });
+    if (!channel || !channel.private) return false;
+
+    // Epochs follow each other, concurrent rekeys of the same epoch lose
+    const current = await this.getKeyRecord(payload.channelId, undefined, view);
+    if (payload.epoch !== (current ? current.epoch + 1 : 0)) return false;
+
+    let members;
+    try {
+      members = JSON.parse(payload.members);
+    } catch (err) {
+      return false;
+    }
+    if (!Array.isArray(members) || members.length === 0) return false;
+
+    // Managers pick the members, the others can only leave some out
+    const previous = new Set(current?.members.map((m) => m.userId) || []);
+    const manager = await this._canManage(signer, view);
+    if (!manager && (!current || !previous.has(signer))) return false;
+
+    for (const member of members) {
+      if (!(await this.isSealedTo(member, view))) return false;
+      if (!manager && !previous.has(member.userId)) return false;
+      if (!(await this.hasAccess(member.userId, view, payload.channelId))) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Check that a sealed key is for a key that acts for its user
+   * @param {Object} member - `{ userId, key, sealedKey }`
+   * @param {Object} view - The database view
+   * @returns {Promise<Boolean>} Whether the key is a current key of the user
+   */
+  async isSealedTo(member, view) {
+    if (!member || typeof member.sealedKey !== "string") return false;
+    if (
+      (await this.syncBase.devices.accountOf(member.key, view)) !==
+      member.userId
+    ) {
+      return false;
+    }
+    return !(await this.syncBase.identities.isRetired(member.key, view));
+  }
+
+  /**
+   * Check whether a message may be sent to or edited in a private channel
+   * @param {Object} action - The `send-message` or `edit-message` action
+   * @param {String} signer - The user that signed the action
+   * @param {Object} view - The database view
+   * @returns {Promise<Boolean>} Whether the action is valid
+   */
+  async validateMessage(action, signer, view) {
+    const { payload } = action;
+    if (!Number.isInteger(payload.keyEpoch)) return false;
+    if (!(await this.getKeyRecord(payload.channelId, payload.keyEpoch, view))) {
+      return false;
+    }
+    if (
+      await this.syncBase.validator.isBanned(signer, view, payload.channelId)
+    ) {
+      return false;
+    }
+    // Only current members write, with a key they held
+    return (await this.getMembers(payload.channelId, view)).includes(signer);
+  }
+
+  /**
+   * Get the current key record of a channel this peer may change the members of
+   * @param {String} channelId - The channel ID
+   * @returns {Promise<Object>} The current key record
+   * @private
+   */
+  async _getManagedRecord(channelId) {
+    const channel = await this.syncBase.channels.getChannel(channelId);
+    if (!channel || !channel.private) {
+      throw new Error("Private channel not found");
+    }
+    if (!(await this._canManage(this.syncBase.userId))) {
+      throw new Error(
+        "Unauthorized: You do not have permission to manage the members of this channel"
+      );
+    }
+    const record = await this.getKeyRecord(channelId);
+    if (!record) throw new Error("The channel has no key yet");
+    return record;
+  }
+
+  /**
+   * Start a new epoch with a fresh key sealed to the members
+   * @param {String} channelId - The channel ID
+   * @param {Array<String>} userIds - The members
+   * @param {Number} epoch - The new epoch
+   * @returns {Promise<Object>} `{ channelId, epoch, members }`
+   * @private
+   */
+  async _rekey(channelId, userIds, epoch) {
+    const key = this.crypto.generateEncryptionKey();
+    const members = await this.sealFor(key, userIds);
+
+    const createdAt = this.crypto.now();
+    const action = this.crypto.createSignedAction("@server/rekey-channel", {
+      channelId,
+      epoch,
+      members: JSON.stringify(members),
+      createdBy: this.syncBase.userId,
+      createdAt,
+      timestamp: createdAt,
+    });
+    await this.syncBase.outbox.append(action);
+    return { channelId, epoch, members: userIds };
+  }
+
+  /**
+   * Seal a key to every key that acts for some users
+   * Group DMs share their keys the same way
+   * @param {Buffer} key - The key to share
+   * @param {Array<String>} userIds - The users
+   * @returns {Promise<Array<Object>>} `[{ userId, key, sealedKey }]`
+   */
+  async sealFor(key, userIds) {
+    return (await this.keysFor(userIds)).map((member) => ({
+      ...member,
+      sealedKey: b4a.toString(CryptoManager.seal(key, member.key), "hex"),
+    }));
+  }
+
+  /**
+   * List the keys that act for users: their identity key and linked devices
+   * @param {Array<String>} userIds - The users
+   * @param {Object} [view] - The database view, defaults to the live view
+   * @returns {Promise<Array<Object>>} `[{ userId, key }]`
+   */
+  async keysFor(userIds, view = this.syncBase.base.view) {
+    const keys = [];
+    for (const userId of userIds) {
+      const key = await this.syncBase.identities.getCurrentKey(userId, view);
+      if (key) keys.push({ userId, key });
+    }
+    for await (const device of view.find("@server/device", {})) {
+      if (device.revokedAt || !userIds.includes(device.userId)) continue;
+      keys.push({ userId: device.userId, key: device.deviceKey });
+    }
+    return keys;
+  }
+
+  /**
+   * Open the key of an epoch with the key of this peer
+   * @param {Object} record - The key record, with `members` parsed
+   * @returns {Buffer|null} The key or null if it was not sealed to this peer
+   */
+  openKey(record) {
+    const key = b4a.toString(this.crypto.publicKey, "hex");
+    const member = record.members.find((m) => m.key === key);
+    if (!member) return null;
+    if (this.keys.has(member.sealedKey)) return this.keys.get(member.sealedKey);
+
+    const opened = this.crypto.openSealed(b4a.from(member.sealedKey, "hex"));
+    if (opened) this.keys.set(member.sealedKey, opened);
+    return opened;
+  }
+
+  async _canManage(userId, view = this.syncBase.base.view) {
+    const role = await view.get("@server/role", { userId });
+    return (
+      !!role &&
+      this.syncBase.validator.hasPermission(role.role, "MANAGE_CHANNELS")
+    );
+  }
+}
+
+module.exports = PrivateChannelManager;
@@ -0,0 +1,273 @@
+const Protomux = require("protomux");
+const c = require("compact-encoding");
+const b4a = require("b4a");
+
+// Version of the actions this build creates and understands. Bump it together
+// with the validator and router whenever an action type or payload changes.
+// 2: actions carry a nonce and are signed over their canonical binary encoding
+// 3: actions are only accepted from writers bound to their signer
+// 4: devices are linked to and revoked from users
+// 5: identity keys are rotated with a continuity proof
+// 6: identity keys are recovered from shares held by guardians
+// 7: members exchange end-to-end encrypted direct messages
+// 8: private channels encrypt messages with keys sealed to their members
+// 9: members talk in group DMs rekeyed when participants change
+// 10: message attachments are descriptors of files stored in Hyperblobs
+// 11: messages reply to other messages and to threads under a root message
+// 12: archives are imported through import actions, owners no longer append
+//     actions of other members
+// 13: view repairs carry the records they write and are signed by owners
+// 14: schema versions are recorded by signed migrate-schema actions
+// 15: bans are signed actions kept in the view
+// 16: direct messages are sealed to every key of both members
+const PROTOCOL_VERSION = 16;
+// Oldest version this build still applies, actions without one count as 1
+const MIN_PROTOCOL_VERSION = 1;
+
+const POLICIES = ["buffer", "ignore", "block"];
+
+const handshake = {
+  preencode(state, m) {
+    c.uint.preencode(state, m.min);
+    c.uint.preencode(state, m.max);
+  },
+  encode(state, m) {
+    c.uint.encode(state, m.min);
+    c.uint.encode(state, m.max);
+  },
+  decode(state) {
+    return { min: c.uint.decode(state), max: c.uint.decode(state) };
+  },
+};
+
+/**
+ * ProtocolManager - Versions the actions peers exchange
+ *
+ * Every action carries the protocol `version` it was created with. Actions
+ * from a newer protocol are never applied, because this peer cannot know what
+ * they mean. What happens to them instead depends on the policy:
+ * - `buffer` (default) - park the action in the view until this peer is
+ *   upgraded, the next apply batch after the upgrade replays it
+ * - `ignore` - skip the action; every peer on the same version skips the
+ *   same actions, so their views still agree
+ * - `block` - buffer the action and hold back local writes in the outbox
+ *   until this peer is upgraded, so it stops adding to a log it only
+ *   partially understands
+ *
+ * Peers also advertise the range of versions they support over a protomux
+ * channel per server when they connect, so mismatches show up before any
+ * action is exchanged. Both are reported as events on the SyncBase:
+ * - `peer-protocol` - `{ remotePublicKey, min, max, compatible }`
+ * - `protocol-unsupported` - `{ actionId, type, version, policy }`
+ */
+class ProtocolManager {
+  /**
+   * Create a new ProtocolManager instance
+   * @param {SyncBase} syncBase - The SyncBase instance
+   * @param {CryptoManager} crypto - Crypto manager instance
+   * @param {Object} [options] - Protocol options
+   * @param {String} [options.policy="buffer"] - How to handle actions from newer peers
+   */
+  constructor(syncBase, crypto, options = {}) {
+    const policy = options.policy || "buffer";
+    if (!POLICIES.includes(policy)) {
+      throw new Error(`Unknown protocol policy: ${policy}`);
+    }
+
+    this.syncBase = syncBase;
+    this.crypto = crypto;
+    this.policy = policy;
+    this.version = PROTOCOL_VERSION;
+    this.minVersion = MIN_PROTOCOL_VERSION;
+    this.blockedBy = 0; // newest unsupported version seen, when blocking
+    this.peers = new Map(); // remote public key hex -> { min, max, compatible }
+
+    this._channels = new Set();
+    this._muxes = new Set();
+    this._onconnection = this._attach.bind(this);
+  }
+
+  /**
+   * Start advertising the supported versions to connected peers
+   * @returns {Promise<void>}
+   */
+  async init() {
+    for (const connection of this.syncBase.transport.connections) {
+      this._attach(connection);
+    }
+    this.syncBase.transport.on("connection", this._onconnection);
+  }
+
+  /**
+   * Stop advertising and close the open channels
+   */
+  close() {
+    this.syncBase.transport.removeListener("connection", this._onconnection);
+    for (const mux of this._muxes) mux.unpair(this._topic());
+    for (const channel of this._channels) channel.close();
+    this._muxes.clear();
+    this._channels.clear();
+  }
+
+  /**
+   * Whether local writes are held back until this peer is upgraded
+   * @returns {Boolean} True if the `block` policy saw a newer action
+   */
+  get blocked() {
+    return this.blockedBy > 0;
+  }
+
+  /**
+   * Get the protocol version of an action
+   * @param {Object} action - The signed action
+   * @returns {Number} The version, 1 for actions created before versioning
+   */
+  versionOf(action) {
+    return Number.isInteger(action.version) ? action.version : 1;
+  }
+
+  /**
+   * Whether this build can apply an action
+   * @param {Object} action - The signed action
+   * @returns {Boolean} True if the action version is supported
+   */
+  isSupported(action) {
+    const version = this.versionOf(action);
+    return version >= this.minVersion && version <= this.version;
+  }
+
+  /**
+   * Handle an action this build cannot apply, called from apply
+   * @param {Object} action - The signed action
+   * @param {Buffer|null} writerKey - Key of the writer that appended the action
+   * @param {Object} view - The database view
+   * @param {Boolean} [replay=false] - Whether the action is replayed into a scratch view
+   * @returns {Promise<void>}
+   */
+  async handleUnsupported(action, writerKey, view, replay = false) {
+    const version = this.versionOf(action);
+
+    // Retired versions are never applied again, buffering would not help
+    if (this.policy !== "ignore" && version > this.version) {
+      await this.syncBase.resolver.park(
+        action,
+        writerKey,
+        `protocol:${version}`,
+        view
+      );
+    } else {
+      console.warn(
+        `Ignoring ${action.type} from protocol version ${version}, ` +
+          `supported: ${this.minVersion}-${this.version}`
+      );
+    }
+
+    if (replay) return;
+    if (this.policy === "block" && version > this.blockedBy) {
+      this.blockedBy = version;
+    }
+    this.syncBase.eventEmitter.emit("protocol-unsupported", {
+      actionId: this.crypto.actionId(action),
+      type: action.type,
+      version,
+      policy: this.policy,
+    });
+  }
+
+  /**
+   * Replay buffered actions whose version this build supports now
+   * @param {Object} view - The database view
+   * @returns {Promise<Array<Object>>} Entries of { action, writerKey }
+   */
+  async releaseSupported(view) {
+    const dependencies = new Set();
+    const query = {
+      gte: { dependency: "protocol:" },
+      lt: { dependency: "protocol;" },
+    };
+    for await (const entry of view.find("@server/pending", query)) {
+      if (Number(entry.dependency.slice(9)) > this.version) continue;
+      dependencies.add(entry.dependency);
+    }
+
+    const released = [];
+    for (const dependency of dependencies) {
+      released.push(
+        ...(await this.syncBase.resolver.release(dependency, view))
+      );
+    }
+    return released;
+  }
+
+  /**
+   * Get the versions advertised by connected peers of this server
+   * @returns {Array<Object>} Entries of `{ remotePublicKey, min, max, compatible }`
+   */
+  getPeers() {
+    return [...this.peers].map(([remotePublicKey, peer]) => ({
+      remotePublicKey,
+      ...peer,
+    }));
+  }
+
+  _topic() {
+    return {
+      protocol: "syncbase/protocol",
+      id: this.syncBase.base.discoveryKey,
+    };
+  }
+
+  _attach(connection) {
+    const mux = Protomux.from(connection);
+    let remotePublicKey = null;
+
+    // Answer the remote side when it opens the channel first
+    if (!this._muxes.has(mux)) {
+      this._muxes.add(mux);
+      mux.pair(this._topic(), () => this._attach(connection));
+      connection.once("close", () => this._muxes.delete(mux));
+    }
+
+    const channel = mux.createChannel({
+      ...this._topic(),
+      unique: true,
+      handshake,
+      onopen: (remote) => {
+        // Known once the noise handshake finished, which precedes this one
+        remotePublicKey = b4a.toString(connection.remotePublicKey, "hex");
+        this._onhandshake(remotePublicKey, remote);
+      },
+      onclose: () => {
+        this._channels.delete(channel);
+        if (remotePublicKey) this.peers.delete(remotePublicKey);
+      },
+    });
+    if (!channel) return; // Already advertised on this connection
+
+    this._channels.add(channel);
+    channel.open({ min: this.minVersion, max: this.version });
+  }
+
+  _onhandshake(remotePublicKey, remote) {
+    const compatible =
+      remote.min <= this.version && remote.max >= this.minVersion;
+    const peer = { min: remote.min, max: remote.max, compatible };
+
+    this.peers.set(remotePublicKey, peer);
+    if (!compatible) {
+      console.warn(
+        `Peer supports protocol ${remote.min}-${remote.max}, ` +
+          `this peer ${this.minVersion}-${this.version}`
+      );
+    }
+    this.syncBase.eventEmitter.emit("peer-protocol", {
+      remotePublicKey,
+      ...peer,
+    });
+  }
+}
+
+ProtocolManager.PROTOCOL_VERSION = PROTOCOL_VERSION;
+ProtocolManager.MIN_PROTOCOL_VERSION = MIN_PROTOCOL_VERSION;
+
+module.exports = ProtocolManager;
@@ -0,0 +1,395 @@
+const b4a = require("b4a");
+const { split, combine } = require("shamir-secret-sharing");
+const CryptoManager = require("./crypto-manager");
+
+// Shamir shares need at least two of them, and at most 255
+const MIN_GUARDIANS = 2;
+const MAX_GUARDIANS = 255;
+
+/**
+ * RecoveryManager - Social recovery of identity keys
+ *
+ * Opt-in. A user splits the seed of their identity key into Shamir shares,
+ * one per guardian, and needs `threshold` of them to get it back:
+ * 1. `@server/setup-recovery` - the user seals every share to the identity
+ *    key of its guardian and stores them in the view. Setting up again
+ *    replaces the previous shares.
+ * 2. `@server/request-recovery` - a new device, that opened the server with a
+ *    key of its own but is no member, asks for the shares of the user.
+ * 3. `@server/approve-recovery` - a guardian that confirmed the request with
+ *    the user out of band opens their share and seals it to the key of the
+ *    requesting device.
+ * 4. Once enough guardians approved, the device combines the shares locally,
+ *    checks the result is the user's current key and signs with it.
+ *
+ * Shares are for the identity key at the time of the setup. After a rotation,
+ * of the user or of a guardian, recovery has to be set up again.
+ */
+class RecoveryManager {
+  /**
+   * Create a new RecoveryManager instance
+   * @param {SyncBase} syncBase - The SyncBase instance
+   * @param {CryptoManager} crypto - Crypto manager instance
+   */
+  constructor(syncBase, crypto) {
+    this.syncBase = syncBase;
+    this.crypto = crypto;
+  }
+
+  /**
+   * Get the recovery setup of a user
+   * @param {Buffer|String} userId - The id of the user
+   * @param {Object} [view] - The database view, defaults to the live view
+   * @returns {Promise<Object|null>} `{ userId, key, threshold, guardians, createdAt }`,
+   *   `guardians` parsed into `[{ userId, key, share, hash }]`
+   */
+  async getRecovery(userId, view = this.syncBase.base.view) {
+    const recovery = await view.get("@server/recovery", {
+      userId: toHex(userId),
+    });
+    if (!recovery) return null;
+    return { ...recovery, guardians: JSON.parse(recovery.guardians) };
+  }
+
+  /**
+   * List the open requests this user is a guardian for
+   * @param {Buffer|String} guardianId - The id of the guardian
+   * @returns {Promise<Array<Object>>} Requests `{ id, userId, requesterKey, createdAt }`
+   */
+  async getRequests(guardianId) {
+    const id = toHex(guardianId);
+    const view = this.syncBase.base.view;
+    const requests = [];
+    for await (const request of view.find("@server/recovery_request", {})) {
+      const recovery = await this.getRecovery(request.userId, view);
+      if (!recovery?.guardians.some((g) => g.userId === id)) continue;
+      const approval = await view.get("@server/recovery_approval", {
+        requestId: request.id,
+        guardianId: id,
+      });
+      if (!approval) requests.push(request);
+    }
+    return requests.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * List the approvals of a request
+   * @param {String} requestId - The id of the request
+   * @returns {Promise<Array<Object>>} Approvals `{ requestId, guardianId, share, approvedAt }`
+   */
+  async getApprovals(requestId) {
+    const approvals = [];
+    for await (const approval of this.syncBase.base.view.find(
+      "@server/recovery_approval",
+      { gte: { requestId }, lte: { requestId } }
+    )) {
+      approvals.push(approval);
+    }
+    return approvals;
+  }
+
+  /**
+   * Split the identity seed of this peer into shares for guardians
+   * @param {Object} params - Setup parameters
+   * @param {Array<String>} params.guardians - Ids of the members to hold a share
+   * @param {Number} params.threshold - Number of shares needed to recover
+   * @returns {Promise<Object>} `{ userId, key, threshold, guardians }`
+   */
+  async setupRecovery({ guardians, threshold }) {
+    if (this.syncBase.devices.accountId) {
+      throw new Error(
+        "Linked devices cannot set up recovery, the identity key of the user is not on them"
+      );
+    }
+
+    const userId = this.syncBase.userId;
+    const ids = [...new Set((guardians || []).map(toHex))];
+    if (ids.length < MIN_GUARDIANS || ids.length > MAX_GUARDIANS) {
+      throw new Error(
+        `Recovery needs between ${MIN_GUARDIANS} and ${MAX_GUARDIANS} guardians`
+      );
+    }
+    if (ids.includes(userId)) {
+      throw new Error("You cannot be your own guardian");
+    }
+    if (
+      !Number.isInteger(threshold) ||
+      threshold < MIN_GUARDIANS ||
+      threshold > ids.length
+    ) {
+      throw new Error(
+        `Threshold must be between ${MIN_GUARDIANS} and the number of guardians`
+      );
+    }
+
+    // Every share is sealed to the key the guardian signs with now
+    const view = this.syncBase.base.view;
+    const keys = [];
+    for (const id of ids) {
+      const user = await view.findOne("@server/user", {
+        gte: { id },
+        lte: { id },
+      });
+      const key = user && (await this.syncBase.identities.getCurrentKey(id));
+      if (!key) throw new Error(`Guardian is not a member: ${id}`);
+      keys.push(key);
+    }
+
+    // The library wants plain Uint8Arrays, not Buffers
+    const seed = new Uint8Array(this.crypto.getSeed());
+    const shares = await split(seed, ids.length, threshold);
+    seed.fill(0);
+
+    const createdAt = this.crypto.now();
+    const recovery = {
+      userId,
+      key: b4a.toString(this.crypto.publicKey, "hex"),
+      threshold,
+      guardians: JSON.stringify(
+        ids.map((id, i) => ({
+          userId: id,
+          key: keys[i],
+          share: b4a.toString(CryptoManager.seal(shares[i], keys[i]), "hex"),
+          hash: toHex(this.crypto.hash(b4a.from(shares[i]))),
+        }))
+      ),
+      createdAt,
+    };
+    const action = this.crypto.createSignedAction("@server/setup-recovery", {
+      ...recovery,
+      timestamp: createdAt,
+    });
+    await this.syncBase.outbox.append(action);
+    return { userId, key: recovery.key, threshold, guardians: ids };
+  }
+
+  /**
+   * Ask the guardians of a user for their shares, from a new device
+   * @param {Object} params - Request parameters
+   * @param {Buffer|String} params.userId - The user to recover
+   * @returns {Promise<Object>} The request `{ id, userId, requesterKey, createdAt }`,
+   *   guardians should compare `requesterKey` with the user before approving
+   */
+  async requestRecovery({ userId }) {
+    const id = toHex(userId);
+    if (!(await this.getRecovery(id))) {
+      throw new Error("The user has not set up recovery");
+    }
+
+    const createdAt = this.crypto.now();
+    const request = {
+      id: this.crypto.generateId(),
+      userId: id,
+      requesterKey: b4a.toString(this.crypto.publicKey, "hex"),
+      createdAt,
+    };
+    const action = this.crypto.createSignedAction("@server/request-recovery", {
+      ...request,
+      timestamp: createdAt,
+    });
+    await this.syncBase.outbox.append(action);
+    return request;
+  }
+
+  /**
+   * Hand the share of this guardian to the device that requested it
+   * @param {String} requestId - The id of the request
+   * @returns {Promise<Object>} The approval `{ requestId, guardianId, share, approvedAt }`
+   */
+  async approveRecovery(requestId) {
+    const view = this.syncBase.base.view;
+    const request = await view.get("@server/recovery_request", {
+      id: requestId,
+    });
+    if (!request) throw new Error("Recovery request not found");
+
+    const guardianId = this.syncBase.userId;
+    const recovery = await this.getRecovery(request.userId);
+    const guardian = recovery?.guardians.find((g) => g.userId === guardianId);
+    if (!guardian) {
+      throw new Error("You are not a guardian of this user");
+    }
+
+    const share = this.crypto.openSealed(b4a.from(guardian.share, "hex"));
+    if (!share) {
+      throw new Error(
+        "Cannot open the share, it was sealed to a key this peer does not hold"
+      );
+    }
+
+    const approvedAt = this.crypto.now();
+    const approval = {
+      requestId,
+      guardianId,
+      share: b4a.toString(
+        CryptoManager.seal(share, request.requesterKey),
+        "hex"
+      ),
+      approvedAt,
+    };
+    share.fill(0);
+
+    const action = this.crypto.createSignedAction("@server/approve-recovery", {
+      ...approval,
+      timestamp: approvedAt,
+    });
+    await this.syncBase.outbox.append(action);
+    return approval;
+  }
+
+  /**
+   * Combine the approved shares of a request into the identity key
+   * @param {String} requestId - The id of the request made by this peer
+   * @returns {Promise<Object>} `{ userId, keys }` of the recovered identity
+   */
+  async combineShares(requestId) {
+    const view = this.syncBase.base.view;
+    const request = await view.get("@server/recovery_request", {
+      id: requestId,
+    });
+    if (!request) throw new Error("Recovery request not found");
+    if (request.requesterKey !== b4a.toString(this.crypto.publicKey, "hex")) {
+      throw new Error("The request was made by another device");
+    }
+
+    const recovery = await this.getRecovery(request.userId);
+    const approvals = await this.getApprovals(requestId);
+    if (approvals.length < recovery.threshold) {
+      throw new Error(
+        `Not enough approvals: ${approvals.length} of ${recovery.threshold}`
+      );
+    }
+
+    // A guardian can approve with a wrong share, those that do not match the
+    // hash committed at setup are skipped and later approvals used instead.
+    // Setups made before the hashes were added are only checked by the key.
+    const hashes = new Map(recovery.guardians.map((g) => [g.userId, g.hash]));
+    const shares = [];
+    for (const approval of approvals) {
+      if (shares.length === recovery.threshold) break;
+      const share = this.crypto.openSealed(b4a.from(approval.share, "hex"));
+      if (!share) continue;
+      const hash = hashes.get(approval.guardianId);
+      if (hash && toHex(this.crypto.hash(share)) !== hash) {
+        share.fill(0);
+        continue;
+      }
+      shares.push(new Uint8Array(share));
+    }
+    if (shares.length < recovery.threshold) {
+      throw new Error(
+        `Not enough valid shares: ${shares.length} of ${recovery.threshold}`
+      );
+    }
+    const seed = b4a.from(await combine(shares));
+    const keys = CryptoManager.keysFromSeed(seed);
+    seed.fill(0);
+
+    // Wrong shares combine into some other key, never into the user's
+    const key = b4a.toString(keys.publicKey, "hex");
+    if (key !== recovery.key) {
+      throw new Error("The shares do not combine into the user's key");
+    }
+    if (
+      (await this.syncBase.identities.getCurrentKey(request.userId)) !== key
+    ) {
+      throw new Error(
+        "The shares are of a retired key, recovery has to be set up again"
+      );
+    }
+    return { userId: request.userId, keys };
+  }
+
+  /**
+   * Check whether a recovery action is valid, called by the validator
+   * @param {Object} action - The recovery action
+   * @param {Object} view - The database view
+   * @returns {Promise<Boolean>} Whether the action is valid
+   */
+  async validate(action, view) {
+    const { payload } = action;
+    if (!payload) return false;
+    const signer = toHex(action.signer);
+
+    switch (action.type) {
+      case "@server/setup-recovery":
+        return this._validateSetup(payload, signer, view);
+      case "@server/request-recovery":
+        // Signed by the device that will receive the shares
+        return (
+          payload.requesterKey === signer &&
+          typeof payload.id === "string" &&
+          !!(await view.get("@server/recovery", { userId: payload.userId }))
+        );
+      case "@server/approve-recovery": {
+        const request = await view.get("@server/recovery_request", {
+          id: payload.requestId,
+        });
+        if (!request || typeof payload.share !== "string") return false;
+        const recovery = await this.getRecovery(request.userId, view);
+        const account = await this.syncBase.devices.accountOf(signer, view);
+        return (
+          payload.guardianId === account &&
+          recovery.guardians.some((g) => g.userId === account)
+        );
+      }
+      default:
+        return false;
+    }
+  }
+
+  async _validateSetup(payload, signer, view) {
+    // The shares are of the key that signs the setup, it must be the user's
+    const account = await this.syncBase.devices.accountOf(signer, view);
+    if (payload.userId !== account || payload.key !== signer) return false;
+    if (
+      (await this.syncBase.identities.getCurrentKey(account, view)) !== signer
+    ) {
+      return false;
+    }
+
+    let guardians;
+    try {
+      guardians = JSON.parse(payload.guardians);
+    } catch (err) {
+      return false;
+    }
+    if (!Array.isArray(guardians)) return false;
+    if (guardians.length < MIN_GUARDIANS || guardians.length > MAX_GUARDIANS) {
+      return false;
+    }
+    if (
+      !Number.isInteger(payload.threshold) ||
+      payload.threshold < MIN_GUARDIANS ||
+      payload.threshold > guardians.length
+    ) {
+      return false;
+    }
+
+    const ids = new Set();
+    for (const guardian of guardians) {
+      if (!guardian || typeof guardian.share !== "string") return false;
+      if (
+        guardian.hash !== undefined &&
+        !/^[0-9a-f]{64}$/.test(guardian.hash)
+      ) {
+        return false;
+      }
+      if (guardian.userId === account || ids.has(guardian.userId)) return false;
+      ids.add(guardian.userId);
+
+      const user = await view.findOne("@server/user", {
+        gte: { id: guardian.userId },
+        lte: { id: guardian.userId },
+      });
+      if (!user) return false;
+    }
+    return true;
+  }
+}
+
+function toHex(key) {
+  return typeof key === "string" ? key : b4a.toString(b4a.from(key), "hex");
+}
+
+module.exports = RecoveryManager;
@@ -201,7 +201,6 @@ class RoleInterface {
    * @param {Object} [options] - Ban options
    * @param {String} [options.channelId] - Channel to ban from (null for server-wide)
    * @param {String} [options.reason] - Reason for the ban
-   * @param {Number} [options.duration] - Duration in milliseconds (null for permanent)
    * @returns {Promise<Object>} Ban information
    */
   async banUser(userId, options = {}) {
@@ -268,27 +267,7 @@ class RoleInterface {
    */
   async listBannedUsers(options = {}) {
     try {
-      const bannedUsers = [];
-
-      if (!this.syncBase._bannedUsers) {
-        return bannedUsers;
-      }
-
-      // Filter based on channel
-      for (const [key, banInfo] of this.syncBase._bannedUsers.entries()) {
-        if (!options.channelId && banInfo.channelId === null) {
-          // Server-wide bans when no channelId specified
-          bannedUsers.push(banInfo);
-        } else if (
-          options.channelId &&
-          banInfo.channelId === options.channelId
-        ) {
-          // Channel-specific bans
-          bannedUsers.push(banInfo);
-        }
-      }
-
-      return bannedUsers;
+      return await this.syncBase.roleManager.listBannedUsers(options);
     } catch (err) {
       console.error("Error listing banned users:", err);
       return [];
@@ -1,4 +1,3 @@
-const b4a = require("b4a");
 const { Permissions, PermissionType } = require("./permission-manager.js");
 
 /**
@@ -47,11 +46,6 @@ class RoleManager {
       this.syncBase._roles = new Map();
     }
 
-    // Initialize banned users storage
-    if (!this.syncBase._bannedUsers) {
-      this.syncBase._bannedUsers = new Map();
-    }
-
     // Initialize kicked users storage (temporary)
     if (!this.syncBase._kickedUsers) {
       this.syncBase._kickedUsers = new Map();
@@ -70,7 +64,7 @@ class RoleManager {
   async createRole(options) {
     try {
       // Verify the user has permission to create roles
-      const currentUserId = b4a.toString(this.syncBase.crypto.publicKey, "hex");
+      const currentUserId = this.syncBase.userId;
       const hasPermission =
         (await this.permissions.hasPermission("ADMINISTRATOR", {
           userId: currentUserId,
@@ -139,7 +133,7 @@ class RoleManager {
   async updateRole(roleId, updates) {
     try {
       // Verify the user has permission to update roles
-      const currentUserId = b4a.toString(this.syncBase.crypto.publicKey, "hex");
+      const currentUserId = this.syncBase.userId;
 
       // Get the role
       const roleKeys = Array.from(this.syncBase._roles.keys());
@@ -208,7 +202,7 @@ class RoleManager {
   async deleteRole(roleId) {
     try {
       // Verify the user has permission to delete roles
-      const currentUserId = b4a.toString(this.syncBase.crypto.publicKey, "hex");
+      const currentUserId = this.syncBase.userId;
 
       // Get the role
       const roleKeys = Array.from(this.syncBase._roles.keys());
@@ -263,7 +257,7 @@ class RoleManager {
   async assignRole(userId, roleId, options = {}) {
     try {
       // Verify the user has permission to assign roles
-      const currentUserId = b4a.toString(this.syncBase.crypto.publicKey, "hex");
+      const currentUserId = this.syncBase.userId;
 
       // Get the role
       const roleKeys = Array.from(this.syncBase._roles.keys());
@@ -350,7 +344,7 @@ class RoleManager {
   async removeRole(userId, roleId, options = {}) {
     try {
       // Verify the user has permission to remove roles
-      const currentUserId = b4a.toString(this.syncBase.crypto.publicKey, "hex");
+      const currentUserId = this.syncBase.userId;
 
       // Check permission based on channel or server context
       const hasPermission =
@@ -546,7 +540,7 @@ class RoleManager {
       }
 
       // Verify the user has permission to kick
-      const currentUserId = b4a.toString(this.syncBase.crypto.publicKey, "hex");
+      const currentUserId = this.syncBase.userId;
 
       // Check for admin or mod permission
       const hasKickPermission = await this.permissions.hasPermission(
@@ -636,7 +630,7 @@ class RoleManager {
   async reinstateUser(userId, channelId) {
     try {
       // Verify the user has permission to reinstate
-      const currentUserId = b4a.toString(this.syncBase.crypto.publicKey, "hex");
+      const currentUserId = this.syncBase.userId;
 
       // Check for admin or mod permission
       const hasAdminPermission = await this.permissions.hasPermission(
@@ -683,109 +677,49 @@ class RoleManager {
 
   /**
    * Ban a user from a channel or server
+   * The ban is a signed action kept in the view, private channels and group
+   * DMs the user could read are rekeyed without them on the next update
    * @param {String} userId - The user ID to ban
    * @param {Object} options - Ban options
    * @param {String} [options.channelId] - The channel to ban from (null for server-wide)
    * @param {String} [options.reason] - Reason for banning
-   * @param {Number} [options.duration] - Duration in milliseconds (null = permanent)
    * @returns {Promise<Object>} Ban information
    */
   async banUser(userId, options = {}) {
     try {
       // Verify the user has permission to ban
-      const currentUserId = b4a.toString(this.syncBase.crypto.publicKey, "hex");
-
-      // Check for admin permission (for server ban) or channel-specific permission
-      let hasBanPermission = false;
-
-      if (!options.channelId) {
-        // Server-wide ban requires admin
-        hasBanPermission = await this.permissions.hasPermission(
-          "ADMINISTRATOR",
-          {
-            userId: currentUserId,
-          }
-        );
-      } else {
-        // Channel ban can be done by admin or mod
-        hasBanPermission = await this.permissions.hasPermission(
-          "ADMINISTRATOR",
-          {
-            userId: currentUserId,
-            channelId: options.channelId,
-          }
-        );
-
-        // Check if current user is a moderator of this channel
-        const isChannelMod = await this.checkUserRole(
-          currentUserId,
-          RoleType.MODERATOR,
-          {
-            channelId: options.channelId,
-          }
-        );
-
-        hasBanPermission = hasBanPermission || isChannelMod;
-      }
-
-      if (!hasBanPermission) {
+      if (!(await this.syncBase.hasPermission("BAN_MEMBERS"))) {
         throw new Error("You do not have permission to ban users");
       }
 
       // Verify the target user isn't a higher role
-      // For server ban or channel ban, check respective context
-      const targetRoles = await this.getUserRoles(userId, {
-        channelId: options.channelId,
-      });
-      const currentUserRoles = await this.getUserRoles(currentUserId, {
-        channelId: options.channelId,
+      const view = this.syncBase.base.view;
+      const { ROLES } = this.permissions;
+      const currentRole = await view.get("@server/role", {
+        userId: this.syncBase.userId,
       });
-
-      // Calculate highest role levels
-      const getHighestRoleLevel = (roles) => {
-        let highest = -1;
-        for (const role of roles) {
-          const roleLevel = Object.keys(RoleType).findIndex(
-            (key) => RoleType[key] === role.name
-          );
-          if (roleLevel > highest) {
-            highest = roleLevel;
-          }
-        }
-        return highest;
-      };
-
-      const targetLevel = getHighestRoleLevel(targetRoles);
-      const currentLevel = getHighestRoleLevel(currentUserRoles);
-
-      if (targetLevel >= currentLevel && targetLevel >= 0) {
+      const targetRole = await view.get("@server/role", { userId });
+      if (targetRole && ROLES[targetRole.role] >= ROLES[currentRole.role]) {
         throw new Error("Cannot ban a user with equal or higher role");
       }
 
       // Create ban record
+      const bannedAt = this.syncBase.crypto.now();
       const banData = {
         userId,
-        channelId: options.channelId || null, // null = server-wide ban
+        channelId: options.channelId || "", // empty = server-wide ban
         reason: options.reason || "No reason provided",
-        bannedBy: currentUserId,
-        bannedAt: Date.now(),
-        duration: options.duration, // null = permanent
-        expires: options.duration ? Date.now() + options.duration : null,
+        bannedBy: this.syncBase.userId,
+        bannedAt,
       };
 
-      // Store ban record
-      const banKey = `${userId}:${options.channelId || "server"}`;
-      this.syncBase._bannedUsers.set(banKey, banData);
-
-      // If it's a server-wide ban, kick from all channels too
-      if (!options.channelId) {
-        // In a real implementation, we'd iterate through all channels
-        console.log(`Banned user ${userId} from the entire server`);
-      } else {
-        console.log(`Banned user ${userId} from channel ${options.channelId}`);
-      }
+      const action = this.syncBase.crypto.createSignedAction(
+        "@server/ban-user",
+        { ...banData, timestamp: bannedAt }
+      );
+      await this.syncBase.outbox.append(action);
 
-      return banData;
+      return { ...banData, channelId: options.channelId || null };
     } catch (err) {
       console.error("Error banning user:", err);
       throw err;
@@ -802,61 +736,24 @@ class RoleManager {
   async unbanUser(userId, options = {}) {
     try {
       // Verify the user has permission to unban
-      const currentUserId = b4a.toString(this.syncBase.crypto.publicKey, "hex");
-
-      // Check for admin permission (for server unban) or channel-specific permission
-      let hasUnbanPermission = false;
-
-      if (!options.channelId) {
-        // Server-wide unban requires admin
-        hasUnbanPermission = await this.permissions.hasPermission(
-          "ADMINISTRATOR",
-          {
-            userId: currentUserId,
-          }
-        );
-      } else {
-        // Channel unban can be done by admin or mod
-        hasUnbanPermission = await this.permissions.hasPermission(
-          "ADMINISTRATOR",
-          {
-            userId: currentUserId,
-            channelId: options.channelId,
-          }
-        );
-
-        // Check if current user is a moderator of this channel
-        const isChannelMod = await this.checkUserRole(
-          currentUserId,
-          RoleType.MODERATOR,
-          {
-            channelId: options.channelId,
-          }
-        );
-
-        hasUnbanPermission = hasUnbanPermission || isChannelMod;
-      }
-
-      if (!hasUnbanPermission) {
+      if (!(await this.syncBase.hasPermission("BAN_MEMBERS"))) {
         throw new Error("You do not have permission to unban users");
       }
 
       // Check if user is banned
-      const banKey = `${userId}:${options.channelId || "server"}`;
-      if (!this.syncBase._bannedUsers.has(banKey)) {
+      const ban = await this.syncBase.base.view.get("@server/ban", {
+        userId,
+        channelId: options.channelId || "",
+      });
+      if (!ban) {
         return false; // User is not banned
       }
 
-      // Remove ban record
-      this.syncBase._bannedUsers.delete(banKey);
-
-      if (!options.channelId) {
-        console.log(`Unbanned user ${userId} from the entire server`);
-      } else {
-        console.log(
-          `Unbanned user ${userId} from channel ${options.channelId}`
-        );
-      }
+      const action = this.syncBase.crypto.createSignedAction(
+        "@server/unban-user",
+        { ...ban, timestamp: this.syncBase.crypto.now() }
+      );
+      await this.syncBase.outbox.append(action);
 
       return true;
     } catch (err) {
@@ -874,45 +771,33 @@ class RoleManager {
    */
   async isUserBanned(userId, options = {}) {
     try {
-      // Check for channel-specific ban
-      if (options.channelId) {
-        const channelBanKey = `${userId}:${options.channelId}`;
-        if (this.syncBase._bannedUsers.has(channelBanKey)) {
-          const banInfo = this.syncBase._bannedUsers.get(channelBanKey);
-
-          // Check if the ban has expired
-          if (banInfo.expires && banInfo.expires < Date.now()) {
-            // Ban has expired, remove it
-            this.syncBase._bannedUsers.delete(channelBanKey);
-            return false;
-          }
-
-          return true;
-        }
-      }
-
-      // Check for server-wide ban
-      const serverBanKey = `${userId}:server`;
-      if (this.syncBase._bannedUsers.has(serverBanKey)) {
-        const banInfo = this.syncBase._bannedUsers.get(serverBanKey);
-
-        // Check if the ban has expired
-        if (banInfo.expires && banInfo.expires < Date.now()) {
-          // Ban has expired, remove it
-          this.syncBase._bannedUsers.delete(serverBanKey);
-          return false;
-        }
-
-        return true;
-      }
-
-      return false;
+      return await this.syncBase.validator.isBanned(
+        userId,
+        this.syncBase.base.view,
+        options.channelId
+      );
     } catch (err) {
       console.error("Error checking if user is banned:", err);
       return false;
     }
   }
 
+  /**
+   * List the bans of a channel or of the server
+   * @param {Object} options - List options
+   * @param {String} [options.channelId] - The channel to list bans for (null for server-wide)
+   * @returns {Promise<Array<Object>>} Ban records
+   */
+  async listBannedUsers(options = {}) {
+    const channelId = options.channelId || "";
+    const bans = [];
+    for await (const ban of this.syncBase.base.view.find("@server/ban", {})) {
+      if (ban.channelId !== channelId) continue;
+      bans.push({ ...ban, channelId: ban.channelId || null });
+    }
+    return bans;
+  }
+
   /**
    * Check if a user is kicked from a channel
    * @param {String} userId - The user ID to check
@@ -28,7 +28,7 @@ class SyncBaseRouter {
         const server = {
           id: data.id,
           name: data.name,
-          createdAt: data?.createdAt.toString() || Date.now().toString(),
+          createdAt: data.createdAt || context.timestamp,
           description: data?.description || "",
           avatar: data?.avatar || "",
         };
@@ -44,13 +44,14 @@ class SyncBaseRouter {
           id: stringifyPubKey,
           publicKey: stringifyPubKey,
           username: "User",
-          joinedAt: Date.now(),
+          joinedAt: context.timestamp,
           inviteCode: "founder",
           avatar: "1",
           status: "Chilling",
         };
         await view.insert("@server/user", adminUser);
         await view.flush();
+        this._record(context, "member:joined", adminUser);
       } catch (error) {
         console.error("Error creating init user:", error);
         return false;
@@ -61,7 +62,7 @@ class SyncBaseRouter {
           userId: stringifyPubKey,
           serverId: data.id,
           updatedBy: stringifyPubKey,
-          updatedAt: Date.now(),
+          updatedAt: context.timestamp,
           role: "OWNER",
         };
         await view.insert("@server/role", role);
@@ -70,21 +71,37 @@ class SyncBaseRouter {
         console.error("Error creating init role:", error);
         return false;
       }
+
+      // The writer that created the server acts for its creator
+      if (context.authorKey) {
+        const writer = {
+          writerKey: b4a.toString(context.authorKey, "hex"),
+          userId: stringifyPubKey,
+          addedAt: context.timestamp,
+          deviceKey: stringifyPubKey,
+        };
+        await view.insert("@server/writer", writer);
+        this._record(context, "writer:bound", writer);
+      }
       return true;
     });
 
     this.router.add("@server/update-server", async (data, context) => {
       const { view } = context;
-      const existing = await view.findOne("@server/server", { id: data.id });
+      const existing = await view.get("@server/server", { id: data.id });
+      if (!existing) return false;
       try {
-        await view.delete("@server/server", { key: data.id });
-        await view.insert("@server/server", {
-          ...existing,
-          id: data.id,
-          name: data.name || "A chat server",
-          description: data.description || "",
-          avatar: data.avatar || "",
+        const server = await this._merge(context, {
+          collection: "@server/server",
+          key: data.id,
+          record: existing,
+          changes: {
+            name: data.name || "A chat server",
+            description: data.description || "",
+            avatar: data.avatar || "",
+          },
         });
+        await view.insert("@server/server", server);
         await view.flush();
         return true;
       } catch (error) {
@@ -129,11 +146,13 @@ class SyncBaseRouter {
         createdBy: data.createdBy,
         description: data.description || "",
         position: data.position,
+        private: !!data.private,
       };
 
       try {
         await view.insert("@server/channel", newChannel);
         await view.flush();
+        this._record(context, "channel:created", newChannel);
         return true;
       } catch (error) {
         console.log("Error inserting channel:", error.message);
@@ -143,11 +162,23 @@ class SyncBaseRouter {
 
     this.router.add("@server/update-channel", async (data, context) => {
       const { view } = context;
-      await view.delete("@server/channel", { channelId: data.channelId });
-      await view.insert("@server/channel", {
-        ...data,
-        updatedAt: data.timestamp,
+      const existing = await view.get("@server/channel", {
+        channelId: data.channelId,
+      });
+      if (!existing) return false;
+
+      const channel = await this._merge(context, {
+        collection: "@server/channel",
+        key: data.channelId,
+        record: existing,
+        changes: {
+          name: data.name,
+          type: data.type,
+          topic: data.topic,
+          position: data.position,
+        },
       });
+      await view.insert("@server/channel", channel);
       await view.flush();
     });
 
@@ -217,11 +248,22 @@ class SyncBaseRouter {
           author: data.author,
           timestamp: data.timestamp,
           attachments: data.attachments || [],
+          keyEpoch: data.keyEpoch,
+          replyTo: data.replyTo,
+          threadId: data.threadId,
         };
 
-        // Insert message
+        // Insert message, a reply counts on its root the first time only
+        const counted =
+          data.threadId &&
+          !(await view.get("@server/message", {
+            id: data.id,
+            channelId: data.channelId,
+          }));
         await view.insert("@server/message", messageData);
+        if (counted) await this._countReply(view, messageData, 1);
         await view.flush();
+        this._record(context, "message:created", messageData);
 
         // For high-volume situations, force an update to ensure propagation
         if (base && typeof base.update === "function") {
@@ -241,18 +283,36 @@ class SyncBaseRouter {
 
     this.router.add("@server/edit-message", async (data, context) => {
       const { view } = context;
-      await view.delete({ id: data.id, channelId: data.channelId });
-      await view.insert("@server/message", data);
+      const existing = await view.get("@server/message", {
+        id: data.id,
+        channelId: data.channelId,
+      });
+      if (!existing) return false;
+
+      const message = await this._merge(context, {
+        collection: "@server/message",
+        key: `${data.channelId}:${data.id}`,
+        record: existing,
+        changes: { content: data.content, editedAt: data.editedAt },
+      });
+      await view.insert("@server/message", message);
       await view.flush();
+      this._record(context, "message:edited", message);
     });
 
     this.router.add("@server/delete-message", async (data, context) => {
       const { view } = context;
+      const existing = await view.get("@server/message", {
+        id: data.id,
+        channelId: data.channelId,
+      });
       await view.delete("@server/message", {
         id: data.id,
         channelId: data.channelId,
       });
+      if (existing?.threadId) await this._countReply(view, existing, -1);
       await view.flush();
+      this._record(context, "message:deleted", data);
     });
 
     this.router.add("@server/create-user", async (data, context) => {
@@ -261,39 +321,377 @@ class SyncBaseRouter {
         id: data.publicKey,
         publicKey: data.publicKey,
         username: "User",
-        joinedAt: Date.now(),
+        joinedAt: context.timestamp,
         inviteCode: data.inviteCode,
         avatar: "1",
         status: "Chilling",
       };
       await view.insert("@server/user", newUser);
       await view.flush();
+      this._record(context, "member:joined", newUser);
     });
 
     // Role Operations
     this.router.add("@server/set-role", async (data, context) => {
       const { view } = context;
-      try {
-        // First try to find and delete any existing record
-        await view.delete("@server/role", {
-          userId: data.userId,
-        });
-        await view.flush();
-      } catch (err) {
-        // Ignore errors if record doesn't exist
-        console.log(
-          "No existing role record to delete, proceeding with insert"
-        );
+      const existing = await view.get("@server/role", { userId: data.userId });
+
+      const role = await this._merge(context, {
+        collection: "@server/role",
+        key: data.userId,
+        record: existing || { userId: data.userId },
+        changes: {
+          serverId: data.serverId,
+          role: data.role,
+          updatedAt: data.updatedAt || context.timestamp,
+          updatedBy: data.updatedBy || "system",
+        },
+      });
+      await view.insert("@server/role", role);
+      await view.flush();
+      this._record(context, "role:changed", role);
+    });
+
+    // Ban Operations
+    this.router.add("@server/ban-user", async (data, context) => {
+      const { view } = context;
+      const ban = {
+        userId: data.userId,
+        channelId: data.channelId,
+        reason: data.reason,
+        bannedBy: data.bannedBy,
+        bannedAt: data.bannedAt,
+      };
+      await view.insert("@server/ban", ban);
+      await view.flush();
+      this._record(context, "user:banned", ban);
+    });
+
+    this.router.add("@server/unban-user", async (data, context) => {
+      const { view } = context;
+      const key = { userId: data.userId, channelId: data.channelId };
+      const ban = await view.get("@server/ban", key);
+      if (!ban) return;
+      await view.delete("@server/ban", key);
+      await view.flush();
+      this._record(context, "user:unbanned", ban);
+    });
+
+    // Writer Operations
+    this.router.add("@server/bind-writer", async (data, context) => {
+      const { view } = context;
+      const writer = {
+        writerKey: data.writerKey,
+        userId: data.userId,
+        addedAt: context.timestamp,
+        deviceKey: b4a.toString(b4a.from(context.action.signer), "hex"),
+      };
+      await view.insert("@server/writer", writer);
+      await view.flush();
+      this._record(context, "writer:bound", writer);
+    });
+
+    // Audit Operations
+    this.router.add("@server/repair-view", async (data, context) => {
+      const { view } = context;
+      const changes = await this.syncBase.auditor.applyRepair(
+        data.changes,
+        view
+      );
+      await view.flush();
+      this._record(context, "view:repaired", { id: data.id, ...changes });
+    });
+
+    // Schema Operations
+    this.router.add("@server/migrate-schema", async (data, context) => {
+      const { view } = context;
+      const ran = await this.syncBase.migrator.migrate(view, data.version);
+      this._record(context, "schema:migrated", {
+        version: data.version,
+        migrations: ran,
+      });
+    });
+
+    // Archive Operations
+    this.router.add("@server/import-archive", async (data, context) => {
+      const { view } = context;
+      const record = {
+        writerKey: data.writerKey,
+        importer: data.importer,
+        source: data.source,
+        count: data.count,
+        imported: 0,
+        startedAt: context.timestamp,
+      };
+      await view.insert("@server/import", record);
+      await view.flush();
+      this._record(context, "archive:importing", record);
+    });
+
+    // Device Operations
+    this.router.add("@server/link-device", async (data, context) => {
+      const { view } = context;
+      const device = {
+        deviceKey: data.deviceKey,
+        userId: data.userId,
+        name: data.name || "",
+        addedAt: context.timestamp,
+        addedBy: data.addedBy,
+      };
+      await view.insert("@server/device", device);
+      await view.flush();
+      this._record(context, "device:linked", device);
+    });
+
+    this.router.add("@server/revoke-device", async (data, context) => {
+      const { view, host } = context;
+      const device = await view.get("@server/device", {
+        deviceKey: data.deviceKey,
+      });
+      if (!device) return false;
+
+      const revoked = { ...device, revokedAt: context.timestamp };
+      await view.insert("@server/device", revoked);
+
+      // Unbind the writers of the device and drop them from the Autobase
+      const writers = [];
+      for await (const writer of view.find("@server/writer", {})) {
+        if (writer.deviceKey === data.deviceKey) writers.push(writer);
       }
-      // Insert new record
-      await view.insert("@server/role", {
+      for (const writer of writers) {
+        await view.delete("@server/writer", { writerKey: writer.writerKey });
+        try {
+          await host.removeWriter(b4a.from(writer.writerKey, "hex"));
+        } catch (err) {
+          console.warn(`Could not remove writer: ${err.message}`);
+        }
+      }
+      await view.flush();
+      this._record(context, "device:revoked", revoked);
+    });
+
+    // Identity Operations
+    this.router.add("@server/rotate-identity", async (data, context) => {
+      const { view } = context;
+
+      // Users that never rotated have no record of the key they joined with
+      const previous = (await view.get("@server/identity", {
+        key: data.previousKey,
+      })) || { key: data.previousKey, userId: data.userId, addedAt: 0 };
+      await view.insert("@server/identity", {
+        ...previous,
+        nextKey: data.key,
+        retiredAt: context.timestamp,
+      });
+
+      const identity = {
+        key: data.key,
         userId: data.userId,
-        serverId: data.serverId,
-        role: data.role,
-        updatedAt: data.timestamp || Date.now(),
-        updatedBy: data.id || "system",
+        previousKey: data.previousKey,
+        proof: data.proof,
+        addedAt: context.timestamp,
+      };
+      await view.insert("@server/identity", identity);
+
+      // Writers appended to with the previous key now sign with the new one
+      const writers = [];
+      for await (const writer of view.find("@server/writer", {})) {
+        if (writer.deviceKey === data.previousKey) writers.push(writer);
+      }
+      for (const writer of writers) {
+        await view.insert("@server/writer", { ...writer, deviceKey: data.key });
+      }
+      await view.flush();
+      this._record(context, "identity:rotated", identity);
+    });
+
+    // Recovery Operations
+    this.router.add("@server/setup-recovery", async (data, context) => {
+      const { view } = context;
+      const recovery = {
+        userId: data.userId,
+        key: data.key,
+        threshold: data.threshold,
+        guardians: data.guardians,
+        createdAt: context.timestamp,
+      };
+      await view.insert("@server/recovery", recovery);
+      await view.flush();
+      this._record(context, "recovery:setup", recovery);
+    });
+
+    this.router.add("@server/request-recovery", async (data, context) => {
+      const { view } = context;
+      const request = {
+        id: data.id,
+        userId: data.userId,
+        requesterKey: data.requesterKey,
+        createdAt: context.timestamp,
+      };
+      await view.insert("@server/recovery_request", request);
+      await view.flush();
+      this._record(context, "recovery:requested", request);
+    });
+
+    this.router.add("@server/approve-recovery", async (data, context) => {
+      const { view } = context;
+      const approval = {
+        requestId: data.requestId,
+        guardianId: data.guardianId,
+        share: data.share,
+        approvedAt: context.timestamp,
+      };
+      await view.insert("@server/recovery_approval", approval);
+      await view.flush();
+      this._record(context, "recovery:approved", approval);
+    });
+
+    // Private Channel Operations
+    this.router.add("@server/rekey-channel", async (data, context) => {
+      const { view } = context;
+      const channelKey = {
+        channelId: data.channelId,
+        epoch: data.epoch,
+        members: data.members,
+        createdBy: data.createdBy,
+        createdAt: context.timestamp,
+      };
+      await view.insert("@server/channel_key", channelKey);
+      await view.flush();
+      this._record(context, "channel:rekeyed", channelKey);
+    });
+
+    // Thread Operations
+    this.router.add("@server/create-thread", async (data, context) => {
+      const { view } = context;
+      const thread = {
+        rootId: data.rootId,
+        channelId: data.channelId,
+        title: data.title,
+        createdBy: data.createdBy,
+        createdAt: context.timestamp,
+      };
+      await view.insert("@server/thread", thread);
+      await view.flush();
+      this._record(context, "thread:created", thread);
+    });
+
+    // Direct Message Operations
+    this.router.add("@server/send-direct-message", async (data, context) => {
+      const { view } = context;
+      const message = {
+        id: data.id,
+        conversationId: data.conversationId,
+        sender: data.sender,
+        recipient: data.recipient,
+        senderKey: data.senderKey,
+        recipientKey: data.recipientKey,
+        nonce: data.nonce,
+        ciphertext: data.ciphertext,
+        sentAt: context.timestamp,
+        keys: data.keys,
+      };
+      await view.insert("@server/direct_message", message);
+
+      const [userA, userB] = [data.sender, data.recipient].sort();
+      const conversation = (await view.get("@server/direct_conversation", {
+        id: data.conversationId,
+      })) || {
+        id: data.conversationId,
+        userA,
+        userB,
+        createdAt: context.timestamp,
+        lastMessageAt: 0,
+      };
+      await view.insert("@server/direct_conversation", {
+        ...conversation,
+        lastMessageAt: Math.max(conversation.lastMessageAt, context.timestamp),
+      });
+      await view.flush();
+      this._record(context, "direct-message:sent", message);
+    });
+
+    // Group DM Operations
+    this.router.add("@server/create-group-dm", async (data, context) => {
+      const { view } = context;
+      const group = {
+        id: data.id,
+        title: data.title,
+        icon: data.icon,
+        createdBy: data.createdBy,
+        createdAt: context.timestamp,
+      };
+      await view.insert("@server/group_dm", group);
+      await view.insert("@server/group_dm_key", {
+        groupId: data.id,
+        epoch: 0,
+        members: data.members,
+        createdBy: data.createdBy,
+        createdAt: context.timestamp,
+      });
+      await view.flush();
+      this._record(context, "group:created", group);
+    });
+
+    this.router.add("@server/update-group-dm", async (data, context) => {
+      const { view } = context;
+      const existing = await view.get("@server/group_dm", { id: data.id });
+      if (!existing) return;
+      const merged = await this._merge(context, {
+        collection: "@server/group_dm",
+        key: data.id,
+        record: existing,
+        changes: { title: data.title, icon: data.icon ?? undefined },
       });
+      const group = { ...merged, updatedAt: context.timestamp };
+      await view.insert("@server/group_dm", group);
       await view.flush();
+      this._record(context, "group:updated", group);
+    });
+
+    const groupKeyEvents = {
+      "@server/add-group-participant": "group:participant-added",
+      "@server/remove-group-participant": "group:participant-removed",
+      "@server/rekey-group-dm": "group:rekeyed",
+    };
+    for (const [type, event] of Object.entries(groupKeyEvents)) {
+      this.router.add(type, async (data, context) => {
+        const { view } = context;
+        const groupKey = {
+          groupId: data.groupId,
+          epoch: data.epoch,
+          members: data.members,
+          participant: data.participant,
+          createdBy: data.createdBy,
+          createdAt: context.timestamp,
+        };
+        await view.insert("@server/group_dm_key", groupKey);
+        await view.flush();
+        this._record(context, event, groupKey);
+      });
+    }
+
+    this.router.add("@server/send-group-message", async (data, context) => {
+      const { view } = context;
+      const message = {
+        id: data.id,
+        groupId: data.groupId,
+        sender: data.sender,
+        keyEpoch: data.keyEpoch,
+        content: data.content,
+        sentAt: context.timestamp,
+      };
+      await view.insert("@server/group_dm_message", message);
+
+      const group = await view.get("@server/group_dm", { id: data.groupId });
+      if (group) {
+        await view.insert("@server/group_dm", {
+          ...group,
+          lastMessageAt: Math.max(group.lastMessageAt || 0, context.timestamp),
+        });
+      }
+      await view.flush();
+      this._record(context, "group-message:sent", message);
     });
 
     // Invite Operations
@@ -310,7 +708,7 @@ class SyncBaseRouter {
 
         // First check if this invite already exists
         try {
-          const existingInvite = await view.findOne("@server/invite", {
+          const existingInvite = await view.get("@server/invite", {
             id: data.id,
           });
           if (existingInvite) {
@@ -400,12 +798,14 @@ class SyncBaseRouter {
               `User ${data.userId} already exists, skipping user creation`
             );
           } else {
-            await view.insert("@server/user", {
+            const user = {
               id: data.userId,
               publicKey: data.publicKey,
-              joinedAt: data.timestamp || Date.now(),
+              joinedAt: data.timestamp || context.timestamp,
               inviteCode: data.inviteCode,
-            });
+            };
+            await view.insert("@server/user", user);
+            this._record(context, "member:joined", user);
             console.log(`Added user ${data.userId}`);
           }
 
@@ -418,13 +818,15 @@ class SyncBaseRouter {
               `Role for user ${data.userId} already exists, skipping role creation`
             );
           } else {
-            await view.insert("@server/role", {
+            const role = {
               userId: data.userId,
               role: "MEMBER",
               serverId: data.id || data.serverId,
               updatedBy: data.userId,
-              updatedAt: Date.now(),
-            });
+              updatedAt: context.timestamp,
+            };
+            await view.insert("@server/role", role);
+            this._record(context, "role:changed", role);
             console.log(`Added member role for user ${data.userId}`);
           }
 
@@ -456,17 +858,75 @@ class SyncBaseRouter {
     this.router.add("@server/revoke-invite", async (data, context) => {
       const { view } = context;
 
-      // Find the invite to revoke
-      const invite = await view.findOne("@server/invite", { code: data.code });
+      // Find the invite to revoke by its key
+      const invite = await view.get("@server/invite", { id: data.id });
 
       if (invite) {
-        // Mark invite as revoked or delete it
-        // Option 1: Delete the invite
-        await view.delete("@server/invite", { code: data.code });
+        await view.delete("@server/invite", { id: data.id });
         await view.flush();
+        this._record(context, "invite:revoked", invite);
       }
     });
   }
+
+  /**
+   * Merge an update into the record it changes, see ConflictResolver
+   * @param {Object} context - The apply context
+   * @param {Object} update - `{ collection, key, record, changes }`
+   * @returns {Promise<Object>} The merged record
+   * @private
+   */
+  async _merge(context, update) {
+    const { record, conflicts } = await this.syncBase.conflicts.merge(
+      context.view,
+      update,
+      context
+    );
+    for (const conflict of conflicts) {
+      this._record(context, "conflict:detected", conflict);
+    }
+    return record;
+  }
+
+  /**
+   * Record a domain event for the action being applied
+   * Events are delivered by SyncBase once the action is part of the view
+   * @param {Object} context - The dispatch context
+   * @param {String} type - Event type, e.g. `message:created`
+   * @param {Object} record - The record that was inserted or deleted
+   * @private
+   */
+  _record(context, type, record) {
+    if (!context.events) return;
+    context.events.push({
+      type,
+      record,
+      signer: context.signer ? b4a.toString(context.signer, "hex") : null,
+    });
+  }
+
+  /**
+   * Count a reply added to or deleted from a thread on its root message
+   * @param {Object} view - The database view
+   * @param {Object} reply - The reply message
+   * @param {Number} change - 1 for a new reply, -1 for a deleted one
+   * @private
+   */
+  async _countReply(view, reply, change) {
+    const root = await view.get("@server/message", {
+      id: reply.threadId,
+      channelId: reply.channelId,
+    });
+    if (!root) return;
+    await view.insert("@server/message", {
+      ...root,
+      replyCount: Math.max((root.replyCount || 0) + change, 0),
+      lastReplyAt:
+        change > 0
+          ? Math.max(root.lastReplyAt || 0, reply.timestamp)
+          : root.lastReplyAt,
+    });
+  }
 }
 
 module.exports = SyncBaseRouter;
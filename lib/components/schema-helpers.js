@@ -0,0 +1,23 @@
+/**
+ * Helpers for the HyperDB spec, required by the generated `spec/db/index.js`
+ *
+ * Index maps get a record of the indexed collection and return the index keys
+ * of that record, an empty list leaves the record out of the index.
+ */
+
+/**
+ * Index the replies of threads by their root and the time they were sent,
+ * the id orders replies sent at the same time
+ * @param {Object} record - A `@server/message` record
+ * @returns {Array<Object>} `[{ threadId, timestamp, id }]`, empty outside of threads
+ */
+exports.mapMessageToThread = (record) =>
+  record.threadId
+    ? [
+        {
+          threadId: record.threadId,
+          timestamp: record.timestamp,
+          id: record.id,
+        },
+      ]
+    : [];
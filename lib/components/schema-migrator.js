@@ -0,0 +1,206 @@
+const { version: SCHEMA_VERSION } = require("./spec/schema/schema.json");
+
+const META_ID = "schema";
+
+/**
+ * Migrations run when a view built with an older schema is migrated
+ *
+ * Every entry is `{ version, description, up(view) }`, where `version` is the
+ * schema version (see `spec/schema/schema.json`) the migration upgrades the
+ * view to. Hyperschema bumps that version whenever `schema.js` adds a type or
+ * a field, so a migration is only needed when existing records have to be
+ * backfilled or moved, for example filling a new field or collection from
+ * the records already in the view.
+ */
+const MIGRATIONS = [
+  {
+    version: 9,
+    description: "Record the device of writers bound before devices existed",
+    up: async (view) => {
+      // Users bound their writers with their own key back then
+      for await (const writer of view.find("@server/writer", {})) {
+        if (writer.deviceKey) continue;
+        await view.insert("@server/writer", {
+          ...writer,
+          deviceKey: writer.userId,
+        });
+      }
+    },
+  },
+];
+
+/**
+ * SchemaMigrator - Keeps the view in step with the schema of this build
+ *
+ * The view records the schema version it was last migrated to in the
+ * `@server/schema_meta` collection. Views created before versioning have no
+ * record and count as version 0.
+ *
+ * That record is part of the shared view, so it only changes through a signed
+ * `@server/migrate-schema` action naming the version to migrate to. Every peer
+ * runs the pending migrations when it applies that action, peers whose build
+ * is older park it under `schema:<version>` until they are upgraded. Opening
+ * a server with an outdated view appends the action.
+ *
+ * The version is also kept in the local registry record of the server, so a
+ * build that is too old refuses the server before its view is opened. The
+ * view itself is checked as well once it is open, before anything reads it.
+ */
+class SchemaMigrator {
+  /**
+   * Create a new SchemaMigrator instance
+   * @param {SyncBase} syncBase - The SyncBase instance
+   * @param {CryptoManager} crypto - Crypto manager instance
+   */
+  constructor(syncBase, crypto) {
+    this.syncBase = syncBase;
+    this.crypto = crypto;
+    this.version = SCHEMA_VERSION;
+    this.migrations = MIGRATIONS.slice();
+  }
+
+  /**
+   * Get the schema version the view was last migrated to
+   * @param {Object} [view] - The database view, defaults to the live view
+   * @returns {Promise<Number>} The schema version, 0 for unversioned views
+   */
+  async getViewVersion(view = this.syncBase.base.view) {
+    const meta = await view.get("@server/schema_meta", { id: META_ID });
+    return meta ? meta.version : 0;
+  }
+
+  /**
+   * Refuse servers whose view this build cannot read, called before the view opens
+   * @param {Buffer|null} key - The server key, null for new servers
+   * @returns {Promise<Number>} The schema version last recorded for the server
+   */
+  async check(key) {
+    if (!key) return 0;
+    const record = await this.syncBase.registry.get(key);
+    const version = (record && record.schema) || 0;
+    this._assertCompatible(version);
+    return version;
+  }
+
+  /**
+   * Refuse views this build cannot read, called once the view is open and
+   * before anything reads it, for servers the registry has no version of yet
+   * @returns {Promise<Number>} The schema version of the view
+   */
+  async checkView() {
+    const version = await this.getViewVersion();
+    this._assertCompatible(version);
+    return version;
+  }
+
+  /**
+   * Append a `@server/migrate-schema` action for an outdated view that already
+   * holds records
+   * @returns {Promise<Boolean>} Whether a migration was requested
+   */
+  async upgrade() {
+    const view = this.syncBase.base.view;
+    if ((await this.getViewVersion(view)) >= this.version) return false;
+    if (!(await hasRecords(view))) return false;
+
+    const action = this.crypto.createSignedAction("@server/migrate-schema", {
+      id: META_ID,
+      version: this.version,
+    });
+    await this.syncBase.outbox.append(action);
+    await this.syncBase.base.update();
+    return true;
+  }
+
+  /**
+   * Check a `@server/migrate-schema` action, called by the validator
+   * @param {Object} action - The migrate action
+   * @param {Object} view - The database view
+   * @returns {Promise<Boolean>} Whether the action moves the view forward
+   */
+  async validate(action, view) {
+    const { payload } = action;
+    if (!payload || payload.id !== META_ID) return false;
+    if (!Number.isInteger(payload.version)) return false;
+    if (payload.version > this.version) return false;
+    return payload.version > (await this.getViewVersion(view));
+  }
+
+  /**
+   * Run the migrations up to a version and record it, called from apply
+   * A failing migration is logged and skipped, it would fail on every replay
+   * @param {Object} view - The database view
+   * @param {Number} version - The schema version to migrate to
+   * @returns {Promise<Array<Number>>} The versions of the migrations that ran
+   */
+  async migrate(view, version) {
+    const from = await this.getViewVersion(view);
+    const pending = this.migrations
+      .filter((migration) => migration.version > from)
+      .filter((migration) => migration.version <= version)
+      .sort((a, b) => a.version - b.version);
+
+    const ran = [];
+    for (const migration of pending) {
+      try {
+        await migration.up(view);
+        ran.push(migration.version);
+      } catch (err) {
+        console.warn(
+          `Migration to schema version ${migration.version} failed: ${err.message}`
+        );
+      }
+    }
+
+    await view.insert("@server/schema_meta", { id: META_ID, version });
+    await view.flush();
+    return ran;
+  }
+
+  /**
+   * Release `@server/migrate-schema` actions parked for a schema version this
+   * build now supports, called at the start of every apply batch
+   * @param {Object} view - The database view
+   * @returns {Promise<Array>} The released entries `{ action, writerKey }`
+   */
+  async releaseSupported(view) {
+    const dependencies = new Set();
+    const query = {
+      gte: { dependency: "schema:" },
+      lt: { dependency: "schema;" },
+    };
+    for await (const entry of view.find("@server/pending", query)) {
+      if (Number(entry.dependency.slice(7)) > this.version) continue;
+      dependencies.add(entry.dependency);
+    }
+
+    const released = [];
+    for (const dependency of dependencies) {
+      released.push(
+        ...(await this.syncBase.resolver.release(dependency, view))
+      );
+    }
+    return released;
+  }
+
+  _assertCompatible(version) {
+    if (version > this.version) {
+      throw new Error(
+        `The view of this server was written with schema version ${version}, ` +
+          `but this build of SyncBase only supports up to version ${this.version}. ` +
+          "Update SyncBase to open this server."
+      );
+    }
+  }
+}
+
+async function hasRecords(view) {
+  for await (const record of view.find("@server/processed", {}, { limit: 1 })) {
+    if (record) return true;
+  }
+  return false;
+}
+
+SchemaMigrator.SCHEMA_VERSION = SCHEMA_VERSION;
+
+module.exports = SchemaMigrator;
@@ -1,9 +1,13 @@
 const Hyperschema = require("hyperschema");
 const HyperdbBuilder = require("hyperdb/builder");
 const Hyperdispatch = require("hyperdispatch");
+const path = require("path");
+
+// Generated code lives next to the components that require it
+const SPEC_DIR = path.join(__dirname, "spec");
 
 // SCHEMA CREATION
-const serverSchema = Hyperschema.from("./spec/schema");
+const serverSchema = Hyperschema.from(path.join(SPEC_DIR, "schema"));
 const template = serverSchema.namespace("server");
 
 // Register schemas for different entity types
@@ -83,6 +87,11 @@ template.register({
       type: "int",
       required: false,
     },
+    {
+      name: "private",
+      type: "bool",
+      required: false,
+    },
   ],
 });
 
@@ -135,6 +144,31 @@ template.register({
       type: "string",
       required: false,
     },
+    {
+      name: "keyEpoch",
+      type: "uint",
+      required: false,
+    },
+    {
+      name: "replyTo",
+      type: "string",
+      required: false,
+    },
+    {
+      name: "threadId",
+      type: "string",
+      required: false,
+    },
+    {
+      name: "replyCount",
+      type: "uint",
+      required: false,
+    },
+    {
+      name: "lastReplyAt",
+      type: "int",
+      required: false,
+    },
   ],
 });
 
@@ -249,69 +283,1073 @@ template.register({
   ],
 });
 
-// Write schema definitions to disk
-Hyperschema.toDisk(serverSchema);
-
-// DATABASE BUILDER
-const dbTemplate = HyperdbBuilder.from("./spec/schema", "./spec/db");
-const serverDB = dbTemplate.namespace("server");
-
-// Register collections for the database
-serverDB.collections.register({
-  name: "server",
-  schema: "@server/server",
-  key: ["id"],
-});
-
-serverDB.collections.register({
-  name: "channel",
-  schema: "@server/channel",
-  key: ["channelId"],
+// Actions whose prerequisites have not been applied yet
+template.register({
+  name: "pending",
+  compact: false,
+  fields: [
+    {
+      name: "id",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "dependency",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "type",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "action",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "writerKey",
+      type: "string",
+      required: false,
+    },
+  ],
 });
 
-serverDB.collections.register({
-  name: "message",
-  schema: "@server/message",
-  key: ["id", "channelId"],
+// Actions that have been applied to the view, used for deduplication
+template.register({
+  name: "processed",
+  compact: false,
+  fields: [
+    {
+      name: "id",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "type",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "signer",
+      type: "string",
+      required: false,
+    },
+  ],
 });
 
-serverDB.collections.register({
-  name: "user",
-  schema: "@server/user",
-  key: ["id", "publicKey"],
+// Locally queued actions, stored outside of the view
+template.register({
+  name: "outbox",
+  compact: false,
+  fields: [
+    {
+      name: "seq",
+      type: "uint",
+      required: true,
+    },
+    {
+      name: "id",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "type",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "action",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "status",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "error",
+      type: "string",
+      required: false,
+    },
+    {
+      name: "createdAt",
+      type: "int",
+      required: true,
+    },
+    {
+      name: "updatedAt",
+      type: "int",
+      required: false,
+    },
+  ],
 });
 
-serverDB.collections.register({
-  name: "role",
-  schema: "@server/role",
-  key: ["userId"],
+// Servers this device created or joined, stored outside of any view
+template.register({
+  name: "local_server",
+  compact: false,
+  fields: [
+    {
+      name: "key",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "encryptionKey",
+      type: "string",
+      required: false,
+    },
+    {
+      name: "namespace",
+      type: "string",
+      required: false,
+    },
+    {
+      name: "name",
+      type: "string",
+      required: false,
+    },
+    {
+      name: "identity",
+      type: "string",
+      required: false,
+    },
+    {
+      name: "joinedAt",
+      type: "int",
+      required: true,
+    },
+    {
+      name: "schema",
+      type: "uint",
+      required: false,
+    },
+  ],
 });
 
-serverDB.collections.register({
-  name: "invite",
-  schema: "@server/invite",
-  key: ["id"],
+// Schema version the view was last migrated to, written from apply
+template.register({
+  name: "schema_meta",
+  compact: false,
+  fields: [
+    {
+      name: "id",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "version",
+      type: "uint",
+      required: true,
+    },
+  ],
 });
 
-// Write database structure to disk
-HyperdbBuilder.toDisk(dbTemplate);
-
-// DISPATCH BUILDER
-const hyperdispatch = Hyperdispatch.from(
-  "./spec/schema",
-  "./spec/hyperdispatch"
-);
-const namespace = hyperdispatch.namespace("server");
-
-// Register dispatch actions
-namespace.register({
-  name: "create-server",
-  requestType: "@server/server",
+// Clock of the last update of every field of a record, used to merge updates
+template.register({
+  name: "revision",
+  compact: false,
+  fields: [
+    {
+      name: "collection",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "key",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "fields",
+      type: "string",
+      required: true,
+    },
+  ],
 });
 
-namespace.register({
-  name: "update-server",
-  requestType: "@server/server",
+// Concurrent updates that competed for the same fields of a record
+template.register({
+  name: "conflict",
+  compact: false,
+  fields: [
+    {
+      name: "collection",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "key",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "id",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "fields",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "winner",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "loser",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "values",
+      type: "string",
+      required: false,
+    },
+    {
+      name: "timestamp",
+      type: "int",
+      required: true,
+    },
+    {
+      name: "resolved",
+      type: "bool",
+      required: true,
+    },
+  ],
+});
+
+// Writer cores a user appends actions from
+template.register({
+  name: "writer",
+  compact: false,
+  fields: [
+    {
+      name: "writerKey",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "userId",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "addedAt",
+      type: "uint",
+      required: true,
+    },
+    {
+      name: "deviceKey",
+      type: "string",
+      required: false,
+    },
+  ],
+});
+
+// Device keys linked to a user, they act as that user
+template.register({
+  name: "device",
+  compact: false,
+  fields: [
+    {
+      name: "deviceKey",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "userId",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "name",
+      type: "string",
+      required: false,
+    },
+    {
+      name: "addedAt",
+      type: "uint",
+      required: true,
+    },
+    {
+      name: "addedBy",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "revokedAt",
+      type: "uint",
+      required: false,
+    },
+  ],
+});
+
+// Identity keys a user signed with, a rotation retires the previous key
+template.register({
+  name: "identity",
+  compact: false,
+  fields: [
+    {
+      name: "key",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "userId",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "previousKey",
+      type: "string",
+      required: false,
+    },
+    {
+      name: "nextKey",
+      type: "string",
+      required: false,
+    },
+    {
+      name: "proof",
+      type: "string",
+      required: false,
+    },
+    {
+      name: "addedAt",
+      type: "uint",
+      required: true,
+    },
+    {
+      name: "retiredAt",
+      type: "uint",
+      required: false,
+    },
+  ],
+});
+
+// Guardians holding encrypted shares of a user's identity seed
+template.register({
+  name: "recovery",
+  compact: false,
+  fields: [
+    {
+      name: "userId",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "key",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "threshold",
+      type: "uint",
+      required: true,
+    },
+    {
+      name: "guardians",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "createdAt",
+      type: "uint",
+      required: true,
+    },
+  ],
+});
+
+// Request of a new device to get the shares of a user's identity seed
+template.register({
+  name: "recovery_request",
+  compact: false,
+  fields: [
+    {
+      name: "id",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "userId",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "requesterKey",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "createdAt",
+      type: "uint",
+      required: true,
+    },
+  ],
+});
+
+// Share of a guardian, encrypted to the device that requested it
+template.register({
+  name: "recovery_approval",
+  compact: false,
+  fields: [
+    {
+      name: "requestId",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "guardianId",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "share",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "approvedAt",
+      type: "uint",
+      required: true,
+    },
+  ],
+});
+
+// Direct message between two members, readable only by the two of them
+template.register({
+  name: "direct_message",
+  compact: false,
+  fields: [
+    {
+      name: "id",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "conversationId",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "sender",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "recipient",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "senderKey",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "recipientKey",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "nonce",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "ciphertext",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "sentAt",
+      type: "uint",
+      required: true,
+    },
+    {
+      name: "keys",
+      type: "string",
+      required: false,
+    },
+  ],
+});
+
+// Conversation of two members, kept so it can be listed without reading messages
+template.register({
+  name: "direct_conversation",
+  compact: false,
+  fields: [
+    {
+      name: "id",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "userA",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "userB",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "createdAt",
+      type: "uint",
+      required: true,
+    },
+    {
+      name: "lastMessageAt",
+      type: "uint",
+      required: true,
+    },
+  ],
+});
+
+// Key of a private channel, sealed to every key of its members
+template.register({
+  name: "channel_key",
+  compact: false,
+  fields: [
+    {
+      name: "channelId",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "epoch",
+      type: "uint",
+      required: true,
+    },
+    {
+      name: "members",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "createdBy",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "createdAt",
+      type: "uint",
+      required: true,
+    },
+  ],
+});
+
+// Group DM of a few members, its participants are the members of its current key
+template.register({
+  name: "group_dm",
+  compact: false,
+  fields: [
+    {
+      name: "id",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "title",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "icon",
+      type: "string",
+      required: false,
+    },
+    {
+      name: "createdBy",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "createdAt",
+      type: "uint",
+      required: true,
+    },
+    {
+      name: "updatedAt",
+      type: "uint",
+      required: false,
+    },
+    {
+      name: "lastMessageAt",
+      type: "uint",
+      required: false,
+    },
+  ],
+});
+
+// Key of a group DM for one epoch, sealed to every key of its participants
+template.register({
+  name: "group_dm_key",
+  compact: false,
+  fields: [
+    {
+      name: "groupId",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "epoch",
+      type: "uint",
+      required: true,
+    },
+    {
+      name: "members",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "participant",
+      type: "string",
+      required: false,
+    },
+    {
+      name: "createdBy",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "createdAt",
+      type: "uint",
+      required: true,
+    },
+  ],
+});
+
+// Creation of a group DM together with its first key
+template.register({
+  name: "group_dm_create",
+  compact: false,
+  fields: [
+    {
+      name: "id",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "title",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "icon",
+      type: "string",
+      required: false,
+    },
+    {
+      name: "members",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "createdBy",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "createdAt",
+      type: "uint",
+      required: true,
+    },
+  ],
+});
+
+// Message of a group DM, encrypted with the key of an epoch
+template.register({
+  name: "group_dm_message",
+  compact: false,
+  fields: [
+    {
+      name: "id",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "groupId",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "sender",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "keyEpoch",
+      type: "uint",
+      required: true,
+    },
+    {
+      name: "content",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "sentAt",
+      type: "uint",
+      required: true,
+    },
+  ],
+});
+
+template.register({
+  name: "thread",
+  compact: false,
+  fields: [
+    {
+      name: "rootId",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "channelId",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "title",
+      type: "string",
+      required: false,
+    },
+    {
+      name: "createdBy",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "createdAt",
+      type: "int",
+      required: true,
+    },
+  ],
+});
+
+// Archive imported into the server by the writer that replays it
+template.register({
+  name: "import",
+  compact: false,
+  fields: [
+    {
+      name: "writerKey",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "importer",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "source",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "count",
+      type: "uint",
+      required: true,
+    },
+    {
+      name: "imported",
+      type: "uint",
+      required: false,
+    },
+    {
+      name: "startedAt",
+      type: "uint",
+      required: true,
+    },
+  ],
+});
+
+// Records an owner puts into or deletes from the view to repair it, see ViewAuditor
+template.register({
+  name: "repair",
+  compact: false,
+  fields: [
+    {
+      name: "id",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "changes",
+      type: "string",
+      required: true,
+    },
+  ],
+});
+
+// Ban of a user from the server, or from one channel when channelId is set
+template.register({
+  name: "ban",
+  compact: false,
+  fields: [
+    {
+      name: "userId",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "channelId",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "reason",
+      type: "string",
+      required: false,
+    },
+    {
+      name: "bannedBy",
+      type: "string",
+      required: true,
+    },
+    {
+      name: "bannedAt",
+      type: "uint",
+      required: true,
+    },
+  ],
+});
+
+// Write schema definitions to disk
+Hyperschema.toDisk(serverSchema);
+
+// DATABASE BUILDER
+const dbTemplate = HyperdbBuilder.from(
+  path.join(SPEC_DIR, "schema"),
+  path.join(SPEC_DIR, "db")
+);
+const serverDB = dbTemplate.namespace("server");
+
+// Index key maps, see schema-helpers.js
+serverDB.require(path.join(__dirname, "schema-helpers.js"));
+
+// Register collections for the database
+serverDB.collections.register({
+  name: "server",
+  schema: "@server/server",
+  key: ["id"],
+});
+
+serverDB.collections.register({
+  name: "channel",
+  schema: "@server/channel",
+  key: ["channelId"],
+});
+
+serverDB.collections.register({
+  name: "message",
+  schema: "@server/message",
+  key: ["id", "channelId"],
+});
+
+serverDB.collections.register({
+  name: "user",
+  schema: "@server/user",
+  key: ["id", "publicKey"],
+});
+
+serverDB.collections.register({
+  name: "role",
+  schema: "@server/role",
+  key: ["userId"],
+});
+
+serverDB.collections.register({
+  name: "invite",
+  schema: "@server/invite",
+  key: ["id"],
+});
+
+serverDB.collections.register({
+  name: "pending",
+  schema: "@server/pending",
+  key: ["dependency", "id"],
+});
+
+serverDB.collections.register({
+  name: "processed",
+  schema: "@server/processed",
+  key: ["id"],
+});
+
+serverDB.collections.register({
+  name: "outbox",
+  schema: "@server/outbox",
+  key: ["seq"],
+});
+
+serverDB.collections.register({
+  name: "local_server",
+  schema: "@server/local_server",
+  key: ["key"],
+});
+
+serverDB.collections.register({
+  name: "schema_meta",
+  schema: "@server/schema_meta",
+  key: ["id"],
+});
+
+serverDB.collections.register({
+  name: "revision",
+  schema: "@server/revision",
+  key: ["collection", "key"],
+});
+
+serverDB.collections.register({
+  name: "conflict",
+  schema: "@server/conflict",
+  key: ["collection", "key", "id"],
+});
+
+serverDB.collections.register({
+  name: "writer",
+  schema: "@server/writer",
+  key: ["writerKey"],
+});
+
+serverDB.collections.register({
+  name: "device",
+  schema: "@server/device",
+  key: ["deviceKey"],
+});
+
+serverDB.collections.register({
+  name: "identity",
+  schema: "@server/identity",
+  key: ["key"],
+});
+
+serverDB.collections.register({
+  name: "recovery",
+  schema: "@server/recovery",
+  key: ["userId"],
+});
+
+serverDB.collections.register({
+  name: "recovery_request",
+  schema: "@server/recovery_request",
+  key: ["id"],
+});
+
+serverDB.collections.register({
+  name: "recovery_approval",
+  schema: "@server/recovery_approval",
+  key: ["requestId", "guardianId"],
+});
+
+serverDB.collections.register({
+  name: "direct_message",
+  schema: "@server/direct_message",
+  key: ["conversationId", "id"],
+});
+
+serverDB.collections.register({
+  name: "direct_conversation",
+  schema: "@server/direct_conversation",
+  key: ["id"],
+});
+
+serverDB.collections.register({
+  name: "channel_key",
+  schema: "@server/channel_key",
+  key: ["channelId", "epoch"],
+});
+
+serverDB.collections.register({
+  name: "group_dm",
+  schema: "@server/group_dm",
+  key: ["id"],
+});
+
+serverDB.collections.register({
+  name: "group_dm_key",
+  schema: "@server/group_dm_key",
+  key: ["groupId", "epoch"],
+});
+
+serverDB.collections.register({
+  name: "group_dm_message",
+  schema: "@server/group_dm_message",
+  key: ["groupId", "id"],
+});
+
+serverDB.collections.register({
+  name: "thread",
+  schema: "@server/thread",
+  key: ["rootId"],
+});
+
+// Replies of a thread in the order they were sent
+serverDB.indexes.register({
+  name: "messages-by-thread",
+  collection: "@server/message",
+  key: {
+    type: {
+      fields: [
+        {
+          name: "threadId",
+          type: "string",
+        },
+        {
+          name: "timestamp",
+          type: "uint",
+        },
+        {
+          name: "id",
+          type: "string",
+        },
+      ],
+    },
+    map: "mapMessageToThread",
+  },
+});
+
+serverDB.collections.register({
+  name: "import",
+  schema: "@server/import",
+  key: ["writerKey"],
+});
+
+serverDB.collections.register({
+  name: "ban",
+  schema: "@server/ban",
+  key: ["userId", "channelId"],
+});
+
+// Write database structure to disk
+HyperdbBuilder.toDisk(dbTemplate);
+
+// DISPATCH BUILDER
+const hyperdispatch = Hyperdispatch.from(
+  path.join(SPEC_DIR, "schema"),
+  path.join(SPEC_DIR, "hyperdispatch")
+);
+const namespace = hyperdispatch.namespace("server");
+
+// Register dispatch actions
+namespace.register({
+  name: "create-server",
+  requestType: "@server/server",
+});
+
+namespace.register({
+  name: "update-server",
+  requestType: "@server/server",
 });
 
 namespace.register({
@@ -369,6 +1407,111 @@ namespace.register({
   requestType: "@server/invite",
 });
 
+namespace.register({
+  name: "bind-writer",
+  requestType: "@server/writer",
+});
+
+namespace.register({
+  name: "link-device",
+  requestType: "@server/device",
+});
+
+namespace.register({
+  name: "revoke-device",
+  requestType: "@server/device",
+});
+
+namespace.register({
+  name: "rotate-identity",
+  requestType: "@server/identity",
+});
+
+namespace.register({
+  name: "setup-recovery",
+  requestType: "@server/recovery",
+});
+
+namespace.register({
+  name: "request-recovery",
+  requestType: "@server/recovery_request",
+});
+
+namespace.register({
+  name: "approve-recovery",
+  requestType: "@server/recovery_approval",
+});
+
+namespace.register({
+  name: "send-direct-message",
+  requestType: "@server/direct_message",
+});
+
+namespace.register({
+  name: "rekey-channel",
+  requestType: "@server/channel_key",
+});
+
+namespace.register({
+  name: "create-group-dm",
+  requestType: "@server/group_dm_create",
+});
+
+namespace.register({
+  name: "update-group-dm",
+  requestType: "@server/group_dm",
+});
+
+namespace.register({
+  name: "add-group-participant",
+  requestType: "@server/group_dm_key",
+});
+
+namespace.register({
+  name: "remove-group-participant",
+  requestType: "@server/group_dm_key",
+});
+
+namespace.register({
+  name: "rekey-group-dm",
+  requestType: "@server/group_dm_key",
+});
+
+namespace.register({
+  name: "send-group-message",
+  requestType: "@server/group_dm_message",
+});
+
+namespace.register({
+  name: "create-thread",
+  requestType: "@server/thread",
+});
+
+namespace.register({
+  name: "import-archive",
+  requestType: "@server/import",
+});
+
+namespace.register({
+  name: "repair-view",
+  requestType: "@server/repair",
+});
+
+namespace.register({
+  name: "migrate-schema",
+  requestType: "@server/schema_meta",
+});
+
+namespace.register({
+  name: "ban-user",
+  requestType: "@server/ban",
+});
+
+namespace.register({
+  name: "unban-user",
+  requestType: "@server/ban",
+});
+
 // Write dispatch structure to disk
 Hyperdispatch.toDisk(hyperdispatch);
 
@@ -57,11 +57,11 @@ class ServerInitializer {
           id: serverId,
           name,
           description,
-          createdAt: Date.now(),
+          createdAt: this.syncBase.crypto.now(),
           avatar: null,
         }
       );
-      await this.syncBase.base.append(serverInitAction, { optimistic: true });
+      await this.syncBase.outbox.append(serverInitAction);
 
       // Create default general channel
       const generalChannelCreated = await this.syncBase.channels.createChannel({
@@ -70,6 +70,10 @@ class ServerInitializer {
         type: "TEXT",
       });
       this.initialized = true;
+
+      // The new view starts out at the schema version of this build
+      await this.syncBase.migrator.upgrade();
+
       // Retrieve and return server info
       const serverInfo = await this.getServerInfo();
       return serverInfo;
@@ -133,10 +137,10 @@ class ServerInitializer {
       if (!serverInfo) return false;
 
       // Get current user ID
-      const currentUserId = b4a.toString(this.syncBase.crypto.publicKey, "hex");
+      const currentUserId = this.syncBase.userId;
 
       // Check if user has OWNER or ADMIN role
-      const userRole = await this.syncBase.base.view.findOne("@server/role", {
+      const userRole = await this.syncBase.base.view.get("@server/role", {
         userId: currentUserId,
       });
 
@@ -177,6 +181,12 @@ class ServerInitializer {
         );
       }
 
+      // Only the fields passed in are changed, concurrent updates of other
+      // fields are kept
+      const changed = [];
+      if (name) changed.push("name");
+      if (description !== undefined) changed.push("description");
+
       // Prepare updated info
       const updatedInfo = {
         id: serverInfo.id,
@@ -185,13 +195,18 @@ class ServerInitializer {
           description !== undefined ? description : serverInfo.description,
         createdBy: serverInfo.createdBy,
         createdAt: serverInfo.createdAt,
+        parents: await this.syncBase.conflicts.getParents(
+          "@server/server",
+          serverInfo.id,
+          changed
+        ),
       };
 
       const updateAction = this.syncBase.crypto.createSignedAction(
         "@server/update-server",
         updatedInfo
       );
-      await this.syncBase.base.append(updateAction, { optimistic: true });
+      await this.syncBase.outbox.append(updateAction);
       return { ...serverInfo, ...updatedInfo };
     } catch (err) {
       console.error("Error updating server:", err.message);
@@ -0,0 +1,118 @@
+const HyperDB = require("hyperdb");
+const b4a = require("b4a");
+const db = require("./spec/db");
+
+/**
+ * ServerRegistry - Local record of the servers this device takes part in
+ *
+ * Kept in a local HyperDB on the root Corestore, outside of any server's
+ * view, so the list survives restarts and is readable before any server is
+ * opened. Every record holds what is needed to open the server again without
+ * the pairer:
+ * - `key` / `encryptionKey` - hex encoded Autobase keys
+ * - `namespace` - the Corestore namespace holding the server's cores
+ * - `name` - the server name, as last seen
+ * - `identity` - hex encoded public key we sign with on this server
+ * - `schema` - the schema version of the view, refused by older builds
+ */
+class ServerRegistry {
+  /**
+   * Create a new ServerRegistry instance
+   * @param {Object} store - The root corestore
+   * @param {Object} [options] - Registry options
+   * @param {String} [options.name="syncbase-servers"] - Name of the registry core
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.name = options.name || "syncbase-servers";
+    this.db = null;
+  }
+
+  /**
+   * Open the registry
+   * @returns {Promise<void>}
+   */
+  async init() {
+    if (this.db) return;
+
+    const core = this.store.get({ name: this.name });
+    this.db = HyperDB.bee(core, db, { extension: false, autoUpdate: true });
+    await this.db.ready();
+  }
+
+  /**
+   * Close the registry
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.db) await this.db.close();
+    this.db = null;
+  }
+
+  /**
+   * Get the record of a server
+   * @param {Buffer|String} key - The server key
+   * @returns {Promise<Object|null>} The record
+   */
+  async get(key) {
+    return this.db.get("@server/local_server", { key: toHex(key) });
+  }
+
+  /**
+   * List every known server, oldest first
+   * @returns {Promise<Array>} The records
+   */
+  async list() {
+    const servers = [];
+    for await (const server of this.db.find("@server/local_server", {})) {
+      servers.push(server);
+    }
+    return servers.sort((a, b) => a.joinedAt - b.joinedAt);
+  }
+
+  /**
+   * Add or update the record of a server, fields left out are kept
+   * @param {Object} record - The record, `key` is required
+   * @returns {Promise<Object>} The stored record
+   */
+  async save(record) {
+    const key = toHex(record.key);
+    const existing = await this.get(key);
+
+    const server = {
+      key,
+      encryptionKey: record.encryptionKey
+        ? toHex(record.encryptionKey)
+        : existing?.encryptionKey,
+      namespace: record.namespace || existing?.namespace,
+      name: record.name || existing?.name,
+      identity: record.identity ? toHex(record.identity) : existing?.identity,
+      joinedAt: existing?.joinedAt || record.joinedAt || Date.now(),
+      schema: record.schema || existing?.schema,
+    };
+
+    await this.db.insert("@server/local_server", server);
+    await this.db.flush();
+    return server;
+  }
+
+  /**
+   * Forget a server
+   * @param {Buffer|String} key - The server key
+   * @returns {Promise<Boolean>} True if the server was known
+   */
+  async remove(key) {
+    const existing = await this.get(key);
+    if (!existing) return false;
+
+    await this.db.delete("@server/local_server", { key: existing.key });
+    await this.db.flush();
+    return true;
+  }
+}
+
+function toHex(key) {
+  return typeof key === "string" ? key : b4a.toString(key, "hex");
+}
+
+module.exports = ServerRegistry;
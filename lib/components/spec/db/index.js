@@ -4,6 +4,8 @@
 const { IndexEncoder, c } = require('hyperdb/runtime')
 const { version, getEncoding, setVersion } = require('./messages.js')
 
+const helpers0 = require('../../schema-helpers.js')
+
 // '@server/server' collection key
 const collection0_key = new IndexEncoder([
   IndexEncoder.STRING
@@ -358,16 +360,1425 @@ const collection5 = {
   indexes: []
 }
 
+// '@server/pending' collection key
+const collection6_key = new IndexEncoder([
+  IndexEncoder.STRING,
+  IndexEncoder.STRING
+], { prefix: 6 })
+
+function collection6_indexify (record) {
+  const arr = []
+
+  const a0 = record.dependency
+  if (a0 === undefined) return arr
+  arr.push(a0)
+
+  const a1 = record.id
+  if (a1 === undefined) return arr
+  arr.push(a1)
+
+  return arr
+}
+
+// '@server/pending' value encoding
+const collection6_enc = getEncoding('@server/pending/hyperdb#6')
+
+// '@server/pending' reconstruction function
+function collection6_reconstruct (version, keyBuf, valueBuf) {
+  const key = collection6_key.decode(keyBuf)
+  setVersion(version)
+  const record = c.decode(collection6_enc, valueBuf)
+  record.dependency = key[0]
+  record.id = key[1]
+  return record
+}
+// '@server/pending' key reconstruction function
+function collection6_reconstruct_key (keyBuf) {
+  const key = collection6_key.decode(keyBuf)
+  return {
+    dependency: key[0],
+    id: key[1]
+  }
+}
+
+// '@server/pending'
+const collection6 = {
+  name: '@server/pending',
+  id: 6,
+  encodeKey (record) {
+    const key = [record.dependency, record.id]
+    return collection6_key.encode(key)
+  },
+  encodeKeyRange ({ gt, lt, gte, lte } = {}) {
+    return collection6_key.encodeRange({
+      gt: gt ? collection6_indexify(gt) : null,
+      lt: lt ? collection6_indexify(lt) : null,
+      gte: gte ? collection6_indexify(gte) : null,
+      lte: lte ? collection6_indexify(lte) : null
+    })
+  },
+  encodeValue (version, record) {
+    setVersion(version)
+    return c.encode(collection6_enc, record)
+  },
+  trigger: null,
+  reconstruct: collection6_reconstruct,
+  reconstructKey: collection6_reconstruct_key,
+  indexes: []
+}
+
+// '@server/processed' collection key
+const collection7_key = new IndexEncoder([
+  IndexEncoder.STRING
+], { prefix: 7 })
+
+function collection7_indexify (record) {
+  const a = record.id
+  return a === undefined ? [] : [a]
+}
+
+// '@server/processed' value encoding
+const collection7_enc = getEncoding('@server/processed/hyperdb#7')
+
+// '@server/processed' reconstruction function
+function collection7_reconstruct (version, keyBuf, valueBuf) {
+  const key = collection7_key.decode(keyBuf)
+  setVersion(version)
+  const record = c.decode(collection7_enc, valueBuf)
+  record.id = key[0]
+  return record
+}
+// '@server/processed' key reconstruction function
+function collection7_reconstruct_key (keyBuf) {
+  const key = collection7_key.decode(keyBuf)
+  return {
+    id: key[0]
+  }
+}
+
+// '@server/processed'
+const collection7 = {
+  name: '@server/processed',
+  id: 7,
+  encodeKey (record) {
+    const key = [record.id]
+    return collection7_key.encode(key)
+  },
+  encodeKeyRange ({ gt, lt, gte, lte } = {}) {
+    return collection7_key.encodeRange({
+      gt: gt ? collection7_indexify(gt) : null,
+      lt: lt ? collection7_indexify(lt) : null,
+      gte: gte ? collection7_indexify(gte) : null,
+      lte: lte ? collection7_indexify(lte) : null
+    })
+  },
+  encodeValue (version, record) {
+    setVersion(version)
+    return c.encode(collection7_enc, record)
+  },
+  trigger: null,
+  reconstruct: collection7_reconstruct,
+  reconstructKey: collection7_reconstruct_key,
+  indexes: []
+}
+
+// '@server/outbox' collection key
+const collection8_key = new IndexEncoder([
+  IndexEncoder.UINT
+], { prefix: 8 })
+
+function collection8_indexify (record) {
+  const a = record.seq
+  return a === undefined ? [] : [a]
+}
+
+// '@server/outbox' value encoding
+const collection8_enc = getEncoding('@server/outbox/hyperdb#8')
+
+// '@server/outbox' reconstruction function
+function collection8_reconstruct (version, keyBuf, valueBuf) {
+  const key = collection8_key.decode(keyBuf)
+  setVersion(version)
+  const record = c.decode(collection8_enc, valueBuf)
+  record.seq = key[0]
+  return record
+}
+// '@server/outbox' key reconstruction function
+function collection8_reconstruct_key (keyBuf) {
+  const key = collection8_key.decode(keyBuf)
+  return {
+    seq: key[0]
+  }
+}
+
+// '@server/outbox'
+const collection8 = {
+  name: '@server/outbox',
+  id: 8,
+  encodeKey (record) {
+    const key = [record.seq]
+    return collection8_key.encode(key)
+  },
+  encodeKeyRange ({ gt, lt, gte, lte } = {}) {
+    return collection8_key.encodeRange({
+      gt: gt ? collection8_indexify(gt) : null,
+      lt: lt ? collection8_indexify(lt) : null,
+      gte: gte ? collection8_indexify(gte) : null,
+      lte: lte ? collection8_indexify(lte) : null
+    })
+  },
+  encodeValue (version, record) {
+    setVersion(version)
+    return c.encode(collection8_enc, record)
+  },
+  trigger: null,
+  reconstruct: collection8_reconstruct,
+  reconstructKey: collection8_reconstruct_key,
+  indexes: []
+}
+
+// '@server/local_server' collection key
+const collection9_key = new IndexEncoder([
+  IndexEncoder.STRING
+], { prefix: 9 })
+
+function collection9_indexify (record) {
+  const a = record.key
+  return a === undefined ? [] : [a]
+}
+
+// '@server/local_server' value encoding
+const collection9_enc = getEncoding('@server/local_server/hyperdb#9')
+
+// '@server/local_server' reconstruction function
+function collection9_reconstruct (version, keyBuf, valueBuf) {
+  const key = collection9_key.decode(keyBuf)
+  setVersion(version)
+  const record = c.decode(collection9_enc, valueBuf)
+  record.key = key[0]
+  return record
+}
+// '@server/local_server' key reconstruction function
+function collection9_reconstruct_key (keyBuf) {
+  const key = collection9_key.decode(keyBuf)
+  return {
+    key: key[0]
+  }
+}
+
+// '@server/local_server'
+const collection9 = {
+  name: '@server/local_server',
+  id: 9,
+  encodeKey (record) {
+    const key = [record.key]
+    return collection9_key.encode(key)
+  },
+  encodeKeyRange ({ gt, lt, gte, lte } = {}) {
+    return collection9_key.encodeRange({
+      gt: gt ? collection9_indexify(gt) : null,
+      lt: lt ? collection9_indexify(lt) : null,
+      gte: gte ? collection9_indexify(gte) : null,
+      lte: lte ? collection9_indexify(lte) : null
+    })
+  },
+  encodeValue (version, record) {
+    setVersion(version)
+    return c.encode(collection9_enc, record)
+  },
+  trigger: null,
+  reconstruct: collection9_reconstruct,
+  reconstructKey: collection9_reconstruct_key,
+  indexes: []
+}
+
+// '@server/schema_meta' collection key
+const collection10_key = new IndexEncoder([
+  IndexEncoder.STRING
+], { prefix: 10 })
+
+function collection10_indexify (record) {
+  const a = record.id
+  return a === undefined ? [] : [a]
+}
+
+// '@server/schema_meta' value encoding
+const collection10_enc = getEncoding('@server/schema_meta/hyperdb#10')
+
+// '@server/schema_meta' reconstruction function
+function collection10_reconstruct (version, keyBuf, valueBuf) {
+  const key = collection10_key.decode(keyBuf)
+  setVersion(version)
+  const record = c.decode(collection10_enc, valueBuf)
+  record.id = key[0]
+  return record
+}
+// '@server/schema_meta' key reconstruction function
+function collection10_reconstruct_key (keyBuf) {
+  const key = collection10_key.decode(keyBuf)
+  return {
+    id: key[0]
+  }
+}
+
+// '@server/schema_meta'
+const collection10 = {
+  name: '@server/schema_meta',
+  id: 10,
+  encodeKey (record) {
+    const key = [record.id]
+    return collection10_key.encode(key)
+  },
+  encodeKeyRange ({ gt, lt, gte, lte } = {}) {
+    return collection10_key.encodeRange({
+      gt: gt ? collection10_indexify(gt) : null,
+      lt: lt ? collection10_indexify(lt) : null,
+      gte: gte ? collection10_indexify(gte) : null,
+      lte: lte ? collection10_indexify(lte) : null
+    })
+  },
+  encodeValue (version, record) {
+    setVersion(version)
+    return c.encode(collection10_enc, record)
+  },
+  trigger: null,
+  reconstruct: collection10_reconstruct,
+  reconstructKey: collection10_reconstruct_key,
+  indexes: []
+}
+
+// '@server/revision' collection key
+const collection11_key = new IndexEncoder([
+  IndexEncoder.STRING,
+  IndexEncoder.STRING
+], { prefix: 11 })
+
+function collection11_indexify (record) {
+  const arr = []
+
+  const a0 = record.collection
+  if (a0 === undefined) return arr
+  arr.push(a0)
+
+  const a1 = record.key
+  if (a1 === undefined) return arr
+  arr.push(a1)
+
+  return arr
+}
+
+// '@server/revision' value encoding
+const collection11_enc = getEncoding('@server/revision/hyperdb#11')
+
+// '@server/revision' reconstruction function
+function collection11_reconstruct (version, keyBuf, valueBuf) {
+  const key = collection11_key.decode(keyBuf)
+  setVersion(version)
+  const record = c.decode(collection11_enc, valueBuf)
+  record.collection = key[0]
+  record.key = key[1]
+  return record
+}
+// '@server/revision' key reconstruction function
+function collection11_reconstruct_key (keyBuf) {
+  const key = collection11_key.decode(keyBuf)
+  return {
+    collection: key[0],
+    key: key[1]
+  }
+}
+
+// '@server/revision'
+const collection11 = {
+  name: '@server/revision',
+  id: 11,
+  encodeKey (record) {
+    const key = [record.collection, record.key]
+    return collection11_key.encode(key)
+  },
+  encodeKeyRange ({ gt, lt, gte, lte } = {}) {
+    return collection11_key.encodeRange({
+      gt: gt ? collection11_indexify(gt) : null,
+      lt: lt ? collection11_indexify(lt) : null,
+      gte: gte ? collection11_indexify(gte) : null,
+      lte: lte ? collection11_indexify(lte) : null
+    })
+  },
+  encodeValue (version, record) {
+    setVersion(version)
+    return c.encode(collection11_enc, record)
+  },
+  trigger: null,
+  reconstruct: collection11_reconstruct,
+  reconstructKey: collection11_reconstruct_key,
+  indexes: []
+}
+
+// '@server/conflict' collection key
+const collection12_key = new IndexEncoder([
+  IndexEncoder.STRING,
+  IndexEncoder.STRING,
+  IndexEncoder.STRING
+], { prefix: 12 })
+
+function collection12_indexify (record) {
+  const arr = []
+
+  const a0 = record.collection
+  if (a0 === undefined) return arr
+  arr.push(a0)
+
+  const a1 = record.key
+  if (a1 === undefined) return arr
+  arr.push(a1)
+
+  const a2 = record.id
+  if (a2 === undefined) return arr
+  arr.push(a2)
+
+  return arr
+}
+
+// '@server/conflict' value encoding
+const collection12_enc = getEncoding('@server/conflict/hyperdb#12')
+
+// '@server/conflict' reconstruction function
+function collection12_reconstruct (version, keyBuf, valueBuf) {
+  const key = collection12_key.decode(keyBuf)
+  setVersion(version)
+  const record = c.decode(collection12_enc, valueBuf)
+  record.collection = key[0]
+  record.key = key[1]
+  record.id = key[2]
+  return record
+}
+// '@server/conflict' key reconstruction function
+function collection12_reconstruct_key (keyBuf) {
+  const key = collection12_key.decode(keyBuf)
+  return {
+    collection: key[0],
+    key: key[1],
+    id: key[2]
+  }
+}
+
+// '@server/conflict'
+const collection12 = {
+  name: '@server/conflict',
+  id: 12,
+  encodeKey (record) {
+    const key = [record.collection, record.key, record.id]
+    return collection12_key.encode(key)
+  },
+  encodeKeyRange ({ gt, lt, gte, lte } = {}) {
+    return collection12_key.encodeRange({
+      gt: gt ? collection12_indexify(gt) : null,
+      lt: lt ? collection12_indexify(lt) : null,
+      gte: gte ? collection12_indexify(gte) : null,
+      lte: lte ? collection12_indexify(lte) : null
+    })
+  },
+  encodeValue (version, record) {
+    setVersion(version)
+    return c.encode(collection12_enc, record)
+  },
+  trigger: null,
+  reconstruct: collection12_reconstruct,
+  reconstructKey: collection12_reconstruct_key,
+  indexes: []
+}
+
+// '@server/writer' collection key
+const collection13_key = new IndexEncoder([
+  IndexEncoder.STRING
+], { prefix: 13 })
+
+function collection13_indexify (record) {
+  const a = record.writerKey
+  return a === undefined ? [] : [a]
+}
+
+// '@server/writer' value encoding
+const collection13_enc = getEncoding('@server/writer/hyperdb#13')
+
+// '@server/writer' reconstruction function
+function collection13_reconstruct (version, keyBuf, valueBuf) {
+  const key = collection13_key.decode(keyBuf)
+  setVersion(version)
+  const record = c.decode(collection13_enc, valueBuf)
+  record.writerKey = key[0]
+  return record
+}
+// '@server/writer' key reconstruction function
+function collection13_reconstruct_key (keyBuf) {
+  const key = collection13_key.decode(keyBuf)
+  return {
+    writerKey: key[0]
+  }
+}
+
+// '@server/writer'
+const collection13 = {
+  name: '@server/writer',
+  id: 13,
+  encodeKey (record) {
+    const key = [record.writerKey]
+    return collection13_key.encode(key)
+  },
+  encodeKeyRange ({ gt, lt, gte, lte } = {}) {
+    return collection13_key.encodeRange({
+      gt: gt ? collection13_indexify(gt) : null,
+      lt: lt ? collection13_indexify(lt) : null,
+      gte: gte ? collection13_indexify(gte) : null,
+      lte: lte ? collection13_indexify(lte) : null
+    })
+  },
+  encodeValue (version, record) {
+    setVersion(version)
+    return c.encode(collection13_enc, record)
+  },
+  trigger: null,
+  reconstruct: collection13_reconstruct,
+  reconstructKey: collection13_reconstruct_key,
+  indexes: []
+}
+
+// '@server/device' collection key
+const collection14_key = new IndexEncoder([
+  IndexEncoder.STRING
+], { prefix: 14 })
+
+function collection14_indexify (record) {
+  const a = record.deviceKey
+  return a === undefined ? [] : [a]
+}
+
+// '@server/device' value encoding
+const collection14_enc = getEncoding('@server/device/hyperdb#14')
+
+// '@server/device' reconstruction function
+function collection14_reconstruct (version, keyBuf, valueBuf) {
+  const key = collection14_key.decode(keyBuf)
+  setVersion(version)
+  const record = c.decode(collection14_enc, valueBuf)
+  record.deviceKey = key[0]
+  return record
+}
+// '@server/device' key reconstruction function
+function collection14_reconstruct_key (keyBuf) {
+  const key = collection14_key.decode(keyBuf)
+  return {
+    deviceKey: key[0]
+  }
+}
+
+// '@server/device'
+const collection14 = {
+  name: '@server/device',
+  id: 14,
+  encodeKey (record) {
+    const key = [record.deviceKey]
+    return collection14_key.encode(key)
+  },
+  encodeKeyRange ({ gt, lt, gte, lte } = {}) {
+    return collection14_key.encodeRange({
+      gt: gt ? collection14_indexify(gt) : null,
+      lt: lt ? collection14_indexify(lt) : null,
+      gte: gte ? collection14_indexify(gte) : null,
+      lte: lte ? collection14_indexify(lte) : null
+    })
+  },
+  encodeValue (version, record) {
+    setVersion(version)
+    return c.encode(collection14_enc, record)
+  },
+  trigger: null,
+  reconstruct: collection14_reconstruct,
+  reconstructKey: collection14_reconstruct_key,
+  indexes: []
+}
+
+// '@server/identity' collection key
+const collection15_key = new IndexEncoder([
+  IndexEncoder.STRING
+], { prefix: 15 })
+
+function collection15_indexify (record) {
+  const a = record.key
+  return a === undefined ? [] : [a]
+}
+
+// '@server/identity' value encoding
+const collection15_enc = getEncoding('@server/identity/hyperdb#15')
+
+// '@server/identity' reconstruction function
+function collection15_reconstruct (version, keyBuf, valueBuf) {
+  const key = collection15_key.decode(keyBuf)
+  setVersion(version)
+  const record = c.decode(collection15_enc, valueBuf)
+  record.key = key[0]
+  return record
+}
+// '@server/identity' key reconstruction function
+function collection15_reconstruct_key (keyBuf) {
+  const key = collection15_key.decode(keyBuf)
+  return {
+    key: key[0]
+  }
+}
+
+// '@server/identity'
+const collection15 = {
+  name: '@server/identity',
+  id: 15,
+  encodeKey (record) {
+    const key = [record.key]
+    return collection15_key.encode(key)
+  },
+  encodeKeyRange ({ gt, lt, gte, lte } = {}) {
+    return collection15_key.encodeRange({
+      gt: gt ? collection15_indexify(gt) : null,
+      lt: lt ? collection15_indexify(lt) : null,
+      gte: gte ? collection15_indexify(gte) : null,
+      lte: lte ? collection15_indexify(lte) : null
+    })
+  },
+  encodeValue (version, record) {
+    setVersion(version)
+    return c.encode(collection15_enc, record)
+  },
+  trigger: null,
+  reconstruct: collection15_reconstruct,
+  reconstructKey: collection15_reconstruct_key,
+  indexes: []
+}
+
+// '@server/recovery' collection key
+const collection16_key = new IndexEncoder([
+  IndexEncoder.STRING
+], { prefix: 16 })
+
+function collection16_indexify (record) {
+  const a = record.userId
+  return a === undefined ? [] : [a]
+}
+
+// '@server/recovery' value encoding
+const collection16_enc = getEncoding('@server/recovery/hyperdb#16')
+
+// '@server/recovery' reconstruction function
+function collection16_reconstruct (version, keyBuf, valueBuf) {
+  const key = collection16_key.decode(keyBuf)
+  setVersion(version)
+  const record = c.decode(collection16_enc, valueBuf)
+  record.userId = key[0]
+  return record
+}
+// '@server/recovery' key reconstruction function
+function collection16_reconstruct_key (keyBuf) {
+  const key = collection16_key.decode(keyBuf)
+  return {
+    userId: key[0]
+  }
+}
+
+// '@server/recovery'
+const collection16 = {
+  name: '@server/recovery',
+  id: 16,
+  encodeKey (record) {
+    const key = [record.userId]
+    return collection16_key.encode(key)
+  },
+  encodeKeyRange ({ gt, lt, gte, lte } = {}) {
+    return collection16_key.encodeRange({
+      gt: gt ? collection16_indexify(gt) : null,
+      lt: lt ? collection16_indexify(lt) : null,
+      gte: gte ? collection16_indexify(gte) : null,
+      lte: lte ? collection16_indexify(lte) : null
+    })
+  },
+  encodeValue (version, record) {
+    setVersion(version)
+    return c.encode(collection16_enc, record)
+  },
+  trigger: null,
+  reconstruct: collection16_reconstruct,
+  reconstructKey: collection16_reconstruct_key,
+  indexes: []
+}
+
+// '@server/recovery_request' collection key
+const collection17_key = new IndexEncoder([
+  IndexEncoder.STRING
+], { prefix: 17 })
+
+function collection17_indexify (record) {
+  const a = record.id
+  return a === undefined ? [] : [a]
+}
+
+// '@server/recovery_request' value encoding
+const collection17_enc = getEncoding('@server/recovery_request/hyperdb#17')
+
+// '@server/recovery_request' reconstruction function
+function collection17_reconstruct (version, keyBuf, valueBuf) {
+  const key = collection17_key.decode(keyBuf)
+  setVersion(version)
+  const record = c.decode(collection17_enc, valueBuf)
+  record.id = key[0]
+  return record
+}
+// '@server/recovery_request' key reconstruction function
+function collection17_reconstruct_key (keyBuf) {
+  const key = collection17_key.decode(keyBuf)
+  return {
+    id: key[0]
+  }
+}
+
+// '@server/recovery_request'
+const collection17 = {
+  name: '@server/recovery_request',
+  id: 17,
+  encodeKey (record) {
+    const key = [record.id]
+    return collection17_key.encode(key)
+  },
+  encodeKeyRange ({ gt, lt, gte, lte } = {}) {
+    return collection17_key.encodeRange({
+      gt: gt ? collection17_indexify(gt) : null,
+      lt: lt ? collection17_indexify(lt) : null,
+      gte: gte ? collection17_indexify(gte) : null,
+      lte: lte ? collection17_indexify(lte) : null
+    })
+  },
+  encodeValue (version, record) {
+    setVersion(version)
+    return c.encode(collection17_enc, record)
+  },
+  trigger: null,
+  reconstruct: collection17_reconstruct,
+  reconstructKey: collection17_reconstruct_key,
+  indexes: []
+}
+
+// '@server/recovery_approval' collection key
+const collection18_key = new IndexEncoder([
+  IndexEncoder.STRING,
+  IndexEncoder.STRING
+], { prefix: 18 })
+
+function collection18_indexify (record) {
+  const arr = []
+
+  const a0 = record.requestId
+  if (a0 === undefined) return arr
+  arr.push(a0)
+
+  const a1 = record.guardianId
+  if (a1 === undefined) return arr
+  arr.push(a1)
+
+  return arr
+}
+
+// '@server/recovery_approval' value encoding
+const collection18_enc = getEncoding('@server/recovery_approval/hyperdb#18')
+
+// '@server/recovery_approval' reconstruction function
+function collection18_reconstruct (version, keyBuf, valueBuf) {
+  const key = collection18_key.decode(keyBuf)
+  setVersion(version)
+  const record = c.decode(collection18_enc, valueBuf)
+  record.requestId = key[0]
+  record.guardianId = key[1]
+  return record
+}
+// '@server/recovery_approval' key reconstruction function
+function collection18_reconstruct_key (keyBuf) {
+  const key = collection18_key.decode(keyBuf)
+  return {
+    requestId: key[0],
+    guardianId: key[1]
+  }
+}
+
+// '@server/recovery_approval'
+const collection18 = {
+  name: '@server/recovery_approval',
+  id: 18,
+  encodeKey (record) {
+    const key = [record.requestId, record.guardianId]
+    return collection18_key.encode(key)
+  },
+  encodeKeyRange ({ gt, lt, gte, lte } = {}) {
+    return collection18_key.encodeRange({
+      gt: gt ? collection18_indexify(gt) : null,
+      lt: lt ? collection18_indexify(lt) : null,
+      gte: gte ? collection18_indexify(gte) : null,
+      lte: lte ? collection18_indexify(lte) : null
+    })
+  },
+  encodeValue (version, record) {
+    setVersion(version)
+    return c.encode(collection18_enc, record)
+  },
+  trigger: null,
+  reconstruct: collection18_reconstruct,
+  reconstructKey: collection18_reconstruct_key,
+  indexes: []
+}
+
+// '@server/direct_message' collection key
+const collection19_key = new IndexEncoder([
+  IndexEncoder.STRING,
+  IndexEncoder.STRING
+], { prefix: 19 })
+
+function collection19_indexify (record) {
+  const arr = []
+
+  const a0 = record.conversationId
+  if (a0 === undefined) return arr
+  arr.push(a0)
+
+  const a1 = record.id
+  if (a1 === undefined) return arr
+  arr.push(a1)
+
+  return arr
+}
+
+// '@server/direct_message' value encoding
+const collection19_enc = getEncoding('@server/direct_message/hyperdb#19')
+
+// '@server/direct_message' reconstruction function
+function collection19_reconstruct (version, keyBuf, valueBuf) {
+  const key = collection19_key.decode(keyBuf)
+  setVersion(version)
+  const record = c.decode(collection19_enc, valueBuf)
+  record.conversationId = key[0]
+  record.id = key[1]
+  return record
+}
+// '@server/direct_message' key reconstruction function
+function collection19_reconstruct_key (keyBuf) {
+  const key = collection19_key.decode(keyBuf)
+  return {
+    conversationId: key[0],
+    id: key[1]
+  }
+}
+
+// '@server/direct_message'
+const collection19 = {
+  name: '@server/direct_message',
+  id: 19,
+  encodeKey (record) {
+    const key = [record.conversationId, record.id]
+    return collection19_key.encode(key)
+  },
+  encodeKeyRange ({ gt, lt, gte, lte } = {}) {
+    return collection19_key.encodeRange({
+      gt: gt ? collection19_indexify(gt) : null,
+      lt: lt ? collection19_indexify(lt) : null,
+      gte: gte ? collection19_indexify(gte) : null,
+      lte: lte ? collection19_indexify(lte) : null
+    })
+  },
+  encodeValue (version, record) {
+    setVersion(version)
+    return c.encode(collection19_enc, record)
+  },
+  trigger: null,
+  reconstruct: collection19_reconstruct,
+  reconstructKey: collection19_reconstruct_key,
+  indexes: []
+}
+
+// '@server/direct_conversation' collection key
+const collection20_key = new IndexEncoder([
+  IndexEncoder.STRING
+], { prefix: 20 })
+
+function collection20_indexify (record) {
+  const a = record.id
+  return a === undefined ? [] : [a]
+}
+
+// '@server/direct_conversation' value encoding
+const collection20_enc = getEncoding('@server/direct_conversation/hyperdb#20')
+
+// '@server/direct_conversation' reconstruction function
+function collection20_reconstruct (version, keyBuf, valueBuf) {
+  const key = collection20_key.decode(keyBuf)
+  setVersion(version)
+  const record = c.decode(collection20_enc, valueBuf)
+  record.id = key[0]
+  return record
+}
+// '@server/direct_conversation' key reconstruction function
+function collection20_reconstruct_key (keyBuf) {
+  const key = collection20_key.decode(keyBuf)
+  return {
+    id: key[0]
+  }
+}
+
+// '@server/direct_conversation'
+const collection20 = {
+  name: '@server/direct_conversation',
+  id: 20,
+  encodeKey (record) {
+    const key = [record.id]
+    return collection20_key.encode(key)
+  },
+  encodeKeyRange ({ gt, lt, gte, lte } = {}) {
+    return collection20_key.encodeRange({
+      gt: gt ? collection20_indexify(gt) : null,
+      lt: lt ? collection20_indexify(lt) : null,
+      gte: gte ? collection20_indexify(gte) : null,
+      lte: lte ? collection20_indexify(lte) : null
+    })
+  },
+  encodeValue (version, record) {
+    setVersion(version)
+    return c.encode(collection20_enc, record)
+  },
+  trigger: null,
+  reconstruct: collection20_reconstruct,
+  reconstructKey: collection20_reconstruct_key,
+  indexes: []
+}
+
+// '@server/channel_key' collection key
+const collection21_key = new IndexEncoder([
+  IndexEncoder.STRING,
+  IndexEncoder.UINT
+], { prefix: 21 })
+
+function collection21_indexify (record) {
+  const arr = []
+
+  const a0 = record.channelId
+  if (a0 === undefined) return arr
+  arr.push(a0)
+
+  const a1 = record.epoch
+  if (a1 === undefined) return arr
+  arr.push(a1)
+
+  return arr
+}
+
+// '@server/channel_key' value encoding
+const collection21_enc = getEncoding('@server/channel_key/hyperdb#21')
+
+// '@server/channel_key' reconstruction function
+function collection21_reconstruct (version, keyBuf, valueBuf) {
+  const key = collection21_key.decode(keyBuf)
+  setVersion(version)
+  const record = c.decode(collection21_enc, valueBuf)
+  record.channelId = key[0]
+  record.epoch = key[1]
+  return record
+}
+// '@server/channel_key' key reconstruction function
+function collection21_reconstruct_key (keyBuf) {
+  const key = collection21_key.decode(keyBuf)
+  return {
+    channelId: key[0],
+    epoch: key[1]
+  }
+}
+
+// '@server/channel_key'
+const collection21 = {
+  name: '@server/channel_key',
+  id: 21,
+  encodeKey (record) {
+    const key = [record.channelId, record.epoch]
+    return collection21_key.encode(key)
+  },
+  encodeKeyRange ({ gt, lt, gte, lte } = {}) {
+    return collection21_key.encodeRange({
+      gt: gt ? collection21_indexify(gt) : null,
+      lt: lt ? collection21_indexify(lt) : null,
+      gte: gte ? collection21_indexify(gte) : null,
+      lte: lte ? collection21_indexify(lte) : null
+    })
+  },
+  encodeValue (version, record) {
+    setVersion(version)
+    return c.encode(collection21_enc, record)
+  },
+  trigger: null,
+  reconstruct: collection21_reconstruct,
+  reconstructKey: collection21_reconstruct_key,
+  indexes: []
+}
+
+// '@server/group_dm' collection key
+const collection22_key = new IndexEncoder([
+  IndexEncoder.STRING
+], { prefix: 22 })
+
+function collection22_indexify (record) {
+  const a = record.id
+  return a === undefined ? [] : [a]
+}
+
+// '@server/group_dm' value encoding
+const collection22_enc = getEncoding('@server/group_dm/hyperdb#22')
+
+// '@server/group_dm' reconstruction function
+function collection22_reconstruct (version, keyBuf, valueBuf) {
+  const key = collection22_key.decode(keyBuf)
+  setVersion(version)
+  const record = c.decode(collection22_enc, valueBuf)
+  record.id = key[0]
+  return record
+}
+// '@server/group_dm' key reconstruction function
+function collection22_reconstruct_key (keyBuf) {
+  const key = collection22_key.decode(keyBuf)
+  return {
+    id: key[0]
+  }
+}
+
+// '@server/group_dm'
+const collection22 = {
+  name: '@server/group_dm',
+  id: 22,
+  encodeKey (record) {
+    const key = [record.id]
+    return collection22_key.encode(key)
+  },
+  encodeKeyRange ({ gt, lt, gte, lte } = {}) {
+    return collection22_key.encodeRange({
+      gt: gt ? collection22_indexify(gt) : null,
+      lt: lt ? collection22_indexify(lt) : null,
+      gte: gte ? collection22_indexify(gte) : null,
+      lte: lte ? collection22_indexify(lte) : null
+    })
+  },
+  encodeValue (version, record) {
+    setVersion(version)
+    return c.encode(collection22_enc, record)
+  },
+  trigger: null,
+  reconstruct: collection22_reconstruct,
+  reconstructKey: collection22_reconstruct_key,
+  indexes: []
+}
+
+// '@server/group_dm_key' collection key
+const collection23_key = new IndexEncoder([
+  IndexEncoder.STRING,
+  IndexEncoder.UINT
+], { prefix: 23 })
+
+function collection23_indexify (record) {
+  const arr = []
+
+  const a0 = record.groupId
+  if (a0 === undefined) return arr
+  arr.push(a0)
+
+  const a1 = record.epoch
+  if (a1 === undefined) return arr
+  arr.push(a1)
+
+  return arr
+}
+
+// '@server/group_dm_key' value encoding
+const collection23_enc = getEncoding('@server/group_dm_key/hyperdb#23')
+
+// '@server/group_dm_key' reconstruction function
+function collection23_reconstruct (version, keyBuf, valueBuf) {
+  const key = collection23_key.decode(keyBuf)
+  setVersion(version)
+  const record = c.decode(collection23_enc, valueBuf)
+  record.groupId = key[0]
+  record.epoch = key[1]
+  return record
+}
+// '@server/group_dm_key' key reconstruction function
+function collection23_reconstruct_key (keyBuf) {
+  const key = collection23_key.decode(keyBuf)
+  return {
+    groupId: key[0],
+    epoch: key[1]
+  }
+}
+
+// '@server/group_dm_key'
+const collection23 = {
+  name: '@server/group_dm_key',
+  id: 23,
+  encodeKey (record) {
+    const key = [record.groupId, record.epoch]
+    return collection23_key.encode(key)
+  },
+  encodeKeyRange ({ gt, lt, gte, lte } = {}) {
+    return collection23_key.encodeRange({
+      gt: gt ? collection23_indexify(gt) : null,
+      lt: lt ? collection23_indexify(lt) : null,
+      gte: gte ? collection23_indexify(gte) : null,
+      lte: lte ? collection23_indexify(lte) : null
+    })
+  },
+  encodeValue (version, record) {
+    setVersion(version)
+    return c.encode(collection23_enc, record)
+  },
+  trigger: null,
+  reconstruct: collection23_reconstruct,
+  reconstructKey: collection23_reconstruct_key,
+  indexes: []
+}
+
+// '@server/group_dm_message' collection key
+const collection24_key = new IndexEncoder([
+  IndexEncoder.STRING,
+  IndexEncoder.STRING
+], { prefix: 24 })
+
+function collection24_indexify (record) {
+  const arr = []
+
+  const a0 = record.groupId
+  if (a0 === undefined) return arr
+  arr.push(a0)
+
+  const a1 = record.id
+  if (a1 === undefined) return arr
+  arr.push(a1)
+
+  return arr
+}
+
+// '@server/group_dm_message' value encoding
+const collection24_enc = getEncoding('@server/group_dm_message/hyperdb#24')
+
+// '@server/group_dm_message' reconstruction function
+function collection24_reconstruct (version, keyBuf, valueBuf) {
+  const key = collection24_key.decode(keyBuf)
+  setVersion(version)
+  const record = c.decode(collection24_enc, valueBuf)
+  record.groupId = key[0]
+  record.id = key[1]
+  return record
+}
+// '@server/group_dm_message' key reconstruction function
+function collection24_reconstruct_key (keyBuf) {
+  const key = collection24_key.decode(keyBuf)
+  return {
+    groupId: key[0],
+    id: key[1]
+  }
+}
+
+// '@server/group_dm_message'
+const collection24 = {
+  name: '@server/group_dm_message',
+  id: 24,
+  encodeKey (record) {
+    const key = [record.groupId, record.id]
+    return collection24_key.encode(key)
+  },
+  encodeKeyRange ({ gt, lt, gte, lte } = {}) {
+    return collection24_key.encodeRange({
+      gt: gt ? collection24_indexify(gt) : null,
+      lt: lt ? collection24_indexify(lt) : null,
+      gte: gte ? collection24_indexify(gte) : null,
+      lte: lte ? collection24_indexify(lte) : null
+    })
+  },
+  encodeValue (version, record) {
+    setVersion(version)
+    return c.encode(collection24_enc, record)
+  },
+  trigger: null,
+  reconstruct: collection24_reconstruct,
+  reconstructKey: collection24_reconstruct_key,
+  indexes: []
+}
+
+// '@server/thread' collection key
+const collection25_key = new IndexEncoder([
+  IndexEncoder.STRING
+], { prefix: 25 })
+
+function collection25_indexify (record) {
+  const a = record.rootId
+  return a === undefined ? [] : [a]
+}
+
+// '@server/thread' value encoding
+const collection25_enc = getEncoding('@server/thread/hyperdb#25')
+
+// '@server/thread' reconstruction function
+function collection25_reconstruct (version, keyBuf, valueBuf) {
+  const key = collection25_key.decode(keyBuf)
+  setVersion(version)
+  const record = c.decode(collection25_enc, valueBuf)
+  record.rootId = key[0]
+  return record
+}
+// '@server/thread' key reconstruction function
+function collection25_reconstruct_key (keyBuf) {
+  const key = collection25_key.decode(keyBuf)
+  return {
+    rootId: key[0]
+  }
+}
+
+// '@server/thread'
+const collection25 = {
+  name: '@server/thread',
+  id: 25,
+  encodeKey (record) {
+    const key = [record.rootId]
+    return collection25_key.encode(key)
+  },
+  encodeKeyRange ({ gt, lt, gte, lte } = {}) {
+    return collection25_key.encodeRange({
+      gt: gt ? collection25_indexify(gt) : null,
+      lt: lt ? collection25_indexify(lt) : null,
+      gte: gte ? collection25_indexify(gte) : null,
+      lte: lte ? collection25_indexify(lte) : null
+    })
+  },
+  encodeValue (version, record) {
+    setVersion(version)
+    return c.encode(collection25_enc, record)
+  },
+  trigger: null,
+  reconstruct: collection25_reconstruct,
+  reconstructKey: collection25_reconstruct_key,
+  indexes: []
+}
+
+// '@server/messages-by-thread' collection key
+const index26_key = new IndexEncoder([
+  IndexEncoder.STRING,
+  IndexEncoder.UINT,
+  IndexEncoder.STRING,
+  IndexEncoder.STRING,
+  IndexEncoder.STRING
+], { prefix: 26 })
+
+// '@server/messages-by-thread' has the following schema defined key map
+const index26_map = helpers0.mapMessageToThread
+
+function index26_indexify (record) {
+  const arr = []
+
+  const a0 = record.threadId
+  if (a0 === undefined) return arr
+  arr.push(a0)
+
+  const a1 = record.timestamp
+  if (a1 === undefined) return arr
+  arr.push(a1)
+
+  const a2 = record.id
+  if (a2 === undefined) return arr
+  arr.push(a2)
+
+  return arr
+}
+
+// '@server/messages-by-thread'
+const index26 = {
+  name: '@server/messages-by-thread',
+  id: 26,
+  encodeKey (record) {
+    return index26_key.encode(index26_indexify(record))
+  },
+  encodeKeyRange ({ gt, lt, gte, lte } = {}) {
+    return index26_key.encodeRange({
+      gt: gt ? index26_indexify(gt) : null,
+      lt: lt ? index26_indexify(lt) : null,
+      gte: gte ? index26_indexify(gte) : null,
+      lte: lte ? index26_indexify(lte) : null
+    })
+  },
+  encodeValue: (doc) => index26.collection.encodeKey(doc),
+  encodeIndexKeys (record, context) {
+    const mapped = index26_map(record, context)
+    const keys = new Array(mapped.length)
+    for (let i = 0; i < mapped.length; i++) {
+      const mappedRecord = mapped[i]
+      keys[i] = index26_key.encode([mappedRecord.threadId, mappedRecord.timestamp, mappedRecord.id, record.id, record.channelId])
+    }
+    return keys
+  },
+  reconstruct: (keyBuf, valueBuf) => valueBuf,
+  offset: collection2.indexes.length,
+  collection: collection2
+}
+collection2.indexes.push(index26)
+
+// '@server/import' collection key
+const collection27_key = new IndexEncoder([
+  IndexEncoder.STRING
+], { prefix: 27 })
+
+function collection27_indexify (record) {
+  const a = record.writerKey
+  return a === undefined ? [] : [a]
+}
+
+// '@server/import' value encoding
+const collection27_enc = getEncoding('@server/import/hyperdb#27')
+
+// '@server/import' reconstruction function
+function collection27_reconstruct (version, keyBuf, valueBuf) {
+  const key = collection27_key.decode(keyBuf)
+  setVersion(version)
+  const record = c.decode(collection27_enc, valueBuf)
+  record.writerKey = key[0]
+  return record
+}
+// '@server/import' key reconstruction function
+function collection27_reconstruct_key (keyBuf) {
+  const key = collection27_key.decode(keyBuf)
+  return {
+    writerKey: key[0]
+  }
+}
+
+// '@server/import'
+const collection27 = {
+  name: '@server/import',
+  id: 27,
+  encodeKey (record) {
+    const key = [record.writerKey]
+    return collection27_key.encode(key)
+  },
+  encodeKeyRange ({ gt, lt, gte, lte } = {}) {
+    return collection27_key.encodeRange({
+      gt: gt ? collection27_indexify(gt) : null,
+      lt: lt ? collection27_indexify(lt) : null,
+      gte: gte ? collection27_indexify(gte) : null,
+      lte: lte ? collection27_indexify(lte) : null
+    })
+  },
+  encodeValue (version, record) {
+    setVersion(version)
+    return c.encode(collection27_enc, record)
+  },
+  trigger: null,
+  reconstruct: collection27_reconstruct,
+  reconstructKey: collection27_reconstruct_key,
+  indexes: []
+}
+
+// '@server/ban' collection key
+const collection28_key = new IndexEncoder([
+  IndexEncoder.STRING,
+  IndexEncoder.STRING
+], { prefix: 28 })
+
+function collection28_indexify (record) {
+  const arr = []
+
+  const a0 = record.userId
+  if (a0 === undefined) return arr
+  arr.push(a0)
+
+  const a1 = record.channelId
+  if (a1 === undefined) return arr
+  arr.push(a1)
+
+  return arr
+}
+
+// '@server/ban' value encoding
+const collection28_enc = getEncoding('@server/ban/hyperdb#28')
+
+// '@server/ban' reconstruction function
+function collection28_reconstruct (version, keyBuf, valueBuf) {
+  const key = collection28_key.decode(keyBuf)
+  setVersion(version)
+  const record = c.decode(collection28_enc, valueBuf)
+  record.userId = key[0]
+  record.channelId = key[1]
+  return record
+}
+// '@server/ban' key reconstruction function
+function collection28_reconstruct_key (keyBuf) {
+  const key = collection28_key.decode(keyBuf)
+  return {
+    userId: key[0],
+    channelId: key[1]
+  }
+}
+
+// '@server/ban'
+const collection28 = {
+  name: '@server/ban',
+  id: 28,
+  encodeKey (record) {
+    const key = [record.userId, record.channelId]
+    return collection28_key.encode(key)
+  },
+  encodeKeyRange ({ gt, lt, gte, lte } = {}) {
+    return collection28_key.encodeRange({
+      gt: gt ? collection28_indexify(gt) : null,
+      lt: lt ? collection28_indexify(lt) : null,
+      gte: gte ? collection28_indexify(gte) : null,
+      lte: lte ? collection28_indexify(lte) : null
+    })
+  },
+  encodeValue (version, record) {
+    setVersion(version)
+    return c.encode(collection28_enc, record)
+  },
+  trigger: null,
+  reconstruct: collection28_reconstruct,
+  reconstructKey: collection28_reconstruct_key,
+  indexes: []
+}
+
 const collections = [
   collection0,
   collection1,
   collection2,
   collection3,
   collection4,
-  collection5
+  collection5,
+  collection6,
+  collection7,
+  collection8,
+  collection9,
+  collection10,
+  collection11,
+  collection12,
+  collection13,
+  collection14,
+  collection15,
+  collection16,
+  collection17,
+  collection18,
+  collection19,
+  collection20,
+  collection21,
+  collection22,
+  collection23,
+  collection24,
+  collection25,
+  collection27,
+  collection28
 ]
 
 const indexes = [
+  index26
 ]
 
 module.exports = { version, collections, indexes, resolveCollection, resolveIndex }
@@ -380,12 +1791,35 @@ function resolveCollection (name) {
     case '@server/user': return collection3
     case '@server/role': return collection4
     case '@server/invite': return collection5
+    case '@server/pending': return collection6
+    case '@server/processed': return collection7
+    case '@server/outbox': return collection8
+    case '@server/local_server': return collection9
+    case '@server/schema_meta': return collection10
+    case '@server/revision': return collection11
+    case '@server/conflict': return collection12
+    case '@server/writer': return collection13
+    case '@server/device': return collection14
+    case '@server/identity': return collection15
+    case '@server/recovery': return collection16
+    case '@server/recovery_request': return collection17
+    case '@server/recovery_approval': return collection18
+    case '@server/direct_message': return collection19
+    case '@server/direct_conversation': return collection20
+    case '@server/channel_key': return collection21
+    case '@server/group_dm': return collection22
+    case '@server/group_dm_key': return collection23
+    case '@server/group_dm_message': return collection24
+    case '@server/thread': return collection25
+    case '@server/import': return collection27
+    case '@server/ban': return collection28
     default: return null
   }
 }
 
 function resolveIndex (name) {
   switch (name) {
+    case '@server/messages-by-thread': return index26
     default: return null
   }
 }
@@ -1,9 +1,9 @@
 // This file is autogenerated by the hyperschema compiler
-// Schema Version: 1
+// Schema Version: 20
 /* eslint-disable camelcase */
 /* eslint-disable quotes */
 
-const VERSION = 1
+const VERSION = 20
 const { c } = require('hyperschema/runtime')
 
 // eslint-disable-next-line no-unused-vars
@@ -56,7 +56,7 @@ const encoding1 = {
     c.string.preencode(state, m.channelId)
     c.string.preencode(state, m.name)
     c.string.preencode(state, m.type)
-    state.end++ // max flag is 2 so always one byte
+    state.end++ // max flag is 4 so always one byte
 
     if (m.topic) c.string.preencode(state, m.topic)
     c.string.preencode(state, m.createdBy)
@@ -66,7 +66,8 @@ const encoding1 = {
   encode (state, m) {
     const flags =
       (m.topic ? 1 : 0) |
-      (m.position ? 2 : 0)
+      (m.position ? 2 : 0) |
+      ((version >= 13 && m.private) ? 4 : 0)
 
     c.string.encode(state, m.id)
     c.string.encode(state, m.channelId)
@@ -94,7 +95,8 @@ const encoding1 = {
       topic: (flags & 1) !== 0 ? c.string.decode(state) : null,
       createdBy: c.string.decode(state),
       createdAt: c.int.decode(state),
-      position: (flags & 2) !== 0 ? c.int.decode(state) : 0
+      position: (flags & 2) !== 0 ? c.int.decode(state) : 0,
+      private: (version >= 13 && (flags & 4) !== 0)
     }
   }
 }
@@ -102,24 +104,45 @@ const encoding1 = {
 // @server/message
 const encoding2 = {
   preencode (state, m) {
+    const flags =
+      (m.editedAt ? 1 : 0) |
+      (m.deletedAt ? 2 : 0) |
+      (m.deletedBy ? 4 : 0) |
+      (m.attachments ? 8 : 0) |
+      ((version >= 13 && m.keyEpoch) ? 16 : 0) |
+      ((version >= 15 && m.replyTo) ? 32 : 0) |
+      ((version >= 15 && m.threadId) ? 64 : 0) |
+      ((version >= 15 && m.replyCount) ? 128 : 0) |
+      ((version >= 15 && m.lastReplyAt) ? 256 : 0)
+
     c.string.preencode(state, m.id)
     c.string.preencode(state, m.channelId)
     c.string.preencode(state, m.author)
     c.string.preencode(state, m.content)
     c.int.preencode(state, m.timestamp)
-    state.end++ // max flag is 8 so always one byte
+    c.uint.preencode(state, flags)
 
     if (m.editedAt) c.int.preencode(state, m.editedAt)
     if (m.deletedAt) c.int.preencode(state, m.deletedAt)
     if (m.deletedBy) c.string.preencode(state, m.deletedBy)
     if (m.attachments) c.string.preencode(state, m.attachments)
+    if (version >= 13 && m.keyEpoch) c.uint.preencode(state, m.keyEpoch)
+    if (version >= 15 && m.replyTo) c.string.preencode(state, m.replyTo)
+    if (version >= 15 && m.threadId) c.string.preencode(state, m.threadId)
+    if (version >= 15 && m.replyCount) c.uint.preencode(state, m.replyCount)
+    if (version >= 15 && m.lastReplyAt) c.int.preencode(state, m.lastReplyAt)
   },
   encode (state, m) {
     const flags =
       (m.editedAt ? 1 : 0) |
       (m.deletedAt ? 2 : 0) |
       (m.deletedBy ? 4 : 0) |
-      (m.attachments ? 8 : 0)
+      (m.attachments ? 8 : 0) |
+      ((version >= 13 && m.keyEpoch) ? 16 : 0) |
+      ((version >= 15 && m.replyTo) ? 32 : 0) |
+      ((version >= 15 && m.threadId) ? 64 : 0) |
+      ((version >= 15 && m.replyCount) ? 128 : 0) |
+      ((version >= 15 && m.lastReplyAt) ? 256 : 0)
 
     c.string.encode(state, m.id)
     c.string.encode(state, m.channelId)
@@ -132,6 +155,11 @@ const encoding2 = {
     if (m.deletedAt) c.int.encode(state, m.deletedAt)
     if (m.deletedBy) c.string.encode(state, m.deletedBy)
     if (m.attachments) c.string.encode(state, m.attachments)
+    if (version >= 13 && m.keyEpoch) c.uint.encode(state, m.keyEpoch)
+    if (version >= 15 && m.replyTo) c.string.encode(state, m.replyTo)
+    if (version >= 15 && m.threadId) c.string.encode(state, m.threadId)
+    if (version >= 15 && m.replyCount) c.uint.encode(state, m.replyCount)
+    if (version >= 15 && m.lastReplyAt) c.int.encode(state, m.lastReplyAt)
   },
   decode (state) {
     const r0 = c.string.decode(state)
@@ -150,7 +178,12 @@ const encoding2 = {
       editedAt: (flags & 1) !== 0 ? c.int.decode(state) : 0,
       deletedAt: (flags & 2) !== 0 ? c.int.decode(state) : 0,
       deletedBy: (flags & 4) !== 0 ? c.string.decode(state) : null,
-      attachments: (flags & 8) !== 0 ? c.string.decode(state) : null
+      attachments: (flags & 8) !== 0 ? c.string.decode(state) : null,
+      keyEpoch: (version >= 13 && (flags & 16) !== 0) ? c.uint.decode(state) : 0,
+      replyTo: (version >= 15 && (flags & 32) !== 0) ? c.string.decode(state) : null,
+      threadId: (version >= 15 && (flags & 64) !== 0) ? c.string.decode(state) : null,
+      replyCount: (version >= 15 && (flags & 128) !== 0) ? c.uint.decode(state) : 0,
+      lastReplyAt: (version >= 15 && (flags & 256) !== 0) ? c.int.decode(state) : 0
     }
   }
 }
@@ -245,15 +278,17 @@ const encoding5 = {
     c.buffer.preencode(state, m.invite)
     c.buffer.preencode(state, m.publicKey)
     c.int.preencode(state, m.expires)
-    state.end++ // max flag is 2 so always one byte
+    state.end++ // max flag is 4 so always one byte
 
+    if (m.inviteCode) c.string.preencode(state, m.inviteCode)
     if (m.uses) c.int.preencode(state, m.uses)
     if (m.maxUses) c.int.preencode(state, m.maxUses)
   },
   encode (state, m) {
     const flags =
-      (m.uses ? 1 : 0) |
-      (m.maxUses ? 2 : 0)
+      (m.inviteCode ? 1 : 0) |
+      (m.uses ? 2 : 0) |
+      (m.maxUses ? 4 : 0)
 
     c.buffer.encode(state, m.id)
     c.buffer.encode(state, m.invite)
@@ -261,6 +296,7 @@ const encoding5 = {
     c.int.encode(state, m.expires)
     c.uint.encode(state, flags)
 
+    if (m.inviteCode) c.string.encode(state, m.inviteCode)
     if (m.uses) c.int.encode(state, m.uses)
     if (m.maxUses) c.int.encode(state, m.maxUses)
   },
@@ -276,257 +312,1954 @@ const encoding5 = {
       invite: r1,
       publicKey: r2,
       expires: r3,
-      uses: (flags & 1) !== 0 ? c.int.decode(state) : 0,
-      maxUses: (flags & 2) !== 0 ? c.int.decode(state) : 0
+      inviteCode: (flags & 1) !== 0 ? c.string.decode(state) : null,
+      uses: (flags & 2) !== 0 ? c.int.decode(state) : 0,
+      maxUses: (flags & 4) !== 0 ? c.int.decode(state) : 0
     }
   }
 }
 
-// @server/server/hyperdb#0
+// @server/pending
 const encoding6 = {
   preencode (state, m) {
-    c.string.preencode(state, m.name)
-    c.int.preencode(state, m.createdAt)
-    state.end++ // max flag is 2 so always one byte
+    c.string.preencode(state, m.id)
+    c.string.preencode(state, m.dependency)
+    c.string.preencode(state, m.type)
+    c.string.preencode(state, m.action)
+    state.end++ // max flag is 1 so always one byte
 
-    if (m.avatar) c.string.preencode(state, m.avatar)
-    if (m.description) c.string.preencode(state, m.description)
+    if (version >= 2 && m.writerKey) c.string.preencode(state, m.writerKey)
   },
   encode (state, m) {
-    const flags =
-      (m.avatar ? 1 : 0) |
-      (m.description ? 2 : 0)
+    const flags = (version >= 2 && m.writerKey) ? 1 : 0
 
-    c.string.encode(state, m.name)
-    c.int.encode(state, m.createdAt)
+    c.string.encode(state, m.id)
+    c.string.encode(state, m.dependency)
+    c.string.encode(state, m.type)
+    c.string.encode(state, m.action)
     c.uint.encode(state, flags)
 
-    if (m.avatar) c.string.encode(state, m.avatar)
-    if (m.description) c.string.encode(state, m.description)
+    if (version >= 2 && m.writerKey) c.string.encode(state, m.writerKey)
   },
   decode (state) {
+    const r0 = c.string.decode(state)
     const r1 = c.string.decode(state)
-    const r2 = c.int.decode(state)
+    const r2 = c.string.decode(state)
+    const r3 = c.string.decode(state)
     const flags = c.uint.decode(state)
 
     return {
-      id: null,
-      name: r1,
-      createdAt: r2,
-      avatar: (flags & 1) !== 0 ? c.string.decode(state) : null,
-      description: (flags & 2) !== 0 ? c.string.decode(state) : null
+      id: r0,
+      dependency: r1,
+      type: r2,
+      action: r3,
+      writerKey: (version >= 2 && (flags & 1) !== 0) ? c.string.decode(state) : null
     }
   }
 }
 
-// @server/channel/hyperdb#1
+// @server/processed
 const encoding7 = {
   preencode (state, m) {
     c.string.preencode(state, m.id)
-    c.string.preencode(state, m.name)
     c.string.preencode(state, m.type)
-    state.end++ // max flag is 2 so always one byte
+    state.end++ // max flag is 1 so always one byte
 
-    if (m.topic) c.string.preencode(state, m.topic)
-    c.string.preencode(state, m.createdBy)
-    c.int.preencode(state, m.createdAt)
-    if (m.position) c.int.preencode(state, m.position)
+    if (version >= 3 && m.signer) c.string.preencode(state, m.signer)
   },
   encode (state, m) {
-    const flags =
-      (m.topic ? 1 : 0) |
-      (m.position ? 2 : 0)
+    const flags = (version >= 3 && m.signer) ? 1 : 0
 
     c.string.encode(state, m.id)
-    c.string.encode(state, m.name)
     c.string.encode(state, m.type)
     c.uint.encode(state, flags)
 
-    if (m.topic) c.string.encode(state, m.topic)
-    c.string.encode(state, m.createdBy)
-    c.int.encode(state, m.createdAt)
-    if (m.position) c.int.encode(state, m.position)
+    if (version >= 3 && m.signer) c.string.encode(state, m.signer)
   },
   decode (state) {
     const r0 = c.string.decode(state)
-    const r2 = c.string.decode(state)
-    const r3 = c.string.decode(state)
+    const r1 = c.string.decode(state)
     const flags = c.uint.decode(state)
 
     return {
       id: r0,
-      channelId: null,
-      name: r2,
-      type: r3,
-      topic: (flags & 1) !== 0 ? c.string.decode(state) : null,
-      createdBy: c.string.decode(state),
-      createdAt: c.int.decode(state),
-      position: (flags & 2) !== 0 ? c.int.decode(state) : 0
+      type: r1,
+      signer: (version >= 3 && (flags & 1) !== 0) ? c.string.decode(state) : null
     }
   }
 }
 
-// @server/message/hyperdb#2
+// @server/outbox
 const encoding8 = {
   preencode (state, m) {
-    c.string.preencode(state, m.author)
-    c.string.preencode(state, m.content)
-    c.int.preencode(state, m.timestamp)
-    state.end++ // max flag is 8 so always one byte
+    c.uint.preencode(state, m.seq)
+    c.string.preencode(state, m.id)
+    c.string.preencode(state, m.type)
+    c.string.preencode(state, m.action)
+    c.string.preencode(state, m.status)
+    state.end++ // max flag is 2 so always one byte
 
-    if (m.editedAt) c.int.preencode(state, m.editedAt)
-    if (m.deletedAt) c.int.preencode(state, m.deletedAt)
-    if (m.deletedBy) c.string.preencode(state, m.deletedBy)
-    if (m.attachments) c.string.preencode(state, m.attachments)
+    if (version >= 4 && m.error) c.string.preencode(state, m.error)
+    c.int.preencode(state, m.createdAt)
+    if (version >= 4 && m.updatedAt) c.int.preencode(state, m.updatedAt)
   },
   encode (state, m) {
     const flags =
-      (m.editedAt ? 1 : 0) |
-      (m.deletedAt ? 2 : 0) |
-      (m.deletedBy ? 4 : 0) |
-      (m.attachments ? 8 : 0)
+      ((version >= 4 && m.error) ? 1 : 0) |
+      ((version >= 4 && m.updatedAt) ? 2 : 0)
 
-    c.string.encode(state, m.author)
-    c.string.encode(state, m.content)
-    c.int.encode(state, m.timestamp)
+    c.uint.encode(state, m.seq)
+    c.string.encode(state, m.id)
+    c.string.encode(state, m.type)
+    c.string.encode(state, m.action)
+    c.string.encode(state, m.status)
     c.uint.encode(state, flags)
 
-    if (m.editedAt) c.int.encode(state, m.editedAt)
-    if (m.deletedAt) c.int.encode(state, m.deletedAt)
-    if (m.deletedBy) c.string.encode(state, m.deletedBy)
-    if (m.attachments) c.string.encode(state, m.attachments)
+    if (version >= 4 && m.error) c.string.encode(state, m.error)
+    c.int.encode(state, m.createdAt)
+    if (version >= 4 && m.updatedAt) c.int.encode(state, m.updatedAt)
   },
   decode (state) {
+    const r0 = c.uint.decode(state)
+    const r1 = c.string.decode(state)
     const r2 = c.string.decode(state)
     const r3 = c.string.decode(state)
-    const r4 = c.int.decode(state)
+    const r4 = c.string.decode(state)
     const flags = c.uint.decode(state)
 
     return {
-      id: null,
-      channelId: null,
-      author: r2,
-      content: r3,
-      timestamp: r4,
-      editedAt: (flags & 1) !== 0 ? c.int.decode(state) : 0,
-      deletedAt: (flags & 2) !== 0 ? c.int.decode(state) : 0,
-      deletedBy: (flags & 4) !== 0 ? c.string.decode(state) : null,
-      attachments: (flags & 8) !== 0 ? c.string.decode(state) : null
+      seq: r0,
+      id: r1,
+      type: r2,
+      action: r3,
+      status: r4,
+      error: (version >= 4 && (flags & 1) !== 0) ? c.string.decode(state) : null,
+      createdAt: c.int.decode(state),
+      updatedAt: (version >= 4 && (flags & 2) !== 0) ? c.int.decode(state) : 0
     }
   }
 }
 
-// @server/user/hyperdb#3
+// @server/local_server
 const encoding9 = {
   preencode (state, m) {
-    state.end++ // max flag is 8 so always one byte
+    c.string.preencode(state, m.key)
+    state.end++ // max flag is 16 so always one byte
 
-    if (m.username) c.string.preencode(state, m.username)
+    if (version >= 5 && m.encryptionKey) c.string.preencode(state, m.encryptionKey)
+    if (version >= 5 && m.namespace) c.string.preencode(state, m.namespace)
+    if (version >= 5 && m.name) c.string.preencode(state, m.name)
+    if (version >= 5 && m.identity) c.string.preencode(state, m.identity)
     c.int.preencode(state, m.joinedAt)
-    if (m.inviteCode) c.string.preencode(state, m.inviteCode)
-    if (m.avatar) c.string.preencode(state, m.avatar)
-    if (m.status) c.string.preencode(state, m.status)
+    if (version >= 18 && m.schema) c.uint.preencode(state, m.schema)
   },
   encode (state, m) {
     const flags =
-      (m.username ? 1 : 0) |
-      (m.inviteCode ? 2 : 0) |
-      (m.avatar ? 4 : 0) |
-      (m.status ? 8 : 0)
+      ((version >= 5 && m.encryptionKey) ? 1 : 0) |
+      ((version >= 5 && m.namespace) ? 2 : 0) |
+      ((version >= 5 && m.name) ? 4 : 0) |
+      ((version >= 5 && m.identity) ? 8 : 0) |
+      ((version >= 18 && m.schema) ? 16 : 0)
 
+    c.string.encode(state, m.key)
     c.uint.encode(state, flags)
 
-    if (m.username) c.string.encode(state, m.username)
+    if (version >= 5 && m.encryptionKey) c.string.encode(state, m.encryptionKey)
+    if (version >= 5 && m.namespace) c.string.encode(state, m.namespace)
+    if (version >= 5 && m.name) c.string.encode(state, m.name)
+    if (version >= 5 && m.identity) c.string.encode(state, m.identity)
     c.int.encode(state, m.joinedAt)
-    if (m.inviteCode) c.string.encode(state, m.inviteCode)
-    if (m.avatar) c.string.encode(state, m.avatar)
-    if (m.status) c.string.encode(state, m.status)
+    if (version >= 18 && m.schema) c.uint.encode(state, m.schema)
   },
   decode (state) {
+    const r0 = c.string.decode(state)
     const flags = c.uint.decode(state)
 
     return {
-      id: null,
-      publicKey: null,
-      username: (flags & 1) !== 0 ? c.string.decode(state) : null,
+      key: r0,
+      encryptionKey: (version >= 5 && (flags & 1) !== 0) ? c.string.decode(state) : null,
+      namespace: (version >= 5 && (flags & 2) !== 0) ? c.string.decode(state) : null,
+      name: (version >= 5 && (flags & 4) !== 0) ? c.string.decode(state) : null,
+      identity: (version >= 5 && (flags & 8) !== 0) ? c.string.decode(state) : null,
       joinedAt: c.int.decode(state),
-      inviteCode: (flags & 2) !== 0 ? c.string.decode(state) : null,
-      avatar: (flags & 4) !== 0 ? c.string.decode(state) : null,
-      status: (flags & 8) !== 0 ? c.string.decode(state) : null
+      schema: (version >= 18 && (flags & 16) !== 0) ? c.uint.decode(state) : 0
     }
   }
 }
 
-// @server/role/hyperdb#4
+// @server/schema_meta
 const encoding10 = {
   preencode (state, m) {
-    c.string.preencode(state, m.role)
+    c.string.preencode(state, m.id)
+    c.uint.preencode(state, m.version)
+  },
+  encode (state, m) {
+    c.string.encode(state, m.id)
+    c.uint.encode(state, m.version)
+  },
+  decode (state) {
+    const r0 = c.string.decode(state)
+    const r1 = c.uint.decode(state)
+
+    return {
+      id: r0,
+      version: r1
+    }
+  }
+}
+
+// @server/revision
+const encoding11 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.collection)
+    c.string.preencode(state, m.key)
+    c.string.preencode(state, m.fields)
+  },
+  encode (state, m) {
+    c.string.encode(state, m.collection)
+    c.string.encode(state, m.key)
+    c.string.encode(state, m.fields)
+  },
+  decode (state) {
+    const r0 = c.string.decode(state)
+    const r1 = c.string.decode(state)
+    const r2 = c.string.decode(state)
+
+    return {
+      collection: r0,
+      key: r1,
+      fields: r2
+    }
+  }
+}
+
+// @server/conflict
+const encoding12 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.collection)
+    c.string.preencode(state, m.key)
+    c.string.preencode(state, m.id)
+    c.string.preencode(state, m.fields)
+    c.string.preencode(state, m.winner)
+    c.string.preencode(state, m.loser)
     state.end++ // max flag is 2 so always one byte
 
-    if (m.updatedAt) c.int.preencode(state, m.updatedAt)
-    if (m.updatedBy) c.string.preencode(state, m.updatedBy)
+    if (version >= 7 && m.values) c.string.preencode(state, m.values)
+    c.int.preencode(state, m.timestamp)
   },
   encode (state, m) {
     const flags =
-      (m.updatedAt ? 1 : 0) |
-      (m.updatedBy ? 2 : 0)
+      ((version >= 7 && m.values) ? 1 : 0) |
+      ((version >= 7 && m.resolved) ? 2 : 0)
 
-    c.string.encode(state, m.role)
+    c.string.encode(state, m.collection)
+    c.string.encode(state, m.key)
+    c.string.encode(state, m.id)
+    c.string.encode(state, m.fields)
+    c.string.encode(state, m.winner)
+    c.string.encode(state, m.loser)
     c.uint.encode(state, flags)
 
-    if (m.updatedAt) c.int.encode(state, m.updatedAt)
-    if (m.updatedBy) c.string.encode(state, m.updatedBy)
+    if (version >= 7 && m.values) c.string.encode(state, m.values)
+    c.int.encode(state, m.timestamp)
   },
   decode (state) {
+    const r0 = c.string.decode(state)
     const r1 = c.string.decode(state)
+    const r2 = c.string.decode(state)
+    const r3 = c.string.decode(state)
+    const r4 = c.string.decode(state)
+    const r5 = c.string.decode(state)
     const flags = c.uint.decode(state)
 
     return {
-      userId: null,
-      role: r1,
-      updatedAt: (flags & 1) !== 0 ? c.int.decode(state) : 0,
-      updatedBy: (flags & 2) !== 0 ? c.string.decode(state) : null
+      collection: r0,
+      key: r1,
+      id: r2,
+      fields: r3,
+      winner: r4,
+      loser: r5,
+      values: (version >= 7 && (flags & 1) !== 0) ? c.string.decode(state) : null,
+      timestamp: c.int.decode(state),
+      resolved: (version >= 7 && (flags & 2) !== 0)
     }
   }
 }
 
-// @server/invite/hyperdb#5
-const encoding11 = {
+// @server/writer
+const encoding13 = {
   preencode (state, m) {
-    c.buffer.preencode(state, m.invite)
-    c.buffer.preencode(state, m.publicKey)
-    c.int.preencode(state, m.expires)
+    c.string.preencode(state, m.writerKey)
+    c.string.preencode(state, m.userId)
+    c.uint.preencode(state, m.addedAt)
+    state.end++ // max flag is 1 so always one byte
+
+    if (version >= 9 && m.deviceKey) c.string.preencode(state, m.deviceKey)
+  },
+  encode (state, m) {
+    const flags = (version >= 9 && m.deviceKey) ? 1 : 0
+
+    c.string.encode(state, m.writerKey)
+    c.string.encode(state, m.userId)
+    c.uint.encode(state, m.addedAt)
+    c.uint.encode(state, flags)
+
+    if (version >= 9 && m.deviceKey) c.string.encode(state, m.deviceKey)
+  },
+  decode (state) {
+    const r0 = c.string.decode(state)
+    const r1 = c.string.decode(state)
+    const r2 = c.uint.decode(state)
+    const flags = state.start < state.end ? c.uint.decode(state) : 0
+
+    return {
+      writerKey: r0,
+      userId: r1,
+      addedAt: r2,
+      deviceKey: (version >= 9 && (flags & 1) !== 0) ? c.string.decode(state) : null
+    }
+  }
+}
+
+// @server/device
+const encoding14 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.deviceKey)
+    c.string.preencode(state, m.userId)
     state.end++ // max flag is 2 so always one byte
 
-    if (m.uses) c.int.preencode(state, m.uses)
-    if (m.maxUses) c.int.preencode(state, m.maxUses)
+    if (version >= 9 && m.name) c.string.preencode(state, m.name)
+    c.uint.preencode(state, m.addedAt)
+    c.string.preencode(state, m.addedBy)
+    if (version >= 9 && m.revokedAt) c.uint.preencode(state, m.revokedAt)
   },
   encode (state, m) {
     const flags =
-      (m.uses ? 1 : 0) |
-      (m.maxUses ? 2 : 0)
+      ((version >= 9 && m.name) ? 1 : 0) |
+      ((version >= 9 && m.revokedAt) ? 2 : 0)
 
-    c.buffer.encode(state, m.invite)
-    c.buffer.encode(state, m.publicKey)
-    c.int.encode(state, m.expires)
+    c.string.encode(state, m.deviceKey)
+    c.string.encode(state, m.userId)
     c.uint.encode(state, flags)
 
-    if (m.uses) c.int.encode(state, m.uses)
-    if (m.maxUses) c.int.encode(state, m.maxUses)
+    if (version >= 9 && m.name) c.string.encode(state, m.name)
+    c.uint.encode(state, m.addedAt)
+    c.string.encode(state, m.addedBy)
+    if (version >= 9 && m.revokedAt) c.uint.encode(state, m.revokedAt)
   },
   decode (state) {
-    const r1 = c.buffer.decode(state)
-    const r2 = c.buffer.decode(state)
-    const r3 = c.int.decode(state)
+    const r0 = c.string.decode(state)
+    const r1 = c.string.decode(state)
     const flags = c.uint.decode(state)
 
     return {
-      id: null,
-      invite: r1,
-      publicKey: r2,
-      expires: r3,
-      uses: (flags & 1) !== 0 ? c.int.decode(state) : 0,
-      maxUses: (flags & 2) !== 0 ? c.int.decode(state) : 0
+      deviceKey: r0,
+      userId: r1,
+      name: (version >= 9 && (flags & 1) !== 0) ? c.string.decode(state) : null,
+      addedAt: c.uint.decode(state),
+      addedBy: c.string.decode(state),
+      revokedAt: (version >= 9 && (flags & 2) !== 0) ? c.uint.decode(state) : 0
+    }
+  }
+}
+
+// @server/identity
+const encoding15 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.key)
+    c.string.preencode(state, m.userId)
+    state.end++ // max flag is 8 so always one byte
+
+    if (version >= 10 && m.previousKey) c.string.preencode(state, m.previousKey)
+    if (version >= 10 && m.nextKey) c.string.preencode(state, m.nextKey)
+    if (version >= 10 && m.proof) c.string.preencode(state, m.proof)
+    c.uint.preencode(state, m.addedAt)
+    if (version >= 10 && m.retiredAt) c.uint.preencode(state, m.retiredAt)
+  },
+  encode (state, m) {
+    const flags =
+      ((version >= 10 && m.previousKey) ? 1 : 0) |
+      ((version >= 10 && m.nextKey) ? 2 : 0) |
+      ((version >= 10 && m.proof) ? 4 : 0) |
+      ((version >= 10 && m.retiredAt) ? 8 : 0)
+
+    c.string.encode(state, m.key)
+    c.string.encode(state, m.userId)
+    c.uint.encode(state, flags)
+
+    if (version >= 10 && m.previousKey) c.string.encode(state, m.previousKey)
+    if (version >= 10 && m.nextKey) c.string.encode(state, m.nextKey)
+    if (version >= 10 && m.proof) c.string.encode(state, m.proof)
+    c.uint.encode(state, m.addedAt)
+    if (version >= 10 && m.retiredAt) c.uint.encode(state, m.retiredAt)
+  },
+  decode (state) {
+    const r0 = c.string.decode(state)
+    const r1 = c.string.decode(state)
+    const flags = c.uint.decode(state)
+
+    return {
+      key: r0,
+      userId: r1,
+      previousKey: (version >= 10 && (flags & 1) !== 0) ? c.string.decode(state) : null,
+      nextKey: (version >= 10 && (flags & 2) !== 0) ? c.string.decode(state) : null,
+      proof: (version >= 10 && (flags & 4) !== 0) ? c.string.decode(state) : null,
+      addedAt: c.uint.decode(state),
+      retiredAt: (version >= 10 && (flags & 8) !== 0) ? c.uint.decode(state) : 0
+    }
+  }
+}
+
+// @server/recovery
+const encoding16 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.userId)
+    c.string.preencode(state, m.key)
+    c.uint.preencode(state, m.threshold)
+    c.string.preencode(state, m.guardians)
+    c.uint.preencode(state, m.createdAt)
+  },
+  encode (state, m) {
+    c.string.encode(state, m.userId)
+    c.string.encode(state, m.key)
+    c.uint.encode(state, m.threshold)
+    c.string.encode(state, m.guardians)
+    c.uint.encode(state, m.createdAt)
+  },
+  decode (state) {
+    const r0 = c.string.decode(state)
+    const r1 = c.string.decode(state)
+    const r2 = c.uint.decode(state)
+    const r3 = c.string.decode(state)
+    const r4 = c.uint.decode(state)
+
+    return {
+      userId: r0,
+      key: r1,
+      threshold: r2,
+      guardians: r3,
+      createdAt: r4
+    }
+  }
+}
+
+// @server/recovery_request
+const encoding17 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.id)
+    c.string.preencode(state, m.userId)
+    c.string.preencode(state, m.requesterKey)
+    c.uint.preencode(state, m.createdAt)
+  },
+  encode (state, m) {
+    c.string.encode(state, m.id)
+    c.string.encode(state, m.userId)
+    c.string.encode(state, m.requesterKey)
+    c.uint.encode(state, m.createdAt)
+  },
+  decode (state) {
+    const r0 = c.string.decode(state)
+    const r1 = c.string.decode(state)
+    const r2 = c.string.decode(state)
+    const r3 = c.uint.decode(state)
+
+    return {
+      id: r0,
+      userId: r1,
+      requesterKey: r2,
+      createdAt: r3
+    }
+  }
+}
+
+// @server/recovery_approval
+const encoding18 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.requestId)
+    c.string.preencode(state, m.guardianId)
+    c.string.preencode(state, m.share)
+    c.uint.preencode(state, m.approvedAt)
+  },
+  encode (state, m) {
+    c.string.encode(state, m.requestId)
+    c.string.encode(state, m.guardianId)
+    c.string.encode(state, m.share)
+    c.uint.encode(state, m.approvedAt)
+  },
+  decode (state) {
+    const r0 = c.string.decode(state)
+    const r1 = c.string.decode(state)
+    const r2 = c.string.decode(state)
+    const r3 = c.uint.decode(state)
+
+    return {
+      requestId: r0,
+      guardianId: r1,
+      share: r2,
+      approvedAt: r3
+    }
+  }
+}
+
+// @server/direct_message
+const encoding19 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.id)
+    c.string.preencode(state, m.conversationId)
+    c.string.preencode(state, m.sender)
+    c.string.preencode(state, m.recipient)
+    c.string.preencode(state, m.senderKey)
+    c.string.preencode(state, m.recipientKey)
+    c.string.preencode(state, m.nonce)
+    c.string.preencode(state, m.ciphertext)
+    c.uint.preencode(state, m.sentAt)
+    state.end++ // max flag is 1 so always one byte
+
+    if (version >= 20 && m.keys) c.string.preencode(state, m.keys)
+  },
+  encode (state, m) {
+    const flags = (version >= 20 && m.keys) ? 1 : 0
+
+    c.string.encode(state, m.id)
+    c.string.encode(state, m.conversationId)
+    c.string.encode(state, m.sender)
+    c.string.encode(state, m.recipient)
+    c.string.encode(state, m.senderKey)
+    c.string.encode(state, m.recipientKey)
+    c.string.encode(state, m.nonce)
+    c.string.encode(state, m.ciphertext)
+    c.uint.encode(state, m.sentAt)
+    c.uint.encode(state, flags)
+
+    if (version >= 20 && m.keys) c.string.encode(state, m.keys)
+  },
+  decode (state) {
+    const r0 = c.string.decode(state)
+    const r1 = c.string.decode(state)
+    const r2 = c.string.decode(state)
+    const r3 = c.string.decode(state)
+    const r4 = c.string.decode(state)
+    const r5 = c.string.decode(state)
+    const r6 = c.string.decode(state)
+    const r7 = c.string.decode(state)
+    const r8 = c.uint.decode(state)
+    const flags = state.start < state.end ? c.uint.decode(state) : 0
+
+    return {
+      id: r0,
+      conversationId: r1,
+      sender: r2,
+      recipient: r3,
+      senderKey: r4,
+      recipientKey: r5,
+      nonce: r6,
+      ciphertext: r7,
+      sentAt: r8,
+      keys: (version >= 20 && (flags & 1) !== 0) ? c.string.decode(state) : null
+    }
+  }
+}
+
+// @server/direct_conversation
+const encoding20 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.id)
+    c.string.preencode(state, m.userA)
+    c.string.preencode(state, m.userB)
+    c.uint.preencode(state, m.createdAt)
+    c.uint.preencode(state, m.lastMessageAt)
+  },
+  encode (state, m) {
+    c.string.encode(state, m.id)
+    c.string.encode(state, m.userA)
+    c.string.encode(state, m.userB)
+    c.uint.encode(state, m.createdAt)
+    c.uint.encode(state, m.lastMessageAt)
+  },
+  decode (state) {
+    const r0 = c.string.decode(state)
+    const r1 = c.string.decode(state)
+    const r2 = c.string.decode(state)
+    const r3 = c.uint.decode(state)
+    const r4 = c.uint.decode(state)
+
+    return {
+      id: r0,
+      userA: r1,
+      userB: r2,
+      createdAt: r3,
+      lastMessageAt: r4
+    }
+  }
+}
+
+// @server/channel_key
+const encoding21 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.channelId)
+    c.uint.preencode(state, m.epoch)
+    c.string.preencode(state, m.members)
+    c.string.preencode(state, m.createdBy)
+    c.uint.preencode(state, m.createdAt)
+  },
+  encode (state, m) {
+    c.string.encode(state, m.channelId)
+    c.uint.encode(state, m.epoch)
+    c.string.encode(state, m.members)
+    c.string.encode(state, m.createdBy)
+    c.uint.encode(state, m.createdAt)
+  },
+  decode (state) {
+    const r0 = c.string.decode(state)
+    const r1 = c.uint.decode(state)
+    const r2 = c.string.decode(state)
+    const r3 = c.string.decode(state)
+    const r4 = c.uint.decode(state)
+
+    return {
+      channelId: r0,
+      epoch: r1,
+      members: r2,
+      createdBy: r3,
+      createdAt: r4
+    }
+  }
+}
+
+// @server/group_dm
+const encoding22 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.id)
+    c.string.preencode(state, m.title)
+    state.end++ // max flag is 4 so always one byte
+
+    if (version >= 14 && m.icon) c.string.preencode(state, m.icon)
+    c.string.preencode(state, m.createdBy)
+    c.uint.preencode(state, m.createdAt)
+    if (version >= 14 && m.updatedAt) c.uint.preencode(state, m.updatedAt)
+    if (version >= 14 && m.lastMessageAt) c.uint.preencode(state, m.lastMessageAt)
+  },
+  encode (state, m) {
+    const flags =
+      ((version >= 14 && m.icon) ? 1 : 0) |
+      ((version >= 14 && m.updatedAt) ? 2 : 0) |
+      ((version >= 14 && m.lastMessageAt) ? 4 : 0)
+
+    c.string.encode(state, m.id)
+    c.string.encode(state, m.title)
+    c.uint.encode(state, flags)
+
+    if (version >= 14 && m.icon) c.string.encode(state, m.icon)
+    c.string.encode(state, m.createdBy)
+    c.uint.encode(state, m.createdAt)
+    if (version >= 14 && m.updatedAt) c.uint.encode(state, m.updatedAt)
+    if (version >= 14 && m.lastMessageAt) c.uint.encode(state, m.lastMessageAt)
+  },
+  decode (state) {
+    const r0 = c.string.decode(state)
+    const r1 = c.string.decode(state)
+    const flags = c.uint.decode(state)
+
+    return {
+      id: r0,
+      title: r1,
+      icon: (version >= 14 && (flags & 1) !== 0) ? c.string.decode(state) : null,
+      createdBy: c.string.decode(state),
+      createdAt: c.uint.decode(state),
+      updatedAt: (version >= 14 && (flags & 2) !== 0) ? c.uint.decode(state) : 0,
+      lastMessageAt: (version >= 14 && (flags & 4) !== 0) ? c.uint.decode(state) : 0
+    }
+  }
+}
+
+// @server/group_dm_key
+const encoding23 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.groupId)
+    c.uint.preencode(state, m.epoch)
+    c.string.preencode(state, m.members)
+    state.end++ // max flag is 1 so always one byte
+
+    if (version >= 14 && m.participant) c.string.preencode(state, m.participant)
+    c.string.preencode(state, m.createdBy)
+    c.uint.preencode(state, m.createdAt)
+  },
+  encode (state, m) {
+    const flags = (version >= 14 && m.participant) ? 1 : 0
+
+    c.string.encode(state, m.groupId)
+    c.uint.encode(state, m.epoch)
+    c.string.encode(state, m.members)
+    c.uint.encode(state, flags)
+
+    if (version >= 14 && m.participant) c.string.encode(state, m.participant)
+    c.string.encode(state, m.createdBy)
+    c.uint.encode(state, m.createdAt)
+  },
+  decode (state) {
+    const r0 = c.string.decode(state)
+    const r1 = c.uint.decode(state)
+    const r2 = c.string.decode(state)
+    const flags = c.uint.decode(state)
+
+    return {
+      groupId: r0,
+      epoch: r1,
+      members: r2,
+      participant: (version >= 14 && (flags & 1) !== 0) ? c.string.decode(state) : null,
+      createdBy: c.string.decode(state),
+      createdAt: c.uint.decode(state)
+    }
+  }
+}
+
+// @server/group_dm_create
+const encoding24 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.id)
+    c.string.preencode(state, m.title)
+    state.end++ // max flag is 1 so always one byte
+
+    if (version >= 14 && m.icon) c.string.preencode(state, m.icon)
+    c.string.preencode(state, m.members)
+    c.string.preencode(state, m.createdBy)
+    c.uint.preencode(state, m.createdAt)
+  },
+  encode (state, m) {
+    const flags = (version >= 14 && m.icon) ? 1 : 0
+
+    c.string.encode(state, m.id)
+    c.string.encode(state, m.title)
+    c.uint.encode(state, flags)
+
+    if (version >= 14 && m.icon) c.string.encode(state, m.icon)
+    c.string.encode(state, m.members)
+    c.string.encode(state, m.createdBy)
+    c.uint.encode(state, m.createdAt)
+  },
+  decode (state) {
+    const r0 = c.string.decode(state)
+    const r1 = c.string.decode(state)
+    const flags = c.uint.decode(state)
+
+    return {
+      id: r0,
+      title: r1,
+      icon: (version >= 14 && (flags & 1) !== 0) ? c.string.decode(state) : null,
+      members: c.string.decode(state),
+      createdBy: c.string.decode(state),
+      createdAt: c.uint.decode(state)
+    }
+  }
+}
+
+// @server/group_dm_message
+const encoding25 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.id)
+    c.string.preencode(state, m.groupId)
+    c.string.preencode(state, m.sender)
+    c.uint.preencode(state, m.keyEpoch)
+    c.string.preencode(state, m.content)
+    c.uint.preencode(state, m.sentAt)
+  },
+  encode (state, m) {
+    c.string.encode(state, m.id)
+    c.string.encode(state, m.groupId)
+    c.string.encode(state, m.sender)
+    c.uint.encode(state, m.keyEpoch)
+    c.string.encode(state, m.content)
+    c.uint.encode(state, m.sentAt)
+  },
+  decode (state) {
+    const r0 = c.string.decode(state)
+    const r1 = c.string.decode(state)
+    const r2 = c.string.decode(state)
+    const r3 = c.uint.decode(state)
+    const r4 = c.string.decode(state)
+    const r5 = c.uint.decode(state)
+
+    return {
+      id: r0,
+      groupId: r1,
+      sender: r2,
+      keyEpoch: r3,
+      content: r4,
+      sentAt: r5
+    }
+  }
+}
+
+// @server/thread
+const encoding26 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.rootId)
+    c.string.preencode(state, m.channelId)
+    state.end++ // max flag is 1 so always one byte
+
+    if (version >= 15 && m.title) c.string.preencode(state, m.title)
+    c.string.preencode(state, m.createdBy)
+    c.int.preencode(state, m.createdAt)
+  },
+  encode (state, m) {
+    const flags = (version >= 15 && m.title) ? 1 : 0
+
+    c.string.encode(state, m.rootId)
+    c.string.encode(state, m.channelId)
+    c.uint.encode(state, flags)
+
+    if (version >= 15 && m.title) c.string.encode(state, m.title)
+    c.string.encode(state, m.createdBy)
+    c.int.encode(state, m.createdAt)
+  },
+  decode (state) {
+    const r0 = c.string.decode(state)
+    const r1 = c.string.decode(state)
+    const flags = c.uint.decode(state)
+
+    return {
+      rootId: r0,
+      channelId: r1,
+      title: (version >= 15 && (flags & 1) !== 0) ? c.string.decode(state) : null,
+      createdBy: c.string.decode(state),
+      createdAt: c.int.decode(state)
+    }
+  }
+}
+
+// @server/import
+const encoding27 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.writerKey)
+    c.string.preencode(state, m.importer)
+    c.string.preencode(state, m.source)
+    c.uint.preencode(state, m.count)
+    state.end++ // max flag is 1 so always one byte
+
+    if (version >= 16 && m.imported) c.uint.preencode(state, m.imported)
+    c.uint.preencode(state, m.startedAt)
+  },
+  encode (state, m) {
+    const flags = (version >= 16 && m.imported) ? 1 : 0
+
+    c.string.encode(state, m.writerKey)
+    c.string.encode(state, m.importer)
+    c.string.encode(state, m.source)
+    c.uint.encode(state, m.count)
+    c.uint.encode(state, flags)
+
+    if (version >= 16 && m.imported) c.uint.encode(state, m.imported)
+    c.uint.encode(state, m.startedAt)
+  },
+  decode (state) {
+    const r0 = c.string.decode(state)
+    const r1 = c.string.decode(state)
+    const r2 = c.string.decode(state)
+    const r3 = c.uint.decode(state)
+    const flags = c.uint.decode(state)
+
+    return {
+      writerKey: r0,
+      importer: r1,
+      source: r2,
+      count: r3,
+      imported: (version >= 16 && (flags & 1) !== 0) ? c.uint.decode(state) : 0,
+      startedAt: c.uint.decode(state)
+    }
+  }
+}
+
+// @server/repair
+const encoding28 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.id)
+    c.string.preencode(state, m.changes)
+  },
+  encode (state, m) {
+    c.string.encode(state, m.id)
+    c.string.encode(state, m.changes)
+  },
+  decode (state) {
+    const r0 = c.string.decode(state)
+    const r1 = c.string.decode(state)
+
+    return {
+      id: r0,
+      changes: r1
+    }
+  }
+}
+
+// @server/ban
+const encoding29 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.userId)
+    c.string.preencode(state, m.channelId)
+    state.end++ // max flag is 1 so always one byte
+
+    if (version >= 19 && m.reason) c.string.preencode(state, m.reason)
+    c.string.preencode(state, m.bannedBy)
+    c.uint.preencode(state, m.bannedAt)
+  },
+  encode (state, m) {
+    const flags = (version >= 19 && m.reason) ? 1 : 0
+
+    c.string.encode(state, m.userId)
+    c.string.encode(state, m.channelId)
+    c.uint.encode(state, flags)
+
+    if (version >= 19 && m.reason) c.string.encode(state, m.reason)
+    c.string.encode(state, m.bannedBy)
+    c.uint.encode(state, m.bannedAt)
+  },
+  decode (state) {
+    const r0 = c.string.decode(state)
+    const r1 = c.string.decode(state)
+    const flags = c.uint.decode(state)
+
+    return {
+      userId: r0,
+      channelId: r1,
+      reason: (version >= 19 && (flags & 1) !== 0) ? c.string.decode(state) : null,
+      bannedBy: c.string.decode(state),
+      bannedAt: c.uint.decode(state)
+    }
+  }
+}
+
+// @server/server/hyperdb#0
+const encoding30 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.name)
+    c.int.preencode(state, m.createdAt)
+    state.end++ // max flag is 2 so always one byte
+
+    if (m.avatar) c.string.preencode(state, m.avatar)
+    if (m.description) c.string.preencode(state, m.description)
+  },
+  encode (state, m) {
+    const flags =
+      (m.avatar ? 1 : 0) |
+      (m.description ? 2 : 0)
+
+    c.string.encode(state, m.name)
+    c.int.encode(state, m.createdAt)
+    c.uint.encode(state, flags)
+
+    if (m.avatar) c.string.encode(state, m.avatar)
+    if (m.description) c.string.encode(state, m.description)
+  },
+  decode (state) {
+    const r1 = c.string.decode(state)
+    const r2 = c.int.decode(state)
+    const flags = c.uint.decode(state)
+
+    return {
+      id: null,
+      name: r1,
+      createdAt: r2,
+      avatar: (flags & 1) !== 0 ? c.string.decode(state) : null,
+      description: (flags & 2) !== 0 ? c.string.decode(state) : null
+    }
+  }
+}
+
+// @server/channel/hyperdb#1
+const encoding31 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.id)
+    c.string.preencode(state, m.name)
+    c.string.preencode(state, m.type)
+    state.end++ // max flag is 4 so always one byte
+
+    if (m.topic) c.string.preencode(state, m.topic)
+    c.string.preencode(state, m.createdBy)
+    c.int.preencode(state, m.createdAt)
+    if (m.position) c.int.preencode(state, m.position)
+  },
+  encode (state, m) {
+    const flags =
+      (m.topic ? 1 : 0) |
+      (m.position ? 2 : 0) |
+      ((version >= 13 && m.private) ? 4 : 0)
+
+    c.string.encode(state, m.id)
+    c.string.encode(state, m.name)
+    c.string.encode(state, m.type)
+    c.uint.encode(state, flags)
+
+    if (m.topic) c.string.encode(state, m.topic)
+    c.string.encode(state, m.createdBy)
+    c.int.encode(state, m.createdAt)
+    if (m.position) c.int.encode(state, m.position)
+  },
+  decode (state) {
+    const r0 = c.string.decode(state)
+    const r2 = c.string.decode(state)
+    const r3 = c.string.decode(state)
+    const flags = c.uint.decode(state)
+
+    return {
+      id: r0,
+      channelId: null,
+      name: r2,
+      type: r3,
+      topic: (flags & 1) !== 0 ? c.string.decode(state) : null,
+      createdBy: c.string.decode(state),
+      createdAt: c.int.decode(state),
+      position: (flags & 2) !== 0 ? c.int.decode(state) : 0,
+      private: (version >= 13 && (flags & 4) !== 0)
+    }
+  }
+}
+
+// @server/message/hyperdb#2
+const encoding32 = {
+  preencode (state, m) {
+    const flags =
+      (m.editedAt ? 1 : 0) |
+      (m.deletedAt ? 2 : 0) |
+      (m.deletedBy ? 4 : 0) |
+      (m.attachments ? 8 : 0) |
+      ((version >= 13 && m.keyEpoch) ? 16 : 0) |
+      ((version >= 15 && m.replyTo) ? 32 : 0) |
+      ((version >= 15 && m.threadId) ? 64 : 0) |
+      ((version >= 15 && m.replyCount) ? 128 : 0) |
+      ((version >= 15 && m.lastReplyAt) ? 256 : 0)
+
+    c.string.preencode(state, m.author)
+    c.string.preencode(state, m.content)
+    c.int.preencode(state, m.timestamp)
+    c.uint.preencode(state, flags)
+
+    if (m.editedAt) c.int.preencode(state, m.editedAt)
+    if (m.deletedAt) c.int.preencode(state, m.deletedAt)
+    if (m.deletedBy) c.string.preencode(state, m.deletedBy)
+    if (m.attachments) c.string.preencode(state, m.attachments)
+    if (version >= 13 && m.keyEpoch) c.uint.preencode(state, m.keyEpoch)
+    if (version >= 15 && m.replyTo) c.string.preencode(state, m.replyTo)
+    if (version >= 15 && m.threadId) c.string.preencode(state, m.threadId)
+    if (version >= 15 && m.replyCount) c.uint.preencode(state, m.replyCount)
+    if (version >= 15 && m.lastReplyAt) c.int.preencode(state, m.lastReplyAt)
+  },
+  encode (state, m) {
+    const flags =
+      (m.editedAt ? 1 : 0) |
+      (m.deletedAt ? 2 : 0) |
+      (m.deletedBy ? 4 : 0) |
+      (m.attachments ? 8 : 0) |
+      ((version >= 13 && m.keyEpoch) ? 16 : 0) |
+      ((version >= 15 && m.replyTo) ? 32 : 0) |
+      ((version >= 15 && m.threadId) ? 64 : 0) |
+      ((version >= 15 && m.replyCount) ? 128 : 0) |
+      ((version >= 15 && m.lastReplyAt) ? 256 : 0)
+
+    c.string.encode(state, m.author)
+    c.string.encode(state, m.content)
+    c.int.encode(state, m.timestamp)
+    c.uint.encode(state, flags)
+
+    if (m.editedAt) c.int.encode(state, m.editedAt)
+    if (m.deletedAt) c.int.encode(state, m.deletedAt)
+    if (m.deletedBy) c.string.encode(state, m.deletedBy)
+    if (m.attachments) c.string.encode(state, m.attachments)
+    if (version >= 13 && m.keyEpoch) c.uint.encode(state, m.keyEpoch)
+    if (version >= 15 && m.replyTo) c.string.encode(state, m.replyTo)
+    if (version >= 15 && m.threadId) c.string.encode(state, m.threadId)
+    if (version >= 15 && m.replyCount) c.uint.encode(state, m.replyCount)
+    if (version >= 15 && m.lastReplyAt) c.int.encode(state, m.lastReplyAt)
+  },
+  decode (state) {
+    const r2 = c.string.decode(state)
+    const r3 = c.string.decode(state)
+    const r4 = c.int.decode(state)
+    const flags = c.uint.decode(state)
+
+    return {
+      id: null,
+      channelId: null,
+      author: r2,
+      content: r3,
+      timestamp: r4,
+      editedAt: (flags & 1) !== 0 ? c.int.decode(state) : 0,
+      deletedAt: (flags & 2) !== 0 ? c.int.decode(state) : 0,
+      deletedBy: (flags & 4) !== 0 ? c.string.decode(state) : null,
+      attachments: (flags & 8) !== 0 ? c.string.decode(state) : null,
+      keyEpoch: (version >= 13 && (flags & 16) !== 0) ? c.uint.decode(state) : 0,
+      replyTo: (version >= 15 && (flags & 32) !== 0) ? c.string.decode(state) : null,
+      threadId: (version >= 15 && (flags & 64) !== 0) ? c.string.decode(state) : null,
+      replyCount: (version >= 15 && (flags & 128) !== 0) ? c.uint.decode(state) : 0,
+      lastReplyAt: (version >= 15 && (flags & 256) !== 0) ? c.int.decode(state) : 0
+    }
+  }
+}
+
+// @server/user/hyperdb#3
+const encoding33 = {
+  preencode (state, m) {
+    state.end++ // max flag is 8 so always one byte
+
+    if (m.username) c.string.preencode(state, m.username)
+    c.int.preencode(state, m.joinedAt)
+    if (m.inviteCode) c.string.preencode(state, m.inviteCode)
+    if (m.avatar) c.string.preencode(state, m.avatar)
+    if (m.status) c.string.preencode(state, m.status)
+  },
+  encode (state, m) {
+    const flags =
+      (m.username ? 1 : 0) |
+      (m.inviteCode ? 2 : 0) |
+      (m.avatar ? 4 : 0) |
+      (m.status ? 8 : 0)
+
+    c.uint.encode(state, flags)
+
+    if (m.username) c.string.encode(state, m.username)
+    c.int.encode(state, m.joinedAt)
+    if (m.inviteCode) c.string.encode(state, m.inviteCode)
+    if (m.avatar) c.string.encode(state, m.avatar)
+    if (m.status) c.string.encode(state, m.status)
+  },
+  decode (state) {
+    const flags = c.uint.decode(state)
+
+    return {
+      id: null,
+      publicKey: null,
+      username: (flags & 1) !== 0 ? c.string.decode(state) : null,
+      joinedAt: c.int.decode(state),
+      inviteCode: (flags & 2) !== 0 ? c.string.decode(state) : null,
+      avatar: (flags & 4) !== 0 ? c.string.decode(state) : null,
+      status: (flags & 8) !== 0 ? c.string.decode(state) : null
+    }
+  }
+}
+
+// @server/role/hyperdb#4
+const encoding34 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.role)
+    state.end++ // max flag is 2 so always one byte
+
+    if (m.updatedAt) c.int.preencode(state, m.updatedAt)
+    if (m.updatedBy) c.string.preencode(state, m.updatedBy)
+  },
+  encode (state, m) {
+    const flags =
+      (m.updatedAt ? 1 : 0) |
+      (m.updatedBy ? 2 : 0)
+
+    c.string.encode(state, m.role)
+    c.uint.encode(state, flags)
+
+    if (m.updatedAt) c.int.encode(state, m.updatedAt)
+    if (m.updatedBy) c.string.encode(state, m.updatedBy)
+  },
+  decode (state) {
+    const r1 = c.string.decode(state)
+    const flags = c.uint.decode(state)
+
+    return {
+      userId: null,
+      role: r1,
+      updatedAt: (flags & 1) !== 0 ? c.int.decode(state) : 0,
+      updatedBy: (flags & 2) !== 0 ? c.string.decode(state) : null
+    }
+  }
+}
+
+// @server/invite/hyperdb#5
+const encoding35 = {
+  preencode (state, m) {
+    c.buffer.preencode(state, m.invite)
+    c.buffer.preencode(state, m.publicKey)
+    c.int.preencode(state, m.expires)
+    state.end++ // max flag is 4 so always one byte
+
+    if (m.inviteCode) c.string.preencode(state, m.inviteCode)
+    if (m.uses) c.int.preencode(state, m.uses)
+    if (m.maxUses) c.int.preencode(state, m.maxUses)
+  },
+  encode (state, m) {
+    const flags =
+      (m.inviteCode ? 1 : 0) |
+      (m.uses ? 2 : 0) |
+      (m.maxUses ? 4 : 0)
+
+    c.buffer.encode(state, m.invite)
+    c.buffer.encode(state, m.publicKey)
+    c.int.encode(state, m.expires)
+    c.uint.encode(state, flags)
+
+    if (m.inviteCode) c.string.encode(state, m.inviteCode)
+    if (m.uses) c.int.encode(state, m.uses)
+    if (m.maxUses) c.int.encode(state, m.maxUses)
+  },
+  decode (state) {
+    const r1 = c.buffer.decode(state)
+    const r2 = c.buffer.decode(state)
+    const r3 = c.int.decode(state)
+    const flags = c.uint.decode(state)
+
+    return {
+      id: null,
+      invite: r1,
+      publicKey: r2,
+      expires: r3,
+      inviteCode: (flags & 1) !== 0 ? c.string.decode(state) : null,
+      uses: (flags & 2) !== 0 ? c.int.decode(state) : 0,
+      maxUses: (flags & 4) !== 0 ? c.int.decode(state) : 0
+    }
+  }
+}
+
+// @server/pending/hyperdb#6
+const encoding36 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.type)
+    c.string.preencode(state, m.action)
+    state.end++ // max flag is 1 so always one byte
+
+    if (version >= 2 && m.writerKey) c.string.preencode(state, m.writerKey)
+  },
+  encode (state, m) {
+    const flags = (version >= 2 && m.writerKey) ? 1 : 0
+
+    c.string.encode(state, m.type)
+    c.string.encode(state, m.action)
+    c.uint.encode(state, flags)
+
+    if (version >= 2 && m.writerKey) c.string.encode(state, m.writerKey)
+  },
+  decode (state) {
+    const r2 = c.string.decode(state)
+    const r3 = c.string.decode(state)
+    const flags = c.uint.decode(state)
+
+    return {
+      id: null,
+      dependency: null,
+      type: r2,
+      action: r3,
+      writerKey: (version >= 2 && (flags & 1) !== 0) ? c.string.decode(state) : null
+    }
+  }
+}
+
+// @server/processed/hyperdb#7
+const encoding37 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.type)
+    state.end++ // max flag is 1 so always one byte
+
+    if (version >= 3 && m.signer) c.string.preencode(state, m.signer)
+  },
+  encode (state, m) {
+    const flags = (version >= 3 && m.signer) ? 1 : 0
+
+    c.string.encode(state, m.type)
+    c.uint.encode(state, flags)
+
+    if (version >= 3 && m.signer) c.string.encode(state, m.signer)
+  },
+  decode (state) {
+    const r1 = c.string.decode(state)
+    const flags = c.uint.decode(state)
+
+    return {
+      id: null,
+      type: r1,
+      signer: (version >= 3 && (flags & 1) !== 0) ? c.string.decode(state) : null
+    }
+  }
+}
+
+// @server/outbox/hyperdb#8
+const encoding38 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.id)
+    c.string.preencode(state, m.type)
+    c.string.preencode(state, m.action)
+    c.string.preencode(state, m.status)
+    state.end++ // max flag is 2 so always one byte
+
+    if (version >= 4 && m.error) c.string.preencode(state, m.error)
+    c.int.preencode(state, m.createdAt)
+    if (version >= 4 && m.updatedAt) c.int.preencode(state, m.updatedAt)
+  },
+  encode (state, m) {
+    const flags =
+      ((version >= 4 && m.error) ? 1 : 0) |
+      ((version >= 4 && m.updatedAt) ? 2 : 0)
+
+    c.string.encode(state, m.id)
+    c.string.encode(state, m.type)
+    c.string.encode(state, m.action)
+    c.string.encode(state, m.status)
+    c.uint.encode(state, flags)
+
+    if (version >= 4 && m.error) c.string.encode(state, m.error)
+    c.int.encode(state, m.createdAt)
+    if (version >= 4 && m.updatedAt) c.int.encode(state, m.updatedAt)
+  },
+  decode (state) {
+    const r1 = c.string.decode(state)
+    const r2 = c.string.decode(state)
+    const r3 = c.string.decode(state)
+    const r4 = c.string.decode(state)
+    const flags = c.uint.decode(state)
+
+    return {
+      seq: 0,
+      id: r1,
+      type: r2,
+      action: r3,
+      status: r4,
+      error: (version >= 4 && (flags & 1) !== 0) ? c.string.decode(state) : null,
+      createdAt: c.int.decode(state),
+      updatedAt: (version >= 4 && (flags & 2) !== 0) ? c.int.decode(state) : 0
+    }
+  }
+}
+
+// @server/local_server/hyperdb#9
+const encoding39 = {
+  preencode (state, m) {
+    state.end++ // max flag is 16 so always one byte
+
+    if (version >= 5 && m.encryptionKey) c.string.preencode(state, m.encryptionKey)
+    if (version >= 5 && m.namespace) c.string.preencode(state, m.namespace)
+    if (version >= 5 && m.name) c.string.preencode(state, m.name)
+    if (version >= 5 && m.identity) c.string.preencode(state, m.identity)
+    c.int.preencode(state, m.joinedAt)
+    if (version >= 18 && m.schema) c.uint.preencode(state, m.schema)
+  },
+  encode (state, m) {
+    const flags =
+      ((version >= 5 && m.encryptionKey) ? 1 : 0) |
+      ((version >= 5 && m.namespace) ? 2 : 0) |
+      ((version >= 5 && m.name) ? 4 : 0) |
+      ((version >= 5 && m.identity) ? 8 : 0) |
+      ((version >= 18 && m.schema) ? 16 : 0)
+
+    c.uint.encode(state, flags)
+
+    if (version >= 5 && m.encryptionKey) c.string.encode(state, m.encryptionKey)
+    if (version >= 5 && m.namespace) c.string.encode(state, m.namespace)
+    if (version >= 5 && m.name) c.string.encode(state, m.name)
+    if (version >= 5 && m.identity) c.string.encode(state, m.identity)
+    c.int.encode(state, m.joinedAt)
+    if (version >= 18 && m.schema) c.uint.encode(state, m.schema)
+  },
+  decode (state) {
+    const flags = c.uint.decode(state)
+
+    return {
+      key: null,
+      encryptionKey: (version >= 5 && (flags & 1) !== 0) ? c.string.decode(state) : null,
+      namespace: (version >= 5 && (flags & 2) !== 0) ? c.string.decode(state) : null,
+      name: (version >= 5 && (flags & 4) !== 0) ? c.string.decode(state) : null,
+      identity: (version >= 5 && (flags & 8) !== 0) ? c.string.decode(state) : null,
+      joinedAt: c.int.decode(state),
+      schema: (version >= 18 && (flags & 16) !== 0) ? c.uint.decode(state) : 0
+    }
+  }
+}
+
+// @server/schema_meta/hyperdb#10
+const encoding40 = {
+  preencode (state, m) {
+    c.uint.preencode(state, m.version)
+  },
+  encode (state, m) {
+    c.uint.encode(state, m.version)
+  },
+  decode (state) {
+    const r1 = c.uint.decode(state)
+
+    return {
+      id: null,
+      version: r1
+    }
+  }
+}
+
+// @server/revision/hyperdb#11
+const encoding41 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.fields)
+  },
+  encode (state, m) {
+    c.string.encode(state, m.fields)
+  },
+  decode (state) {
+    const r2 = c.string.decode(state)
+
+    return {
+      collection: null,
+      key: null,
+      fields: r2
+    }
+  }
+}
+
+// @server/conflict/hyperdb#12
+const encoding42 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.fields)
+    c.string.preencode(state, m.winner)
+    c.string.preencode(state, m.loser)
+    state.end++ // max flag is 2 so always one byte
+
+    if (version >= 7 && m.values) c.string.preencode(state, m.values)
+    c.int.preencode(state, m.timestamp)
+  },
+  encode (state, m) {
+    const flags =
+      ((version >= 7 && m.values) ? 1 : 0) |
+      ((version >= 7 && m.resolved) ? 2 : 0)
+
+    c.string.encode(state, m.fields)
+    c.string.encode(state, m.winner)
+    c.string.encode(state, m.loser)
+    c.uint.encode(state, flags)
+
+    if (version >= 7 && m.values) c.string.encode(state, m.values)
+    c.int.encode(state, m.timestamp)
+  },
+  decode (state) {
+    const r3 = c.string.decode(state)
+    const r4 = c.string.decode(state)
+    const r5 = c.string.decode(state)
+    const flags = c.uint.decode(state)
+
+    return {
+      collection: null,
+      key: null,
+      id: null,
+      fields: r3,
+      winner: r4,
+      loser: r5,
+      values: (version >= 7 && (flags & 1) !== 0) ? c.string.decode(state) : null,
+      timestamp: c.int.decode(state),
+      resolved: (version >= 7 && (flags & 2) !== 0)
+    }
+  }
+}
+
+// @server/writer/hyperdb#13
+const encoding43 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.userId)
+    c.uint.preencode(state, m.addedAt)
+    state.end++ // max flag is 1 so always one byte
+
+    if (version >= 9 && m.deviceKey) c.string.preencode(state, m.deviceKey)
+  },
+  encode (state, m) {
+    const flags = (version >= 9 && m.deviceKey) ? 1 : 0
+
+    c.string.encode(state, m.userId)
+    c.uint.encode(state, m.addedAt)
+    c.uint.encode(state, flags)
+
+    if (version >= 9 && m.deviceKey) c.string.encode(state, m.deviceKey)
+  },
+  decode (state) {
+    const r1 = c.string.decode(state)
+    const r2 = c.uint.decode(state)
+    const flags = state.start < state.end ? c.uint.decode(state) : 0
+
+    return {
+      writerKey: null,
+      userId: r1,
+      addedAt: r2,
+      deviceKey: (version >= 9 && (flags & 1) !== 0) ? c.string.decode(state) : null
+    }
+  }
+}
+
+// @server/device/hyperdb#14
+const encoding44 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.userId)
+    state.end++ // max flag is 2 so always one byte
+
+    if (version >= 9 && m.name) c.string.preencode(state, m.name)
+    c.uint.preencode(state, m.addedAt)
+    c.string.preencode(state, m.addedBy)
+    if (version >= 9 && m.revokedAt) c.uint.preencode(state, m.revokedAt)
+  },
+  encode (state, m) {
+    const flags =
+      ((version >= 9 && m.name) ? 1 : 0) |
+      ((version >= 9 && m.revokedAt) ? 2 : 0)
+
+    c.string.encode(state, m.userId)
+    c.uint.encode(state, flags)
+
+    if (version >= 9 && m.name) c.string.encode(state, m.name)
+    c.uint.encode(state, m.addedAt)
+    c.string.encode(state, m.addedBy)
+    if (version >= 9 && m.revokedAt) c.uint.encode(state, m.revokedAt)
+  },
+  decode (state) {
+    const r1 = c.string.decode(state)
+    const flags = c.uint.decode(state)
+
+    return {
+      deviceKey: null,
+      userId: r1,
+      name: (version >= 9 && (flags & 1) !== 0) ? c.string.decode(state) : null,
+      addedAt: c.uint.decode(state),
+      addedBy: c.string.decode(state),
+      revokedAt: (version >= 9 && (flags & 2) !== 0) ? c.uint.decode(state) : 0
+    }
+  }
+}
+
+// @server/identity/hyperdb#15
+const encoding45 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.userId)
+    state.end++ // max flag is 8 so always one byte
+
+    if (version >= 10 && m.previousKey) c.string.preencode(state, m.previousKey)
+    if (version >= 10 && m.nextKey) c.string.preencode(state, m.nextKey)
+    if (version >= 10 && m.proof) c.string.preencode(state, m.proof)
+    c.uint.preencode(state, m.addedAt)
+    if (version >= 10 && m.retiredAt) c.uint.preencode(state, m.retiredAt)
+  },
+  encode (state, m) {
+    const flags =
+      ((version >= 10 && m.previousKey) ? 1 : 0) |
+      ((version >= 10 && m.nextKey) ? 2 : 0) |
+      ((version >= 10 && m.proof) ? 4 : 0) |
+      ((version >= 10 && m.retiredAt) ? 8 : 0)
+
+    c.string.encode(state, m.userId)
+    c.uint.encode(state, flags)
+
+    if (version >= 10 && m.previousKey) c.string.encode(state, m.previousKey)
+    if (version >= 10 && m.nextKey) c.string.encode(state, m.nextKey)
+    if (version >= 10 && m.proof) c.string.encode(state, m.proof)
+    c.uint.encode(state, m.addedAt)
+    if (version >= 10 && m.retiredAt) c.uint.encode(state, m.retiredAt)
+  },
+  decode (state) {
+    const r1 = c.string.decode(state)
+    const flags = c.uint.decode(state)
+
+    return {
+      key: null,
+      userId: r1,
+      previousKey: (version >= 10 && (flags & 1) !== 0) ? c.string.decode(state) : null,
+      nextKey: (version >= 10 && (flags & 2) !== 0) ? c.string.decode(state) : null,
+      proof: (version >= 10 && (flags & 4) !== 0) ? c.string.decode(state) : null,
+      addedAt: c.uint.decode(state),
+      retiredAt: (version >= 10 && (flags & 8) !== 0) ? c.uint.decode(state) : 0
+    }
+  }
+}
+
+// @server/recovery/hyperdb#16
+const encoding46 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.key)
+    c.uint.preencode(state, m.threshold)
+    c.string.preencode(state, m.guardians)
+    c.uint.preencode(state, m.createdAt)
+  },
+  encode (state, m) {
+    c.string.encode(state, m.key)
+    c.uint.encode(state, m.threshold)
+    c.string.encode(state, m.guardians)
+    c.uint.encode(state, m.createdAt)
+  },
+  decode (state) {
+    const r1 = c.string.decode(state)
+    const r2 = c.uint.decode(state)
+    const r3 = c.string.decode(state)
+    const r4 = c.uint.decode(state)
+
+    return {
+      userId: null,
+      key: r1,
+      threshold: r2,
+      guardians: r3,
+      createdAt: r4
+    }
+  }
+}
+
+// @server/recovery_request/hyperdb#17
+const encoding47 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.userId)
+    c.string.preencode(state, m.requesterKey)
+    c.uint.preencode(state, m.createdAt)
+  },
+  encode (state, m) {
+    c.string.encode(state, m.userId)
+    c.string.encode(state, m.requesterKey)
+    c.uint.encode(state, m.createdAt)
+  },
+  decode (state) {
+    const r1 = c.string.decode(state)
+    const r2 = c.string.decode(state)
+    const r3 = c.uint.decode(state)
+
+    return {
+      id: null,
+      userId: r1,
+      requesterKey: r2,
+      createdAt: r3
+    }
+  }
+}
+
+// @server/recovery_approval/hyperdb#18
+const encoding48 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.share)
+    c.uint.preencode(state, m.approvedAt)
+  },
+  encode (state, m) {
+    c.string.encode(state, m.share)
+    c.uint.encode(state, m.approvedAt)
+  },
+  decode (state) {
+    const r2 = c.string.decode(state)
+    const r3 = c.uint.decode(state)
+
+    return {
+      requestId: null,
+      guardianId: null,
+      share: r2,
+      approvedAt: r3
+    }
+  }
+}
+
+// @server/direct_message/hyperdb#19
+const encoding49 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.sender)
+    c.string.preencode(state, m.recipient)
+    c.string.preencode(state, m.senderKey)
+    c.string.preencode(state, m.recipientKey)
+    c.string.preencode(state, m.nonce)
+    c.string.preencode(state, m.ciphertext)
+    c.uint.preencode(state, m.sentAt)
+    state.end++ // max flag is 1 so always one byte
+
+    if (version >= 20 && m.keys) c.string.preencode(state, m.keys)
+  },
+  encode (state, m) {
+    const flags = (version >= 20 && m.keys) ? 1 : 0
+
+    c.string.encode(state, m.sender)
+    c.string.encode(state, m.recipient)
+    c.string.encode(state, m.senderKey)
+    c.string.encode(state, m.recipientKey)
+    c.string.encode(state, m.nonce)
+    c.string.encode(state, m.ciphertext)
+    c.uint.encode(state, m.sentAt)
+    c.uint.encode(state, flags)
+
+    if (version >= 20 && m.keys) c.string.encode(state, m.keys)
+  },
+  decode (state) {
+    const r2 = c.string.decode(state)
+    const r3 = c.string.decode(state)
+    const r4 = c.string.decode(state)
+    const r5 = c.string.decode(state)
+    const r6 = c.string.decode(state)
+    const r7 = c.string.decode(state)
+    const r8 = c.uint.decode(state)
+    const flags = state.start < state.end ? c.uint.decode(state) : 0
+
+    return {
+      id: null,
+      conversationId: null,
+      sender: r2,
+      recipient: r3,
+      senderKey: r4,
+      recipientKey: r5,
+      nonce: r6,
+      ciphertext: r7,
+      sentAt: r8,
+      keys: (version >= 20 && (flags & 1) !== 0) ? c.string.decode(state) : null
+    }
+  }
+}
+
+// @server/direct_conversation/hyperdb#20
+const encoding50 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.userA)
+    c.string.preencode(state, m.userB)
+    c.uint.preencode(state, m.createdAt)
+    c.uint.preencode(state, m.lastMessageAt)
+  },
+  encode (state, m) {
+    c.string.encode(state, m.userA)
+    c.string.encode(state, m.userB)
+    c.uint.encode(state, m.createdAt)
+    c.uint.encode(state, m.lastMessageAt)
+  },
+  decode (state) {
+    const r1 = c.string.decode(state)
+    const r2 = c.string.decode(state)
+    const r3 = c.uint.decode(state)
+    const r4 = c.uint.decode(state)
+
+    return {
+      id: null,
+      userA: r1,
+      userB: r2,
+      createdAt: r3,
+      lastMessageAt: r4
+    }
+  }
+}
+
+// @server/channel_key/hyperdb#21
+const encoding51 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.members)
+    c.string.preencode(state, m.createdBy)
+    c.uint.preencode(state, m.createdAt)
+  },
+  encode (state, m) {
+    c.string.encode(state, m.members)
+    c.string.encode(state, m.createdBy)
+    c.uint.encode(state, m.createdAt)
+  },
+  decode (state) {
+    const r2 = c.string.decode(state)
+    const r3 = c.string.decode(state)
+    const r4 = c.uint.decode(state)
+
+    return {
+      channelId: null,
+      epoch: 0,
+      members: r2,
+      createdBy: r3,
+      createdAt: r4
+    }
+  }
+}
+
+// @server/group_dm/hyperdb#22
+const encoding52 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.title)
+    state.end++ // max flag is 4 so always one byte
+
+    if (version >= 14 && m.icon) c.string.preencode(state, m.icon)
+    c.string.preencode(state, m.createdBy)
+    c.uint.preencode(state, m.createdAt)
+    if (version >= 14 && m.updatedAt) c.uint.preencode(state, m.updatedAt)
+    if (version >= 14 && m.lastMessageAt) c.uint.preencode(state, m.lastMessageAt)
+  },
+  encode (state, m) {
+    const flags =
+      ((version >= 14 && m.icon) ? 1 : 0) |
+      ((version >= 14 && m.updatedAt) ? 2 : 0) |
+      ((version >= 14 && m.lastMessageAt) ? 4 : 0)
+
+    c.string.encode(state, m.title)
+    c.uint.encode(state, flags)
+
+    if (version >= 14 && m.icon) c.string.encode(state, m.icon)
+    c.string.encode(state, m.createdBy)
+    c.uint.encode(state, m.createdAt)
+    if (version >= 14 && m.updatedAt) c.uint.encode(state, m.updatedAt)
+    if (version >= 14 && m.lastMessageAt) c.uint.encode(state, m.lastMessageAt)
+  },
+  decode (state) {
+    const r1 = c.string.decode(state)
+    const flags = c.uint.decode(state)
+
+    return {
+      id: null,
+      title: r1,
+      icon: (version >= 14 && (flags & 1) !== 0) ? c.string.decode(state) : null,
+      createdBy: c.string.decode(state),
+      createdAt: c.uint.decode(state),
+      updatedAt: (version >= 14 && (flags & 2) !== 0) ? c.uint.decode(state) : 0,
+      lastMessageAt: (version >= 14 && (flags & 4) !== 0) ? c.uint.decode(state) : 0
+    }
+  }
+}
+
+// @server/group_dm_key/hyperdb#23
+const encoding53 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.members)
+    state.end++ // max flag is 1 so always one byte
+
+    if (version >= 14 && m.participant) c.string.preencode(state, m.participant)
+    c.string.preencode(state, m.createdBy)
+    c.uint.preencode(state, m.createdAt)
+  },
+  encode (state, m) {
+    const flags = (version >= 14 && m.participant) ? 1 : 0
+
+    c.string.encode(state, m.members)
+    c.uint.encode(state, flags)
+
+    if (version >= 14 && m.participant) c.string.encode(state, m.participant)
+    c.string.encode(state, m.createdBy)
+    c.uint.encode(state, m.createdAt)
+  },
+  decode (state) {
+    const r2 = c.string.decode(state)
+    const flags = c.uint.decode(state)
+
+    return {
+      groupId: null,
+      epoch: 0,
+      members: r2,
+      participant: (version >= 14 && (flags & 1) !== 0) ? c.string.decode(state) : null,
+      createdBy: c.string.decode(state),
+      createdAt: c.uint.decode(state)
+    }
+  }
+}
+
+// @server/group_dm_message/hyperdb#24
+const encoding54 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.sender)
+    c.uint.preencode(state, m.keyEpoch)
+    c.string.preencode(state, m.content)
+    c.uint.preencode(state, m.sentAt)
+  },
+  encode (state, m) {
+    c.string.encode(state, m.sender)
+    c.uint.encode(state, m.keyEpoch)
+    c.string.encode(state, m.content)
+    c.uint.encode(state, m.sentAt)
+  },
+  decode (state) {
+    const r2 = c.string.decode(state)
+    const r3 = c.uint.decode(state)
+    const r4 = c.string.decode(state)
+    const r5 = c.uint.decode(state)
+
+    return {
+      id: null,
+      groupId: null,
+      sender: r2,
+      keyEpoch: r3,
+      content: r4,
+      sentAt: r5
+    }
+  }
+}
+
+// @server/thread/hyperdb#25
+const encoding55 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.channelId)
+    state.end++ // max flag is 1 so always one byte
+
+    if (version >= 15 && m.title) c.string.preencode(state, m.title)
+    c.string.preencode(state, m.createdBy)
+    c.int.preencode(state, m.createdAt)
+  },
+  encode (state, m) {
+    const flags = (version >= 15 && m.title) ? 1 : 0
+
+    c.string.encode(state, m.channelId)
+    c.uint.encode(state, flags)
+
+    if (version >= 15 && m.title) c.string.encode(state, m.title)
+    c.string.encode(state, m.createdBy)
+    c.int.encode(state, m.createdAt)
+  },
+  decode (state) {
+    const r1 = c.string.decode(state)
+    const flags = c.uint.decode(state)
+
+    return {
+      rootId: null,
+      channelId: r1,
+      title: (version >= 15 && (flags & 1) !== 0) ? c.string.decode(state) : null,
+      createdBy: c.string.decode(state),
+      createdAt: c.int.decode(state)
+    }
+  }
+}
+
+// @server/import/hyperdb#27
+const encoding56 = {
+  preencode (state, m) {
+    c.string.preencode(state, m.importer)
+    c.string.preencode(state, m.source)
+    c.uint.preencode(state, m.count)
+    state.end++ // max flag is 1 so always one byte
+
+    if (version >= 16 && m.imported) c.uint.preencode(state, m.imported)
+    c.uint.preencode(state, m.startedAt)
+  },
+  encode (state, m) {
+    const flags = (version >= 16 && m.imported) ? 1 : 0
+
+    c.string.encode(state, m.importer)
+    c.string.encode(state, m.source)
+    c.uint.encode(state, m.count)
+    c.uint.encode(state, flags)
+
+    if (version >= 16 && m.imported) c.uint.encode(state, m.imported)
+    c.uint.encode(state, m.startedAt)
+  },
+  decode (state) {
+    const r1 = c.string.decode(state)
+    const r2 = c.string.decode(state)
+    const r3 = c.uint.decode(state)
+    const flags = c.uint.decode(state)
+
+    return {
+      writerKey: null,
+      importer: r1,
+      source: r2,
+      count: r3,
+      imported: (version >= 16 && (flags & 1) !== 0) ? c.uint.decode(state) : 0,
+      startedAt: c.uint.decode(state)
+    }
+  }
+}
+
+// @server/ban/hyperdb#28
+const encoding57 = {
+  preencode (state, m) {
+    state.end++ // max flag is 1 so always one byte
+
+    if (version >= 19 && m.reason) c.string.preencode(state, m.reason)
+    c.string.preencode(state, m.bannedBy)
+    c.uint.preencode(state, m.bannedAt)
+  },
+  encode (state, m) {
+    const flags = (version >= 19 && m.reason) ? 1 : 0
+
+    c.uint.encode(state, flags)
+
+    if (version >= 19 && m.reason) c.string.encode(state, m.reason)
+    c.string.encode(state, m.bannedBy)
+    c.uint.encode(state, m.bannedAt)
+  },
+  decode (state) {
+    const flags = c.uint.decode(state)
+
+    return {
+      userId: null,
+      channelId: null,
+      reason: (version >= 19 && (flags & 1) !== 0) ? c.string.decode(state) : null,
+      bannedBy: c.string.decode(state),
+      bannedAt: c.uint.decode(state)
     }
   }
 }
@@ -559,12 +2292,58 @@ function getEncoding (name) {
     case '@server/user': return encoding3
     case '@server/role': return encoding4
     case '@server/invite': return encoding5
-    case '@server/server/hyperdb#0': return encoding6
-    case '@server/channel/hyperdb#1': return encoding7
-    case '@server/message/hyperdb#2': return encoding8
-    case '@server/user/hyperdb#3': return encoding9
-    case '@server/role/hyperdb#4': return encoding10
-    case '@server/invite/hyperdb#5': return encoding11
+    case '@server/pending': return encoding6
+    case '@server/processed': return encoding7
+    case '@server/outbox': return encoding8
+    case '@server/local_server': return encoding9
+    case '@server/schema_meta': return encoding10
+    case '@server/revision': return encoding11
+    case '@server/conflict': return encoding12
+    case '@server/writer': return encoding13
+    case '@server/device': return encoding14
+    case '@server/identity': return encoding15
+    case '@server/recovery': return encoding16
+    case '@server/recovery_request': return encoding17
+    case '@server/recovery_approval': return encoding18
+    case '@server/direct_message': return encoding19
+    case '@server/direct_conversation': return encoding20
+    case '@server/channel_key': return encoding21
+    case '@server/group_dm': return encoding22
+    case '@server/group_dm_key': return encoding23
+    case '@server/group_dm_create': return encoding24
+    case '@server/group_dm_message': return encoding25
+    case '@server/thread': return encoding26
+    case '@server/import': return encoding27
+    case '@server/repair': return encoding28
+    case '@server/ban': return encoding29
+    case '@server/server/hyperdb#0': return encoding30
+    case '@server/channel/hyperdb#1': return encoding31
+    case '@server/message/hyperdb#2': return encoding32
+    case '@server/user/hyperdb#3': return encoding33
+    case '@server/role/hyperdb#4': return encoding34
+    case '@server/invite/hyperdb#5': return encoding35
+    case '@server/pending/hyperdb#6': return encoding36
+    case '@server/processed/hyperdb#7': return encoding37
+    case '@server/outbox/hyperdb#8': return encoding38
+    case '@server/local_server/hyperdb#9': return encoding39
+    case '@server/schema_meta/hyperdb#10': return encoding40
+    case '@server/revision/hyperdb#11': return encoding41
+    case '@server/conflict/hyperdb#12': return encoding42
+    case '@server/writer/hyperdb#13': return encoding43
+    case '@server/device/hyperdb#14': return encoding44
+    case '@server/identity/hyperdb#15': return encoding45
+    case '@server/recovery/hyperdb#16': return encoding46
+    case '@server/recovery_request/hyperdb#17': return encoding47
+    case '@server/recovery_approval/hyperdb#18': return encoding48
+    case '@server/direct_message/hyperdb#19': return encoding49
+    case '@server/direct_conversation/hyperdb#20': return encoding50
+    case '@server/channel_key/hyperdb#21': return encoding51
+    case '@server/group_dm/hyperdb#22': return encoding52
+    case '@server/group_dm_key/hyperdb#23': return encoding53
+    case '@server/group_dm_message/hyperdb#24': return encoding54
+    case '@server/thread/hyperdb#25': return encoding55
+    case '@server/import/hyperdb#27': return encoding56
+    case '@server/ban/hyperdb#28': return encoding57
     default: throw new Error('Encoder not found ' + name)
   }
 }
@@ -1,290 +1,546 @@
 // This file is autogenerated by the hyperdispatch compiler
 /* eslint-disable camelcase */
 
-const { c, b4a, assert } = require("hyperdispatch/runtime");
-const { version, getEncoding, setVersion } = require("./messages.js");
+const { c, b4a, assert } = require('hyperdispatch/runtime')
+const { version, getEncoding, setVersion } = require('./messages.js')
 
-const defaultVersion = version;
+const defaultVersion = version
 
 class Router {
-  constructor() {
-    this._handler0 = null;
-    this._handler1 = null;
-    this._handler2 = null;
-    this._handler3 = null;
-    this._handler4 = null;
-    this._handler5 = null;
-    this._handler6 = null;
-    this._handler7 = null;
-    this._handler8 = null;
-    this._handler9 = null;
-    this._handler10 = null;
-    this._handler11 = null;
-    this._handler12 = null;
-
-    this._missing = 13;
+  constructor () {
+    this._handler0 = null
+    this._handler1 = null
+    this._handler2 = null
+    this._handler3 = null
+    this._handler4 = null
+    this._handler5 = null
+    this._handler6 = null
+    this._handler7 = null
+    this._handler8 = null
+    this._handler9 = null
+    this._handler10 = null
+    this._handler11 = null
+    this._handler12 = null
+    this._handler13 = null
+    this._handler14 = null
+    this._handler15 = null
+    this._handler16 = null
+    this._handler17 = null
+    this._handler18 = null
+    this._handler19 = null
+    this._handler20 = null
+    this._handler21 = null
+    this._handler22 = null
+    this._handler23 = null
+    this._handler24 = null
+    this._handler25 = null
+    this._handler26 = null
+    this._handler27 = null
+    this._handler28 = null
+    this._handler29 = null
+    this._handler30 = null
+    this._handler31 = null
+    this._handler32 = null
+    this._handler33 = null
+
+    this._missing = 34
   }
 
-  add(name, handler) {
+  add (name, handler) {
     switch (name) {
-      case "@server/create-server":
-        this._handler0 = handler;
-        break;
-      case "@server/update-server":
-        this._handler1 = handler;
-        break;
-      case "@server/create-channel":
-        this._handler2 = handler;
-        break;
-      case "@server/update-channel":
-        this._handler3 = handler;
-        break;
-      case "@server/delete-channel":
-        this._handler4 = handler;
-        break;
-      case "@server/send-message":
-        this._handler5 = handler;
-        break;
-      case "@server/edit-message":
-        this._handler6 = handler;
-        break;
-      case "@server/delete-message":
-        this._handler7 = handler;
-        break;
-      case "@server/set-role":
-        this._handler8 = handler;
-        break;
-      case "@server/create-user":
-        this._handler9 = handler;
-        break;
-      case "@server/create-invite":
-        this._handler10 = handler;
-        break;
-      case "@server/claim-invite":
-        this._handler11 = handler;
-        break;
-      case "@server/revoke-invite":
-        this._handler12 = handler;
-        break;
+      case '@server/create-server':
+        this._handler0 = handler
+        break
+      case '@server/update-server':
+        this._handler1 = handler
+        break
+      case '@server/create-channel':
+        this._handler2 = handler
+        break
+      case '@server/update-channel':
+        this._handler3 = handler
+        break
+      case '@server/delete-channel':
+        this._handler4 = handler
+        break
+      case '@server/send-message':
+        this._handler5 = handler
+        break
+      case '@server/edit-message':
+        this._handler6 = handler
+        break
+      case '@server/delete-message':
+        this._handler7 = handler
+        break
+      case '@server/set-role':
+        this._handler8 = handler
+        break
+      case '@server/create-user':
+        this._handler9 = handler
+        break
+      case '@server/create-invite':
+        this._handler10 = handler
+        break
+      case '@server/claim-invite':
+        this._handler11 = handler
+        break
+      case '@server/revoke-invite':
+        this._handler12 = handler
+        break
+      case '@server/bind-writer':
+        this._handler13 = handler
+        break
+      case '@server/link-device':
+        this._handler14 = handler
+        break
+      case '@server/revoke-device':
+        this._handler15 = handler
+        break
+      case '@server/rotate-identity':
+        this._handler16 = handler
+        break
+      case '@server/setup-recovery':
+        this._handler17 = handler
+        break
+      case '@server/request-recovery':
+        this._handler18 = handler
+        break
+      case '@server/approve-recovery':
+        this._handler19 = handler
+        break
+      case '@server/send-direct-message':
+        this._handler20 = handler
+        break
+      case '@server/rekey-channel':
+        this._handler21 = handler
+        break
+      case '@server/create-group-dm':
+        this._handler22 = handler
+        break
+      case '@server/update-group-dm':
+        this._handler23 = handler
+        break
+      case '@server/add-group-participant':
+        this._handler24 = handler
+        break
+      case '@server/remove-group-participant':
+        this._handler25 = handler
+        break
+      case '@server/rekey-group-dm':
+        this._handler26 = handler
+        break
+      case '@server/send-group-message':
+        this._handler27 = handler
+        break
+      case '@server/create-thread':
+        this._handler28 = handler
+        break
+      case '@server/import-archive':
+        this._handler29 = handler
+        break
+      case '@server/repair-view':
+        this._handler30 = handler
+        break
+      case '@server/migrate-schema':
+        this._handler31 = handler
+        break
+      case '@server/ban-user':
+        this._handler32 = handler
+        break
+      case '@server/unban-user':
+        this._handler33 = handler
+        break
       default:
-        throw new Error(
-          "Cannot register a handler for a nonexistent route: " + name
-        );
+        throw new Error('Cannot register a handler for a nonexistent route: ' + name)
     }
-    this._missing--;
+    this._missing--
   }
 
-  _checkAll() {
-    assert(
-      this._handler0 !== null,
-      'Missing handler for "@server/create-server"'
-    );
-    assert(
-      this._handler1 !== null,
-      'Missing handler for "@server/update-server"'
-    );
-    assert(
-      this._handler2 !== null,
-      'Missing handler for "@server/create-channel"'
-    );
-    assert(
-      this._handler3 !== null,
-      'Missing handler for "@server/update-channel"'
-    );
-    assert(
-      this._handler4 !== null,
-      'Missing handler for "@server/delete-channel"'
-    );
-    assert(
-      this._handler5 !== null,
-      'Missing handler for "@server/send-message"'
-    );
-    assert(
-      this._handler6 !== null,
-      'Missing handler for "@server/edit-message"'
-    );
-    assert(
-      this._handler7 !== null,
-      'Missing handler for "@server/delete-message"'
-    );
-    assert(this._handler8 !== null, 'Missing handler for "@server/set-role"');
-    assert(
-      this._handler9 !== null,
-      'Missing handler for "@server/create-user"'
-    );
-    assert(
-      this._handler10 !== null,
-      'Missing handler for "@server/create-invite"'
-    );
-    assert(
-      this._handler11 !== null,
-      'Missing handler for "@server/claim-invite"'
-    );
-    assert(
-      this._handler12 !== null,
-      'Missing handler for "@server/revoke-invite"'
-    );
+  _checkAll () {
+    assert(this._handler0 !== null, 'Missing handler for "@server/create-server"')
+    assert(this._handler1 !== null, 'Missing handler for "@server/update-server"')
+    assert(this._handler2 !== null, 'Missing handler for "@server/create-channel"')
+    assert(this._handler3 !== null, 'Missing handler for "@server/update-channel"')
+    assert(this._handler4 !== null, 'Missing handler for "@server/delete-channel"')
+    assert(this._handler5 !== null, 'Missing handler for "@server/send-message"')
+    assert(this._handler6 !== null, 'Missing handler for "@server/edit-message"')
+    assert(this._handler7 !== null, 'Missing handler for "@server/delete-message"')
+    assert(this._handler8 !== null, 'Missing handler for "@server/set-role"')
+    assert(this._handler9 !== null, 'Missing handler for "@server/create-user"')
+    assert(this._handler10 !== null, 'Missing handler for "@server/create-invite"')
+    assert(this._handler11 !== null, 'Missing handler for "@server/claim-invite"')
+    assert(this._handler12 !== null, 'Missing handler for "@server/revoke-invite"')
+    assert(this._handler13 !== null, 'Missing handler for "@server/bind-writer"')
+    assert(this._handler14 !== null, 'Missing handler for "@server/link-device"')
+    assert(this._handler15 !== null, 'Missing handler for "@server/revoke-device"')
+    assert(this._handler16 !== null, 'Missing handler for "@server/rotate-identity"')
+    assert(this._handler17 !== null, 'Missing handler for "@server/setup-recovery"')
+    assert(this._handler18 !== null, 'Missing handler for "@server/request-recovery"')
+    assert(this._handler19 !== null, 'Missing handler for "@server/approve-recovery"')
+    assert(this._handler20 !== null, 'Missing handler for "@server/send-direct-message"')
+    assert(this._handler21 !== null, 'Missing handler for "@server/rekey-channel"')
+    assert(this._handler22 !== null, 'Missing handler for "@server/create-group-dm"')
+    assert(this._handler23 !== null, 'Missing handler for "@server/update-group-dm"')
+    assert(this._handler24 !== null, 'Missing handler for "@server/add-group-participant"')
+    assert(this._handler25 !== null, 'Missing handler for "@server/remove-group-participant"')
+    assert(this._handler26 !== null, 'Missing handler for "@server/rekey-group-dm"')
+    assert(this._handler27 !== null, 'Missing handler for "@server/send-group-message"')
+    assert(this._handler28 !== null, 'Missing handler for "@server/create-thread"')
+    assert(this._handler29 !== null, 'Missing handler for "@server/import-archive"')
+    assert(this._handler30 !== null, 'Missing handler for "@server/repair-view"')
+    assert(this._handler31 !== null, 'Missing handler for "@server/migrate-schema"')
+    assert(this._handler32 !== null, 'Missing handler for "@server/ban-user"')
+    assert(this._handler33 !== null, 'Missing handler for "@server/unban-user"')
   }
 
-  async dispatch(encoded, context) {
+  async dispatch (encoded, context) {
     if (this._missing > 0) {
-      this._checkAll();
+      this._checkAll()
     }
 
-    const state = { buffer: encoded, start: 0, end: encoded.byteLength };
-    const id = c.uint.decode(state);
+    const state = { buffer: encoded, start: 0, end: encoded.byteLength }
+    const id = c.uint.decode(state)
 
-    setVersion(defaultVersion);
+    setVersion(defaultVersion)
 
     switch (id) {
       case 0:
-        return this._handler0(route0.enc.decode(state), context);
+        return this._handler0(route0.enc.decode(state), context)
       case 1:
-        return this._handler1(route1.enc.decode(state), context);
+        return this._handler1(route1.enc.decode(state), context)
       case 2:
-        return this._handler2(route2.enc.decode(state), context);
+        return this._handler2(route2.enc.decode(state), context)
       case 3:
-        return this._handler3(route3.enc.decode(state), context);
+        return this._handler3(route3.enc.decode(state), context)
       case 4:
-        return this._handler4(route4.enc.decode(state), context);
+        return this._handler4(route4.enc.decode(state), context)
       case 5:
-        return this._handler5(route5.enc.decode(state), context);
+        return this._handler5(route5.enc.decode(state), context)
       case 6:
-        return this._handler6(route6.enc.decode(state), context);
+        return this._handler6(route6.enc.decode(state), context)
       case 7:
-        return this._handler7(route7.enc.decode(state), context);
+        return this._handler7(route7.enc.decode(state), context)
       case 8:
-        return this._handler8(route8.enc.decode(state), context);
+        return this._handler8(route8.enc.decode(state), context)
       case 9:
-        return this._handler9(route9.enc.decode(state), context);
+        return this._handler9(route9.enc.decode(state), context)
       case 10:
-        return this._handler10(route10.enc.decode(state), context);
+        return this._handler10(route10.enc.decode(state), context)
       case 11:
-        return this._handler11(route11.enc.decode(state), context);
+        return this._handler11(route11.enc.decode(state), context)
       case 12:
-        return this._handler12(route12.enc.decode(state), context);
+        return this._handler12(route12.enc.decode(state), context)
+      case 13:
+        return this._handler13(route13.enc.decode(state), context)
+      case 14:
+        return this._handler14(route14.enc.decode(state), context)
+      case 15:
+        return this._handler15(route15.enc.decode(state), context)
+      case 16:
+        return this._handler16(route16.enc.decode(state), context)
+      case 17:
+        return this._handler17(route17.enc.decode(state), context)
+      case 18:
+        return this._handler18(route18.enc.decode(state), context)
+      case 19:
+        return this._handler19(route19.enc.decode(state), context)
+      case 20:
+        return this._handler20(route20.enc.decode(state), context)
+      case 21:
+        return this._handler21(route21.enc.decode(state), context)
+      case 22:
+        return this._handler22(route22.enc.decode(state), context)
+      case 23:
+        return this._handler23(route23.enc.decode(state), context)
+      case 24:
+        return this._handler24(route24.enc.decode(state), context)
+      case 25:
+        return this._handler25(route25.enc.decode(state), context)
+      case 26:
+        return this._handler26(route26.enc.decode(state), context)
+      case 27:
+        return this._handler27(route27.enc.decode(state), context)
+      case 28:
+        return this._handler28(route28.enc.decode(state), context)
+      case 29:
+        return this._handler29(route29.enc.decode(state), context)
+      case 30:
+        return this._handler30(route30.enc.decode(state), context)
+      case 31:
+        return this._handler31(route31.enc.decode(state), context)
+      case 32:
+        return this._handler32(route32.enc.decode(state), context)
+      case 33:
+        return this._handler33(route33.enc.decode(state), context)
       default:
-        throw new Error("Handler not found for ID:" + id);
+        throw new Error('Handler not found for ID:' + id)
     }
   }
 }
 
-function dispatch(name, message, { version = defaultVersion } = {}) {
-  const state = { buffer: null, start: 0, end: 0 };
+function dispatch (name, message, { version = defaultVersion } = {}) {
+  const state = { buffer: null, start: 0, end: 0 }
 
-  const o = getEncoderAndId(name);
-  setVersion(version);
+  const o = getEncoderAndId(name)
+  setVersion(version)
 
-  c.uint.preencode(state, o.id);
-  o.enc.preencode(state, message);
+  c.uint.preencode(state, o.id)
+  o.enc.preencode(state, message)
 
-  state.buffer = b4a.allocUnsafe(state.end);
-  c.uint.encode(state, o.id);
-  o.enc.encode(state, message);
+  state.buffer = b4a.allocUnsafe(state.end)
+  c.uint.encode(state, o.id)
+  o.enc.encode(state, message)
 
-  return state.buffer;
+  return state.buffer
 }
 
 const route0 = {
   id: 0,
-  enc: getEncoding("@server/server"),
-};
+  enc: getEncoding('@server/server')
+}
 
 const route1 = {
   id: 1,
-  enc: getEncoding("@server/server"),
-};
+  enc: getEncoding('@server/server')
+}
 
 const route2 = {
   id: 2,
-  enc: getEncoding("@server/channel"),
-};
+  enc: getEncoding('@server/channel')
+}
 
 const route3 = {
   id: 3,
-  enc: getEncoding("@server/channel"),
-};
+  enc: getEncoding('@server/channel')
+}
 
 const route4 = {
   id: 4,
-  enc: getEncoding("@server/channel"),
-};
+  enc: getEncoding('@server/channel')
+}
 
 const route5 = {
   id: 5,
-  enc: getEncoding("@server/message"),
-};
+  enc: getEncoding('@server/message')
+}
 
 const route6 = {
   id: 6,
-  enc: getEncoding("@server/message"),
-};
+  enc: getEncoding('@server/message')
+}
 
 const route7 = {
   id: 7,
-  enc: getEncoding("@server/message"),
-};
+  enc: getEncoding('@server/message')
+}
 
 const route8 = {
   id: 8,
-  enc: getEncoding("@server/role"),
-};
+  enc: getEncoding('@server/role')
+}
 
 const route9 = {
   id: 9,
-  enc: getEncoding("@server/user"),
-};
+  enc: getEncoding('@server/user')
+}
 
 const route10 = {
   id: 10,
-  enc: getEncoding("@server/invite"),
-};
+  enc: getEncoding('@server/invite')
+}
 
 const route11 = {
   id: 11,
-  enc: getEncoding("@server/invite"),
-};
+  enc: getEncoding('@server/invite')
+}
 
 const route12 = {
   id: 12,
-  enc: getEncoding("@server/invite"),
-};
+  enc: getEncoding('@server/invite')
+}
 
-function getEncoderAndId(name) {
+const route13 = {
+  id: 13,
+  enc: getEncoding('@server/writer')
+}
+
+const route14 = {
+  id: 14,
+  enc: getEncoding('@server/device')
+}
+
+const route15 = {
+  id: 15,
+  enc: getEncoding('@server/device')
+}
+
+const route16 = {
+  id: 16,
+  enc: getEncoding('@server/identity')
+}
+
+const route17 = {
+  id: 17,
+  enc: getEncoding('@server/recovery')
+}
+
+const route18 = {
+  id: 18,
+  enc: getEncoding('@server/recovery_request')
+}
+
+const route19 = {
+  id: 19,
+  enc: getEncoding('@server/recovery_approval')
+}
+
+const route20 = {
+  id: 20,
+  enc: getEncoding('@server/direct_message')
+}
+
+const route21 = {
+  id: 21,
+  enc: getEncoding('@server/channel_key')
+}
+
+const route22 = {
+  id: 22,
+  enc: getEncoding('@server/group_dm_create')
+}
+
+const route23 = {
+  id: 23,
+  enc: getEncoding('@server/group_dm')
+}
+
+const route24 = {
+  id: 24,
+  enc: getEncoding('@server/group_dm_key')
+}
+
+const route25 = {
+  id: 25,
+  enc: getEncoding('@server/group_dm_key')
+}
+
+const route26 = {
+  id: 26,
+  enc: getEncoding('@server/group_dm_key')
+}
+
+const route27 = {
+  id: 27,
+  enc: getEncoding('@server/group_dm_message')
+}
+
+const route28 = {
+  id: 28,
+  enc: getEncoding('@server/thread')
+}
+
+const route29 = {
+  id: 29,
+  enc: getEncoding('@server/import')
+}
+
+const route30 = {
+  id: 30,
+  enc: getEncoding('@server/repair')
+}
+
+const route31 = {
+  id: 31,
+  enc: getEncoding('@server/schema_meta')
+}
+
+const route32 = {
+  id: 32,
+  enc: getEncoding('@server/ban')
+}
+
+const route33 = {
+  id: 33,
+  enc: getEncoding('@server/ban')
+}
+
+function getEncoderAndId (name) {
   switch (name) {
-    case "@server/create-server":
-      return route0;
-    case "@server/update-server":
-      return route1;
-    case "@server/create-channel":
-      return route2;
-    case "@server/update-channel":
-      return route3;
-    case "@server/delete-channel":
-      return route4;
-    case "@server/send-message":
-      return route5;
-    case "@server/edit-message":
-      return route6;
-    case "@server/delete-message":
-      return route7;
-    case "@server/set-role":
-      return route8;
-    case "@server/create-user":
-      return route9;
-    case "@server/create-invite":
-      return route10;
-    case "@server/claim-invite":
-      return route11;
-    case "@server/revoke-invite":
-      return route12;
+    case '@server/create-server':
+      return route0
+    case '@server/update-server':
+      return route1
+    case '@server/create-channel':
+      return route2
+    case '@server/update-channel':
+      return route3
+    case '@server/delete-channel':
+      return route4
+    case '@server/send-message':
+      return route5
+    case '@server/edit-message':
+      return route6
+    case '@server/delete-message':
+      return route7
+    case '@server/set-role':
+      return route8
+    case '@server/create-user':
+      return route9
+    case '@server/create-invite':
+      return route10
+    case '@server/claim-invite':
+      return route11
+    case '@server/revoke-invite':
+      return route12
+    case '@server/bind-writer':
+      return route13
+    case '@server/link-device':
+      return route14
+    case '@server/revoke-device':
+      return route15
+    case '@server/rotate-identity':
+      return route16
+    case '@server/setup-recovery':
+      return route17
+    case '@server/request-recovery':
+      return route18
+    case '@server/approve-recovery':
+      return route19
+    case '@server/send-direct-message':
+      return route20
+    case '@server/rekey-channel':
+      return route21
+    case '@server/create-group-dm':
+      return route22
+    case '@server/update-group-dm':
+      return route23
+    case '@server/add-group-participant':
+      return route24
+    case '@server/remove-group-participant':
+      return route25
+    case '@server/rekey-group-dm':
+      return route26
+    case '@server/send-group-message':
+      return route27
+    case '@server/create-thread':
+      return route28
+    case '@server/import-archive':
+      return route29
+    case '@server/repair-view':
+      return route30
+    case '@server/migrate-schema':
+      return route31
+    case '@server/ban-user':
+      return route32
+    case '@server/unban-user':
+      return route33
     default:
-      throw new Error("Handler not found for name: " + name);
+      throw new Error('Handler not found for name: ' + name)
   }
 }
 
 module.exports = {
   version,
   dispatch,
-  Router,
-};
+  Router
+}
@@ -0,0 +1,205 @@
+const b4a = require("b4a");
+const debounceify = require("debounceify");
+
+/**
+ * SyncMonitor - Tracks replication progress for the UI
+ *
+ * Combines the connections of the transport with the system state of the
+ * Autobase into a single status object and turns changes of that status into
+ * events on the SyncBase:
+ * - `peer-connected` / `peer-disconnected` - ({ publicKey, peers })
+ * - `writer-added` - ({ key, isIndexer }) a writer was added to the system
+ * - `indexed-length` - ({ indexedLength, previous }) the indexed length moved
+ * - `caught-up` - (status) every known writer has been applied
+ * - `sync-status` - (status) emitted after every recomputation that changed the state
+ *
+ * The lag of a writer is the number of blocks we know it has (locally
+ * available or announced by peers) that have not been applied yet.
+ */
+class SyncMonitor {
+  /**
+   * Create a new SyncMonitor instance
+   * @param {SyncBase} syncBase - The SyncBase instance
+   */
+  constructor(syncBase) {
+    this.syncBase = syncBase;
+    this.status = null;
+    this.writers = null; // hex keys of writers in the system
+
+    this.refresh = debounceify(this._refresh.bind(this));
+    this._onconnection = this._onconnection.bind(this);
+    this._ondisconnection = this._ondisconnection.bind(this);
+  }
+
+  /**
+   * Start tracking the transport and the base
+   * @returns {Promise<void>}
+   */
+  async init() {
+    const transport = this.syncBase.transport;
+    transport.on("connection", this._onconnection);
+    transport.on("disconnection", this._ondisconnection);
+
+    await this.refresh();
+  }
+
+  /**
+   * Stop tracking
+   */
+  close() {
+    const transport = this.syncBase.transport;
+    transport.removeListener("connection", this._onconnection);
+    transport.removeListener("disconnection", this._ondisconnection);
+  }
+
+  /**
+   * Compute the current sync status
+   * @returns {Promise<Object>} The sync status
+   */
+  async getStatus() {
+    const base = this.syncBase.base;
+    const peers = this.syncBase.transport.connections.size;
+    const writers = await this._getWriters();
+    const lag = writers.reduce((total, writer) => total + writer.lag, 0);
+    const queued = [...this.syncBase.outbox.unsettled.values()].filter(
+      (entry) => entry.status === "queued"
+    ).length;
+
+    let state = "synced";
+    if (peers === 0) state = "offline";
+    else if (lag > 0 || queued > 0) state = "syncing";
+
+    return {
+      state,
+      caughtUp: state === "synced",
+      peers,
+      writable: base.writable,
+      length: base.length,
+      signedLength: base.signedLength,
+      indexedLength: base.indexedLength,
+      lag,
+      queued,
+      writers,
+    };
+  }
+
+  async _getWriters() {
+    const base = this.syncBase.base;
+    const writers = new Map();
+
+    if (base.system) {
+      for await (const { key, value } of base.system.list()) {
+        writers.set(b4a.toString(key, "hex"), {
+          key: b4a.toString(key, "hex"),
+          isIndexer: value.isIndexer,
+          isRemoved: value.isRemoved,
+          applied: value.length,
+        });
+      }
+    }
+
+    // Optimistic writers are only known to the system once acked, the active
+    // writers also cover the ones we are still catching up with
+    for (const writer of base.activeWriters) {
+      const key = b4a.toString(writer.core.key, "hex");
+      const known = writers.get(key) || {
+        key,
+        isIndexer: writer.isActiveIndexer,
+        isRemoved: writer.isRemoved,
+        applied: 0,
+      };
+      known.applied = Math.max(known.applied, writer.length);
+      known.available = Math.max(writer.core.length, writer.seenLength || 0);
+      writers.set(key, known);
+    }
+
+    const localKey = base.local ? b4a.toString(base.local.key, "hex") : null;
+    return [...writers.values()].map((writer) => {
+      const available = Math.max(writer.available || 0, writer.applied);
+      return {
+        ...writer,
+        available,
+        lag: available - writer.applied,
+        local: writer.key === localKey,
+      };
+    });
+  }
+
+  async _refresh() {
+    if (this.syncBase.base.closing) return this.status;
+
+    const previous = this.status;
+    const status = await this.getStatus();
+    const emitter = this.syncBase.eventEmitter;
+    this.status = status;
+
+    // Writers that are already in the system when we start are not announced
+    const writers = new Set(
+      status.writers.filter((w) => !w.isRemoved).map((w) => w.key)
+    );
+    if (this.writers !== null) {
+      for (const writer of status.writers) {
+        if (writer.isRemoved || this.writers.has(writer.key)) continue;
+        emitter.emit("writer-added", {
+          key: writer.key,
+          isIndexer: writer.isIndexer,
+        });
+      }
+    }
+    this.writers = writers;
+
+    if (previous && previous.indexedLength !== status.indexedLength) {
+      emitter.emit("indexed-length", {
+        indexedLength: status.indexedLength,
+        previous: previous.indexedLength,
+      });
+    }
+
+    if (status.caughtUp && (!previous || !previous.caughtUp)) {
+      emitter.emit("caught-up", status);
+    }
+
+    if (!previous || !sameStatus(previous, status)) {
+      emitter.emit("sync-status", status);
+    }
+
+    return status;
+  }
+
+  _onconnection(connection, peerInfo) {
+    this._emitPeer("peer-connected", connection, peerInfo);
+  }
+
+  _ondisconnection(connection, peerInfo) {
+    this._emitPeer("peer-disconnected", connection, peerInfo);
+  }
+
+  _emitPeer(event, connection, peerInfo) {
+    const publicKey =
+      (peerInfo && peerInfo.publicKey) || connection.remotePublicKey || null;
+
+    this.syncBase.eventEmitter.emit(event, {
+      publicKey: publicKey ? b4a.toString(publicKey, "hex") : null,
+      peers: this.syncBase.transport.connections.size,
+    });
+
+    this.refresh().catch((err) =>
+      console.warn("Error refreshing sync status:", err.message)
+    );
+  }
+}
+
+function sameStatus(a, b) {
+  return (
+    a.state === b.state &&
+    a.peers === b.peers &&
+    a.writable === b.writable &&
+    a.length === b.length &&
+    a.indexedLength === b.indexedLength &&
+    a.lag === b.lag &&
+    a.queued === b.queued &&
+    a.writers.length === b.writers.length
+  );
+}
+
+module.exports = SyncMonitor;
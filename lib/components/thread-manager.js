@@ -0,0 +1,214 @@
+/**
+ * ThreadManager - Replies and threads under channel messages
+ *
+ * Any message can answer another message of its channel through `replyTo`.
+ * Threads are sub-conversations under a root message:
+ * - `@server/create-thread` opens a thread on a message of a channel, a
+ *   message has at most one thread and replies cannot have threads of their own
+ * - replies are `@server/send-message` actions that name the root as their
+ *   `threadId`, they live in the channel of the root and are encrypted like
+ *   every message of it
+ * - applying a reply counts it on the root, which stores `replyCount` and
+ *   the time of its latest reply as `lastReplyAt`
+ *
+ * Replies are indexed by root, time and id in `@server/messages-by-thread`,
+ * so a thread is read page by page without scanning the channel.
+ *
+ * Only members open threads in private channels, and those threads take no
+ * title: it would be stored in the clear next to the encrypted messages.
+ */
+class ThreadManager {
+  /**
+   * Create a new ThreadManager instance
+   * @param {SyncBase} syncBase - The SyncBase instance
+   * @param {CryptoManager} crypto - Crypto manager instance
+   */
+  constructor(syncBase, crypto) {
+    this.syncBase = syncBase;
+    this.crypto = crypto;
+  }
+
+  /**
+   * Open a thread on a message
+   * @param {Object} params - Thread parameters
+   * @param {String} params.channelId - The channel of the message
+   * @param {String} params.rootId - The message to start the thread under
+   * @param {String} [params.title] - The title of the thread
+   * @returns {Promise<Object>} The thread `{ rootId, channelId, title, createdBy, createdAt }`
+   */
+  async createThread({ channelId, rootId, title }) {
+    const view = this.syncBase.base.view;
+    const root = await view.get("@server/message", { id: rootId, channelId });
+    if (!root) throw new Error("Message not found");
+    if (root.threadId) {
+      throw new Error("Replies in a thread cannot start a thread");
+    }
+    if (await view.get("@server/thread", { rootId })) {
+      throw new Error("The message already has a thread");
+    }
+    const channel = await view.get("@server/channel", { channelId });
+    if (channel?.private && title !== undefined) {
+      throw new Error("Threads in private channels cannot have a title");
+    }
+
+    const createdAt = this.crypto.now();
+    const thread = {
+      rootId,
+      channelId,
+      title,
+      createdBy: this.syncBase.userId,
+      createdAt,
+    };
+    const action = this.crypto.createSignedAction("@server/create-thread", {
+      ...thread,
+      timestamp: createdAt,
+    });
+    await this.syncBase.outbox.append(action);
+    return thread;
+  }
+
+  /**
+   * Send a reply to the thread of a message
+   * @param {Object} params - Reply parameters
+   * @param {String} params.rootId - The root of the thread
+   * @param {String} params.content - The message content
+   * @param {String} [params.replyTo] - The message of the thread this answers
+   * @param {Array<Object>} [params.attachments] - Optional attachments
+   * @returns {Promise<Object>} The created message
+   */
+  async reply({ rootId, content, replyTo, attachments }) {
+    const thread = await this.getThreadRecord(rootId);
+    if (!thread) throw new Error("Thread not found");
+    return this.syncBase.messages.sendMessage({
+      channelId: thread.channelId,
+      content,
+      attachments,
+      replyTo,
+      threadId: rootId,
+    });
+  }
+
+  /**
+   * Get the record of a thread
+   * @param {String} rootId - The root of the thread
+   * @param {Object} [view] - The database view, defaults to the live view
+   * @returns {Promise<Object|null>} `{ rootId, channelId, title, createdBy, createdAt }`
+   */
+  async getThreadRecord(rootId, view = this.syncBase.base.view) {
+    return view.get("@server/thread", { rootId });
+  }
+
+  /**
+   * Get a thread with a page of its replies
+   * @param {String} rootId - The root of the thread
+   * @param {Object} [options] - Query options
+   * @param {Number} [options.limit=50] - Maximum number of replies to return
+   * @param {Object} [options.before] - Return replies sent before this reply,
+   *   `{ timestamp, id }`
+   * @returns {Promise<Object|null>} `{ thread, root, replies, hasMore }`, replies
+   *   oldest first, pass the first one as `before` for the previous page. Null
+   *   if the message has no thread
+   */
+  async getThread(rootId, { limit = 50, before } = {}) {
+    const view = this.syncBase.base.view;
+    const thread = await this.getThreadRecord(rootId, view);
+    if (!thread) return null;
+
+    const range = before
+      ? {
+          gte: { threadId: rootId },
+          lt: { threadId: rootId, timestamp: before.timestamp, id: before.id },
+        }
+      : { gte: { threadId: rootId }, lte: { threadId: rootId } };
+    const page = [];
+    for await (const message of view.find("@server/messages-by-thread", {
+      ...range,
+      reverse: true,
+      limit: limit + 1,
+    })) {
+      page.push(message);
+    }
+
+    const hasMore = page.length > limit;
+    const replies = [];
+    for (const message of page.slice(0, limit).reverse()) {
+      replies.push(
+        await this.syncBase.messages.getMessage(message.id, message.channelId)
+      );
+    }
+    return {
+      thread,
+      root: await this.syncBase.messages.getMessage(rootId, thread.channelId),
+      replies,
+      hasMore,
+    };
+  }
+
+  /**
+   * Check a `create-thread` action, called by the validator
+   * @param {Object} action - The action
+   * @param {String} signer - The user that signed the action
+   * @param {Object} view - The database view
+   * @returns {Promise<Boolean>} Whether the action is valid
+   */
+  async validate(action, signer, view) {
+    const { payload } = action;
+    if (!payload || payload.createdBy !== signer) return false;
+    if (payload.title !== undefined && typeof payload.title !== "string") {
+      return false;
+    }
+
+    const channel = await view.get("@server/channel", {
+      channelId: payload.channelId,
+    });
+    if (channel?.private) {
+      if (payload.title !== undefined) return false;
+      const members = await this.syncBase.privateChannels.getMembers(
+        payload.channelId,
+        view
+      );
+      if (!members.includes(signer)) return false;
+    }
+
+    const root = await view.get("@server/message", {
+      id: payload.rootId,
+      channelId: payload.channelId,
+    });
+    return (
+      !!root &&
+      !root.threadId &&
+      !(await view.get("@server/thread", { rootId: payload.rootId }))
+    );
+  }
+
+  /**
+   * Check the `replyTo` and `threadId` of a `send-message` action, called by the validator
+   * @param {Object} action - The action
+   * @param {Object} view - The database view
+   * @returns {Promise<Boolean>} Whether the references are valid
+   */
+  async validateMessage(action, view) {
+    const { channelId, replyTo, threadId } = action.payload;
+
+    if (threadId) {
+      const thread = await view.get("@server/thread", { rootId: threadId });
+      if (!thread || thread.channelId !== channelId) return false;
+    }
+
+    if (replyTo) {
+      // Replies answer a message of the same conversation
+      const message = await view.get("@server/message", {
+        id: replyTo,
+        channelId,
+      });
+      if (!message) return false;
+      if (threadId) {
+        return replyTo === threadId || message.threadId === threadId;
+      }
+      return !message.threadId;
+    }
+    return true;
+  }
+}
+
+module.exports = ThreadManager;
@@ -0,0 +1,235 @@
+const Hyperswarm = require("hyperswarm");
+const ReadyResource = require("ready-resource");
+const { EventEmitter } = require("events");
+
+/**
+ * Transport - How a SyncBase (or a pairer) reaches its peers
+ *
+ * A transport replicates one Corestore over every connection it knows about.
+ * Connections come from one of two places:
+ * - a Hyperswarm, either injected through `options.swarm` or created from
+ *   `options.bootstrap` (the swarm is only destroyed if the transport made it)
+ * - streams handed in by the application through `replicate()`
+ *
+ * With `network: false` no swarm is created at all and the transport only
+ * replicates the streams it is given.
+ *
+ * The transport exposes the subset of the Hyperswarm API that BlindPairing
+ * relies on (`connections`, `dht`, `join`, `flush` and the `connection`
+ * event), so invites can be created and claimed over any of these.
+ *
+ * Transports are reference counted so the pairer can hand its transport over
+ * to the SyncBase it creates; the transport closes once every user released it.
+ */
+class Transport extends ReadyResource {
+  /**
+   * Create a new Transport instance
+   * @param {Object} store - The corestore to replicate
+   * @param {Object} [options] - Transport options
+   * @param {Hyperswarm} [options.swarm] - Existing swarm to replicate over
+   * @param {Array} [options.bootstrap] - Bootstrap servers for the DHT
+   * @param {Boolean} [options.network=true] - Whether to create a swarm when none is injected
+   */
+  constructor(store, options = {}) {
+    super();
+
+    this.store = store;
+    this.swarm = options.swarm || null;
+    this.bootstrap = options.bootstrap || null;
+    this.network = options.network !== false;
+    this.connections = new Set();
+    this.refs = 0;
+
+    this._ownsSwarm = false;
+    this._offlineDHT = null;
+    this._onconnectionBound = this._onconnection.bind(this);
+  }
+
+  async _open() {
+    await this.store.ready();
+
+    if (!this.swarm && this.network) {
+      this.swarm = new Hyperswarm({
+        keyPair: await this.store.createKeyPair("hyperswarm"),
+        bootstrap: this.bootstrap,
+      });
+      this._ownsSwarm = true;
+    }
+
+    if (this.swarm) {
+      this.swarm.on("connection", this._onconnectionBound);
+    }
+  }
+
+  async _close() {
+    if (this.swarm) {
+      this.swarm.removeListener("connection", this._onconnectionBound);
+    }
+
+    for (const connection of this.connections) {
+      if (!this._isSwarmConnection(connection)) connection.destroy();
+    }
+    this.connections.clear();
+
+    if (this.swarm && this._ownsSwarm) {
+      try {
+        await this.swarm.destroy();
+      } catch (swarmDestroyErr) {
+        console.warn("Error during swarm destroy:", swarmDestroyErr.message);
+      }
+    }
+  }
+
+  /**
+   * Take a reference to the transport
+   * @returns {Transport} The transport
+   */
+  ref() {
+    this.refs++;
+    return this;
+  }
+
+  /**
+   * Release a reference, closing the transport once it is no longer used
+   * @returns {Promise<void>}
+   */
+  async unref() {
+    if (this.refs > 0) this.refs--;
+    if (this.refs === 0) await this.close();
+  }
+
+  /**
+   * Whether the transport can discover peers on its own
+   * @returns {Boolean} True if a swarm is attached
+   */
+  get networked() {
+    return !!this.swarm;
+  }
+
+  /**
+   * The DHT used by BlindPairing, a no-op DHT when running without network
+   * @returns {Object} The DHT
+   */
+  get dht() {
+    if (this.swarm) return this.swarm.dht;
+    if (!this._offlineDHT) this._offlineDHT = new OfflineDHT();
+    return this._offlineDHT;
+  }
+
+  /**
+   * Announce and look up a topic
+   * @param {Buffer} discoveryKey - The topic to join
+   * @param {Object} [options] - Hyperswarm join options
+   * @returns {Object} The peer discovery session
+   */
+  join(discoveryKey, options = {}) {
+    if (this.swarm) return this.swarm.join(discoveryKey, options);
+    return new OfflineDiscovery(options);
+  }
+
+  /**
+   * Stop announcing and looking up a topic
+   * @param {Buffer} discoveryKey - The topic to leave
+   * @returns {Promise<void>}
+   */
+  async leave(discoveryKey) {
+    if (this.swarm && discoveryKey) await this.swarm.leave(discoveryKey);
+  }
+
+  /**
+   * Wait for pending discovery to finish
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.swarm) await this.swarm.flush();
+  }
+
+  /**
+   * Replicate over a stream provided by the application
+   * Accepts the same arguments as `corestore.replicate()`
+   * @param {Boolean|Object} isInitiator - Initiator flag or an existing duplex stream
+   * @param {Object} [options] - Replication options
+   * @returns {Object} The replication stream
+   */
+  replicate(isInitiator, options) {
+    const stream = this.store.replicate(isInitiator, options);
+    const connection = stream.noiseStream;
+
+    // BlindPairing picks the peer with the lowest round trip time, plain
+    // streams don't report one
+    if (connection.rawStream && connection.rawStream.rtt === undefined) {
+      connection.rawStream.rtt = 0;
+    }
+
+    this._addConnection(connection, { publicKey: null, manual: true });
+    return stream;
+  }
+
+  _onconnection(connection, peerInfo) {
+    this.store.replicate(connection);
+    this._addConnection(connection, peerInfo);
+  }
+
+  _addConnection(connection, peerInfo) {
+    if (this.connections.has(connection)) return;
+
+    this.connections.add(connection);
+    connection.once("close", () => {
+      this.connections.delete(connection);
+      this.emit("disconnection", connection, peerInfo);
+    });
+
+    this.emit("connection", connection, peerInfo);
+  }
+
+  _isSwarmConnection(connection) {
+    return !!this.swarm && this.swarm.connections.has(connection);
+  }
+}
+
+/**
+ * DHT stand-in for transports without network, every lookup comes back empty
+ * @private
+ */
+class OfflineDHT extends EventEmitter {
+  lookup() {
+    return {
+      closestNodes: null,
+      destroy() {},
+      async *[Symbol.asyncIterator]() {},
+    };
+  }
+
+  announce() {
+    return { finished: async () => {} };
+  }
+
+  async unannounce() {}
+
+  async mutableGet() {
+    return null;
+  }
+
+  async mutablePut() {
+    return null;
+  }
+}
+
+/**
+ * Discovery stand-in for transports without network
+ * @private
+ */
+class OfflineDiscovery {
+  constructor({ server = true, client = true } = {}) {
+    this.isServer = server;
+    this.isClient = client;
+  }
+
+  async flushed() {}
+
+  async refresh() {}
+
+  async destroy() {}
+}
+
+module.exports = Transport;
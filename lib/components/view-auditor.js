@@ -0,0 +1,230 @@
+const HyperDB = require("hyperdb");
+const b4a = require("b4a");
+const db = require("./spec/db");
+
+// Collections kept next to the view, not derived from the log
+const LOCAL_COLLECTIONS = new Set(["@server/outbox", "@server/local_server"]);
+// Collections a repair may write to
+const REPLICATED_COLLECTIONS = new Set(
+  db.collections
+    .map((collection) => collection.name)
+    .filter((name) => !LOCAL_COLLECTIONS.has(name))
+);
+
+/**
+ * ViewAuditor - Detects and repairs views that drifted from the log
+ *
+ * Failures inside apply are mostly logged and swallowed, so two peers can end
+ * up with different views without anyone noticing. The auditor replays every
+ * signed action in the writer cores (in archive order) through the regular
+ * apply pipeline into a scratch HyperDB, then diffs it collection by
+ * collection against the live view. For every collection it reports:
+ * - `missing` - records the replay produced that the view lacks
+ * - `extra` - records in the view the replay did not produce
+ * - `differing` - records under the same key with different contents
+ *
+ * The view can only be written from apply, so repairing appends a
+ * `@server/repair-view` action that carries every record to put and delete.
+ * It is signed, validated and applied like any other action, so every peer
+ * writes the same records and the repair is part of the log: it survives
+ * reorders and restarts. Repairs can overwrite anything, only owners sign them.
+ */
+class ViewAuditor {
+  /**
+   * Create a new ViewAuditor instance
+   * @param {SyncBase} syncBase - The SyncBase instance
+   * @param {CryptoManager} crypto - Crypto manager instance
+   */
+  constructor(syncBase, crypto) {
+    this.syncBase = syncBase;
+    this.crypto = crypto;
+  }
+
+  /**
+   * Replay the log into a scratch view and compare it with the live view
+   * @param {Object} [options] - Audit options
+   * @param {Boolean} [options.repair=false] - Write the differences into the live view
+   * @param {Array<String>} [options.ignore] - Fields to leave out of the comparison
+   * @returns {Promise<Object>} Report of `{ consistent, replayed, collections, repaired }`
+   */
+  async audit(options = {}) {
+    const ignore = new Set(options.ignore || []);
+    const entries = await this.syncBase.archive.readActions();
+
+    const name = "view-audit-" + this.crypto.generateId(8);
+    const core = this.syncBase.store.get({ name });
+    const scratch = HyperDB.bee(core.session(), db, {
+      extension: false,
+      autoUpdate: true,
+    });
+
+    let report;
+    try {
+      await scratch.ready();
+
+      const host = {
+        ackWriter: async () => {},
+        addWriter: async () => {},
+        removeWriter: async () => {},
+      };
+      for (const { writer, action } of entries) {
+        await this.syncBase
+          ._applyAction(action, writer, scratch, host, true)
+          .catch((err) =>
+            console.warn(`Replay of ${action.type} failed: ${err.message}`)
+          );
+      }
+      await scratch.flush();
+
+      report = await this._diff(scratch, this.syncBase.base.view, ignore);
+      report.replayed = entries.length;
+    } finally {
+      // Drop the scratch blocks, the view is rebuilt from scratch every time
+      await scratch.close();
+      await core.ready();
+      if (core.length > 0) await core.clear(0, core.length);
+      await core.close();
+    }
+
+    report.repaired = false;
+    if (options.repair && !report.consistent) {
+      await this._repair(report);
+      report.repaired = true;
+    }
+
+    return report;
+  }
+
+  /**
+   * Check the changes of a `@server/repair-view` action, called by the validator
+   * @param {Object} action - The repair action
+   * @returns {Boolean} Whether it puts and deletes records of replicated collections
+   */
+  validate(action) {
+    const changes = parseChanges(action.payload?.changes);
+    return (
+      !!changes &&
+      [...changes.put, ...changes.del].every(
+        ({ collection, record }) =>
+          REPLICATED_COLLECTIONS.has(collection) &&
+          !!record &&
+          typeof record === "object"
+      )
+    );
+  }
+
+  /**
+   * Write the changes of a `@server/repair-view` action, called from apply
+   * @param {String} changes - The `{ put, del }` changes, as JSON
+   * @param {Object} view - The database view
+   * @returns {Promise<Object>} The number of records `{ put, del }`
+   */
+  async applyRepair(changes, view) {
+    const { put, del } = parseChanges(changes);
+    for (const { collection, record } of del) {
+      await view.delete(collection, record);
+    }
+    for (const { collection, record } of put) {
+      await view.insert(collection, record);
+    }
+    return { put: put.length, del: del.length };
+  }
+
+  async _repair(report) {
+    const repair = { put: [], del: [] };
+    for (const [collection, diff] of Object.entries(report.collections)) {
+      for (const record of diff.extra) repair.del.push({ collection, record });
+      for (const record of diff.missing)
+        repair.put.push({ collection, record });
+      for (const { expected } of diff.differing) {
+        repair.put.push({ collection, record: expected });
+      }
+    }
+
+    const action = this.crypto.createSignedAction("@server/repair-view", {
+      id: this.crypto.generateId(),
+      changes: JSON.stringify(repair),
+    });
+    await this.syncBase.outbox.append(action);
+    await this.syncBase.base.update();
+  }
+
+  async _diff(expectedView, actualView, ignore) {
+    const collections = {};
+    let consistent = true;
+
+    for (const collection of db.collections) {
+      if (LOCAL_COLLECTIONS.has(collection.name)) continue;
+
+      const expected = await readCollection(expectedView, collection);
+      const actual = await readCollection(actualView, collection);
+      const diff = { missing: [], extra: [], differing: [] };
+
+      for (const [key, record] of expected) {
+        const other = actual.get(key);
+        if (!other) {
+          diff.missing.push(record);
+          continue;
+        }
+        const fields = differingFields(record, other, ignore);
+        if (fields.length > 0) {
+          diff.differing.push({ expected: record, actual: other, fields });
+        }
+      }
+      for (const [key, record] of actual) {
+        if (!expected.has(key)) diff.extra.push(record);
+      }
+
+      if (diff.missing.length || diff.extra.length || diff.differing.length) {
+        consistent = false;
+        collections[collection.name] = diff;
+      }
+    }
+
+    return { consistent, collections };
+  }
+}
+
+async function readCollection(view, collection) {
+  const records = new Map();
+  for await (const record of view.find(collection.name, {})) {
+    records.set(b4a.toString(collection.encodeKey(record), "hex"), record);
+  }
+  return records;
+}
+
+function parseChanges(changes) {
+  if (typeof changes !== "string") return null;
+  try {
+    // Buffers went through JSON as `{ type: "Buffer", data }`
+    const parsed = JSON.parse(changes, (key, value) =>
+      value && value.type === "Buffer" && Array.isArray(value.data)
+        ? b4a.from(value.data)
+        : value
+    );
+    if (!Array.isArray(parsed?.put) || !Array.isArray(parsed?.del)) {
+      return null;
+    }
+    return parsed;
+  } catch (err) {
+    return null;
+  }
+}
+
+function differingFields(a, b, ignore) {
+  const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...fields].filter(
+    (field) => !ignore.has(field) && canonical(a[field]) !== canonical(b[field])
+  );
+}
+
+function canonical(value) {
+  if (value === undefined) value = null;
+  return JSON.stringify(value, (key, v) =>
+    v && v.type === "Buffer" && Array.isArray(v.data)
+      ? b4a.toString(b4a.from(v.data), "hex")
+      : v
+  );
+}
+
+module.exports = ViewAuditor;
@@ -0,0 +1,174 @@
+const b4a = require("b4a");
+
+// Actions of older protocols were appended before writers were bound
+const BINDING_VERSION = 3;
+
+/**
+ * WriterRegistry - Binds user identities to the writer cores they append from
+ *
+ * The signature of an action proves who made it, not who appended it: any
+ * writer could append an action signed by another member. The registry
+ * records in `@server/writer` which user every writer core acts for, and
+ * apply only accepts actions appended by a writer bound to their signer.
+ *
+ * A writer is bound by a `@server/bind-writer` action signed by the user and
+ * appended from that writer, so both the identity and the core agree. The
+ * writer that creates the server is bound to its creator by that action.
+ * Members bind their writer once they see their own user record, devices
+ * once they see they were linked; actions they append before that are
+ * deferred until the binding is applied. Bindings record the device key that
+ * bound the writer, revoking the device unbinds it.
+ *
+ * No writer appends actions of another user, whatever its role. Archives are
+ * replayed through the import actions of `ActionArchive` instead.
+ *
+ * Actions of protocols before bindings are only exempt while the writer that
+ * appended them is unbound. A writer activates the check for itself by
+ * binding, so anything it appends after that is checked, whatever version
+ * its signer put in the action.
+ */
+class WriterRegistry {
+  /**
+   * Create a new WriterRegistry instance
+   * @param {SyncBase} syncBase - The SyncBase instance
+   * @param {CryptoManager} crypto - Crypto manager instance
+   */
+  constructor(syncBase, crypto) {
+    this.syncBase = syncBase;
+    this.crypto = crypto;
+    this.binding = null; // action id of the binding of the local writer
+  }
+
+  /**
+   * Get the user a writer acts for
+   * @param {Buffer|String} writerKey - The writer key
+   * @param {Object} [view] - The database view, defaults to the live view
+   * @returns {Promise<Object|null>} The binding `{ writerKey, userId, addedAt, deviceKey }`
+   */
+  async getWriter(writerKey, view = this.syncBase.base.view) {
+    return view.get("@server/writer", { writerKey: toHex(writerKey) });
+  }
+
+  /**
+   * List the writers that act for a user
+   * @param {Buffer|String} userId - The public key of the user
+   * @param {Object} [view] - The database view, defaults to the live view
+   * @returns {Promise<Array<Object>>} Bindings `{ writerKey, userId, addedAt, deviceKey }`
+   */
+  async getWriters(userId, view = this.syncBase.base.view) {
+    const id = toHex(userId);
+    const writers = [];
+    for await (const writer of view.find("@server/writer", {})) {
+      if (writer.userId === id) writers.push(writer);
+    }
+    return writers;
+  }
+
+  /**
+   * Bind the local writer to this peer's identity if it is not bound yet,
+   * called on every update
+   * @returns {Promise<Boolean>} Whether a binding was appended
+   */
+  async refresh() {
+    const base = this.syncBase.base;
+    if (this.binding || !base.local) return false;
+
+    const userId = this.syncBase.userId;
+    const writer = await this.getWriter(base.local.key);
+    if (writer) return false;
+
+    // Only members can bind a writer, wait for the invite to be claimed
+    const user = await base.view.findOne("@server/user", {
+      gte: { id: userId },
+      lte: { id: userId },
+    });
+    if (!user) return false;
+
+    const addedAt = this.crypto.now();
+    const action = this.crypto.createSignedAction("@server/bind-writer", {
+      writerKey: b4a.toString(base.local.key, "hex"),
+      userId,
+      addedAt,
+      timestamp: addedAt,
+    });
+    this.binding = this.crypto.actionId(action);
+    await this.syncBase.outbox.append(action);
+    return true;
+  }
+
+  /**
+   * Get the binding an action waits on before it can be applied
+   * @param {Object} action - The signed action
+   * @param {Buffer|null} writerKey - Key of the writer that appended the action
+   * @returns {String|null} `writer:<writerKey>` or null if none is needed
+   */
+  getDependency(action, writerKey) {
+    if (!writerKey || (action.version || 1) < BINDING_VERSION) return null;
+    if (action.type === "@server/create-server") return null;
+    if (action.type === "@server/claim-invite") return null;
+    if (action.type === "@server/request-recovery") return null;
+    if (action.type === "@server/import-archive") return null;
+
+    // A writer binding itself provides what it would wait on
+    const writer = toHex(writerKey);
+    if (
+      action.type === "@server/bind-writer" &&
+      action.payload?.writerKey === writer
+    ) {
+      return null;
+    }
+    return `writer:${writer}`;
+  }
+
+  /**
+   * Check whether a writer may append an action, called by the validator
+   * @param {Object} action - The signed action
+   * @param {Buffer|null} writerKey - Key of the writer that appended the action
+   * @param {Object} view - The database view
+   * @returns {Promise<Boolean>} Whether the writer acts for the signer of the action
+   */
+  async canAppend(action, writerKey, view) {
+    if (!writerKey || !(await this.isBound(action, writerKey, view))) {
+      return true;
+    }
+
+    const signer = await this.syncBase.devices.accountOf(action.signer, view);
+    const writer = toHex(writerKey);
+
+    if (action.type === "@server/create-server") return true;
+    if (action.type === "@server/request-recovery") return true;
+    if (action.type === "@server/bind-writer") {
+      const { payload } = action;
+      if (payload.userId !== signer) return false;
+
+      // A writer is bound once, to one user
+      const existing = await this.getWriter(payload.writerKey, view);
+      if (existing && existing.userId !== signer) return false;
+      if (payload.writerKey === writer) return true;
+    }
+
+    const binding = await this.getWriter(writer, view);
+    return !!binding && binding.userId === signer;
+  }
+
+  /**
+   * Check whether an action is subject to writer bindings
+   * @param {Object} action - The signed action
+   * @param {Buffer|String} writerKey - Key of the writer that appended the action
+   * @param {Object} view - The database view
+   * @returns {Promise<Boolean>} False for actions of protocols without bindings
+   *   appended by a writer that is not bound yet
+   */
+  async isBound(action, writerKey, view) {
+    if ((action.version || 1) >= BINDING_VERSION) return true;
+    return !!(await this.getWriter(writerKey, view));
+  }
+}
+
+function toHex(key) {
+  return typeof key === "string" ? key : b4a.toString(b4a.from(key), "hex");
+}
+
+WriterRegistry.BINDING_VERSION = BINDING_VERSION;
+
+module.exports = WriterRegistry;
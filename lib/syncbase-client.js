@@ -0,0 +1,286 @@
+const BlindPairing = require("blind-pairing");
+const ProtomuxWakeup = require("protomux-wakeup");
+const ReadyResource = require("ready-resource");
+const b4a = require("b4a");
+
+const SyncBase = require("./syncbase");
+const ServerRegistry = require("./components/server-registry");
+const Transport = require("./components/transport");
+const { createSeed } = require("./util");
+
+/**
+ * SyncBaseClient - One device taking part in any number of servers
+ *
+ * The client owns a single Corestore and a single transport (and with it a
+ * single swarm). Every server lives in its own namespace of the Corestore, so
+ * their cores never collide, while all of them replicate over the same
+ * connections. Invites are answered and claimed through one shared
+ * BlindPairing instance and writers are announced through one shared wakeup
+ * protocol, both of which would otherwise fight over the same muxer.
+ *
+ * Servers the client created or joined are recorded in the same local
+ * registry `SyncBase.list()` reads, together with their namespace, and can be
+ * opened again after a restart with `openServer(key)`.
+ * @extends {ReadyResource}
+ */
+class SyncBaseClient extends ReadyResource {
+  /**
+   * Create a new SyncBaseClient instance
+   * @param {Object} corestore - Hypercore storage shared by every server
+   * @param {Object} options - Configuration options
+   * @param {String|Array} options.seedPhrase - Seed phrase to derive keys from, used on every server
+   * @param {Boolean} [options.replicate=true] - Whether to discover peers over the network, streams passed to `replicate()` are always used
+   * @param {Array} [options.bootstrap] - Bootstrap servers for the DHT
+   * @param {Hyperswarm} [options.swarm] - Existing swarm to replicate over instead of creating one
+   * @param {Transport} [options.transport] - Existing transport to replicate over
+   * @param {String} [options.protocolPolicy="buffer"] - How servers handle actions from newer peers: `buffer`, `ignore` or `block`
+   */
+  constructor(corestore, options = {}) {
+    super();
+
+    if (!options.seedPhrase) {
+      throw new Error("SyncBaseClient requires a seedPhrase");
+    }
+
+    this.store = corestore;
+    this.options = options;
+    this.seedPhrase = options.seedPhrase;
+    this.bootstrap = options.bootstrap || null;
+    this.transport = (
+      options.transport ||
+      new Transport(corestore, {
+        swarm: options.swarm,
+        bootstrap: this.bootstrap,
+        network: options.replicate !== false,
+      })
+    ).ref();
+    this.wakeup = new ProtomuxWakeup();
+    this.pairing = null;
+    this.registry = new ServerRegistry(corestore);
+    this.servers = new Map(); // hex key -> open SyncBase
+    this._opening = new Map(); // hex key -> Promise<SyncBase>
+
+    this._onconnection = (connection) => {
+      this.wakeup.addStream(connection);
+    };
+
+    this.ready().catch((err) =>
+      console.error("Error initializing SyncBaseClient:", err)
+    );
+  }
+
+  /**
+   * Resource open implementation
+   * @private
+   */
+  async _open() {
+    await this.store.ready();
+    await this.transport.ready();
+
+    for (const connection of this.transport.connections) {
+      this._onconnection(connection);
+    }
+    this.transport.on("connection", this._onconnection);
+
+    this.pairing = new BlindPairing(this.transport);
+    await this.registry.init();
+  }
+
+  /**
+   * Resource close implementation
+   * @private
+   */
+  async _close() {
+    await Promise.allSettled(this._opening.values());
+    for (const server of this.servers.values()) {
+      await server.close();
+    }
+    this.servers.clear();
+
+    await this.pairing.close();
+    this.transport.removeListener("connection", this._onconnection);
+    this.wakeup.destroy();
+    await this.registry.close();
+    await this.transport.unref();
+  }
+
+  /**
+   * List the servers this client created or joined
+   * @returns {Promise<Array>} The servers, oldest first
+   */
+  async listServers() {
+    await this.ready();
+
+    const servers = await this.registry.list();
+    return servers.map((server) => ({
+      key: server.key,
+      name: server.name || null,
+      identity: server.identity || null,
+      joinedAt: server.joinedAt,
+      open: this.servers.has(server.key),
+    }));
+  }
+
+  /**
+   * Create a new server in its own namespace
+   * @param {Object} options - Server options
+   * @param {String} options.name - Server name
+   * @param {String} [options.description] - Server description
+   * @returns {Promise<SyncBase>} The new server
+   */
+  async createServer(options = {}) {
+    await this.ready();
+
+    const namespace = createNamespace();
+    const server = new SyncBase(
+      this.store.namespace(namespace),
+      this._serverOptions()
+    );
+    await server.ready();
+    await server.initialize(options);
+
+    return this._track(server, namespace, options.name);
+  }
+
+  /**
+   * Join a server with an invite code, reusing the client's swarm
+   * @param {String} inviteCode - The invite code
+   * @param {Object} [options] - Pairing options
+   * @param {Number} [options.timeout] - Pairing timeout in milliseconds
+   * @returns {Promise<SyncBase>} The joined server
+   */
+  async joinServer(inviteCode, options = {}) {
+    await this.ready();
+
+    const namespace = createNamespace();
+    const pairer = SyncBase.pair(this.store.namespace(namespace), inviteCode, {
+      ...options,
+      ...this._serverOptions(),
+    });
+
+    let server;
+    try {
+      const finished = pairer.finished();
+      await pairer.ready();
+      server = await finished;
+    } finally {
+      await pairer.close();
+    }
+
+    await server.ready();
+    const existing = this.servers.get(b4a.toString(server.base.key, "hex"));
+    if (existing) {
+      await server.close();
+      return existing;
+    }
+
+    const info = await server.getServerInfo().catch(() => null);
+    return this._track(server, namespace, info && info.name);
+  }
+
+  /**
+   * Open a server this client created or joined before
+   * @param {Buffer|String} key - The server key
+   * @returns {Promise<SyncBase>} The server
+   */
+  async openServer(key) {
+    await this.ready();
+
+    const hex = typeof key === "string" ? key : b4a.toString(key, "hex");
+    if (this.servers.has(hex)) return this.servers.get(hex);
+    if (this._opening.has(hex)) return this._opening.get(hex);
+
+    const opening = this._openServer(hex);
+    this._opening.set(hex, opening);
+    try {
+      return await opening;
+    } finally {
+      this._opening.delete(hex);
+    }
+  }
+
+  async _openServer(key) {
+    const server = await SyncBase.open(this.store, {
+      ...this._serverOptions(),
+      key,
+    });
+
+    this.servers.set(key, server);
+    return server;
+  }
+
+  /**
+   * Close a server without forgetting it
+   * @param {Buffer|String} key - The server key
+   * @returns {Promise<Boolean>} True if the server was open
+   */
+  async closeServer(key) {
+    const hex = typeof key === "string" ? key : b4a.toString(key, "hex");
+    const server = this.servers.get(hex);
+    if (!server) return false;
+
+    this.servers.delete(hex);
+    await server.close();
+    return true;
+  }
+
+  /**
+   * Leave a server: close it and forget it. Its cores are left in the
+   * Corestore, joining again starts from a fresh namespace
+   * @param {Buffer|String} key - The server key
+   * @returns {Promise<Boolean>} True if the server was known
+   */
+  async leaveServer(key) {
+    await this.ready();
+
+    await this.closeServer(key);
+    return this.registry.remove(key);
+  }
+
+  /**
+   * Replicate with a peer over a stream instead of (or next to) the swarm
+   * Accepts the same arguments as `corestore.replicate()`
+   * @param {Boolean|Object} isInitiator - Initiator flag or an existing duplex stream
+   * @param {Object} [options] - Replication options
+   * @returns {Object} The replication stream, pipe it to the remote peer
+   */
+  replicate(isInitiator, options) {
+    return this.transport.replicate(isInitiator, options);
+  }
+
+  /**
+   * Get the swarm shared by every server
+   * @returns {Hyperswarm|null} The swarm, null when running without network
+   */
+  get swarm() {
+    return this.transport.swarm;
+  }
+
+  _serverOptions() {
+    return {
+      transport: this.transport,
+      pairing: this.pairing,
+      wakeup: this.wakeup,
+      registry: this.registry,
+      seedPhrase: this.seedPhrase,
+      bootstrap: this.bootstrap,
+      protocolPolicy: this.options.protocolPolicy,
+    };
+  }
+
+  async _track(server, namespace, name) {
+    const key = b4a.toString(server.base.key, "hex");
+
+    // The server recorded its keys and identity itself, add where it lives
+    await this.registry.save({ key, namespace, name });
+
+    this.servers.set(key, server);
+    return server;
+  }
+}
+
+function createNamespace() {
+  return b4a.toString(createSeed(16), "hex");
+}
+
+module.exports = SyncBaseClient;
@@ -1,9 +1,9 @@
 const Autobase = require("autobase");
 const BlindPairing = require("blind-pairing");
-const Hyperswarm = require("hyperswarm");
 const ReadyResource = require("ready-resource");
 const z32 = require("z32");
 const b4a = require("b4a");
+const debounceify = require("debounceify");
 const { EventEmitter } = require("events");
 
 const CryptoManager = require("./components/crypto-manager");
@@ -12,11 +12,32 @@ const ChannelManager = require("./components/channel-manager");
 const PermissionManager = require("./components/permission-manager");
 const InviteManager = require("./components/invite-manager");
 const ActionValidator = require("./components/action-validator");
+const DependencyResolver = require("./components/dependency-resolver");
+const Outbox = require("./components/outbox");
+const SyncMonitor = require("./components/sync-monitor");
+const DomainEvents = require("./components/domain-events");
 const DatabaseManager = require("./components/database-manager");
 const ServerInitializer = require("./components/server-initializer");
 const SyncBaseRouter = require("./components/router");
 const { RoleManager } = require("./components/role-manager");
 const RoleInterface = require("./components/role-interface");
+const Transport = require("./components/transport");
+const ServerRegistry = require("./components/server-registry");
+const ActionArchive = require("./components/action-archive");
+const ViewAuditor = require("./components/view-auditor");
+const SchemaMigrator = require("./components/schema-migrator");
+const ProtocolManager = require("./components/protocol-manager");
+const ConflictResolver = require("./components/conflict-resolver");
+const WriterRegistry = require("./components/writer-registry");
+const DeviceManager = require("./components/device-manager");
+const IdentityManager = require("./components/identity-manager");
+const RecoveryManager = require("./components/recovery-manager");
+const DirectMessageManager = require("./components/direct-message-manager");
+const PrivateChannelManager = require("./components/private-channel-manager");
+const GroupDMManager = require("./components/group-dm-manager");
+const AttachmentManager = require("./components/attachment-manager");
+const ThreadManager = require("./components/thread-manager");
+const Keystore = require("./components/keystore");
 
 /**
  * SyncBase - A Discord-like server implementation using Autobase
@@ -30,20 +51,44 @@ class SyncBase extends ReadyResource {
    * @param {Object} options - Configuration options
    * @param {Buffer|String} [options.key] - The public key of the Autobase
    * @param {Buffer} [options.encryptionKey] - Encryption key for the Autobase
-   * @param {Boolean} [options.replicate=true] - Whether to replicate with peers
+   * @param {Boolean} [options.replicate=true] - Whether to discover peers over the network, streams passed to `replicate()` are always used
    * @param {String|Array} [options.seedPhrase] - Seed phrase to derive keys from
+   * @param {String|Array} [options.mnemonic] - BIP39 mnemonic to derive keys from, stored in the keystore when a password is passed
+   * @param {String} [options.password] - Password of the keystore the identity is unlocked from on open
+   * @param {String} [options.keystore] - Keystore file, defaults to one in the corestore directory
    * @param {Array} [options.bootstrap] - Bootstrap servers for the DHT
+   * @param {Hyperswarm} [options.swarm] - Existing swarm to replicate over instead of creating one
+   * @param {Transport} [options.transport] - Existing transport to share with other instances
+   * @param {BlindPairing} [options.pairing] - Existing pairing instance to answer invites with, left open on close
+   * @param {ProtomuxWakeup} [options.wakeup] - Existing wakeup protocol, the owner adds the connections to it
+   * @param {ServerRegistry} [options.registry] - Registry to record the server in, defaults to one on the corestore
+   * @param {String} [options.protocolPolicy="buffer"] - How to handle actions from newer peers: `buffer`, `ignore` or `block`
+   * @param {Boolean} [options.strict=true] - Check the signature and signer of every applied action, `false` applies them unchecked
    */
   constructor(corestore, options = {}) {
     super();
 
     this.store = corestore;
     this.options = options;
-    this.replicate = options.replicate !== false;
+    this.strict = options.strict !== false;
     this.bootstrap = options.bootstrap || null;
-    this.swarm = null;
+    this.transport = (
+      options.transport ||
+      new Transport(corestore, {
+        swarm: options.swarm,
+        bootstrap: this.bootstrap,
+        network: options.replicate !== false,
+      })
+    ).ref();
+    this.pairing = options.pairing || null;
+    this.member = null;
+    this._ownsPairing = !options.pairing;
+    this._onconnection = noop;
+    this.registry = options.registry || new ServerRegistry(corestore);
+    this.record = null;
+    this._ownsRegistry = !options.registry;
+    this._saveRecord = debounceify(this._saveRecordNow.bind(this));
     this.eventEmitter = new EventEmitter();
-    this.processedActions = new Set();
 
     // Initialize crypto manager
     this.crypto = new CryptoManager(options.seedPhrase);
@@ -54,6 +99,26 @@ class SyncBase extends ReadyResource {
     // Initialize components with dependency injection
     this.validator = new ActionValidator(this, this.crypto);
     this.router = new SyncBaseRouter(this, this.validator);
+    this.resolver = new DependencyResolver(this, this.crypto);
+    this.conflicts = new ConflictResolver(this, this.crypto);
+    this.writers = new WriterRegistry(this, this.crypto);
+    this.devices = new DeviceManager(this, this.crypto);
+    this.identities = new IdentityManager(this, this.crypto);
+    this.recovery = new RecoveryManager(this, this.crypto);
+    this.directMessages = new DirectMessageManager(this, this.crypto);
+    this.privateChannels = new PrivateChannelManager(this, this.crypto);
+    this.groups = new GroupDMManager(this, this.crypto);
+    this.attachments = new AttachmentManager(this, this.crypto);
+    this.threads = new ThreadManager(this, this.crypto);
+    this.protocol = new ProtocolManager(this, this.crypto, {
+      policy: options.protocolPolicy,
+    });
+    this.outbox = new Outbox(this, this.crypto);
+    this.syncMonitor = new SyncMonitor(this);
+    this.domainEvents = new DomainEvents(this);
+    this.archive = new ActionArchive(this, this.crypto, this.validator);
+    this.auditor = new ViewAuditor(this, this.crypto);
+    this.migrator = new SchemaMigrator(this, this.crypto);
     this.serverInitializer = new ServerInitializer(this, this.validator);
     this.channels = new ChannelManager(this, this.validator);
     this.messages = new MessageManager(this, this.validator);
@@ -77,7 +142,7 @@ class SyncBase extends ReadyResource {
    * @private
    */
   _initAutobase(options) {
-    const { key, encryptionKey, optimistic = true } = options;
+    const { key, encryptionKey, wakeup, optimistic = true } = options;
 
     // Initialize Autobase with mutual writer approach
     // Using optimistic mode to allow all clients to write even when not formally added as writers
@@ -85,6 +150,7 @@ class SyncBase extends ReadyResource {
       encrypt: true,
       encryptionKey,
       optimistic,
+      wakeup,
       valueEncoding: "json",
       ackInterval: 1000, // Frequent acknowledgments for better performance
       // Set up the database view
@@ -99,12 +165,33 @@ class SyncBase extends ReadyResource {
     this.base.on("update", () => {
       if (!this.base._interrupting) {
         this.eventEmitter.emit("update");
+        if (this.opened) {
+          this.outbox.flush().catch(noop);
+          this.syncMonitor.refresh().catch(noop);
+          this.domainEvents.flush().catch(noop);
+          this.devices
+            .refresh()
+            .then(() => this.identities.refresh())
+            .then(() => this.writers.refresh())
+            .then(() => this.privateChannels.refresh())
+            .then(() => this.groups.refresh())
+            .catch(noop);
+          this._saveRecord().catch(noop);
+        }
       }
     });
   }
-  async _processNode(node, view, host) {
+  async _processNode(node, view, host, events = [], replay = false) {
     await this.base.ready();
     await this.base.view.ready();
+
+    // Replays into a scratch view must not touch the live base
+    const base = replay ? null : this.base;
+
+    // Handlers stamp records with the time carried in the action, never the
+    // local clock, so every peer writes the same view
+    const timestamp = node.value.payload?.timestamp || 0;
+
     // Always validate actions, regardless of environment
     const isValid = await this.validator.validateAction(
       node.value.payload,
@@ -112,7 +199,7 @@ class SyncBase extends ReadyResource {
       node.from?.key,
       node.value.signer,
       view,
-      true,
+      !this.strict,
       node.value
     );
 
@@ -122,6 +209,11 @@ class SyncBase extends ReadyResource {
     }
     console.log("Validated action ", node.value.type);
 
+    // Linked devices act as the user they were linked to
+    const signer = node.value.signer
+      ? b4a.from(await this.devices.accountOf(node.value.signer, view), "hex")
+      : null;
+
     // Acknowledge the writer under the mutual writer approach
     if (node.from?.key) {
       await host.ackWriter(node.from.key);
@@ -141,7 +233,7 @@ class SyncBase extends ReadyResource {
           id: node.value.payload.user.id,
           publicKey: node.value.payload.user.id,
           username: "User",
-          joinedAt: Date.now(),
+          joinedAt: timestamp,
           inviteCode: node.value.payload.user.code,
           avatar: "1",
           status: "Chilling",
@@ -151,7 +243,7 @@ class SyncBase extends ReadyResource {
         const role = {
           userId: node.value.payload.user.id,
           updatedBy: node.value.payload.user.id,
-          updatedAt: Date.now(),
+          updatedAt: timestamp,
           role: "MEMBER",
         };
 
@@ -159,43 +251,46 @@ class SyncBase extends ReadyResource {
         const payload1 = this.router.dispatch("@server/create-user", user);
         await this.router.router.dispatch(payload1, {
           view,
-          base: this.base,
+          base,
           authorKey: node.from?.key,
-          signer: !b4a.isBuffer(node.value.signer)
-            ? b4a.from(node.value.signer)
-            : node.value.signer,
+          signer,
+          host,
+          events,
+          timestamp,
+          action: node.value,
         });
 
         const payload2 = this.router.dispatch("@server/set-role", role);
         await this.router.router.dispatch(payload2, {
           view,
-          base: this.base,
+          base,
           authorKey: node.from?.key,
-          signer: !b4a.isBuffer(node.value.signer)
-            ? b4a.from(node.value.signer)
-            : node.value.signer,
+          signer,
+          host,
+          events,
+          timestamp,
+          action: node.value,
         });
-      } else if (node.value.type == "@server/create-invite") {
-        // Ensure invite data is properly formatted
+      } else if (
+        node.value.type == "@server/create-invite" ||
+        node.value.type == "@server/revoke-invite"
+      ) {
+        // Ensure invite data is properly formatted, revocations carry hex
         const encodedMessage = this.router.dispatch(node.value.type, {
-          id: b4a.isBuffer(node.value.payload.id)
-            ? node.value.payload.id
-            : b4a.from(node.value.payload.id),
-          invite: b4a.isBuffer(node.value.payload.invite)
-            ? node.value.payload.invite
-            : b4a.from(node.value.payload.invite),
-          publicKey: b4a.isBuffer(node.value.payload.publicKey)
-            ? node.value.payload.publicKey
-            : b4a.from(node.value.payload.publicKey),
+          id: toBuffer(node.value.payload.id),
+          invite: toBuffer(node.value.payload.invite),
+          publicKey: toBuffer(node.value.payload.publicKey),
           expires: node.value.payload.expires,
         });
         await this.router.router.dispatch(encodedMessage, {
           view,
-          base: this.base,
+          base,
           authorKey: node.from?.key,
-          signer: !b4a.isBuffer(node.value.signer)
-            ? b4a.from(node.value.signer)
-            : node.value.signer,
+          signer,
+          host,
+          events,
+          timestamp,
+          action: node.value,
         });
       } else {
         // Standard action processing for other action types
@@ -205,11 +300,13 @@ class SyncBase extends ReadyResource {
         );
         await this.router.router.dispatch(encodedMessage, {
           view,
-          base: this.base,
+          base,
           authorKey: node.from?.key,
-          signer: !b4a.isBuffer(node.value.signer)
-            ? b4a.from(node.value.signer)
-            : node.value.signer,
+          signer,
+          host,
+          events,
+          timestamp,
+          action: node.value,
         });
       }
 
@@ -221,24 +318,58 @@ class SyncBase extends ReadyResource {
       return false;
     }
   }
-  isProcessed(node) {
-    const actionId = `${node.value.type}:${JSON.stringify(node.value.payload)}`;
-    // Skip if already processed
-    if (this.processedActions.has(actionId)) {
-      console.log(`Skipping duplicate action: ${node.value.type}`);
-      return true;
-    }
-    return false;
+
+  /**
+   * Check whether an action has already been applied to the view
+   * Processed actions are recorded in the view itself, so the record is undone
+   * together with the action when Autobase reorders and reapplies nodes
+   * @param {Object|String} action - The signed action, the Autobase node carrying it, or its action id
+   * @param {Object} [view] - The view to check, defaults to the current view
+   * @returns {Promise<Boolean>} Whether the action was already applied
+   */
+  async isProcessed(action, view = this.base.view) {
+    if (action.value && action.value.type) action = action.value;
+    const processed = await view.get("@server/processed", {
+      id: typeof action === "string" ? action : this.crypto.actionId(action),
+    });
+    return !!processed;
   }
+
+  /**
+   * Record an action as applied
+   * @param {Object} action - The signed action
+   * @param {Object} view - The database view
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _markProcessed(action, view) {
+    await view.insert("@server/processed", {
+      id: this.crypto.actionId(action),
+      type: action.type,
+      signer: action.signer
+        ? b4a.toString(b4a.from(action.signer), "hex")
+        : null,
+    });
+  }
+
   async _apply(nodes, view, host) {
     await view.ready(); // Ensure the view is ready before applying any nodes
-    // More defensive approach to be tolerant of reordering during sync
-    const serverOps = [];
-    const inviteOps = []; // New category specifically for invite operations
-    const channelOps = [];
-    const messageOps = [];
-    const otherOps = [];
-    const processedInThisRun = new Set();
+
+    // Replay actions buffered for a protocol or schema version this build now supports
+    const supported = [
+      ...(await this.protocol.releaseSupported(view)),
+      ...(await this.migrator.releaseSupported(view)),
+    ];
+    for (const entry of supported) {
+      try {
+        await this._applyAction(entry.action, entry.writerKey, view, host);
+      } catch (err) {
+        console.warn(
+          `Ignoring error in buffered operation: ${entry.action.type}`,
+          err.message
+        );
+      }
+    }
 
     // Add batching to prevent overwhelming the system with too many operations at once
     const MAX_BATCH_SIZE = 20;
@@ -247,258 +378,202 @@ class SyncBase extends ReadyResource {
     // MUTUAL WRITER APPROACH: Instead of managing individual writers,
     // we acknowledge all nodes as coming from the room's mutual writer
     for await (const node of nodes) {
-      const type = node.value.type;
-
       // If we have a writer key, acknowledge it, but don't try to individually manage multiple writers
       if (node.from?.key) {
         try {
           // Simply acknowledge the writer without trying to add them to the writers list
+          // Which user the writer acts for is tracked by the WriterRegistry
           await host.ackWriter(node.from.key);
-
-          // Store the writer in our authorized keys collection for tracking
-          try {
-            if (node.value.signer && b4a.isBuffer(node.value.signer)) {
-              await view.put("@server/authorized_key", {
-                id: b4a.toString(node.value.signer, "hex"),
-                publicKey: b4a.toString(node.value.signer, "hex"),
-                writerKey: b4a.toString(node.from.key, "hex"),
-                addedAt: Date.now(),
-              });
-            }
-          } catch (trackErr) {
-            console.warn(
-              `Error tracking writer public key: ${trackErr.message}`
-            );
-          }
         } catch (err) {
           console.warn(`Error acknowledging writer: ${err.message}`);
         }
       }
 
-      // Categorize operations by type
-      if (
-        type === "@server/create-invite" ||
-        type === "@server/claim-invite" ||
-        type === "@server/revoke-invite"
-      ) {
-        inviteOps.push(node);
-      } else if (
-        type === "@server/create-server" ||
-        type === "@server/update-server"
-      ) {
-        serverOps.push(node);
-      } else if (type.includes("channel")) {
-        channelOps.push(node);
-      } else if (type.includes("message")) {
-        messageOps.push(node);
-      } else {
-        otherOps.push(node);
-      }
-    }
+      // Later local actions are stamped after everything seen so far
+      this.crypto.clock.update(node.value?.payload?.timestamp);
 
-    const getActionString = (node) => {
-      return `${node.value.type}:${JSON.stringify(
-        node.value.payload.timestamp
-      )}`;
-    };
-
-    // Process invite operations first (critical for permission system)
-    for (const node of inviteOps) {
-      const actionId = getActionString(node);
-      if (!this.isProcessed(node) && !processedInThisRun.has(actionId)) {
-        try {
-          // MUTUAL WRITER APPROACH: For claim-invite, simply acknowledge the writer
-          // but don't try to add them to the writers list
-          if (node.value.type === "@server/claim-invite" && node.from?.key) {
-            await host.ackWriter(node.from.key);
-          }
-
-          // Process the invite operation normally
-          await this._processNode(node, view, host);
-          this.processedActions.add(actionId);
-          processedInThisRun.add(actionId);
+      // Nodes are applied in linearized order, anything whose prerequisites
+      // are still missing is deferred by the dependency resolver
+      try {
+        await this._applyAction(node.value, node.from?.key, view, host);
 
-          currentBatch++;
-          if (currentBatch >= MAX_BATCH_SIZE) {
-            await view.flush();
-            await sleep(10);
-            currentBatch = 0;
-          }
-        } catch (err) {
-          console.warn(
-            `Ignoring error in invite operation: ${node.value.type}`,
-            err.message
-          );
+        currentBatch++;
+        if (currentBatch >= MAX_BATCH_SIZE) {
+          await view.flush();
+          await sleep(10); // Small pause between batches
+          currentBatch = 0;
         }
+      } catch (err) {
+        console.warn(
+          `Ignoring error in operation: ${node.value.type}`,
+          err.message
+        );
       }
     }
 
-    // Flush after invite operations
+    // Ensure all pending changes are flushed
     await view.flush();
+  }
 
-    // Process server operations next
-    for (const node of serverOps) {
-      const actionId = getActionString(node);
-      if (!this.isProcessed(node) && !processedInThisRun.has(actionId)) {
-        try {
-          // Always acknowledge the writer
-          if (node.from?.key) {
-            await host.ackWriter(node.from.key);
-          }
+  /**
+   * Apply a single action, or park it if its prerequisites are missing
+   * @param {Object} action - The signed action
+   * @param {Buffer|null} writerKey - Key of the writer that appended the action
+   * @param {Object} view - The database view
+   * @param {Object} host - The Autobase apply host calls
+   * @param {Boolean} [replay=false] - Whether the action is replayed into a scratch view
+   * @returns {Promise<Boolean>} Whether the action was applied
+   * @private
+   */
+  async _applyAction(action, writerKey, view, host, replay = false) {
+    // Actions are identified by their signer and nonce, anything applied
+    // before is a duplicate append or a replay and is never applied twice
+    if (await this.isProcessed(action, view)) {
+      console.log(`Skipping replayed action: ${action.type}`);
+      return false;
+    }
 
-          await this._processNode(node, view, host);
-          this.processedActions.add(actionId);
-          processedInThisRun.add(actionId);
+    // Revoked devices never act again, nothing they sign is even deferred
+    if (await this.devices.isRevoked(action.signer, view)) {
+      console.warn(`Rejecting action of a revoked device: ${action.type}`);
+      if (!replay) {
+        this.outbox.reject(action, "Signed by a revoked device").catch(noop);
+      }
+      return false;
+    }
 
-          currentBatch++;
-          if (currentBatch >= MAX_BATCH_SIZE) {
-            await view.flush();
-            await sleep(10); // Small pause between batches
-            currentBatch = 0;
-          }
-        } catch (err) {
-          console.warn(
-            `Ignoring error in server operation: ${node.value.type}`,
-            err.message
-          );
-        }
+    // Keys rotated out are retired for good, the same as revoked devices
+    if (await this.identities.isRetired(action.signer, view)) {
+      console.warn(`Rejecting action of a retired key: ${action.type}`);
+      if (!replay) {
+        this.outbox
+          .reject(action, "Signed by a retired identity key")
+          .catch(noop);
       }
+      return false;
     }
 
-    // Flush after server operations
-    await view.flush();
+    // Actions from a newer protocol are never applied by this build
+    if (!this.protocol.isSupported(action)) {
+      await this.protocol.handleUnsupported(action, writerKey, view, replay);
+      return false;
+    }
 
-    // Then channel operations
-    for (const node of channelOps) {
-      const actionId = getActionString(node);
-      if (!this.isProcessed(node) && !processedInThisRun.has(actionId)) {
-        try {
-          // Always acknowledge the writer
-          if (node.from?.key) {
-            await host.ackWriter(node.from.key);
-          }
+    // Archived actions are applied as if their signers had appended them
+    if (action.type === "@server/import-action") {
+      return this._applyImported(action, writerKey, view, host, replay);
+    }
 
-          // Special handling for channel creation - check if channel already exists
-          if (node.value.type === "@server/create-channel") {
-            const existingChannel = await view.get("@server/channel", {
-              channelId: node.value.payload.channelId,
-            });
+    const missing = await this.resolver.getUnmetDependencies(action, view);
 
-            if (existingChannel) {
-              console.log(
-                `Channel ${node.value.payload.channelId} already exists - skipping create operation`
-              );
-              this.processedActions.add(actionId);
-              processedInThisRun.add(actionId);
-              continue; // Skip this operation
-            }
-          }
+    // Actions wait for the writer that appended them to be bound to a user
+    const writer = this.strict && this.writers.getDependency(action, writerKey);
+    if (writer && !(await this.resolver.isSatisfied(writer, view))) {
+      missing.push(writer);
+    }
 
-          await this._processNode(node, view, host);
-          this.processedActions.add(actionId);
-          processedInThisRun.add(actionId);
+    if (missing.length > 0) {
+      await this.resolver.park(action, writerKey, missing[0], view);
+      return false;
+    }
 
-          currentBatch++;
-          if (currentBatch >= MAX_BATCH_SIZE) {
-            await view.flush();
-            await sleep(10); // Small pause between batches
-            currentBatch = 0;
-          }
-        } catch (err) {
-          console.warn(
-            `Ignoring error in channel operation: ${node.value.type}`,
-            err.message
-          );
-        }
+    const events = [];
+    const applied = await this._processNode(
+      { value: action, from: writerKey ? { key: writerKey } : null },
+      view,
+      host,
+      events,
+      replay
+    );
+    if (!applied) {
+      if (!replay) {
+        this.outbox.reject(action, "Action failed validation").catch(noop);
       }
+      return false;
+    }
+    await this._markProcessed(action, view);
+    if (!replay) {
+      this.domainEvents.collect(this.crypto.actionId(action), events);
     }
 
-    // Flush after channel operations
-    await view.flush();
-
-    // Then message operations which depend on channels
-    for (const node of messageOps) {
-      const actionId = getActionString(node);
-      if (!this.isProcessed(node) && !processedInThisRun.has(actionId)) {
-        try {
-          // Always acknowledge the writer
-          if (node.from?.key) {
-            await host.ackWriter(node.from.key);
-          }
-
-          await this._processNode(node, view, host);
-          this.processedActions.add(actionId);
-          processedInThisRun.add(actionId);
-
-          currentBatch++;
-          if (currentBatch >= MAX_BATCH_SIZE) {
-            await view.flush();
-            await sleep(10); // Small pause between batches
-            currentBatch = 0;
-          }
-        } catch (err) {
-          console.warn(
-            `Ignoring error in message operation: ${node.value.type}`,
-            err.message
-          );
-        }
+    // Replay everything that was waiting on what this action provides
+    for (const dependency of this.resolver.getProvided(action)) {
+      const released = await this.resolver.release(dependency, view);
+      for (const entry of released) {
+        console.log(`Replaying deferred action ${entry.action.type}`);
+        await this._applyAction(
+          entry.action,
+          entry.writerKey,
+          view,
+          host,
+          replay
+        );
       }
     }
 
-    // Flush after message operations
-    await view.flush();
-
-    // Then other operations
-    for (const node of otherOps) {
-      const actionId = getActionString(node);
-      if (!this.isProcessed(node) && !processedInThisRun.has(actionId)) {
-        try {
-          // Always acknowledge the writer
-          if (node.from?.key) {
-            await host.ackWriter(node.from.key);
-          }
-
-          await this._processNode(node, view, host);
-          this.processedActions.add(actionId);
-          processedInThisRun.add(actionId);
+    return true;
+  }
 
-          currentBatch++;
-          if (currentBatch >= MAX_BATCH_SIZE) {
-            await view.flush();
-            await sleep(10); // Small pause between batches
-            currentBatch = 0;
-          }
-        } catch (err) {
-          console.warn(
-            `Ignoring error in other operation: ${node.value.type}`,
-            err.message
-          );
-        }
+  /**
+   * Apply an `@server/import-action` and the archived action it wraps
+   * The wrapped action was appended by the importer, not by a writer of its
+   * signer, so it is applied without a writer and skips the writer binding
+   * @param {Object} action - The import action
+   * @param {Buffer|null} writerKey - Key of the writer that appended it
+   * @param {Object} view - The database view
+   * @param {Object} host - The Autobase apply host calls
+   * @param {Boolean} [replay=false] - Whether the action is replayed into a scratch view
+   * @returns {Promise<Boolean>} Whether the import action was applied
+   * @private
+   */
+  async _applyImported(action, writerKey, view, host, replay = false) {
+    const isValid = await this.validator.validateAction(
+      action.payload,
+      action.signature,
+      writerKey,
+      action.signer,
+      view,
+      !this.strict,
+      action
+    );
+    if (!isValid) {
+      console.warn(`Invalid action: ${action.type}`);
+      if (!replay) {
+        this.outbox.reject(action, "Action failed validation").catch(noop);
       }
+      return false;
     }
 
-    // Ensure all pending changes are flushed
-    await view.flush();
+    const imported = await this.archive.applyImport(action, writerKey, view);
+    await this._markProcessed(action, view);
+    await this._applyAction(imported, null, view, host, replay);
+    return true;
   }
 
   /**
    * Initialize replication with peers
+   * Invites are answered over every connection of the transport, so pairing
+   * also works over streams passed to `replicate()`
    * @private
    */
   async _setupReplication() {
-    if (!this.replicate) return;
     await this.base.ready();
+    await this.transport.ready();
+
+    // Autobase announces its writers over the wakeup protocol, without it
+    // peers never learn about optimistic writers that were not added.
+    // A shared protocol is fed by whoever owns it
+    if (this.base.wakeupOwner) {
+      this._onconnection = (connection) => {
+        this.base.wakeupProtocol.addStream(connection);
+      };
+      for (const connection of this.transport.connections) {
+        this._onconnection(connection);
+      }
+      this.transport.on("connection", this._onconnection);
+    }
 
-    this.swarm = new Hyperswarm({
-      keyPair: await this.store.createKeyPair("hyperswarm"),
-      bootstrap: this.bootstrap,
-    });
-
-    this.swarm.on("connection", (connection, peerInfo) => {
-      this.store.replicate(connection);
-    });
-
-    this.pairing = new BlindPairing(this.swarm);
+    if (!this.pairing) this.pairing = new BlindPairing(this.transport);
 
     this.member = this.pairing.addMember({
       discoveryKey: this.base.discoveryKey,
@@ -521,7 +596,9 @@ class SyncBase extends ReadyResource {
             code: b4a.toString(inv.id, "hex"),
           },
         });
-        await this.base.append(action, { optimistic: true });
+        // The outbox is opened after replication is set up
+        await this.ready();
+        await this.outbox.append(action);
         candidate.confirm({
           key: this.base.key,
           encryptionKey: this.base.encryptionKey,
@@ -529,7 +606,18 @@ class SyncBase extends ReadyResource {
       },
     });
 
-    this.swarm.join(this.base.discoveryKey);
+    this.transport.join(this.base.discoveryKey);
+  }
+
+  /**
+   * Replicate with a peer over a stream instead of (or next to) the swarm
+   * Accepts the same arguments as `corestore.replicate()`
+   * @param {Boolean|Object} isInitiator - Initiator flag or an existing duplex stream
+   * @param {Object} [options] - Replication options
+   * @returns {Object} The replication stream, pipe it to the remote peer
+   */
+  replicate(isInitiator, options) {
+    return this.transport.replicate(isInitiator, options);
   }
   async addWriter(writerKey, options = {}) {
     if (!writerKey) return false;
@@ -552,14 +640,43 @@ class SyncBase extends ReadyResource {
    * @private
    */
   async _open() {
+    // Unlock the identity before anything signs with it
+    try {
+      await unlockIdentity(this.store, this.crypto, this.options);
+    } catch (err) {
+      await this.transport.unref();
+      await this.base.close();
+      throw err;
+    }
+
+    // Refuse servers written by a newer build before their view is opened
+    await this.registry.init();
+    try {
+      await this.migrator.check(this.base.key);
+    } catch (err) {
+      await this.transport.unref();
+      if (this._ownsRegistry) await this.registry.close();
+      await this.base.close();
+      throw err;
+    }
+
     // Initialize Autobase
     await this.base.ready();
 
-    // Setup replication if enabled
-    if (this.replicate) {
-      await this._setupReplication();
+    // The registry may not know the version of the view yet
+    try {
+      await this.migrator.checkView();
+    } catch (err) {
+      await this.transport.unref();
+      if (this._ownsRegistry) await this.registry.close();
+      await this.base.close();
+      throw err;
     }
 
+    // Setup replication and invite handling
+    await this._setupReplication();
+    await this.protocol.init();
+
     // Initialize managers
     await this.channels.init();
     await this.messages.init();
@@ -567,6 +684,12 @@ class SyncBase extends ReadyResource {
     await this.roleManager.init();
     await this.roles.init();
     await this.invites.init();
+    await this.outbox.init();
+    await this.syncMonitor.init();
+    await this.migrator.upgrade();
+
+    // Remember the server so it can be reopened without the pairer
+    await this._saveRecord();
   }
 
   /**
@@ -574,12 +697,74 @@ class SyncBase extends ReadyResource {
    * @private
    */
   async _close() {
-    if (this.swarm) {
-      await this.swarm.destroy();
+    if (this._saveRecord.running) await this._saveRecord.running.catch(noop);
+    if (this.pairing && this._ownsPairing) {
+      await this.pairing.close();
+    } else if (this.member) {
+      await this.member.close();
     }
+    this.syncMonitor.close();
+    this.protocol.close();
+    await this.outbox.close();
+    await this.attachments.close();
+    this.transport.removeListener("connection", this._onconnection);
+    await this.transport.leave(this.base.discoveryKey);
+    await this.transport.unref();
+    if (this._ownsRegistry) await this.registry.close();
     await this.base.close();
   }
 
+  /**
+   * Get the swarm used for replication
+   * @returns {Hyperswarm|null} The swarm, null when running without network
+   */
+  get swarm() {
+    return this.transport.swarm;
+  }
+
+  /**
+   * Store the keys, identity, name and schema version of the server in the registry
+   * @private
+   */
+  async _saveRecordNow() {
+    if (this.closing || !this.registry.db) return;
+
+    const info = await this.getServerInfo();
+    const record = {
+      key: toHex(this.base.key),
+      encryptionKey: this.base.encryptionKey
+        ? toHex(this.base.encryptionKey)
+        : null,
+      identity: this.crypto.publicKey ? toHex(this.crypto.publicKey) : null,
+      name: info ? info.name : null,
+      schema: await this.migrator.getViewVersion(),
+    };
+
+    // Only write when something we know by now differs from the stored record
+    const saved = this.record || (await this.registry.get(record.key));
+    const changed =
+      !saved ||
+      ["encryptionKey", "identity", "name", "schema"].some(
+        (field) => record[field] && record[field] !== saved[field]
+      );
+
+    this.record = changed ? await this.registry.save(record) : saved;
+  }
+
+  /**
+   * Get the id of the user this peer acts as
+   * The public key of this peer, of the user it was linked to as a device,
+   * or of the user whose identity key it rotated to
+   * @returns {String} The user id as hex string
+   */
+  get userId() {
+    return (
+      this.devices.accountId ||
+      this.identities.accountId ||
+      toHex(this.crypto.publicKey)
+    );
+  }
+
   /**
    * Get the writer's public key
    * @returns {Buffer} The writer's public key
@@ -642,6 +827,519 @@ class SyncBase extends ReadyResource {
     return this.serverInitializer.updateServerInfo(options);
   }
 
+  /**
+   * Get the actions that are waiting for a prerequisite to be applied
+   * @param {Object} [options] - Options
+   * @param {String} [options.dependency] - Only list actions waiting on this dependency (e.g. `channel:<channelId>`)
+   * @returns {Promise<Array>} List of pending actions
+   */
+  async getPendingActions(options = {}) {
+    await this.base.ready();
+    return this.resolver.getPending(this.base.view, options.dependency);
+  }
+
+  /**
+   * Get the replication progress of this server
+   * `state` is `offline` without peers, `syncing` while writers are being
+   * caught up with or actions are queued, and `synced` otherwise
+   * @returns {Promise<Object>} Sync status with peer count, lengths and the lag per writer
+   */
+  async getSyncStatus() {
+    await this.ready();
+    return this.syncMonitor.getStatus();
+  }
+
+  /**
+   * List the actions this peer queued in its outbox
+   * @param {Object} [options] - Options
+   * @param {String} [options.status] - Only list actions with this status (queued, appended, applied or rejected)
+   * @returns {Promise<Array>} Outbox entries in the order they were queued
+   */
+  async getOutbox(options = {}) {
+    await this.ready();
+    return this.outbox.getEntries(options.status);
+  }
+
+  /**
+   * Get the outbox status of an action created by this peer
+   * @param {Object|String} action - The signed action or its action id
+   * @returns {Promise<Object|null>} The outbox entry or null if unknown
+   */
+  async getActionStatus(action) {
+    await this.ready();
+    return this.outbox.getStatus(action);
+  }
+
+  /**
+   * Export every signed action of the server as a signed JSONL archive
+   * @param {Writable} stream - The stream to write to, ended once the archive is written
+   * @returns {Promise<Number>} The number of archived actions
+   */
+  async exportArchive(stream) {
+    await this.ready();
+    return this.archive.export(stream);
+  }
+
+  /**
+   * Rebuild the view from the log in a scratch database and compare it with the live view
+   * @param {Object} [options] - Audit options
+   * @param {Boolean} [options.repair=false] - Write the differences into the live view
+   * @param {Array<String>} [options.ignore] - Fields to leave out of the comparison
+   * @returns {Promise<Object>} Report of `{ consistent, replayed, collections, repaired }`
+   */
+  async auditView(options = {}) {
+    await this.ready();
+    return this.auditor.audit(options);
+  }
+
+  /**
+   * List the concurrent updates that competed for the same record
+   * @param {String} collection - The collection name, e.g. `@server/message`
+   * @param {String} [key] - Only list conflicts of this record (`channelId:id` for messages)
+   * @param {Object} [options] - Query options
+   * @param {Boolean} [options.resolved] - Only list resolved or open conflicts
+   * @returns {Promise<Array<Object>>} Conflicts of `{ collection, key, id, fields, winner, loser, values, timestamp, resolved }`
+   */
+  async getConflicts(collection, key = null, options = {}) {
+    await this.ready();
+    return this.conflicts.getConflicts(collection, key, options);
+  }
+
+  /**
+   * List the writers that act for a user, one per device they append from
+   * @param {Buffer|String} userId - The public key of the user
+   * @returns {Promise<Array<Object>>} Bindings of `{ writerKey, userId, addedAt }`
+   */
+  async getWriters(userId) {
+    await this.ready();
+    return this.writers.getWriters(userId);
+  }
+
+  /**
+   * Authorise a new device to act as the user of this peer
+   * The new device opens the server with the returned keys and its own seed phrase
+   * @param {Object} params - Link parameters
+   * @param {Buffer|String} params.deviceKey - Public key of the new device
+   * @param {String} [params.name] - Name to show for the device
+   * @returns {Promise<Object>} `{ key, encryptionKey, userId }` as hex strings
+   */
+  async linkDevice(params) {
+    await this.ready();
+    return this.devices.linkDevice(params);
+  }
+
+  /**
+   * Revoke a device of the user of this peer, its writers are removed
+   * @param {Object} params - Revoke parameters
+   * @param {Buffer|String} params.deviceKey - Public key of the device
+   * @returns {Promise<Object>} The revoked device
+   */
+  async revokeDevice(params) {
+    await this.ready();
+    return this.devices.revokeDevice(params);
+  }
+
+  /**
+   * List the devices linked to a user
+   * @param {Buffer|String} [userId] - The public key of the user, defaults to the user of this peer
+   * @returns {Promise<Array<Object>>} Devices of `{ deviceKey, userId, name, addedAt, addedBy, revokedAt }`
+   */
+  async getDevices(userId = this.userId) {
+    await this.ready();
+    return this.devices.getDevices(userId);
+  }
+
+  /**
+   * Replace the key this peer signs with, the user id and everything stored
+   * under it stay. The rotation is signed with the current and the new key
+   * A new mnemonic is generated when neither `mnemonic` nor `seedPhrase` is
+   * passed, a keystore the identity was unlocked from is rewritten with it
+   * once the rotation is applied
+   * @param {Object} [params] - Rotation parameters
+   * @param {String|Array} [params.mnemonic] - BIP39 mnemonic of the new key
+   * @param {String|Array} [params.seedPhrase] - Seed phrase of the new key
+   * @returns {Promise<Object>} The identity record of the new key, with the `mnemonic` it was derived from
+   */
+  async rotateIdentity({ mnemonic, seedPhrase } = {}) {
+    await this.ready();
+    if (this.options.password && seedPhrase) {
+      throw new Error("Keystore identities can only be rotated to a mnemonic");
+    }
+    if (!seedPhrase && !mnemonic) mnemonic = CryptoManager.generateMnemonic();
+
+    const keys = mnemonic
+      ? await CryptoManager.deriveKeysFromMnemonic(mnemonic)
+      : CryptoManager.deriveKeysFromSeed(seedPhrase);
+    const { identity, action } = await this.identities.rotate(keys);
+
+    // The keystore keeps the previous mnemonic until the rotation is applied,
+    // until then the previous key is the one the view accepts
+    if (this.options.password) {
+      const keystore = new Keystore(this.store, {
+        path: this.options.keystore,
+      });
+      this.outbox
+        .whenApplied(action)
+        .then(() => keystore.replace(this.options.password, mnemonic))
+        .catch(noop);
+    }
+    this._saveRecord().catch(noop);
+    return { ...identity, mnemonic: mnemonic || null };
+  }
+
+  /**
+   * List the identity keys a user signed with, oldest first
+   * Users that never rotated their key have none
+   * @param {Buffer|String} [userId] - The id of the user, defaults to the user of this peer
+   * @returns {Promise<Array<Object>>} Records of `{ key, userId, previousKey, nextKey, proof, addedAt, retiredAt }`
+   */
+  async getIdentityHistory(userId = this.userId) {
+    await this.ready();
+    return this.identities.getHistory(userId);
+  }
+
+  /**
+   * Split the identity key of this peer into shares sealed to guardians,
+   * `threshold` of them recover it. Replaces an earlier setup
+   * @param {Object} params - Setup parameters
+   * @param {Array<String>} params.guardians - Ids of the members to hold a share
+   * @param {Number} params.threshold - Number of guardians needed to recover
+   * @returns {Promise<Object>} `{ userId, key, threshold, guardians }`
+   */
+  async setupRecovery(params) {
+    await this.ready();
+    return this.recovery.setupRecovery(params);
+  }
+
+  /**
+   * Get the recovery setup of a user
+   * @param {Buffer|String} [userId] - The id of the user, defaults to the user of this peer
+   * @returns {Promise<Object|null>} `{ userId, key, threshold, guardians, createdAt }`
+   */
+  async getRecovery(userId = this.userId) {
+    await this.ready();
+    return this.recovery.getRecovery(userId);
+  }
+
+  /**
+   * Ask the guardians of a user for their shares
+   * Called on a new device that opened the server with a key of its own
+   * @param {Object} params - Request parameters
+   * @param {Buffer|String} params.userId - The user to recover
+   * @returns {Promise<Object>} The request `{ id, userId, requesterKey, createdAt }`
+   */
+  async requestRecovery(params) {
+    await this.ready();
+    return this.recovery.requestRecovery(params);
+  }
+
+  /**
+   * List the recovery requests this user is a guardian for and has not approved
+   * @returns {Promise<Array<Object>>} Requests `{ id, userId, requesterKey, createdAt }`
+   */
+  async getRecoveryRequests() {
+    await this.ready();
+    return this.recovery.getRequests(this.userId);
+  }
+
+  /**
+   * Hand the share of this guardian to the device that requested it
+   * Confirm with the user that `requesterKey` is theirs first
+   * @param {String} requestId - The id of the request
+   * @returns {Promise<Object>} The approval
+   */
+  async approveRecovery(requestId) {
+    await this.ready();
+    return this.recovery.approveRecovery(requestId);
+  }
+
+  /**
+   * Reassemble the identity key from the approved shares and sign with it
+   * The key is only kept in memory, rotate it with `rotateIdentity()` to get
+   * words to write down, and a key the guardians never held
+   * @param {String} requestId - The id of the request made by this peer
+   * @returns {Promise<Object>} `{ userId, key }` of the recovered identity
+   */
+  async completeRecovery(requestId) {
+    await this.ready();
+    const { userId, keys } = await this.recovery.combineShares(requestId);
+    this.crypto.setKeys(keys);
+    this.identities.accountId = userId;
+    await this.writers.refresh();
+    this._saveRecord().catch(noop);
+    return { userId, key: toHex(keys.publicKey) };
+  }
+
+  /**
+   * Create a channel whose messages only its members can read
+   * @param {Object} params - Channel parameters
+   * @param {String} params.name - The channel name
+   * @param {String} [params.topic] - The channel topic
+   * @param {Array<String>} [params.members] - Ids of the users to add besides this one
+   * @returns {Promise<Object>} The created channel
+   */
+  async createPrivateChannel(params) {
+    await this.ready();
+    return this.privateChannels.createPrivateChannel(params);
+  }
+
+  /**
+   * Add a member to a private channel, the channel is rekeyed with them
+   * @param {String} channelId - The channel ID
+   * @param {String} userId - The user to add
+   * @returns {Promise<Object>} `{ channelId, epoch, members }`
+   */
+  async addChannelMember(channelId, userId) {
+    await this.ready();
+    return this.privateChannels.addMember(channelId, userId);
+  }
+
+  /**
+   * Remove a member from a private channel, the channel is rekeyed without them
+   * @param {String} channelId - The channel ID
+   * @param {String} userId - The user to remove
+   * @returns {Promise<Object>} `{ channelId, epoch, members }`
+   */
+  async removeChannelMember(channelId, userId) {
+    await this.ready();
+    return this.privateChannels.removeMember(channelId, userId);
+  }
+
+  /**
+   * List the members of a private channel
+   * @param {String} channelId - The channel ID
+   * @returns {Promise<Array<String>>} User ids of the members
+   */
+  async getChannelMembers(channelId) {
+    await this.ready();
+    return this.privateChannels.getMembers(channelId);
+  }
+
+  /**
+   * Send a message only this peer and the recipient can read
+   * @param {Object} params - Message parameters
+   * @param {Buffer|String} params.recipientId - The id of the member to write to
+   * @param {String} params.content - The message content
+   * @returns {Promise<Object>} The message `{ id, conversationId, sender, recipient, content, sentAt }`
+   */
+  async sendDirectMessage(params) {
+    await this.ready();
+    return this.directMessages.sendDirectMessage(params);
+  }
+
+  /**
+   * List the direct conversations of the user of this peer, most recent first
+   * @returns {Promise<Array<Object>>} Conversations `{ id, userId, createdAt, lastMessageAt }`
+   */
+  async getDirectConversations() {
+    await this.ready();
+    return this.directMessages.getConversations(this.userId);
+  }
+
+  /**
+   * Get the direct messages exchanged with another member, decrypted
+   * @param {Buffer|String} userId - The id of the other member
+   * @param {Object} [options] - `{ limit, before }`
+   * @returns {Promise<Array<Object>>} Messages oldest first, `content` is null
+   *   for messages encrypted to a key this peer does not hold
+   */
+  async getDirectMessages(userId, options) {
+    await this.ready();
+    return this.directMessages.getMessages(userId, options);
+  }
+
+  /**
+   * Create a group DM with this user and 2 to 9 other members
+   * @param {Object} params - Group parameters
+   * @param {String} params.title - The title of the group
+   * @param {String} [params.icon] - The icon of the group
+   * @param {Array<String>} params.participants - Ids of the other members
+   * @returns {Promise<Object>} `{ id, title, icon, participants }`
+   */
+  async createGroupDM(params) {
+    await this.ready();
+    return this.groups.createGroup(params);
+  }
+
+  /**
+   * Change the title or the icon of a group DM
+   * @param {String} groupId - The group ID
+   * @param {Object} changes - `{ title, icon }`
+   * @returns {Promise<Object>} The updated group
+   */
+  async updateGroupDM(groupId, changes) {
+    await this.ready();
+    return this.groups.updateGroup(groupId, changes);
+  }
+
+  /**
+   * Add a member to a group DM, the group is rekeyed with them
+   * @param {String} groupId - The group ID
+   * @param {String} userId - The user to add
+   * @returns {Promise<Object>} `{ groupId, epoch, participants }`
+   */
+  async addGroupParticipant(groupId, userId) {
+    await this.ready();
+    return this.groups.addParticipant(groupId, userId);
+  }
+
+  /**
+   * Remove a participant from a group DM, the group is rekeyed without them
+   * @param {String} groupId - The group ID
+   * @param {String} [userId] - The user to remove, defaults to this user leaving
+   * @returns {Promise<Object>} `{ groupId, epoch, participants }`
+   */
+  async removeGroupParticipant(groupId, userId = this.userId) {
+    await this.ready();
+    return this.groups.removeParticipant(groupId, userId);
+  }
+
+  /**
+   * Send a message to a group DM
+   * @param {Object} params - `{ groupId, content }`
+   * @returns {Promise<Object>} The message `{ id, groupId, sender, content, sentAt }`
+   */
+  async sendGroupMessage(params) {
+    await this.ready();
+    return this.groups.sendMessage(params);
+  }
+
+  /**
+   * List the group DMs of the user of this peer, most recent first
+   * @returns {Promise<Array<Object>>} Groups `{ id, title, icon, epoch, participants, ... }`
+   */
+  async getGroupDMs() {
+    await this.ready();
+    return this.groups.getGroups(this.userId);
+  }
+
+  /**
+   * Get the messages of a group DM, decrypted
+   * @param {String} groupId - The group ID
+   * @param {Object} [options] - `{ limit, before }`
+   * @returns {Promise<Array<Object>>} Messages oldest first, `content` is null
+   *   for messages of epochs this peer has no key for
+   */
+  async getGroupMessages(groupId, options) {
+    await this.ready();
+    return this.groups.getMessages(groupId, options);
+  }
+
+  /**
+   * Store a file to attach to messages, in the Hyperblobs core of this peer
+   * @param {Buffer|String} data - The file contents
+   * @param {Object} [options] - `{ name, type }`, `type` is the MIME type
+   * @returns {Promise<Object>} The descriptor `{ id, name, type, size, hash, core, blob }`
+   */
+  async uploadAttachment(data, options) {
+    await this.ready();
+    return this.attachments.upload(data, options);
+  }
+
+  /**
+   * Get the attachments of a message
+   * @param {Object} message - The message
+   * @returns {Array<Object>} Descriptors, empty if the message has none
+   */
+  getAttachments(message) {
+    return this.attachments.getAttachments(message);
+  }
+
+  /**
+   * Stream the contents of an attachment from the peers that have them
+   * @param {Object} attachment - The descriptor
+   * @param {Object} [options] - `{ timeout }` to wait for a block in ms
+   * @returns {Readable} Stream of the contents, it errors if they do not match the hash
+   */
+  createAttachmentStream(attachment, options) {
+    return this.attachments.createReadStream(attachment, options);
+  }
+
+  /**
+   * Download the contents of an attachment
+   * @param {Object} attachment - The descriptor
+   * @param {Object} [options] - `{ timeout }` to wait for a block in ms
+   * @returns {Promise<Buffer>} The contents, checked against the hash
+   */
+  async downloadAttachment(attachment, options) {
+    await this.ready();
+    return this.attachments.download(attachment, options);
+  }
+
+  /**
+   * Open a thread on a message
+   * @param {Object} params - `{ channelId, rootId, title }`
+   * @returns {Promise<Object>} The thread `{ rootId, channelId, title, createdBy, createdAt }`
+   */
+  async createThread(params) {
+    await this.ready();
+    return this.threads.createThread(params);
+  }
+
+  /**
+   * Send a reply to the thread of a message
+   * @param {Object} params - `{ rootId, content, replyTo, attachments }`
+   * @returns {Promise<Object>} The created message
+   */
+  async replyInThread(params) {
+    await this.ready();
+    return this.threads.reply(params);
+  }
+
+  /**
+   * Get a thread with a page of its replies
+   * @param {String} rootId - The root of the thread
+   * @param {Object} [options] - `{ limit, before }`
+   * @returns {Promise<Object|null>} `{ thread, root, replies, hasMore }`, replies
+   *   oldest first, null if the message has no thread
+   */
+  async getThread(rootId, options) {
+    await this.ready();
+    return this.threads.getThread(rootId, options);
+  }
+
+  /**
+   * List the channels of the server followed by the group DMs of this user
+   * @returns {Promise<Array<Object>>} Channels tagged `kind: "channel"` and
+   *   groups tagged `kind: "group"`
+   */
+  async getChannelsAndGroups() {
+    await this.ready();
+    const channels = await this.channels.getChannels();
+    const groups = await this.groups.getGroups(this.userId);
+    return [
+      ...channels.map((channel) => ({ kind: "channel", ...channel })),
+      ...groups.map((group) => ({ kind: "group", ...group })),
+    ];
+  }
+
+  /**
+   * Get the protocol versions of this build and of the connected peers
+   * @returns {Object} `{ version, minVersion, policy, blockedBy, peers }`, `blockedBy`
+   *   is the newer version holding back writes or null
+   */
+  getProtocolInfo() {
+    return {
+      version: this.protocol.version,
+      minVersion: this.protocol.minVersion,
+      policy: this.protocol.policy,
+      blockedBy: this.protocol.blocked ? this.protocol.blockedBy : null,
+      peers: this.protocol.getPeers(),
+    };
+  }
+
+  /**
+   * Get the schema version of this build and of the view
+   * @returns {Promise<Object>} Versions as `{ schema, view }`
+   */
+  async getSchemaVersion() {
+    await this.ready();
+    return {
+      schema: this.migrator.version,
+      view: await this.migrator.getViewVersion(),
+    };
+  }
+
   /**
    * Grant a permission to a user
    * @param {String} userId - The user to grant permission to
@@ -673,9 +1371,7 @@ class SyncBase extends ReadyResource {
    */
   async hasPermission(permissionType) {
     const user = await this.base.view.get("@server/role", {
-      userId: b4a.isBuffer(this.crypto.publicKey)
-        ? b4a.toString(this.crypto.publicKey, "hex")
-        : this.crypto.publicKey,
+      userId: this.userId,
     });
 
     if (user) {
@@ -791,7 +1487,6 @@ class SyncBase extends ReadyResource {
    * @param {Object} [options] - Ban options
    * @param {String} [options.channelId] - Channel to ban from (null for server-wide)
    * @param {String} [options.reason] - Reason for the ban
-   * @param {Number} [options.duration] - Duration in milliseconds (null for permanent)
    * @returns {Promise<Object>} Ban information
    */
   async banUser(userId, options = {}) {
@@ -919,29 +1614,166 @@ class SyncBase extends ReadyResource {
    * @returns {Object} A pairing instance
    */
   static pair(store, inviteCode, options = {}) {
-    console.log("Creating enhanced pairer with options:", options);
+    // Keep the secrets of the identity out of the log
+    const { password, mnemonic, seedPhrase, ...rest } = options;
+    console.log("Creating enhanced pairer with options:", rest);
     return new SyncBasePairer(store, inviteCode, options);
   }
+
+  /**
+   * Generate a new BIP39 mnemonic to create an identity with
+   * @returns {String} 24 English words
+   */
+  static generateMnemonic() {
+    return CryptoManager.generateMnemonic();
+  }
+
+  /**
+   * Rebuild a server from an archive made by `exportArchive`
+   * The archive is replayed into a new server, every action is verified and
+   * validated first, the ones that were not imported are reported with a reason
+   * @param {Object} store - The corestore for the new server
+   * @param {Readable|AsyncIterable} stream - The archive
+   * @param {Object} [options] - Same options as the constructor
+   * @returns {Promise<Object>} `{ server, source, signer, total, imported, rejected }`
+   */
+  static async importArchive(store, stream, options = {}) {
+    const server = new SyncBase(store, options);
+    try {
+      await server.ready();
+      const report = await server.archive.import(stream);
+      return { server, ...report };
+    } catch (err) {
+      await server.close();
+      throw err;
+    }
+  }
+
+  /**
+   * List the servers that were created or joined with this corestore
+   * @param {Object} store - The corestore instance
+   * @returns {Promise<Array>} The stored server records, oldest first
+   */
+  static async list(store) {
+    const registry = new ServerRegistry(store);
+    await registry.init();
+    try {
+      return await registry.list();
+    } finally {
+      await registry.close();
+    }
+  }
+
+  /**
+   * Reopen a server from the corestore it was created or joined with
+   * @param {Object} store - The corestore instance
+   * @param {Object} [options] - Same options as the constructor
+   * @param {Buffer|String} [options.key] - The server to open, required when more than one is stored
+   * @returns {Promise<SyncBase>} The opened server
+   */
+  static async open(store, options = {}) {
+    const registry = options.registry || new ServerRegistry(store);
+    await registry.init();
+
+    let record;
+    try {
+      if (options.key) {
+        record = await registry.get(options.key);
+      } else {
+        const servers = await registry.list();
+        if (servers.length > 1) {
+          throw new Error(
+            "Multiple servers are stored in this corestore, pass options.key"
+          );
+        }
+        record = servers[0] || null;
+      }
+    } finally {
+      if (!options.registry) await registry.close();
+    }
+
+    if (!record) {
+      throw new Error(
+        options.key
+          ? `Unknown server: ${toHex(options.key)}`
+          : "No server is stored in this corestore"
+      );
+    }
+
+    const keys = CryptoManager.deriveKeysFromSeed(options.seedPhrase);
+    if (record.identity && keys && toHex(keys.publicKey) !== record.identity) {
+      throw new Error("Seed phrase does not match the identity of the server");
+    }
+
+    const server = new SyncBase(
+      record.namespace ? store.namespace(record.namespace) : store,
+      {
+        ...options,
+        key: b4a.from(record.key, "hex"),
+        encryptionKey: record.encryptionKey
+          ? b4a.from(record.encryptionKey, "hex")
+          : null,
+      }
+    );
+    await server.ready();
+
+    // Identities unlocked from a keystore are only known once opened
+    const identity = server.crypto.publicKey;
+    if (record.identity && identity && toHex(identity) !== record.identity) {
+      await server.close();
+      throw new Error("The unlocked identity does not match the server");
+    }
+    return server;
+  }
 }
 
 class SyncBasePairer extends ReadyResource {
   constructor(store, invite, opts = {}) {
     super();
+    if (!opts.seedPhrase && !opts.mnemonic && !opts.password) {
+      throw new Error(
+        "SyncBase.pair requires a mnemonic, password or seedPhrase, link a device to use an existing account"
+      );
+    }
     this.store = store;
     this.invite = invite;
-    this.swarm = null;
-    this.pairing = null;
+    this.pairing = opts.pairing || null;
     this.candidate = null;
+    this.wakeup = opts.wakeup || null;
+    this.registry = opts.registry || null;
+    this._ownsPairing = !opts.pairing;
     this.bootstrap = opts.bootstrap || null;
+    this.transport = (
+      opts.transport ||
+      new Transport(store, {
+        swarm: opts.swarm,
+        bootstrap: this.bootstrap,
+        network: opts.replicate !== false,
+      })
+    ).ref();
     this.onresolve = null;
     this.onreject = null;
     this.pass = null;
-    this.seedPhrase = opts.seedPhrase || "seed for joining";
+    this.seedPhrase = opts.seedPhrase;
+    this.identity = {
+      mnemonic: opts.mnemonic,
+      password: opts.password,
+      keystore: opts.keystore,
+    };
     this.crypto = new CryptoManager(this.seedPhrase);
     this.waitTimeout = opts.timeout || 60000; // Increased default timeout to 60 seconds
     this.maxRetries = opts.maxRetries || 5; // Increased max retries
     this.retries = 0;
     this.optimistic = opts.optimistic === undefined ? true : opts.optimistic;
+    this._onconnection = (connection, peerInfo) => {
+      console.log(
+        peerInfo.publicKey
+          ? `Pairer: New connection established with peer ${b4a
+              .toString(peerInfo.publicKey, "hex")
+              .slice(0, 8)}`
+          : "Pairer: New connection established over a stream"
+      );
+    };
 
     this.ready().catch((err) =>
       console.error("Error in SyncBasePairer ready:", err)
@@ -950,33 +1782,18 @@ class SyncBasePairer extends ReadyResource {
 
   async _open() {
     await this.store.ready();
-    this.swarm = new Hyperswarm({
-      keyPair: await this.store.createKeyPair("hyperswarm"),
-      bootstrap: this.bootstrap,
-    });
+    await this.transport.ready();
+    try {
+      await unlockIdentity(this.store, this.crypto, this.identity);
+    } catch (err) {
+      if (this.onreject) this.onreject(err);
+      throw err;
+    }
 
     // Improved connection logging
-    this.swarm.on("connection", (connection, peerInfo) => {
-      console.log(
-        `Pairer: New connection established with peer ${b4a
-          .toString(peerInfo.publicKey, "hex")
-          .slice(0, 8)}`
-      );
+    this.transport.on("connection", this._onconnection);
 
-      // Add null check to prevent errors when store is set to null
-      if (this.store) {
-        this.store.replicate(connection);
-      } else {
-        console.log("Store is null, cannot replicate connection");
-        // If this.pass is available, try to use its store for replication
-        if (this.pass && this.pass.store) {
-          console.log("Using pass.store for replication instead");
-          this.pass.store.replicate(connection);
-        }
-      }
-    });
-
-    this.pairing = new BlindPairing(this.swarm);
+    if (!this.pairing) this.pairing = new BlindPairing(this.transport);
     const core = Autobase.getLocalCore(this.store);
     await core.ready();
     const key = core.key;
@@ -1017,11 +1834,15 @@ class SyncBasePairer extends ReadyResource {
           try {
             console.log("Creating SyncBase instance for paired server");
             this.pass = new SyncBase(this.store, {
-              swarm: this.swarm,
+              transport: this.transport,
+              pairing: this._ownsPairing ? null : this.pairing,
+              wakeup: this.wakeup,
+              registry: this.registry,
               key: result.key,
               encryptionKey: result.encryptionKey,
               bootstrap: this.bootstrap,
               seedPhrase: this.seedPhrase,
+              ...this.identity,
               optimistic: this.optimistic,
               // Add any additional options to improve connectivity
               joinTimeout: 30000, // 30 seconds join timeout
@@ -1274,18 +2095,52 @@ class SyncBasePairer extends ReadyResource {
     }
   }
 
-  async _close() {
+  /**
+   * Replicate with the inviting peer over a stream instead of (or next to) the swarm
+   * Accepts the same arguments as `corestore.replicate()`
+   * @param {Boolean|Object} isInitiator - Initiator flag or an existing duplex stream
+   * @param {Object} [options] - Replication options
+   * @returns {Object} The replication stream, pipe it to the remote peer
+   */
+  replicate(isInitiator, options) {
+    return this.transport.replicate(isInitiator, options);
+  }
+
+  /**
+   * Get the swarm used for pairing
+   * @returns {Hyperswarm|null} The swarm, null when running without network
+   */
+  get swarm() {
+    return this.transport ? this.transport.swarm : null;
+  }
+
+  /**
+   * Stop pairing and hand the transport over to the paired SyncBase
+   * @private
+   */
+  async _release() {
+    const pairing = this._ownsPairing ? this.pairing : this.candidate;
+    const transport = this.transport;
     this.pairing = null;
     this.candidate = null;
-    this.pass = null;
-    if (this.swarm) {
+    this.transport = null;
+
+    if (pairing) {
       try {
-        await this.swarm.destroy();
-      } catch (swarmDestroyErr) {
-        console.warn("Error during swarm destroy:", swarmDestroyErr.message);
+        await pairing.close();
+      } catch (pairingCloseErr) {
+        console.warn("Error during pairing close:", pairingCloseErr.message);
       }
-      this.swarm = null;
     }
+    if (transport) {
+      transport.removeListener("connection", this._onconnection);
+      await transport.unref();
+    }
+  }
+
+  async _close() {
+    this.pass = null;
+    await this._release();
   }
 
   finished() {
@@ -1300,8 +2155,9 @@ class SyncBasePairer extends ReadyResource {
 
           // Only clear resources after we're done with them
           const savedPass = this.pass;
-          this.swarm = null;
-          this.store = null;
+          this._release().catch((err) =>
+            console.warn("Error releasing pairer:", err.message)
+          );
 
           resolve(savedPass);
         } else {
@@ -1364,8 +2220,9 @@ class SyncBasePairer extends ReadyResource {
 
         // Small delay before clearing resources to allow any pending operations to complete
         setTimeout(() => {
-          this.swarm = null;
-          this.store = null;
+          this._release().catch((err) =>
+            console.warn("Error releasing pairer:", err.message)
+          );
         }, 1000);
 
         // Resolve the promise with the pass
@@ -1380,6 +2237,37 @@ class SyncBasePairer extends ReadyResource {
   }
 }
 
+function noop() {}
+
+// Load the keys of a mnemonic or keystore identity into a crypto manager,
+// identities from a seed phrase are already derived on construction
+async function unlockIdentity(store, crypto, options) {
+  if (crypto.publicKey) return;
+
+  if (options.password) {
+    const keystore = new Keystore(store, { path: options.keystore });
+    crypto.setKeys(
+      await keystore.open({
+        mnemonic: options.mnemonic,
+        password: options.password,
+      })
+    );
+  } else if (options.mnemonic) {
+    crypto.setKeys(
+      await CryptoManager.deriveKeysFromMnemonic(options.mnemonic)
+    );
+  }
+}
+
+function toHex(key) {
+  return typeof key === "string" ? key : b4a.toString(key, "hex");
+}
+
+function toBuffer(value) {
+  if (b4a.isBuffer(value)) return value;
+  return typeof value === "string" ? b4a.from(value, "hex") : b4a.from(value);
+}
+
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
@@ -1,341 +0,0 @@
-// This file is autogenerated by the hyperschema compiler
-// Schema Version: 1
-/* eslint-disable camelcase */
-/* eslint-disable quotes */
-
-const VERSION = 1
-const { c } = require('hyperschema/runtime')
-
-// eslint-disable-next-line no-unused-vars
-let version = VERSION
-
-// @server/server
-const encoding0 = {
-  preencode (state, m) {
-    c.string.preencode(state, m.id)
-    c.string.preencode(state, m.name)
-    c.int.preencode(state, m.createdAt)
-    state.end++ // max flag is 2 so always one byte
-
-    if (m.avatar) c.string.preencode(state, m.avatar)
-    if (m.description) c.string.preencode(state, m.description)
-  },
-  encode (state, m) {
-    const flags =
-      (m.avatar ? 1 : 0) |
-      (m.description ? 2 : 0)
-
-    c.string.encode(state, m.id)
-    c.string.encode(state, m.name)
-    c.int.encode(state, m.createdAt)
-    c.uint.encode(state, flags)
-
-    if (m.avatar) c.string.encode(state, m.avatar)
-    if (m.description) c.string.encode(state, m.description)
-  },
-  decode (state) {
-    const r0 = c.string.decode(state)
-    const r1 = c.string.decode(state)
-    const r2 = c.int.decode(state)
-    const flags = c.uint.decode(state)
-
-    return {
-      id: r0,
-      name: r1,
-      createdAt: r2,
-      avatar: (flags & 1) !== 0 ? c.string.decode(state) : null,
-      description: (flags & 2) !== 0 ? c.string.decode(state) : null
-    }
-  }
-}
-
-// @server/channel
-const encoding1 = {
-  preencode (state, m) {
-    c.string.preencode(state, m.id)
-    c.string.preencode(state, m.channelId)
-    c.string.preencode(state, m.name)
-    c.string.preencode(state, m.type)
-    state.end++ // max flag is 2 so always one byte
-
-    if (m.topic) c.string.preencode(state, m.topic)
-    c.string.preencode(state, m.createdBy)
-    c.int.preencode(state, m.createdAt)
-    if (m.position) c.int.preencode(state, m.position)
-  },
-  encode (state, m) {
-    const flags =
-      (m.topic ? 1 : 0) |
-      (m.position ? 2 : 0)
-
-    c.string.encode(state, m.id)
-    c.string.encode(state, m.channelId)
-    c.string.encode(state, m.name)
-    c.string.encode(state, m.type)
-    c.uint.encode(state, flags)
-
-    if (m.topic) c.string.encode(state, m.topic)
-    c.string.encode(state, m.createdBy)
-    c.int.encode(state, m.createdAt)
-    if (m.position) c.int.encode(state, m.position)
-  },
-  decode (state) {
-    const r0 = c.string.decode(state)
-    const r1 = c.string.decode(state)
-    const r2 = c.string.decode(state)
-    const r3 = c.string.decode(state)
-    const flags = c.uint.decode(state)
-
-    return {
-      id: r0,
-      channelId: r1,
-      name: r2,
-      type: r3,
-      topic: (flags & 1) !== 0 ? c.string.decode(state) : null,
-      createdBy: c.string.decode(state),
-      createdAt: c.int.decode(state),
-      position: (flags & 2) !== 0 ? c.int.decode(state) : 0
-    }
-  }
-}
-
-// @server/message
-const encoding2 = {
-  preencode (state, m) {
-    c.string.preencode(state, m.id)
-    c.string.preencode(state, m.channelId)
-    c.string.preencode(state, m.author)
-    c.string.preencode(state, m.content)
-    c.int.preencode(state, m.timestamp)
-    state.end++ // max flag is 8 so always one byte
-
-    if (m.editedAt) c.int.preencode(state, m.editedAt)
-    if (m.deletedAt) c.int.preencode(state, m.deletedAt)
-    if (m.deletedBy) c.string.preencode(state, m.deletedBy)
-    if (m.attachments) c.string.preencode(state, m.attachments)
-  },
-  encode (state, m) {
-    const flags =
-      (m.editedAt ? 1 : 0) |
-      (m.deletedAt ? 2 : 0) |
-      (m.deletedBy ? 4 : 0) |
-      (m.attachments ? 8 : 0)
-
-    c.string.encode(state, m.id)
-    c.string.encode(state, m.channelId)
-    c.string.encode(state, m.author)
-    c.string.encode(state, m.content)
-    c.int.encode(state, m.timestamp)
-    c.uint.encode(state, flags)
-
-    if (m.editedAt) c.int.encode(state, m.editedAt)
-    if (m.deletedAt) c.int.encode(state, m.deletedAt)
-    if (m.deletedBy) c.string.encode(state, m.deletedBy)
-    if (m.attachments) c.string.encode(state, m.attachments)
-  },
-  decode (state) {
-    const r0 = c.string.decode(state)
-    const r1 = c.string.decode(state)
-    const r2 = c.string.decode(state)
-    const r3 = c.string.decode(state)
-    const r4 = c.int.decode(state)
-    const flags = c.uint.decode(state)
-
-    return {
-      id: r0,
-      channelId: r1,
-      author: r2,
-      content: r3,
-      timestamp: r4,
-      editedAt: (flags & 1) !== 0 ? c.int.decode(state) : 0,
-      deletedAt: (flags & 2) !== 0 ? c.int.decode(state) : 0,
-      deletedBy: (flags & 4) !== 0 ? c.string.decode(state) : null,
-      attachments: (flags & 8) !== 0 ? c.string.decode(state) : null
-    }
-  }
-}
-
-// @server/user
-const encoding3 = {
-  preencode (state, m) {
-    c.string.preencode(state, m.id)
-    c.string.preencode(state, m.publicKey)
-    state.end++ // max flag is 8 so always one byte
-
-    if (m.username) c.string.preencode(state, m.username)
-    c.int.preencode(state, m.joinedAt)
-    if (m.inviteCode) c.string.preencode(state, m.inviteCode)
-    if (m.avatar) c.string.preencode(state, m.avatar)
-    if (m.status) c.string.preencode(state, m.status)
-  },
-  encode (state, m) {
-    const flags =
-      (m.username ? 1 : 0) |
-      (m.inviteCode ? 2 : 0) |
-      (m.avatar ? 4 : 0) |
-      (m.status ? 8 : 0)
-
-    c.string.encode(state, m.id)
-    c.string.encode(state, m.publicKey)
-    c.uint.encode(state, flags)
-
-    if (m.username) c.string.encode(state, m.username)
-    c.int.encode(state, m.joinedAt)
-    if (m.inviteCode) c.string.encode(state, m.inviteCode)
-    if (m.avatar) c.string.encode(state, m.avatar)
-    if (m.status) c.string.encode(state, m.status)
-  },
-  decode (state) {
-    const r0 = c.string.decode(state)
-    const r1 = c.string.decode(state)
-    const flags = c.uint.decode(state)
-
-    return {
-      id: r0,
-      publicKey: r1,
-      username: (flags & 1) !== 0 ? c.string.decode(state) : null,
-      joinedAt: c.int.decode(state),
-      inviteCode: (flags & 2) !== 0 ? c.string.decode(state) : null,
-      avatar: (flags & 4) !== 0 ? c.string.decode(state) : null,
-      status: (flags & 8) !== 0 ? c.string.decode(state) : null
-    }
-  }
-}
-
-// @server/role
-const encoding4 = {
-  preencode (state, m) {
-    c.string.preencode(state, m.userId)
-    c.string.preencode(state, m.role)
-    state.end++ // max flag is 2 so always one byte
-
-    if (m.updatedAt) c.int.preencode(state, m.updatedAt)
-    if (m.updatedBy) c.string.preencode(state, m.updatedBy)
-  },
-  encode (state, m) {
-    const flags =
-      (m.updatedAt ? 1 : 0) |
-      (m.updatedBy ? 2 : 0)
-
-    c.string.encode(state, m.userId)
-    c.string.encode(state, m.role)
-    c.uint.encode(state, flags)
-
-    if (m.updatedAt) c.int.encode(state, m.updatedAt)
-    if (m.updatedBy) c.string.encode(state, m.updatedBy)
-  },
-  decode (state) {
-    const r0 = c.string.decode(state)
-    const r1 = c.string.decode(state)
-    const flags = c.uint.decode(state)
-
-    return {
-      userId: r0,
-      role: r1,
-      updatedAt: (flags & 1) !== 0 ? c.int.decode(state) : 0,
-      updatedBy: (flags & 2) !== 0 ? c.string.decode(state) : null
-    }
-  }
-}
-
-// @server/invite
-const encoding5 = {
-  preencode (state, m) {
-    c.buffer.preencode(state, m.id)
-    c.buffer.preencode(state, m.invite)
-    c.buffer.preencode(state, m.publicKey)
-    c.int.preencode(state, m.expires)
-    state.end++ // max flag is 4 so always one byte
-
-    if (m.inviteCode) c.string.preencode(state, m.inviteCode)
-    if (m.uses) c.int.preencode(state, m.uses)
-    if (m.maxUses) c.int.preencode(state, m.maxUses)
-  },
-  encode (state, m) {
-    const flags =
-      (m.inviteCode ? 1 : 0) |
-      (m.uses ? 2 : 0) |
-      (m.maxUses ? 4 : 0)
-
-    c.buffer.encode(state, m.id)
-    c.buffer.encode(state, m.invite)
-    c.buffer.encode(state, m.publicKey)
-    c.int.encode(state, m.expires)
-    c.uint.encode(state, flags)
-
-    if (m.inviteCode) c.string.encode(state, m.inviteCode)
-    if (m.uses) c.int.encode(state, m.uses)
-    if (m.maxUses) c.int.encode(state, m.maxUses)
-  },
-  decode (state) {
-    const r0 = c.buffer.decode(state)
-    const r1 = c.buffer.decode(state)
-    const r2 = c.buffer.decode(state)
-    const r3 = c.int.decode(state)
-    const flags = c.uint.decode(state)
-
-    return {
-      id: r0,
-      invite: r1,
-      publicKey: r2,
-      expires: r3,
-      inviteCode: (flags & 1) !== 0 ? c.string.decode(state) : null,
-      uses: (flags & 2) !== 0 ? c.int.decode(state) : 0,
-      maxUses: (flags & 4) !== 0 ? c.int.decode(state) : 0
-    }
-  }
-}
-
-function setVersion (v) {
-  version = v
-}
-
-function encode (name, value, v = VERSION) {
-  version = v
-  return c.encode(getEncoding(name), value)
-}
-
-function decode (name, buffer, v = VERSION) {
-  version = v
-  return c.decode(getEncoding(name), buffer)
-}
-
-function getEnum (name) {
-  switch (name) {
-    default: throw new Error('Enum not found ' + name)
-  }
-}
-
-function getEncoding (name) {
-  switch (name) {
-    case '@server/server': return encoding0
-    case '@server/channel': return encoding1
-    case '@server/message': return encoding2
-    case '@server/user': return encoding3
-    case '@server/role': return encoding4
-    case '@server/invite': return encoding5
-    default: throw new Error('Encoder not found ' + name)
-  }
-}
-
-function getStruct (name, v = VERSION) {
-  const enc = getEncoding(name)
-  return {
-    preencode (state, m) {
-      version = v
-      enc.preencode(state, m)
-    },
-    encode (state, m) {
-      version = v
-      enc.encode(state, m)
-    },
-    decode (state) {
-      version = v
-      return enc.decode(state)
-    }
-  }
-}
-
-const resolveStruct = getStruct // compat
-
-module.exports = { resolveStruct, getStruct, getEnum, getEncoding, encode, decode, setVersion, version }
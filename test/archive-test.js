@@ -0,0 +1,190 @@
+const assert = require("assert");
+const Corestore = require("corestore");
+const path = require("path");
+const fs = require("fs");
+const rimraf = require("rimraf");
+const b4a = require("b4a");
+const SyncBase = require("../lib/syncbase");
+const CryptoManager = require("../lib/components/crypto-manager");
+
+// Test directory setup
+const TEST_DIR = path.join("./cores", "archive-test-" + Date.now());
+console.log(`Test directory: ${TEST_DIR}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+// Cleanup function to run after tests
+function cleanup() {
+  console.log(`Cleaning up test directory: ${TEST_DIR}`);
+  rimraf.sync(TEST_DIR);
+  console.log("Cleanup complete");
+}
+
+async function runArchiveTest() {
+  console.log("\n=== TESTING ARCHIVE EXPORT AND IMPORT ===");
+
+  const store1 = new Corestore(path.join(TEST_DIR, "source"));
+  const source = new SyncBase(store1, {
+    seedPhrase: "test seed phrase for archive source",
+    replicate: false,
+  });
+  await source.ready();
+  await source.initialize({ name: "Archived Server" });
+  await source.base.update();
+
+  const [channel] = await source.channels.getChannels();
+  const first = await source.messages.sendMessage({
+    channelId: channel.channelId,
+    content: "first message",
+  });
+  await source.messages.sendMessage({
+    channelId: channel.channelId,
+    content: "second message",
+  });
+  await source.messages.editMessage({
+    messageId: first.id,
+    channelId: channel.channelId,
+    content: "first message, edited",
+  });
+  await source.base.update();
+
+  const file = path.join(TEST_DIR, "server.jsonl");
+  const count = await source.exportArchive(fs.createWriteStream(file));
+  const lines = fs.readFileSync(file, "utf8").trim().split("\n");
+  assert.equal(lines.length, count + 2, "Header, actions and trailer");
+  assert.equal(JSON.parse(lines[0]).format, "syncbase-archive");
+  assert(
+    lines.slice(1, -1).every((line) => {
+      const entry = JSON.parse(line);
+      return entry.type && entry.signer && entry.signature && entry.payload;
+    }),
+    "Every entry carries its signature"
+  );
+  console.log(`✓ Exported ${count} signed actions`);
+
+  const store2 = new Corestore(path.join(TEST_DIR, "restored"));
+  const { server, imported, rejected, total } = await SyncBase.importArchive(
+    store2,
+    fs.createReadStream(file),
+    { seedPhrase: "test seed phrase for archive importer", replicate: false }
+  );
+  assert.equal(total, count);
+  assert.deepEqual(rejected, []);
+  assert.equal(imported, count);
+  assert(!b4a.equals(server.base.key, source.base.key), "A new server");
+
+  const info = await server.getServerInfo();
+  assert.equal(info.name, "Archived Server");
+  const messages = await server.messages.getMessages({});
+  assert.deepEqual(messages.map((m) => m.content).sort(), [
+    "first message, edited",
+    "second message",
+  ]);
+  console.log("✓ Server rebuilt from the archive");
+
+  // A restored server exports the actions as they were signed
+  const copy = path.join(TEST_DIR, "restored.jsonl");
+  assert.equal(await server.exportArchive(fs.createWriteStream(copy)), count);
+  const signatures = (file) =>
+    fs
+      .readFileSync(file, "utf8")
+      .trim()
+      .split("\n")
+      .slice(1, -1)
+      .map((line) => JSON.parse(line).signature)
+      .sort();
+  assert.deepEqual(signatures(copy), signatures(file));
+  console.log("✓ Restored server exports the original actions");
+
+  // The import announced every action, the importer cannot add more
+  const extra = await source.messages.sendMessage({
+    channelId: channel.channelId,
+    content: "after the export",
+  });
+  const [late] = (await source.outbox.getEntries()).slice(-1);
+  const wrapped = server.crypto.createSignedAction("@server/import-action", {
+    action: JSON.stringify(late.action),
+  });
+  await server.base.append(wrapped, { optimistic: true });
+  await server.base.update();
+  assert.equal(await server.isProcessed(wrapped), false);
+  assert.equal(
+    await server.messages.getMessage(extra.id, channel.channelId),
+    null
+  );
+  console.log("✓ Imports are limited to the archived actions");
+  await server.close();
+
+  // Tamper with the archive and sign it again with another key
+  const entries = lines.slice(1, -1).map((line) => JSON.parse(line));
+  const forged = entries.findIndex(
+    (entry) => entry.payload.content === "second message"
+  );
+  entries[forged].payload.content = "forged message";
+  const body = [
+    lines[0],
+    ...entries.map((entry) => JSON.stringify(entry)),
+    "not json",
+    JSON.stringify(entries[0]),
+  ];
+  const attacker = new CryptoManager("test seed phrase for archive attacker");
+  const hash = b4a.toString(attacker.hash(body.join("\n")), "hex");
+  const tampered = [
+    ...body,
+    JSON.stringify({
+      format: "syncbase-archive-end",
+      count: body.length - 1,
+      hash,
+      signer: b4a.toString(attacker.publicKey, "hex"),
+      signature: b4a.toString(attacker.sign(hash), "hex"),
+    }),
+  ].join("\n");
+
+  const store3 = new Corestore(path.join(TEST_DIR, "tampered"));
+  const report = await SyncBase.importArchive(store3, [tampered], {
+    seedPhrase: "test seed phrase for archive importer",
+    replicate: false,
+  });
+  const reasons = Object.fromEntries(
+    report.rejected.map((entry) => [entry.index, entry.reason])
+  );
+  assert.equal(reasons[forged], "Invalid signature");
+  assert.equal(reasons[entries.length], "Malformed entry");
+  assert.equal(reasons[entries.length + 1], "Duplicate action");
+  assert.equal(report.imported, count - 1);
+  assert.equal(
+    report.signer,
+    b4a.toString(attacker.publicKey, "hex"),
+    "The archive signer is reported"
+  );
+  console.log("✓ Forged, malformed and duplicate actions rejected");
+  await report.server.close();
+
+  // Changing a line without signing the archive again is detected up front
+  const broken = lines.slice();
+  broken[1] = broken[1].replace('"seq":0', '"seq":1');
+  await assert.rejects(
+    SyncBase.importArchive(
+      new Corestore(path.join(TEST_DIR, "broken")),
+      [broken.join("\n")],
+      { seedPhrase: "test seed phrase for archive importer", replicate: false }
+    ),
+    /Archive signature is invalid/
+  );
+  console.log("✓ Modified archive refused");
+
+  await source.close();
+  console.log("\n✅ Archive test complete!");
+}
+
+// Run the test
+runArchiveTest()
+  .then(() => {
+    console.log("Test completed successfully!");
+    cleanup();
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Test runner failed:", err);
+    cleanup();
+    process.exit(1);
+  });
@@ -0,0 +1,199 @@
+const assert = require("assert");
+const Corestore = require("corestore");
+const path = require("path");
+const fs = require("fs");
+const rimraf = require("rimraf");
+const b4a = require("b4a");
+const crypto = require("hypercore-crypto");
+const SyncBase = require("../lib/syncbase");
+
+// Test directory setup
+const TEST_DIR = path.join("./cores", "attachment-test-" + Date.now());
+console.log(`Test directory: ${TEST_DIR}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+// Cleanup function to run after tests
+function cleanup() {
+  console.log(`Cleaning up test directory: ${TEST_DIR}`);
+  rimraf.sync(TEST_DIR);
+  console.log("Cleanup complete");
+}
+
+const streams = [];
+
+function connect(a, b) {
+  const s1 = a.replicate(true);
+  const s2 = b.replicate(false);
+  s1.pipe(s2).pipe(s1);
+  streams.push(s1, s2);
+}
+
+async function join(server, name) {
+  const invite = await server.invites.createInvite({
+    serverId: server.userId,
+    expireInDays: 1,
+  });
+  const pairer = SyncBase.pair(
+    new Corestore(path.join(TEST_DIR, name)),
+    invite,
+    {
+      seedPhrase: `test seed phrase for attachments ${name}`,
+      replicate: false,
+    }
+  );
+  const finished = pairer.finished();
+  await pairer.ready();
+  connect(server, pairer);
+
+  const member = await finished;
+  await member.ready();
+  await waitFor(async () => {
+    await server.base.update();
+    return (await server.getWriters(member.userId)).length === 1;
+  });
+  return { pairer, member };
+}
+
+async function runAttachmentTest() {
+  console.log("\n=== TESTING ATTACHMENTS ===");
+
+  const server = new SyncBase(new Corestore(path.join(TEST_DIR, "owner")), {
+    seedPhrase: "test seed phrase for attachments owner",
+    replicate: false,
+  });
+  await server.ready();
+  await server.initialize({ name: "Attachment Server" });
+  await server.base.update();
+  const [channel] = await server.channels.getChannels();
+
+  const alice = await join(server, "alice");
+  const bob = await join(server, "bob");
+  const peers = [server, alice.member, bob.member];
+
+  const sync = async () => {
+    for (const peer of peers) await peer.base.update();
+  };
+
+  // Large enough to span several Hyperblobs blocks
+  const image = b4a.alloc(200 * 1024);
+  for (let i = 0; i < image.length; i++) image[i] = i % 251;
+  const notes = "meeting notes";
+
+  const sent = await server.messages.sendMessage({
+    channelId: channel.channelId,
+    content: "files from today",
+    attachments: [
+      { name: "photo.png", type: "image/png", data: image },
+      { name: "notes.txt", type: "text/plain", data: notes },
+    ],
+  });
+  await waitFor(async () => {
+    await sync();
+    return !!(await alice.member.messages.getMessage(
+      sent.id,
+      channel.channelId
+    ));
+  });
+  const message = await alice.member.messages.getMessage(
+    sent.id,
+    channel.channelId
+  );
+  const [photo, text] = alice.member.getAttachments(message);
+  assert.equal(photo.name, "photo.png");
+  assert.equal(photo.type, "image/png");
+  assert.equal(photo.size, image.length);
+  assert.equal(photo.hash, b4a.toString(crypto.hash(image), "hex"));
+  assert.equal(photo.core, text.core);
+  assert(!message.attachments.includes(notes), "Only descriptors are stored");
+  console.log("✓ Messages record the hash, size, type and blob of their files");
+
+  // Contents are streamed on demand, from the uploader or from other readers
+  const chunks = [];
+  for await (const chunk of alice.member.createAttachmentStream(photo)) {
+    chunks.push(chunk);
+  }
+  assert(chunks.length > 1, "Streamed in blocks");
+  assert(b4a.equals(b4a.concat(chunks), image));
+  assert.equal(b4a.toString(await bob.member.downloadAttachment(text)), notes);
+  console.log("✓ Attachments are downloaded from the Hyperblobs core");
+
+  await assert.rejects(
+    bob.member.downloadAttachment({
+      ...text,
+      hash: b4a.toString(crypto.hash(b4a.from("other")), "hex"),
+    }),
+    /do not match their hash/
+  );
+  const again = await server.uploadAttachment(notes, { name: "copy.txt" });
+  assert.deepEqual(again.blob, text.blob, "Same contents are stored once");
+  console.log("✓ Contents are checked against their hash");
+
+  // Descriptors that do not point to a blob are rejected on apply
+  const forged = alice.member.crypto.createSignedAction(
+    "@server/send-message",
+    {
+      id: alice.member.crypto.generateId(),
+      channelId: channel.channelId,
+      content: "see attached",
+      author: alice.member.userId,
+      attachments: JSON.stringify([{ name: "x", url: "https://example.com" }]),
+    }
+  );
+  await alice.member.outbox.append(forged);
+  await waitFor(async () => {
+    await sync();
+    return (await alice.member.getActionStatus(forged)).status === "rejected";
+  });
+
+  const secret = await server.createPrivateChannel({
+    name: "staff",
+    members: [alice.member.userId],
+  });
+  await waitFor(async () => {
+    await sync();
+    return !!(await server.privateChannels.getKeyRecord(secret.channelId));
+  });
+  await assert.rejects(
+    server.messages.sendMessage({
+      channelId: secret.channelId,
+      content: "secret file",
+      attachments: [again],
+    }),
+    /Private channels do not take attachments/
+  );
+  console.log(
+    "✓ Invalid attachments and attachments in private channels are refused"
+  );
+
+  for (const stream of streams) stream.destroy();
+  for (const { member, pairer } of [alice, bob]) {
+    await member.close();
+    await pairer.close();
+  }
+  await server.close();
+  console.log("\n✅ Attachment test complete!");
+}
+async function waitFor(check, attempts = 80) {
+  for (let i = 0; i < attempts; i++) {
+    if (await check()) return;
+    await sleep(250);
+  }
+  throw new Error("Timed out waiting for condition");
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Run the test
+runAttachmentTest()
+  .then(() => {
+    console.log("Test completed successfully!");
+    cleanup();
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Test runner failed:", err);
+    cleanup();
+    process.exit(1);
+  });
@@ -0,0 +1,149 @@
+const assert = require("assert");
+const Corestore = require("corestore");
+const path = require("path");
+const fs = require("fs");
+const rimraf = require("rimraf");
+const b4a = require("b4a");
+const SyncBaseClient = require("../lib/syncbase-client");
+
+// Test directory setup
+const TEST_DIR = path.join("./cores", "client-test-" + Date.now());
+console.log(`Test directory: ${TEST_DIR}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+// Cleanup function to run after tests
+function cleanup() {
+  console.log(`Cleaning up test directory: ${TEST_DIR}`);
+  rimraf.sync(TEST_DIR);
+  console.log("Cleanup complete");
+}
+
+async function runClientTest() {
+  console.log("\n=== TESTING MULTI-SERVER CLIENT ===");
+
+  const hostStore = new Corestore(path.join(TEST_DIR, "host"));
+  const host = new SyncBaseClient(hostStore, {
+    seedPhrase: "test seed phrase for client host",
+    replicate: false,
+  });
+  await host.ready();
+
+  const alpha = await host.createServer({ name: "Alpha" });
+  const beta = await host.createServer({ name: "Beta" });
+  assert(!b4a.equals(alpha.base.key, beta.base.key));
+  assert.equal(alpha.transport, beta.transport, "Servers share the transport");
+
+  const hosted = await host.listServers();
+  assert.deepEqual(
+    hosted.map((s) => s.name),
+    ["Alpha", "Beta"]
+  );
+  console.log("✓ Two servers created in their own namespaces");
+
+  const joinerDir = path.join(TEST_DIR, "joiner");
+  let joinerStore = new Corestore(joinerDir);
+  let joiner = new SyncBaseClient(joinerStore, {
+    seedPhrase: "test seed phrase for client joiner",
+    replicate: false,
+  });
+  await joiner.ready();
+
+  // One connection between the two devices carries every server
+  const s1 = host.replicate(true);
+  const s2 = joiner.replicate(false);
+  s1.pipe(s2).pipe(s1);
+
+  for (const server of [alpha, beta]) {
+    const invite = await server.invites.createInvite({
+      serverId: b4a.toString(server.crypto.publicKey, "hex"),
+      expireInDays: 1,
+    });
+    const joined = await joiner.joinServer(invite);
+    assert(b4a.equals(joined.base.key, server.base.key));
+  }
+  assert.equal(joiner.transport.connections.size, 1);
+
+  let servers = await joiner.listServers();
+  assert.equal(servers.length, 2);
+  assert(servers.every((s) => s.open));
+  assert.equal(
+    servers[0].identity,
+    b4a.toString(joiner.servers.get(servers[0].key).crypto.publicKey, "hex")
+  );
+  console.log("✓ Joined both servers over a single connection");
+
+  const alphaKey = b4a.toString(alpha.base.key, "hex");
+  const betaKey = b4a.toString(beta.base.key, "hex");
+  await waitFor(async () => {
+    const server = await joiner.openServer(alphaKey);
+    await server.base.update();
+    const info = await server.getServerInfo();
+    return info && info.name === "Alpha";
+  });
+
+  s1.destroy();
+  s2.destroy();
+  await joiner.close();
+  await joinerStore.close();
+
+  // Restart the joiner from disk, without any peers
+  joinerStore = new Corestore(joinerDir);
+  joiner = new SyncBaseClient(joinerStore, {
+    seedPhrase: "test seed phrase for client joiner",
+    replicate: false,
+  });
+  await joiner.ready();
+
+  servers = await joiner.listServers();
+  assert.deepEqual(
+    servers.map((s) => s.key),
+    [alphaKey, betaKey]
+  );
+  assert(servers.every((s) => !s.open));
+
+  const reopened = await joiner.openServer(alphaKey);
+  assert.equal(reopened, await joiner.openServer(alphaKey));
+  const info = await reopened.getServerInfo();
+  assert.equal(info.name, "Alpha", "Server data is read from the namespace");
+  console.log("✓ Joined servers restored after a restart");
+
+  assert(await joiner.leaveServer(betaKey));
+  servers = await joiner.listServers();
+  assert.deepEqual(
+    servers.map((s) => s.key),
+    [alphaKey]
+  );
+  await assert.rejects(joiner.openServer(betaKey), /Unknown server/);
+  console.log("✓ Left server is forgotten");
+
+  await joiner.close();
+  await joinerStore.close();
+  await host.close();
+  await hostStore.close();
+  console.log("\n✅ Client test complete!");
+}
+
+async function waitFor(check, attempts = 40) {
+  for (let i = 0; i < attempts; i++) {
+    if (await check()) return;
+    await sleep(250);
+  }
+  throw new Error("Timed out waiting for condition");
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Run the test
+runClientTest()
+  .then(() => {
+    console.log("Test completed successfully!");
+    cleanup();
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Test runner failed:", err);
+    cleanup();
+    process.exit(1);
+  });
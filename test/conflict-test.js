@@ -0,0 +1,208 @@
+const assert = require("assert");
+const Corestore = require("corestore");
+const path = require("path");
+const fs = require("fs");
+const rimraf = require("rimraf");
+const b4a = require("b4a");
+const SyncBase = require("../lib/syncbase");
+
+// Test directory setup
+const TEST_DIR = path.join("./cores", "conflict-test-" + Date.now());
+console.log(`Test directory: ${TEST_DIR}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+// Cleanup function to run after tests
+function cleanup() {
+  console.log(`Cleaning up test directory: ${TEST_DIR}`);
+  rimraf.sync(TEST_DIR);
+  console.log("Cleanup complete");
+}
+
+// Append actions in the given order, like Autobase linearizing them
+async function appendInOrder(server, ...actions) {
+  for (const action of actions) {
+    await server.base.append(action, { optimistic: true });
+  }
+  await server.base.update();
+}
+
+// Two edits of the same message made from the same state
+async function concurrentEdits(server, channelId, content) {
+  const message = await server.messages.sendMessage({ channelId, content });
+  await server.base.update();
+
+  const key = `${channelId}:${message.id}`;
+  const parents = await server.conflicts.getParents("@server/message", key, [
+    "content",
+    "editedAt",
+  ]);
+  const edit = (text) => {
+    const editedAt = server.crypto.now();
+    return server.crypto.createSignedAction("@server/edit-message", {
+      ...message,
+      content: text,
+      editedAt,
+      timestamp: editedAt,
+      parents,
+    });
+  };
+
+  const early = edit(content + ", edited first");
+  const late = edit(content + ", edited last");
+  return { message, key, early, late };
+}
+
+async function runConflictTest() {
+  console.log("\n=== TESTING CONCURRENT UPDATES ===");
+
+  const server = new SyncBase(new Corestore(path.join(TEST_DIR, "server")), {
+    seedPhrase: "test seed phrase for conflicts",
+    replicate: false,
+  });
+  await server.ready();
+  await server.initialize({ name: "Conflicted Server" });
+  await server.base.update();
+
+  // Concurrent updates of different fields are both kept
+  const [channel] = await server.channels.getChannels();
+  const update = async (fields, values) =>
+    server.crypto.createSignedAction("@server/update-channel", {
+      ...channel,
+      ...values,
+      parents: await server.conflicts.getParents(
+        "@server/channel",
+        channel.channelId,
+        fields
+      ),
+    });
+  const rename = await update(["name"], { name: "renamed" });
+  const retopic = await update(["topic"], { topic: "new topic" });
+  await appendInOrder(server, retopic, rename);
+
+  const merged = await server.channels.getChannel(channel.channelId);
+  assert.equal(merged.name, "renamed");
+  assert.equal(merged.topic, "new topic");
+  assert.deepEqual(
+    await server.getConflicts("@server/channel", channel.channelId),
+    []
+  );
+  console.log("✓ Concurrent updates of different fields merged");
+
+  // The same field ends up with the later update in either order
+  const first = await concurrentEdits(
+    server,
+    channel.channelId,
+    "applied late first"
+  );
+  await appendInOrder(server, first.late, first.early);
+  const second = await concurrentEdits(
+    server,
+    channel.channelId,
+    "applied early first"
+  );
+  await appendInOrder(server, second.early, second.late);
+
+  for (const { message, key, early, late } of [first, second]) {
+    const edited = await server.messages.getMessage(
+      message.id,
+      channel.channelId
+    );
+    assert.equal(edited.content, late.payload.content);
+
+    const conflicts = await server.getConflicts("@server/message", key);
+    assert.equal(conflicts.length, 1, "The competing edits are recorded");
+    assert.equal(conflicts[0].winner, server.crypto.actionId(late));
+    assert.equal(conflicts[0].loser, server.crypto.actionId(early));
+    assert.deepEqual(conflicts[0].fields, ["content", "editedAt"]);
+    assert.equal(conflicts[0].values.content, early.payload.content);
+    assert.equal(conflicts[0].resolved, true, "Resolved by last writer wins");
+  }
+  console.log("✓ Same field resolved by the clock, whatever the order");
+
+  // An edit stamped in the future only wins against edits that did not see it
+  const future = await concurrentEdits(
+    server,
+    channel.channelId,
+    "edited from the future"
+  );
+  const ahead = server.crypto.now() + 24 * 60 * 60 * 1000;
+  const skewed = server.crypto.createSignedAction("@server/edit-message", {
+    ...future.late.payload,
+    content: "stamped a day ahead",
+    editedAt: ahead,
+    timestamp: ahead,
+  });
+  await appendInOrder(server, skewed);
+  assert(server.crypto.now() < ahead, "The local clock did not follow");
+
+  await server.messages.editMessage({
+    messageId: future.message.id,
+    channelId: channel.channelId,
+    content: "edited after seeing it",
+  });
+  await server.base.update();
+  await appendInOrder(server, future.early);
+
+  const settled = await server.messages.getMessage(
+    future.message.id,
+    channel.channelId
+  );
+  assert.equal(settled.content, "edited after seeing it");
+  const [stale] = await server.getConflicts("@server/message", future.key);
+  assert.equal(stale.loser, server.crypto.actionId(future.early));
+  console.log("✓ Edits based on a future-stamped edit replace it");
+
+  // Roles keep an open conflict until someone updates them knowingly
+  const userId = b4a.toString(server.crypto.publicKey, "hex");
+  const { id: serverId } = await server.getServerInfo();
+  const parents = await server.conflicts.getParents("@server/role", userId);
+  const setRole = (updatedAt) =>
+    server.crypto.createSignedAction("@server/set-role", {
+      userId,
+      serverId,
+      role: "OWNER",
+      updatedAt,
+      updatedBy: userId,
+      parents,
+    });
+  await appendInOrder(server, setRole(1), setRole(2));
+
+  let open = await server.getConflicts("@server/role", userId, {
+    resolved: false,
+  });
+  assert.equal(open.length, 1, "Concurrent role changes are flagged");
+  assert.equal(open[0].values.updatedAt, 1);
+  assert.equal(
+    (await server.base.view.get("@server/role", { userId })).updatedAt,
+    2
+  );
+
+  await server.permissions.setRole({ userId, serverId, role: "OWNER" });
+  await server.base.update();
+  open = await server.getConflicts("@server/role", userId, {
+    resolved: false,
+  });
+  assert.equal(open.length, 0, "A later role change settles the conflict");
+  console.log("✓ Role conflicts stay open until settled");
+
+  // Merging keeps the view deterministic
+  const report = await server.auditView();
+  assert(report.consistent, "A replay merges the same way");
+  console.log("✓ Replay of the log produces the same merged view");
+
+  await server.close();
+  console.log("\n✅ Conflict test complete!");
+}
+
+// Run the test
+runConflictTest()
+  .then(() => {
+    console.log("Test completed successfully!");
+    cleanup();
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Test runner failed:", err);
+    cleanup();
+    process.exit(1);
+  });
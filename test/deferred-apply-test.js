@@ -0,0 +1,128 @@
+const assert = require("assert");
+const Corestore = require("corestore");
+const path = require("path");
+const fs = require("fs");
+const rimraf = require("rimraf");
+const b4a = require("b4a");
+const SyncBase = require("../lib/syncbase");
+
+// Test directory setup
+const TEST_DIR = path.join("./cores", "deferred-apply-test-" + Date.now());
+console.log(`Test directory: ${TEST_DIR}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+// Cleanup function to run after tests
+function cleanup() {
+  console.log(`Cleaning up test directory: ${TEST_DIR}`);
+  rimraf.sync(TEST_DIR);
+  console.log("Cleanup complete");
+}
+
+async function runDeferredApplyTest() {
+  console.log("\n=== TESTING DEFERRED APPLY OF OUT-OF-ORDER ACTIONS ===");
+
+  const store = new Corestore(path.join(TEST_DIR, "server"));
+  await store.ready();
+
+  const server = new SyncBase(store, {
+    seedPhrase: "test seed phrase for deferred apply",
+    replicate: false,
+  });
+  await server.ready();
+
+  await server.initialize({ name: "Deferred Apply Test Server" });
+  await server.base.update();
+  console.log("✓ Server initialized");
+
+  const author = b4a.toString(server.crypto.publicKey, "hex");
+  const channelId = server.crypto.generateId();
+
+  // Append a message for a channel that has not been created yet
+  const message = server.crypto.createSignedAction("@server/send-message", {
+    id: server.crypto.generateId(),
+    channelId,
+    content: "I arrived before my channel",
+    author,
+    attachments: JSON.stringify([]),
+    timestamp: Date.now(),
+  });
+  await server.base.append(message, { optimistic: true });
+  await server.base.update();
+
+  const pending = await server.getPendingActions();
+  assert.equal(pending.length, 1, "Message should be deferred");
+  assert.equal(pending[0].dependency, `channel:${channelId}`);
+  assert.equal(pending[0].type, "@server/send-message");
+  console.log("✓ Message deferred until its channel exists");
+
+  // Now create the channel the message belongs to
+  const channel = server.crypto.createSignedAction("@server/create-channel", {
+    id: server.crypto.generateId(32),
+    channelId,
+    name: "late-channel",
+    type: "TEXT",
+    topic: "",
+    createdBy: author,
+    createdAt: Date.now(),
+    position: 2,
+  });
+  await server.base.append(channel, { optimistic: true });
+  await server.base.update();
+
+  assert.equal(
+    (await server.getPendingActions()).length,
+    0,
+    "Deferred message should have been replayed"
+  );
+
+  const messages = await server.messages.getMessages();
+  assert(
+    messages.some((m) => m.channelId === channelId),
+    "Deferred message should be in the view"
+  );
+  console.log("✓ Deferred message replayed once the channel was applied");
+
+  // Appending the same signed action again must not apply it twice
+  assert(await server.isProcessed(message), "Message should be processed");
+  const before = (await server.messages.getMessages()).length;
+  await server.base.append(message, { optimistic: true });
+  await server.base.update();
+  assert.equal((await server.messages.getMessages()).length, before);
+  assert.equal((await server.getPendingActions()).length, 0);
+  console.log("✓ Duplicate action skipped");
+
+  // Edits wait on the role of their signer like new messages do
+  const edit = server.crypto.createSignedAction("@server/edit-message", {
+    id: message.payload.id,
+    channelId,
+    content: "edited",
+    author,
+    timestamp: Date.now(),
+  });
+  assert(
+    server.resolver.getDependencies(edit, author).includes(`role:${author}`),
+    "Edits should depend on the role of their signer"
+  );
+  assert.equal(
+    await server.resolver.isSatisfied("unknown:1", server.base.view),
+    false,
+    "Unknown dependencies are never satisfied"
+  );
+  console.log("✓ Edits wait on roles and unknown dependencies stay unmet");
+
+  await server.close();
+  console.log("\n✅ Deferred apply test complete!");
+}
+
+// Run the test
+runDeferredApplyTest()
+  .then(() => {
+    console.log("Test completed successfully!");
+    cleanup();
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Test runner failed:", err);
+    cleanup();
+    process.exit(1);
+  });
@@ -0,0 +1,180 @@
+const assert = require("assert");
+const Corestore = require("corestore");
+const path = require("path");
+const fs = require("fs");
+const rimraf = require("rimraf");
+const b4a = require("b4a");
+const SyncBase = require("../lib/syncbase");
+const CryptoManager = require("../lib/components/crypto-manager");
+
+// Test directory setup
+const TEST_DIR = path.join("./cores", "device-test-" + Date.now());
+console.log(`Test directory: ${TEST_DIR}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+// Cleanup function to run after tests
+function cleanup() {
+  console.log(`Cleaning up test directory: ${TEST_DIR}`);
+  rimraf.sync(TEST_DIR);
+  console.log("Cleanup complete");
+}
+
+const DEVICE_SEED = "test seed phrase for a second device";
+
+async function runDeviceTest() {
+  console.log("\n=== TESTING LINKED DEVICES ===");
+
+  assert.throws(
+    () =>
+      SyncBase.pair(new Corestore(path.join(TEST_DIR, "pairer")), "invite", {
+        replicate: false,
+      }),
+    /requires a mnemonic, password or seedPhrase/
+  );
+  console.log("✓ Joining requires an identity of its own");
+
+  const server = new SyncBase(new Corestore(path.join(TEST_DIR, "server")), {
+    seedPhrase: "test seed phrase for devices",
+    replicate: false,
+  });
+  await server.ready();
+  await server.initialize({ name: "Device Server" });
+  await server.base.update();
+  const [channel] = await server.channels.getChannels();
+  const userId = server.userId;
+
+  // An existing device authorises the key of the new one
+  const { publicKey: deviceKey } =
+    CryptoManager.deriveKeysFromSeed(DEVICE_SEED);
+  const link = await server.linkDevice({ deviceKey, name: "laptop" });
+  await server.base.update();
+  assert.equal(link.userId, userId);
+
+  const [linked] = await server.getDevices();
+  assert.equal(linked.deviceKey, b4a.toString(deviceKey, "hex"));
+  assert.equal(linked.name, "laptop");
+  assert(!linked.revokedAt);
+
+  const device = new SyncBase(new Corestore(path.join(TEST_DIR, "device")), {
+    key: b4a.from(link.key, "hex"),
+    encryptionKey: b4a.from(link.encryptionKey, "hex"),
+    seedPhrase: DEVICE_SEED,
+    replicate: false,
+  });
+  await device.ready();
+
+  const s1 = server.replicate(true);
+  const s2 = device.replicate(false);
+  s1.pipe(s2).pipe(s1);
+
+  await waitFor(async () => {
+    await device.base.update();
+    return device.userId === userId;
+  });
+  await waitFor(async () => {
+    await server.base.update();
+    return (await server.getWriters(userId)).length === 2;
+  });
+  assert(await device.hasPermission("MANAGE_CHANNELS"), "Same role");
+  console.log("✓ The linked device acts as the user and binds its writer");
+
+  const sent = await device.messages.sendMessage({
+    channelId: channel.channelId,
+    content: "from the laptop",
+  });
+  await waitFor(async () => {
+    await server.base.update();
+    return !!(await server.messages.getMessage(sent.id, channel.channelId));
+  });
+  const message = await server.messages.getMessage(sent.id, channel.channelId);
+  assert.equal(message.author, userId);
+
+  const users = [];
+  for await (const user of server.base.view.find("@server/user", {})) {
+    users.push(user);
+  }
+  assert.equal(users.length, 1, "Devices are not separate members");
+
+  // Another device of the user may edit the message
+  await server.messages.editMessage({
+    messageId: sent.id,
+    channelId: channel.channelId,
+    content: "edited on the server",
+  });
+  await server.base.update();
+  const edited = await server.messages.getMessage(sent.id, channel.channelId);
+  assert.equal(edited.content, "edited on the server");
+  console.log("✓ Devices appear as one member");
+
+  // A lost device is revoked and its writer removed
+  const revokedEvents = [];
+  device.on("device-revoked", (record) => revokedEvents.push(record));
+
+  const [deviceWriter] = (await server.getWriters(userId)).filter(
+    (writer) => writer.deviceKey === b4a.toString(deviceKey, "hex")
+  );
+  await server.revokeDevice({ deviceKey });
+  await server.base.update();
+
+  const [revoked] = await server.getDevices();
+  assert(revoked.revokedAt > 0);
+  assert.equal((await server.getWriters(userId)).length, 1);
+  assert.equal(await server.writers.getWriter(deviceWriter.writerKey), null);
+
+  await waitFor(async () => {
+    await device.base.update();
+    return revokedEvents.length === 1;
+  });
+  assert.notEqual(device.userId, userId);
+  console.log("✓ A revoked device loses its account and writer");
+
+  const refused = device.crypto.createSignedAction("@server/send-message", {
+    id: device.crypto.generateId(),
+    channelId: channel.channelId,
+    content: "after the revocation",
+    author: userId,
+    attachments: JSON.stringify([]),
+  });
+  await device.outbox.append(refused);
+  await waitFor(async () => {
+    await device.base.update();
+    const entry = await device.getActionStatus(refused);
+    return entry.status === "rejected";
+  });
+  assert.equal(
+    await device.messages.getMessage(refused.payload.id, channel.channelId),
+    null
+  );
+  console.log("✓ Actions of a revoked device are refused");
+
+  s1.destroy();
+  s2.destroy();
+  await device.close();
+  await server.close();
+  console.log("\n✅ Device test complete!");
+}
+
+async function waitFor(check, attempts = 80) {
+  for (let i = 0; i < attempts; i++) {
+    if (await check()) return;
+    await sleep(250);
+  }
+  throw new Error("Timed out waiting for condition");
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Run the test
+runDeviceTest()
+  .then(() => {
+    console.log("Test completed successfully!");
+    cleanup();
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Test runner failed:", err);
+    cleanup();
+    process.exit(1);
+  });
@@ -0,0 +1,238 @@
+const assert = require("assert");
+const Corestore = require("corestore");
+const path = require("path");
+const fs = require("fs");
+const rimraf = require("rimraf");
+const b4a = require("b4a");
+const SyncBase = require("../lib/syncbase");
+const CryptoManager = require("../lib/components/crypto-manager");
+const DirectMessageManager = require("../lib/components/direct-message-manager");
+
+// Test directory setup
+const TEST_DIR = path.join("./cores", "direct-message-test-" + Date.now());
+console.log(`Test directory: ${TEST_DIR}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+// Cleanup function to run after tests
+function cleanup() {
+  console.log(`Cleaning up test directory: ${TEST_DIR}`);
+  rimraf.sync(TEST_DIR);
+  console.log("Cleanup complete");
+}
+
+const streams = [];
+
+function connect(a, b) {
+  const s1 = a.replicate(true);
+  const s2 = b.replicate(false);
+  s1.pipe(s2).pipe(s1);
+  streams.push(s1, s2);
+}
+
+async function join(server, name) {
+  const invite = await server.invites.createInvite({
+    serverId: server.userId,
+    expireInDays: 1,
+  });
+  const pairer = SyncBase.pair(
+    new Corestore(path.join(TEST_DIR, name)),
+    invite,
+    {
+      seedPhrase: `test seed phrase for direct messages ${name}`,
+      replicate: false,
+    }
+  );
+  const finished = pairer.finished();
+  await pairer.ready();
+  connect(server, pairer);
+
+  const member = await finished;
+  await member.ready();
+  await waitFor(async () => {
+    await server.base.update();
+    return (await server.getWriters(member.userId)).length === 1;
+  });
+  return { pairer, member };
+}
+
+async function runDirectMessageTest() {
+  console.log("\n=== TESTING DIRECT MESSAGES ===");
+
+  const server = new SyncBase(new Corestore(path.join(TEST_DIR, "owner")), {
+    seedPhrase: "test seed phrase for direct messages owner",
+    replicate: false,
+  });
+  await server.ready();
+  await server.initialize({ name: "Direct Message Server" });
+  await server.base.update();
+
+  const alice = await join(server, "alice");
+  const bob = await join(server, "bob");
+  const aliceId = alice.member.userId;
+  const bobId = bob.member.userId;
+
+  const received = [];
+  bob.member.on("direct-message:sent", ({ record }) => received.push(record));
+
+  const first = await alice.member.sendDirectMessage({
+    recipientId: bobId,
+    content: "hello bob, only you can read this",
+  });
+  const second = await alice.member.sendDirectMessage({
+    recipientId: bobId,
+    content: "and a second one",
+  });
+  await waitFor(async () => {
+    await server.base.update();
+    await bob.member.base.update();
+    return (await bob.member.getDirectMessages(aliceId)).length === 2;
+  });
+
+  const messages = await bob.member.getDirectMessages(aliceId);
+  assert.deepEqual(
+    messages.map((message) => message.content),
+    [first.content, second.content]
+  );
+  assert.equal(messages[0].sender, aliceId);
+  assert.equal(messages[0].recipient, bobId);
+  assert.equal(received.length, 2);
+  assert(!("content" in received[0]), "Events carry no plaintext");
+  console.log("✓ The recipient reads the messages");
+
+  await alice.member.base.update();
+  const sent = await alice.member.getDirectMessages(bobId);
+  assert.equal(sent[1].content, second.content);
+  const [conversation] = await alice.member.getDirectConversations();
+  assert.equal(conversation.id, first.conversationId);
+  assert.equal(conversation.userId, bobId);
+  const [theirs] = await bob.member.getDirectConversations();
+  assert.equal(theirs.userId, aliceId);
+  assert.deepEqual(await server.getDirectConversations(), []);
+  console.log("✓ Both members see the conversation");
+
+  // The owner replicates the messages but cannot read them
+  const stored = await server.base.view.get("@server/direct_message", {
+    conversationId: first.conversationId,
+    id: first.id,
+  });
+  assert(stored, "The message is in the view of every member");
+  assert(!b4a.from(stored.ciphertext, "hex").includes(first.content));
+  assert.equal(server.directMessages._decrypt(stored), null);
+  console.log("✓ Other members only see ciphertext");
+
+  // Linked devices of both members read the messages too
+  const DEVICE_SEED = "test seed phrase for direct messages bob laptop";
+  const laptop = new CryptoManager(DEVICE_SEED);
+  await bob.member.linkDevice({ deviceKey: laptop.publicKey, name: "laptop" });
+  await waitFor(async () => {
+    await server.base.update();
+    await alice.member.base.update();
+    return (await alice.member.getDevices(bobId)).length === 1;
+  });
+  const third = await alice.member.sendDirectMessage({
+    recipientId: bobId,
+    content: "for every device of bob",
+  });
+  await waitFor(async () => {
+    await server.base.update();
+    await bob.member.base.update();
+    return (await bob.member.getDirectMessages(aliceId)).length === 3;
+  });
+  const sealed = await bob.member.base.view.get("@server/direct_message", {
+    conversationId: third.conversationId,
+    id: third.id,
+  });
+  const onLaptop = new DirectMessageManager(bob.member, laptop);
+  assert.equal(onLaptop._decrypt(sealed), third.content);
+  assert.equal(
+    onLaptop._decrypt(stored),
+    null,
+    "Not messages sent before the device was linked"
+  );
+  assert.equal(
+    (await bob.member.getDirectMessages(aliceId))[2].content,
+    third.content
+  );
+  assert.equal(server.directMessages._decrypt(sealed), null);
+  console.log("✓ Messages are sealed to every key of both members");
+
+  const [older] = await bob.member.getDirectMessages(aliceId, { limit: 1 });
+  assert.equal(older.id, third.id);
+  const [oldest] = await bob.member.getDirectMessages(aliceId, {
+    before: messages[1].sentAt,
+  });
+  assert.equal(oldest.id, first.id);
+  console.log("✓ Messages are paginated");
+
+  await assert.rejects(
+    alice.member.sendDirectMessage({ recipientId: aliceId, content: "me" }),
+    /to yourself/
+  );
+  await assert.rejects(
+    alice.member.sendDirectMessage({
+      recipientId: b4a.alloc(32).toString("hex"),
+      content: "nobody",
+    }),
+    /Recipient is not a member/
+  );
+
+  // Nobody can send in the name of another member
+  const { nonce, ciphertext } = server.crypto.box(
+    "forged",
+    bob.member.crypto.publicKey
+  );
+  const forged = server.crypto.createSignedAction(
+    "@server/send-direct-message",
+    {
+      id: server.crypto.generateId(),
+      conversationId: first.conversationId,
+      sender: aliceId,
+      recipient: bobId,
+      senderKey: server.userId,
+      recipientKey: bobId,
+      nonce: b4a.toString(nonce, "hex"),
+      ciphertext: b4a.toString(ciphertext, "hex"),
+      sentAt: server.crypto.now(),
+    }
+  );
+  await server.outbox.append(forged);
+  await waitFor(async () => {
+    await server.base.update();
+    const entry = await server.getActionStatus(forged);
+    return entry.status === "rejected";
+  });
+  console.log("✓ Direct messages in the name of others are refused");
+
+  for (const stream of streams) stream.destroy();
+  for (const { member, pairer } of [alice, bob]) {
+    await member.close();
+    await pairer.close();
+  }
+  await server.close();
+  console.log("\n✅ Direct message test complete!");
+}
+
+async function waitFor(check, attempts = 80) {
+  for (let i = 0; i < attempts; i++) {
+    if (await check()) return;
+    await sleep(250);
+  }
+  throw new Error("Timed out waiting for condition");
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Run the test
+runDirectMessageTest()
+  .then(() => {
+    console.log("Test completed successfully!");
+    cleanup();
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Test runner failed:", err);
+    cleanup();
+    process.exit(1);
+  });
@@ -0,0 +1,184 @@
+const assert = require("assert");
+const Corestore = require("corestore");
+const path = require("path");
+const fs = require("fs");
+const rimraf = require("rimraf");
+const b4a = require("b4a");
+const { EventEmitter } = require("events");
+const SyncBase = require("../lib/syncbase");
+const DomainEvents = require("../lib/components/domain-events");
+
+// Test directory setup
+const TEST_DIR = path.join("./cores", "domain-events-test-" + Date.now());
+console.log(`Test directory: ${TEST_DIR}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+// Cleanup function to run after tests
+function cleanup() {
+  console.log(`Cleaning up test directory: ${TEST_DIR}`);
+  rimraf.sync(TEST_DIR);
+  console.log("Cleanup complete");
+}
+
+async function runDomainEventsTest() {
+  console.log("\n=== TESTING DOMAIN EVENTS FROM APPLY ===");
+
+  const store = new Corestore(path.join(TEST_DIR, "server"));
+  await store.ready();
+
+  const server = new SyncBase(store, {
+    seedPhrase: "test seed phrase for domain events",
+    replicate: false,
+  });
+  await server.ready();
+
+  const events = [];
+  for (const type of [
+    "member:joined",
+    "channel:created",
+    "message:created",
+    "message:edited",
+    "message:deleted",
+    "invite:revoked",
+  ]) {
+    server.on(type, (event) => events.push({ type, ...event }));
+  }
+
+  await server.initialize({ name: "Domain Events Server" });
+  await server.base.update();
+  await server.domainEvents.flush();
+
+  const signer = b4a.toString(server.crypto.publicKey, "hex");
+  const joined = events.find((e) => e.type === "member:joined");
+  assert(joined, "Founder should have joined");
+  assert.equal(joined.record.id, signer);
+  assert.equal(joined.signer, signer);
+
+  const created = events.find((e) => e.type === "channel:created");
+  assert(created, "Default channel should have been created");
+  assert.equal(created.record.name, "general-chat");
+  console.log("✓ member:joined and channel:created delivered");
+
+  const channelId = created.record.channelId;
+  const message = await server.messages.sendMessage({
+    channelId,
+    content: "hello events",
+  });
+  await server.base.update();
+  await server.domainEvents.flush();
+
+  const sent = events.find((e) => e.type === "message:created");
+  assert(sent, "message:created should be delivered");
+  assert.equal(sent.record.id, message.id);
+  assert.equal(sent.signer, signer);
+  assert(sent.actionId, "Events carry the id of their action");
+
+  await server.messages.editMessage({
+    messageId: message.id,
+    channelId,
+    content: "hello edited events",
+  });
+  await server.messages.deleteMessage({ messageId: message.id, channelId });
+  await server.base.update();
+  await server.domainEvents.flush();
+
+  const edited = events.find((e) => e.type === "message:edited");
+  assert(edited, "message:edited should be delivered");
+  assert.equal(edited.record.content, "hello edited events");
+  assert(events.some((e) => e.type === "message:deleted"));
+  console.log(
+    "✓ message:created, message:edited and message:deleted delivered"
+  );
+
+  // Revoking one of two invites removes that one only
+  const first = await server.invites.createInvite({ expireInMinutes: 30 });
+  const second = await server.invites.createInvite({ expireInMinutes: 30 });
+  const kept = await server.invites.getInvite(first);
+  const revoked = await server.invites.getInvite(second);
+  assert(kept && revoked && !b4a.equals(kept.id, revoked.id));
+
+  assert(await server.invites.revokeInvite(second));
+  await server.base.update();
+  await server.domainEvents.flush();
+
+  const revokedEvent = events.find((e) => e.type === "invite:revoked");
+  assert(revokedEvent, "invite:revoked should be delivered");
+  assert(b4a.equals(revokedEvent.record.id, revoked.id));
+  assert(await server.base.view.get("@server/invite", { id: kept.id }));
+  assert(!(await server.base.view.get("@server/invite", { id: revoked.id })));
+  console.log("✓ invite:revoked delivered for the revoked invite only");
+
+  await server.close();
+}
+
+async function runCompensationTest() {
+  console.log("\n=== TESTING COMPENSATING EVENTS ON REORDER ===");
+
+  // Stand-in for a SyncBase whose view gets truncated by a reorder
+  const processed = new Set();
+  const syncBase = {
+    base: { length: 10, indexedLength: 2 },
+    eventEmitter: new EventEmitter(),
+    isProcessed: async (id) => processed.has(id),
+  };
+  const received = [];
+  for (const type of ["message:created", "message:created:undone"]) {
+    syncBase.eventEmitter.on(type, (event) =>
+      received.push({ type, ...event })
+    );
+  }
+
+  const domainEvents = new DomainEvents(syncBase);
+  const event = { type: "message:created", record: { id: "m1" }, signer: "aa" };
+
+  processed.add("action-1");
+  domainEvents.collect("action-1", [event]);
+  await domainEvents.flush();
+  assert.deepEqual(
+    received.map((e) => e.type),
+    ["message:created"]
+  );
+
+  // The reorder removed the action from the view
+  processed.delete("action-1");
+  await domainEvents.flush();
+  assert.deepEqual(
+    received.map((e) => e.type),
+    ["message:created", "message:created:undone"]
+  );
+  assert.equal(received[1].record.id, "m1");
+  console.log("✓ Undone action compensated");
+
+  // Applied again after the reorder, delivered again
+  processed.add("action-1");
+  domainEvents.collect("action-1", [event]);
+  await domainEvents.flush();
+  assert.equal(received.length, 3);
+  assert.equal(received[2].type, "message:created");
+
+  // Actions undone before delivery are dropped silently
+  domainEvents.collect("action-2", [event]);
+  await domainEvents.flush();
+  assert.equal(received.length, 3);
+
+  // Once indexed, delivered actions can no longer be undone
+  syncBase.base.indexedLength = 10;
+  processed.delete("action-1");
+  await domainEvents.flush();
+  assert.equal(received.length, 3);
+  console.log("✓ Indexed actions are final");
+}
+
+// Run the tests
+runDomainEventsTest()
+  .then(runCompensationTest)
+  .then(() => {
+    console.log("\n✅ Domain events test complete!");
+    cleanup();
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Test runner failed:", err);
+    cleanup();
+    process.exit(1);
+  });
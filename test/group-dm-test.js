@@ -0,0 +1,225 @@
+const assert = require("assert");
+const Corestore = require("corestore");
+const path = require("path");
+const fs = require("fs");
+const rimraf = require("rimraf");
+const b4a = require("b4a");
+const SyncBase = require("../lib/syncbase");
+
+// Test directory setup
+const TEST_DIR = path.join("./cores", "group-dm-test-" + Date.now());
+console.log(`Test directory: ${TEST_DIR}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+// Cleanup function to run after tests
+function cleanup() {
+  console.log(`Cleaning up test directory: ${TEST_DIR}`);
+  rimraf.sync(TEST_DIR);
+  console.log("Cleanup complete");
+}
+
+const streams = [];
+
+function connect(a, b) {
+  const s1 = a.replicate(true);
+  const s2 = b.replicate(false);
+  s1.pipe(s2).pipe(s1);
+  streams.push(s1, s2);
+}
+
+async function join(server, name) {
+  const invite = await server.invites.createInvite({
+    serverId: server.userId,
+    expireInDays: 1,
+  });
+  const pairer = SyncBase.pair(
+    new Corestore(path.join(TEST_DIR, name)),
+    invite,
+    {
+      seedPhrase: `test seed phrase for group dms ${name}`,
+      replicate: false,
+    }
+  );
+  const finished = pairer.finished();
+  await pairer.ready();
+  connect(server, pairer);
+
+  const member = await finished;
+  await member.ready();
+  await waitFor(async () => {
+    await server.base.update();
+    return (await server.getWriters(member.userId)).length === 1;
+  });
+  return { pairer, member };
+}
+
+async function runGroupDMTest() {
+  console.log("\n=== TESTING GROUP DMS ===");
+
+  const server = new SyncBase(new Corestore(path.join(TEST_DIR, "owner")), {
+    seedPhrase: "test seed phrase for group dms owner",
+    replicate: false,
+  });
+  await server.ready();
+  await server.initialize({ name: "Group DM Server" });
+  await server.base.update();
+
+  const alice = await join(server, "alice");
+  const bob = await join(server, "bob");
+  const carol = await join(server, "carol");
+  const [aliceId, bobId, carolId] = [alice, bob, carol].map(
+    ({ member }) => member.userId
+  );
+  const peers = [server, alice.member, bob.member, carol.member];
+
+  const sync = async (check) =>
+    waitFor(async () => {
+      for (const peer of peers) await peer.base.update();
+      return check();
+    });
+  const read = async (peer, message) =>
+    (await peer.getGroupMessages(group.id)).find((m) => m.id === message.id)
+      ?.content;
+
+  await assert.rejects(
+    alice.member.createGroupDM({ title: "Pair", participants: [bobId] }),
+    /between 3 and 10 participants/
+  );
+  const group = await alice.member.createGroupDM({
+    title: "Launch",
+    icon: "rocket",
+    participants: [bobId, carolId],
+  });
+  await sync(async () => (await carol.member.getGroupDMs()).length === 1);
+  const [seen] = await bob.member.getGroupDMs();
+  assert.equal(seen.title, "Launch");
+  assert.equal(seen.icon, "rocket");
+  assert.deepEqual(seen.participants.sort(), [aliceId, bobId, carolId].sort());
+  assert.equal((await server.getGroupDMs()).length, 0);
+
+  const listed = await bob.member.getChannelsAndGroups();
+  assert(listed.some((entry) => entry.kind === "channel"));
+  assert(
+    listed.some((entry) => entry.kind === "group" && entry.id === group.id)
+  );
+  console.log(
+    "✓ Group DMs are listed next to the channels of their participants"
+  );
+
+  const first = await alice.member.sendGroupMessage({
+    groupId: group.id,
+    content: "hello team",
+  });
+  await sync(async () => !!(await read(carol.member, first)));
+  assert.equal(await read(bob.member, first), "hello team");
+  assert.equal(await read(server, first), null, "Not readable by others");
+  const stored = await server.groups.getKeyRecord(group.id);
+  assert(!JSON.stringify(stored).includes("hello team"));
+  console.log("✓ Participants read the messages, other members do not");
+
+  await bob.member.updateGroupDM(group.id, { title: "Launch crew" });
+  await sync(
+    async () =>
+      (await carol.member.groups.getGroup(group.id)).title === "Launch crew"
+  );
+  assert.equal((await carol.member.groups.getGroup(group.id)).icon, "rocket");
+
+  // Updates that leave out the icon keep it
+  const { createdBy, createdAt } = await bob.member.groups.getGroup(group.id);
+  const rename = bob.member.crypto.createSignedAction(
+    "@server/update-group-dm",
+    {
+      id: group.id,
+      title: "Launch team",
+      createdBy,
+      createdAt,
+      timestamp: bob.member.crypto.now(),
+    }
+  );
+  await bob.member.outbox.append(rename);
+  await sync(
+    async () =>
+      (await carol.member.groups.getGroup(group.id)).title === "Launch team"
+  );
+  assert.equal((await carol.member.groups.getGroup(group.id)).icon, "rocket");
+  console.log("✓ Participants rename the group");
+
+  // Joining starts a new epoch, earlier messages stay unreadable
+  await bob.member.addGroupParticipant(group.id, server.userId);
+  await sync(async () => (await server.getGroupDMs()).length === 1);
+  const second = await carol.member.sendGroupMessage({
+    groupId: group.id,
+    content: "welcome",
+  });
+  await sync(async () => !!(await read(server, second)));
+  assert.equal(await read(server, first), null);
+  assert.equal((await server.groups.getGroup(group.id)).epoch, 1);
+  console.log("✓ Added participants read new messages only");
+
+  // Only the creator removes others, leaving a new key behind
+  await assert.rejects(
+    carol.member.removeGroupParticipant(group.id, bobId),
+    /Only the creator/
+  );
+  await alice.member.removeGroupParticipant(group.id, carolId);
+  await sync(async () => (await carol.member.getGroupDMs()).length === 0);
+  const third = await alice.member.sendGroupMessage({
+    groupId: group.id,
+    content: "without carol",
+  });
+  await sync(async () => !!(await read(bob.member, third)));
+  assert.equal(await read(carol.member, third), null);
+  assert.equal(await read(carol.member, second), "welcome");
+  await assert.rejects(
+    carol.member.sendGroupMessage({
+      groupId: group.id,
+      content: "still here?",
+    }),
+    /not a participant/
+  );
+  console.log("✓ Removed participants cannot read new messages");
+
+  // Anyone may leave, even below the minimum
+  await assert.rejects(
+    alice.member.removeGroupParticipant(group.id, bobId),
+    /between 3 and 10 participants/
+  );
+  await bob.member.removeGroupParticipant(group.id);
+  await sync(async () => (await bob.member.getGroupDMs()).length === 0);
+  const left = await server.groups.getGroup(group.id);
+  assert.deepEqual(left.participants.sort(), [aliceId, server.userId].sort());
+  assert.equal(left.epoch, 3);
+  console.log("✓ Participants leave the group");
+
+  for (const stream of streams) stream.destroy();
+  for (const { member, pairer } of [alice, bob, carol]) {
+    await member.close();
+    await pairer.close();
+  }
+  await server.close();
+  console.log("\n✅ Group DM test complete!");
+}
+async function waitFor(check, attempts = 80) {
+  for (let i = 0; i < attempts; i++) {
+    if (await check()) return;
+    await sleep(250);
+  }
+  throw new Error("Timed out waiting for condition");
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Run the test
+runGroupDMTest()
+  .then(() => {
+    console.log("Test completed successfully!");
+    cleanup();
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Test runner failed:", err);
+    cleanup();
+    process.exit(1);
+  });
@@ -0,0 +1,95 @@
+const assert = require("assert");
+const Corestore = require("corestore");
+const path = require("path");
+const fs = require("fs");
+const rimraf = require("rimraf");
+const b4a = require("b4a");
+const SyncBase = require("../lib/syncbase");
+const HybridClock = require("../lib/components/hybrid-clock");
+
+// Test directory setup
+const TEST_DIR = path.join("./cores", "hybrid-clock-test-" + Date.now());
+console.log(`Test directory: ${TEST_DIR}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+// Cleanup function to run after tests
+function cleanup() {
+  console.log(`Cleaning up test directory: ${TEST_DIR}`);
+  rimraf.sync(TEST_DIR);
+  console.log("Cleanup complete");
+}
+
+async function runHybridClockTest() {
+  console.log("\n=== TESTING HYBRID LOGICAL CLOCK ===");
+
+  let wall = 1000;
+  const clock = new HybridClock({ wallClock: () => wall, maxDrift: 500 });
+
+  assert.equal(clock.now(), 1000);
+  assert.equal(clock.now(), 1001, "A stalled wall clock still moves on");
+  wall = 900;
+  assert.equal(clock.now(), 1002, "A wall clock going back is not followed");
+  wall = 2000;
+  assert.equal(clock.now(), 2000, "The wall clock is followed when ahead");
+  console.log("✓ Timestamps never repeat or go backwards");
+
+  assert(clock.update(2400));
+  assert.equal(clock.now(), 2401, "Local timestamps move past remote ones");
+  assert(!clock.update(5000), "Far future timestamps are refused");
+  assert.equal(clock.now(), 2402);
+  assert(!clock.update("2500"));
+  console.log("✓ Remote timestamps are followed within the drift");
+
+  // Apply only uses the time carried in the action
+  const server = new SyncBase(new Corestore(path.join(TEST_DIR, "server")), {
+    seedPhrase: "test seed phrase for hybrid clock",
+    replicate: false,
+  });
+  await server.ready();
+
+  // A peer whose clock runs ahead stamps the server creation
+  const ahead = Date.now() + 30 * 1000;
+  assert(server.crypto.clock.update(ahead));
+  await server.initialize({ name: "Clocked Server" });
+  await server.base.update();
+
+  const actions = await server.archive.readActions();
+  const created = actions.find(
+    (entry) => entry.action.type === "@server/create-server"
+  ).action;
+  assert(created.payload.timestamp > ahead, "Stamped by the clock");
+
+  const id = b4a.toString(server.crypto.publicKey, "hex");
+  const owner = await server.base.view.findOne("@server/user", {
+    gte: { id },
+    lte: { id },
+  });
+  assert.equal(owner.joinedAt, created.payload.timestamp);
+  const role = await server.base.view.get("@server/role", { userId: id });
+  assert.equal(role.updatedAt, created.payload.timestamp);
+  console.log("✓ Apply stamps records with the action timestamp");
+
+  const [channel] = await server.channels.getChannels();
+  const message = await server.messages.sendMessage({
+    channelId: channel.channelId,
+    content: "after the server",
+  });
+  assert(message.timestamp > created.payload.timestamp);
+  console.log("✓ Later actions are stamped later");
+
+  await server.close();
+  console.log("\n✅ Hybrid clock test complete!");
+}
+
+// Run the test
+runHybridClockTest()
+  .then(() => {
+    console.log("Test completed successfully!");
+    cleanup();
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Test runner failed:", err);
+    cleanup();
+    process.exit(1);
+  });
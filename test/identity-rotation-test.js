@@ -0,0 +1,224 @@
+const assert = require("assert");
+const Corestore = require("corestore");
+const path = require("path");
+const fs = require("fs");
+const rimraf = require("rimraf");
+const b4a = require("b4a");
+const SyncBase = require("../lib/syncbase");
+const CryptoManager = require("../lib/components/crypto-manager");
+
+// Test directory setup
+const TEST_DIR = path.join("./cores", "identity-rotation-test-" + Date.now());
+console.log(`Test directory: ${TEST_DIR}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+// Cleanup function to run after tests
+function cleanup() {
+  console.log(`Cleaning up test directory: ${TEST_DIR}`);
+  rimraf.sync(TEST_DIR);
+  console.log("Cleanup complete");
+}
+
+const JOINER_SEED = "test seed phrase for identity rotation joiner";
+
+async function runIdentityRotationTest() {
+  console.log("\n=== TESTING IDENTITY ROTATION ===");
+
+  const server = new SyncBase(new Corestore(path.join(TEST_DIR, "server")), {
+    seedPhrase: "test seed phrase for identity rotation server",
+    replicate: false,
+  });
+  await server.ready();
+  await server.initialize({ name: "Rotation Server" });
+  await server.base.update();
+  const [channel] = await server.channels.getChannels();
+  const ownerId = server.userId;
+
+  const invite = await server.invites.createInvite({
+    serverId: ownerId,
+    expireInDays: 1,
+  });
+  const pairer = SyncBase.pair(
+    new Corestore(path.join(TEST_DIR, "joiner")),
+    invite,
+    { seedPhrase: JOINER_SEED, replicate: false }
+  );
+  const finished = pairer.finished();
+  await pairer.ready();
+
+  const s1 = server.replicate(true);
+  const s2 = pairer.replicate(false);
+  s1.pipe(s2).pipe(s1);
+
+  const joiner = await finished;
+  await joiner.ready();
+  const joinerId = joiner.userId;
+  await waitFor(async () => {
+    await server.base.update();
+    return (await server.getWriters(joinerId)).length === 1;
+  });
+
+  const before = await joiner.messages.sendMessage({
+    channelId: channel.channelId,
+    content: "signed with the first key",
+  });
+  await waitFor(async () => {
+    await server.base.update();
+    return !!(await server.messages.getMessage(before.id, channel.channelId));
+  });
+
+  // Other members see the rotation
+  const rotations = [];
+  server.on("identity:rotated", ({ record }) => rotations.push(record));
+
+  const rotated = await joiner.rotateIdentity();
+  assert(CryptoManager.validateMnemonic(rotated.mnemonic));
+  assert.equal(rotated.userId, joinerId);
+  assert.equal(b4a.toString(joiner.crypto.publicKey, "hex"), rotated.key);
+  assert.equal(joiner.userId, joinerId, "The user id stays");
+
+  await waitFor(async () => {
+    await server.base.update();
+    return rotations.length === 1;
+  });
+  assert.equal(rotations[0].userId, joinerId);
+  assert.equal(rotations[0].key, rotated.key);
+
+  const history = await server.getIdentityHistory(joinerId);
+  assert.equal(history.length, 2);
+  assert.equal(history[0].key, joinerId);
+  assert.equal(history[0].nextKey, rotated.key);
+  assert(history[0].retiredAt > 0);
+  assert.equal(history[1].previousKey, joinerId);
+  assert(!history[1].retiredAt);
+  console.log("✓ The rotation is applied and shown to other members");
+
+  // The new key acts as the same user, with their role and messages
+  assert(await joiner.hasPermission("SEND_MESSAGES"), "Role carried over");
+  const after = await joiner.messages.sendMessage({
+    channelId: channel.channelId,
+    content: "signed with the second key",
+  });
+  await joiner.messages.editMessage({
+    messageId: before.id,
+    channelId: channel.channelId,
+    content: "edited with the second key",
+  });
+  await waitFor(async () => {
+    await server.base.update();
+    const edited = await server.messages.getMessage(
+      before.id,
+      channel.channelId
+    );
+    return (
+      !!(await server.messages.getMessage(after.id, channel.channelId)) &&
+      edited.content === "edited with the second key"
+    );
+  });
+  const message = await server.messages.getMessage(after.id, channel.channelId);
+  assert.equal(message.author, joinerId);
+  const [writer] = await server.getWriters(joinerId);
+  assert.equal(writer.deviceKey, rotated.key);
+  console.log("✓ The new key keeps the role and the messages of the user");
+
+  // The old key is retired
+  const oldKey = new CryptoManager(JOINER_SEED);
+  const refused = oldKey.createSignedAction("@server/send-message", {
+    id: oldKey.generateId(),
+    channelId: channel.channelId,
+    content: "signed with the retired key",
+    author: joinerId,
+    attachments: JSON.stringify([]),
+  });
+  await joiner.outbox.append(refused);
+  await waitFor(async () => {
+    await joiner.base.update();
+    const entry = await joiner.getActionStatus(refused);
+    return entry.status === "rejected";
+  });
+  assert.equal(
+    await joiner.messages.getMessage(refused.payload.id, channel.channelId),
+    null
+  );
+  console.log("✓ Actions of the retired key are refused");
+
+  // A rotation needs the signature of the new key
+  const { publicKey: stolenKey } = CryptoManager.deriveKeysFromSeed(
+    "test seed phrase for a key nobody proved"
+  );
+  const forged = server.crypto.createSignedAction("@server/rotate-identity", {
+    key: b4a.toString(stolenKey, "hex"),
+    userId: ownerId,
+    previousKey: ownerId,
+    proof: b4a.toString(b4a.alloc(64), "hex"),
+    addedAt: server.crypto.now(),
+  });
+  await server.outbox.append(forged);
+  await waitFor(async () => {
+    await server.base.update();
+    const entry = await server.getActionStatus(forged);
+    return entry.status === "rejected";
+  });
+  assert.equal((await server.getIdentityHistory(ownerId)).length, 0);
+  console.log("✓ Rotations without a continuity proof are refused");
+
+  // A ban is stored under the user id and outlives the key it was made for
+  await server.banUser(joinerId, { reason: "rotating away" });
+  await waitFor(async () => {
+    await joiner.base.update();
+    return joiner.isUserBanned(joinerId);
+  });
+  const again = await joiner.rotateIdentity();
+  await waitFor(async () => {
+    await server.base.update();
+    return (await server.getIdentityHistory(joinerId)).length === 3;
+  });
+  assert(await server.isUserBanned(joinerId), "Ban carried over");
+  const banned = joiner.crypto.createSignedAction("@server/send-message", {
+    id: joiner.crypto.generateId(),
+    channelId: channel.channelId,
+    content: "signed with a fresh key",
+    author: joinerId,
+    attachments: JSON.stringify([]),
+  });
+  assert.equal(b4a.toString(banned.signer, "hex"), again.key);
+  await joiner.outbox.append(banned);
+  await waitFor(async () => {
+    await joiner.base.update();
+    const entry = await joiner.getActionStatus(banned);
+    return entry.status === "rejected";
+  });
+  console.log("✓ Bans carry over to the rotated key");
+
+  s1.destroy();
+  s2.destroy();
+  await joiner.close();
+  await pairer.close();
+  await server.close();
+  console.log("\n✅ Identity rotation test complete!");
+}
+
+async function waitFor(check, attempts = 80) {
+  for (let i = 0; i < attempts; i++) {
+    if (await check()) return;
+    await sleep(250);
+  }
+  throw new Error("Timed out waiting for condition");
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Run the test
+runIdentityRotationTest()
+  .then(() => {
+    console.log("Test completed successfully!");
+    cleanup();
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Test runner failed:", err);
+    cleanup();
+    process.exit(1);
+  });
@@ -0,0 +1,147 @@
+const assert = require("assert");
+const Corestore = require("corestore");
+const path = require("path");
+const fs = require("fs");
+const rimraf = require("rimraf");
+const b4a = require("b4a");
+const SyncBase = require("../lib/syncbase");
+const CryptoManager = require("../lib/components/crypto-manager");
+const Keystore = require("../lib/components/keystore");
+
+// Test directory setup
+const TEST_DIR = path.join("./cores", "keystore-test-" + Date.now());
+console.log(`Test directory: ${TEST_DIR}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+// Cleanup function to run after tests
+function cleanup() {
+  console.log(`Cleaning up test directory: ${TEST_DIR}`);
+  rimraf.sync(TEST_DIR);
+  console.log("Cleanup complete");
+}
+
+const PASSWORD = "correct horse battery staple";
+
+async function runKeystoreTest() {
+  console.log("\n=== TESTING MNEMONICS AND THE KEYSTORE ===");
+
+  const mnemonic = SyncBase.generateMnemonic();
+  assert.equal(mnemonic.split(" ").length, 24);
+  assert(CryptoManager.validateMnemonic(mnemonic));
+  assert(CryptoManager.validateMnemonic(mnemonic.toUpperCase()));
+
+  // The last word carries the checksum
+  const words = mnemonic.split(" ");
+  const abandon = new Array(11).fill("abandon");
+  assert(CryptoManager.validateMnemonic([...abandon, "about"]));
+  assert(!CryptoManager.validateMnemonic([...abandon, "abandon"]));
+  assert(!CryptoManager.validateMnemonic("test seed phrase for a server"));
+  await assert.rejects(
+    CryptoManager.deriveKeysFromMnemonic("not a mnemonic"),
+    /Invalid mnemonic/
+  );
+  console.log("✓ Mnemonics are generated and validated");
+
+  const keys = await CryptoManager.deriveKeysFromMnemonic(mnemonic);
+  const again = await CryptoManager.deriveKeysFromMnemonic(words);
+  assert(b4a.equals(keys.publicKey, again.publicKey));
+  const other = await CryptoManager.deriveKeysFromMnemonic(mnemonic, "extra");
+  assert(!b4a.equals(keys.publicKey, other.publicKey));
+  console.log("✓ The same words derive the same identity");
+
+  // The first start stores the identity, encrypted with the password
+  const dir = path.join(TEST_DIR, "server");
+  let store = new Corestore(dir);
+  let server = new SyncBase(store, {
+    mnemonic,
+    password: PASSWORD,
+    replicate: false,
+  });
+  await server.ready();
+  assert(b4a.equals(server.crypto.publicKey, keys.publicKey));
+  await server.initialize({ name: "Keystore Server" });
+  await server.base.update();
+  const [channel] = await server.channels.getChannels();
+
+  const file = path.join(dir, "identity.keystore");
+  const stored = fs.readFileSync(file, "utf8");
+  assert.equal(JSON.parse(stored).publicKey, server.userId);
+  for (const word of words) {
+    assert(!new RegExp(`\\b${word}\\b`).test(stored), "No words in the file");
+  }
+  console.log("✓ The identity is stored in an encrypted keystore");
+
+  await server.close();
+  await store.close();
+
+  // Later starts only need the password
+  await assert.rejects(
+    SyncBase.open(new Corestore(dir), {
+      password: "wrong password",
+      replicate: false,
+    }),
+    /Invalid keystore password/
+  );
+  await assert.rejects(
+    SyncBase.open(new Corestore(dir), {
+      mnemonic: SyncBase.generateMnemonic(),
+      password: PASSWORD,
+      replicate: false,
+    }),
+    /Mnemonic does not match the keystore/
+  );
+
+  store = new Corestore(dir);
+  server = await SyncBase.open(store, {
+    password: PASSWORD,
+    replicate: false,
+  });
+  assert(b4a.equals(server.crypto.publicKey, keys.publicKey));
+  const sent = await server.messages.sendMessage({
+    channelId: channel.channelId,
+    content: "signed with the unlocked identity",
+  });
+  await server.base.update();
+  assert(await server.messages.getMessage(sent.id, channel.channelId));
+  console.log("✓ The keystore is unlocked on startup");
+
+  await server.close();
+  await store.close();
+
+  // The password can change and the words recover a lost keystore
+  const keystore = new Keystore(null, { path: file });
+  await keystore.changePassword(PASSWORD, "a new password");
+  await assert.rejects(keystore.unlock(PASSWORD), /Invalid keystore password/);
+  const unlocked = await keystore.unlock("a new password");
+  assert.equal(unlocked.mnemonic, mnemonic);
+
+  const recovered = new Keystore(null, {
+    path: path.join(TEST_DIR, "recovered.keystore"),
+  });
+  await assert.rejects(
+    recovered.open({ password: PASSWORD }),
+    /No keystore found/
+  );
+  const restored = await recovered.open({ mnemonic, password: PASSWORD });
+  assert(b4a.equals(restored.publicKey, keys.publicKey));
+  await assert.rejects(
+    recovered.create(mnemonic, PASSWORD),
+    /Keystore already exists/
+  );
+  console.log("✓ The identity is recovered from its words");
+
+  console.log("\n✅ Keystore test complete!");
+}
+
+// Run the test
+runKeystoreTest()
+  .then(() => {
+    console.log("Test completed successfully!");
+    cleanup();
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Test runner failed:", err);
+    cleanup();
+    process.exit(1);
+  });
@@ -0,0 +1,179 @@
+const assert = require("assert");
+const Corestore = require("corestore");
+const path = require("path");
+const fs = require("fs");
+const rimraf = require("rimraf");
+const b4a = require("b4a");
+const SyncBase = require("../lib/syncbase");
+
+// Test directory setup
+const TEST_DIR = path.join("./cores", "outbox-test-" + Date.now());
+console.log(`Test directory: ${TEST_DIR}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+// Cleanup function to run after tests
+function cleanup() {
+  console.log(`Cleaning up test directory: ${TEST_DIR}`);
+  rimraf.sync(TEST_DIR);
+  console.log("Cleanup complete");
+}
+
+async function runOutboxTest() {
+  console.log("\n=== TESTING THE OFFLINE OUTBOX ===");
+
+  const store1 = new Corestore(path.join(TEST_DIR, "server"));
+  await store1.ready();
+
+  const server = new SyncBase(store1, {
+    seedPhrase: "test seed phrase for outbox server",
+    replicate: false,
+  });
+  await server.ready();
+  await server.initialize({ name: "Outbox Test Server" });
+  await server.base.update();
+
+  const [channel] = await server.channels.getChannels();
+  const author = b4a.toString(server.crypto.publicKey, "hex");
+
+  // A writable peer appends right away
+  const sent = await server.messages.sendMessage({
+    channelId: channel.channelId,
+    content: "straight through",
+  });
+  await server.base.update();
+  await server.outbox.flush();
+
+  const applied = await server.getOutbox({ status: "applied" });
+  assert(
+    applied.some((entry) => entry.action.payload.id === sent.id),
+    "Message should be applied"
+  );
+  console.log("✓ Action appended and applied while writable");
+
+  // Actions the view refuses are reported as rejected
+  const invalid = server.crypto.createSignedAction("@server/send-message", {
+    id: server.crypto.generateId(),
+    channelId: channel.channelId,
+    content: "",
+    author,
+    attachments: JSON.stringify([]),
+    timestamp: Date.now(),
+  });
+  await server.outbox.append(invalid);
+  await server.base.update();
+  await server.outbox.flush();
+
+  const rejected = await server.getActionStatus(invalid);
+  assert.equal(rejected.status, "rejected");
+  assert(rejected.error, "Rejection should carry a reason");
+  console.log("✓ Invalid action marked as rejected");
+
+  // A rejection from the optimistic view is not final, a later apply wins
+  const reordered = server.crypto.createSignedAction("@server/send-message", {
+    id: server.crypto.generateId(),
+    channelId: channel.channelId,
+    content: "applied after a reorder",
+    author,
+    attachments: JSON.stringify([]),
+    timestamp: Date.now(),
+  });
+  await server.outbox.append(reordered);
+  await server.outbox.reject(reordered, "Already applied");
+  assert.equal((await server.getActionStatus(reordered)).status, "applied");
+
+  const { seq } = await server.getActionStatus(reordered);
+  const entry = await server.outbox.db.get("@server/outbox", { seq });
+  await server.outbox._setStatus(entry, "rejected", "Dependency not applied");
+  assert.equal((await server.getActionStatus(reordered)).status, "rejected");
+  await server.base.update();
+  await server.outbox.flush();
+  assert.equal((await server.getActionStatus(reordered)).status, "applied");
+  console.log("✓ Later apply overwrites an optimistic rejection");
+
+  // Pair a second peer over a stream, then take it offline
+  const invite = await server.invites.createInvite({
+    serverId: author,
+    expireInDays: 1,
+  });
+
+  const store2 = new Corestore(path.join(TEST_DIR, "joiner"));
+  await store2.ready();
+
+  const pairer = SyncBase.pair(store2, invite, {
+    seedPhrase: "test seed phrase for outbox joiner",
+    replicate: false,
+  });
+  const finished = pairer.finished();
+  await pairer.ready();
+
+  let s1 = server.replicate(true);
+  let s2 = pairer.replicate(false);
+  s1.pipe(s2).pipe(s1);
+
+  const joiner = await finished;
+  await joiner.ready();
+  await waitFor(async () => (await joiner.channels.getChannels()).length > 0);
+  await waitFor(async () => await joiner.hasPermission("SEND_MESSAGES"));
+
+  s1.destroy();
+  s2.destroy();
+  await waitFor(async () => joiner.transport.connections.size === 0);
+  assert.equal(joiner.writable, false, "Joiner should not be writable");
+
+  const statuses = [];
+  joiner.on("action-status", (entry) => statuses.push(entry.status));
+
+  const offline = await joiner.messages.sendMessage({
+    channelId: channel.channelId,
+    content: "written while offline",
+  });
+  const queued = await joiner.getOutbox({ status: "queued" });
+  assert.equal(queued.length, 1, "Message should be queued while offline");
+  assert.equal(queued[0].action.payload.id, offline.id);
+  console.log("✓ Action queued while offline");
+
+  // Reconnect, the outbox flushes on its own
+  s1 = server.replicate(true);
+  s2 = joiner.replicate(false);
+  s1.pipe(s2).pipe(s1);
+
+  await waitFor(async () => {
+    await joiner.base.update();
+    const entry = await joiner.getActionStatus(queued[0].id);
+    return entry.status === "applied";
+  });
+  assert.deepEqual(statuses, ["queued", "appended", "applied"]);
+  console.log("✓ Queued action appended and applied after reconnecting");
+
+  s1.destroy();
+  s2.destroy();
+  await joiner.close();
+  await pairer.close();
+  await server.close();
+  console.log("\n✅ Outbox test complete!");
+}
+
+async function waitFor(check, attempts = 40) {
+  for (let i = 0; i < attempts; i++) {
+    if (await check()) return;
+    await sleep(250);
+  }
+  throw new Error("Timed out waiting for condition");
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Run the test
+runOutboxTest()
+  .then(() => {
+    console.log("Test completed successfully!");
+    cleanup();
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Test runner failed:", err);
+    cleanup();
+    process.exit(1);
+  });
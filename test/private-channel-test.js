@@ -0,0 +1,297 @@
+const assert = require("assert");
+const Corestore = require("corestore");
+const path = require("path");
+const fs = require("fs");
+const rimraf = require("rimraf");
+const b4a = require("b4a");
+const SyncBase = require("../lib/syncbase");
+
+// Test directory setup
+const TEST_DIR = path.join("./cores", "private-channel-test-" + Date.now());
+console.log(`Test directory: ${TEST_DIR}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+// Cleanup function to run after tests
+function cleanup() {
+  console.log(`Cleaning up test directory: ${TEST_DIR}`);
+  rimraf.sync(TEST_DIR);
+  console.log("Cleanup complete");
+}
+
+const streams = [];
+
+function connect(a, b) {
+  const s1 = a.replicate(true);
+  const s2 = b.replicate(false);
+  s1.pipe(s2).pipe(s1);
+  streams.push(s1, s2);
+}
+
+async function join(server, name) {
+  const invite = await server.invites.createInvite({
+    serverId: server.userId,
+    expireInDays: 1,
+  });
+  const pairer = SyncBase.pair(
+    new Corestore(path.join(TEST_DIR, name)),
+    invite,
+    {
+      seedPhrase: `test seed phrase for private channels ${name}`,
+      replicate: false,
+    }
+  );
+  const finished = pairer.finished();
+  await pairer.ready();
+  connect(server, pairer);
+
+  const member = await finished;
+  await member.ready();
+  await waitFor(async () => {
+    await server.base.update();
+    return (await server.getWriters(member.userId)).length === 1;
+  });
+  return { pairer, member };
+}
+
+async function runPrivateChannelTest() {
+  console.log("\n=== TESTING PRIVATE CHANNELS ===");
+
+  const server = new SyncBase(new Corestore(path.join(TEST_DIR, "owner")), {
+    seedPhrase: "test seed phrase for private channels owner",
+    replicate: false,
+  });
+  await server.ready();
+  await server.initialize({ name: "Private Channel Server" });
+  await server.base.update();
+  const { id: serverId } = await server.getServerInfo();
+
+  const alice = await join(server, "alice");
+  const bob = await join(server, "bob");
+  const aliceId = alice.member.userId;
+  const bobId = bob.member.userId;
+  const peers = [server, alice.member, bob.member];
+
+  const sync = async () => {
+    for (const peer of peers) await peer.base.update();
+  };
+  const read = async (peer, message) =>
+    (await peer.messages.getMessage(message.id, channel.channelId))?.content;
+
+  const channel = await server.createPrivateChannel({
+    name: "staff",
+    members: [aliceId],
+  });
+  await waitFor(async () => {
+    await sync();
+    return (await alice.member.getChannelMembers(channel.channelId)).length;
+  });
+  assert.deepEqual(
+    (await bob.member.getChannelMembers(channel.channelId)).sort(),
+    [server.userId, aliceId].sort()
+  );
+
+  const first = await alice.member.messages.sendMessage({
+    channelId: channel.channelId,
+    content: "for the staff only",
+  });
+  await waitFor(async () => {
+    await sync();
+    return !!(await bob.member.base.view.get("@server/message", {
+      id: first.id,
+      channelId: channel.channelId,
+    }));
+  });
+  assert.equal(await read(server, first), first.content);
+  assert.equal(await read(alice.member, first), first.content);
+  assert.equal(await read(bob.member, first), null);
+  const stored = await bob.member.base.view.get("@server/message", {
+    id: first.id,
+    channelId: channel.channelId,
+  });
+  assert.notEqual(stored.content, first.content);
+  console.log("✓ Only members read the messages of a private channel");
+
+  await assert.rejects(
+    bob.member.messages.sendMessage({
+      channelId: channel.channelId,
+      content: "let me in",
+    }),
+    /not a member of this private channel/
+  );
+  const forged = bob.member.crypto.createSignedAction("@server/send-message", {
+    id: bob.member.crypto.generateId(),
+    channelId: channel.channelId,
+    content: stored.content,
+    author: bobId,
+    attachments: JSON.stringify([]),
+    keyEpoch: 0,
+  });
+  await bob.member.outbox.append(forged);
+  await waitFor(async () => {
+    await sync();
+    return (await bob.member.getActionStatus(forged)).status === "rejected";
+  });
+  console.log("✓ Non-members cannot write to a private channel");
+
+  // A new member reads from the epoch they were added in
+  await server.addChannelMember(channel.channelId, bobId);
+  await waitFor(async () => {
+    await sync();
+    return (
+      (await bob.member.privateChannels.getKeyRecord(channel.channelId))
+        ?.epoch === 1
+    );
+  });
+  const second = await server.messages.sendMessage({
+    channelId: channel.channelId,
+    content: "welcome bob",
+  });
+  await waitFor(async () => {
+    await sync();
+    return (await read(bob.member, second)) === second.content;
+  });
+  assert.equal(await read(bob.member, first), null);
+  console.log("✓ Adding a member rekeys the channel for them");
+
+  // A removed member keeps what they could read, but nothing new
+  await server.removeChannelMember(channel.channelId, aliceId);
+  await waitFor(async () => {
+    await sync();
+    return (
+      (await alice.member.privateChannels.getKeyRecord(channel.channelId))
+        ?.epoch === 2
+    );
+  });
+  const third = await bob.member.messages.sendMessage({
+    channelId: channel.channelId,
+    content: "alice is gone",
+  });
+  await waitFor(async () => {
+    await sync();
+    return (await read(server, third)) === third.content;
+  });
+  assert.equal(await read(alice.member, third), null);
+  assert.equal(await read(alice.member, second), second.content);
+  await assert.rejects(
+    alice.member.messages.sendMessage({
+      channelId: channel.channelId,
+      content: "still here?",
+    }),
+    /not a member of this private channel/
+  );
+  console.log("✓ Removing a member rekeys the channel without them");
+
+  await bob.member.messages.editMessage({
+    messageId: third.id,
+    channelId: channel.channelId,
+    content: "alice left the channel",
+  });
+  await waitFor(async () => {
+    await sync();
+    return (await read(server, third)) === "alice left the channel";
+  });
+  assert.equal(await read(alice.member, third), null);
+  console.log("✓ Edits stay encrypted");
+
+  // A ban is kept in the view and rekeys the channel without the user
+  await server.addChannelMember(channel.channelId, aliceId);
+  await waitFor(async () => {
+    await sync();
+    return (
+      (await alice.member.privateChannels.getKeyRecord(channel.channelId))
+        ?.epoch === 3
+    );
+  });
+  await server.banUser(aliceId, { reason: "spam" });
+  await waitFor(async () => {
+    await sync();
+    const members = await server.getChannelMembers(channel.channelId);
+    return !members.includes(aliceId);
+  });
+  assert.equal(await alice.member.isUserBanned(aliceId), true);
+  assert.deepEqual(
+    (await bob.member.roles.listBannedUsers()).map((ban) => ban.userId),
+    [aliceId]
+  );
+  const fourth = await server.messages.sendMessage({
+    channelId: channel.channelId,
+    content: "alice is banned",
+  });
+  await waitFor(async () => {
+    await sync();
+    return (await read(bob.member, fourth)) === fourth.content;
+  });
+  assert.equal(await read(alice.member, fourth), null);
+  await assert.rejects(
+    server.addChannelMember(channel.channelId, aliceId),
+    /cannot read messages/
+  );
+  const general = await server.channels.createChannel({ name: "general" });
+  const banned = alice.member.crypto.createSignedAction(
+    "@server/send-message",
+    {
+      id: alice.member.crypto.generateId(),
+      channelId: general.channelId,
+      content: "still talking",
+      author: aliceId,
+      attachments: JSON.stringify([]),
+    }
+  );
+  await alice.member.outbox.append(banned);
+  await waitFor(async () => {
+    await sync();
+    return (await alice.member.getActionStatus(banned)).status === "rejected";
+  });
+  console.log("✓ Banned members are rekeyed out and cannot write");
+
+  // Losing READ_MESSAGES rekeys the channel without waiting for anyone
+  await server.permissions.setRole({ userId: bobId, serverId, role: "GUEST" });
+  await waitFor(async () => {
+    await sync();
+    const members = await server.getChannelMembers(channel.channelId);
+    return members.length === 1;
+  });
+  const record = await server.privateChannels.getKeyRecord(channel.channelId);
+  assert.equal(record.epoch, 5);
+  assert.deepEqual(await server.getChannelMembers(channel.channelId), [
+    server.userId,
+  ]);
+  await assert.rejects(
+    server.addChannelMember(channel.channelId, bobId),
+    /cannot read messages/
+  );
+  console.log("✓ Members that lose READ_MESSAGES are rekeyed out");
+
+  for (const stream of streams) stream.destroy();
+  for (const { member, pairer } of [alice, bob]) {
+    await member.close();
+    await pairer.close();
+  }
+  await server.close();
+  console.log("\n✅ Private channel test complete!");
+}
+
+async function waitFor(check, attempts = 80) {
+  for (let i = 0; i < attempts; i++) {
+    if (await check()) return;
+    await sleep(250);
+  }
+  throw new Error("Timed out waiting for condition");
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Run the test
+runPrivateChannelTest()
+  .then(() => {
+    console.log("Test completed successfully!");
+    cleanup();
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Test runner failed:", err);
+    cleanup();
+    process.exit(1);
+  });
@@ -0,0 +1,214 @@
+const assert = require("assert");
+const Corestore = require("corestore");
+const path = require("path");
+const fs = require("fs");
+const rimraf = require("rimraf");
+const b4a = require("b4a");
+const SyncBase = require("../lib/syncbase");
+const ProtocolManager = require("../lib/components/protocol-manager");
+const CryptoManager = require("../lib/components/crypto-manager");
+
+// Test directory setup
+const TEST_DIR = path.join("./cores", "protocol-test-" + Date.now());
+console.log(`Test directory: ${TEST_DIR}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+// Cleanup function to run after tests
+function cleanup() {
+  console.log(`Cleaning up test directory: ${TEST_DIR}`);
+  rimraf.sync(TEST_DIR);
+  console.log("Cleanup complete");
+}
+
+const NEWER = ProtocolManager.PROTOCOL_VERSION + 1;
+
+async function waitFor(check, timeout = 20000) {
+  const start = Date.now();
+  while (!(await check())) {
+    if (Date.now() - start > timeout) throw new Error("Timed out waiting");
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+}
+
+async function createServer(name, options = {}) {
+  const server = new SyncBase(new Corestore(path.join(TEST_DIR, name)), {
+    seedPhrase: `test seed phrase for protocol ${name}`,
+    replicate: false,
+    ...options,
+  });
+  await server.ready();
+  await server.initialize({ name });
+  await server.base.update();
+  const [channel] = await server.channels.getChannels();
+  return { server, channel };
+}
+
+// Append a message the way a peer running a newer protocol would
+async function appendFromNewerPeer(server, channelId, content) {
+  const id = server.crypto.generateId();
+  const action = server.crypto.createSignedAction("@server/send-message", {
+    id,
+    channelId,
+    content,
+    author: b4a.toString(server.crypto.publicKey, "hex"),
+    attachments: JSON.stringify([]),
+    timestamp: Date.now(),
+  });
+  action.version = NEWER;
+  action.signature = server.crypto.sign(CryptoManager.signable(action));
+
+  await server.base.append(action, { optimistic: true });
+  await server.base.update();
+  return { id, action };
+}
+
+async function runProtocolTest() {
+  console.log("\n=== TESTING PROTOCOL VERSIONS ===");
+
+  // Buffer policy: park the action until this peer is upgraded
+  const { server, channel } = await createServer("buffer");
+  const unsupported = [];
+  server.on("protocol-unsupported", (event) => unsupported.push(event));
+
+  const sent = await server.messages.sendMessage({
+    channelId: channel.channelId,
+    content: "current protocol",
+  });
+  const status = await server.outbox.getStatus(
+    (await server.outbox.getEntries()).pop().id
+  );
+  assert.equal(status.action.version, ProtocolManager.PROTOCOL_VERSION);
+  assert(await server.messages.getMessage(sent.id, channel.channelId));
+  console.log("✓ Actions carry the protocol version");
+
+  const newer = await appendFromNewerPeer(
+    server,
+    channel.channelId,
+    "newer protocol"
+  );
+  assert.equal(
+    await server.messages.getMessage(newer.id, channel.channelId),
+    null
+  );
+  const pending = await server.getPendingActions({
+    dependency: `protocol:${NEWER}`,
+  });
+  assert.equal(pending.length, 1);
+  assert.equal(unsupported.length, 1);
+  assert.equal(unsupported[0].version, NEWER);
+  assert.equal(unsupported[0].policy, "buffer");
+  console.log("✓ Newer action buffered instead of applied");
+
+  // Upgrading replays the buffered action on the next apply batch
+  server.protocol.version = NEWER;
+  await server.messages.sendMessage({
+    channelId: channel.channelId,
+    content: "after the upgrade",
+  });
+  await server.base.update();
+  const replayed = await server.messages.getMessage(
+    newer.id,
+    channel.channelId
+  );
+  assert.equal(replayed.content, "newer protocol");
+  assert.equal((await server.getPendingActions()).length, 0);
+  console.log("✓ Buffered action applied after the upgrade");
+  await server.close();
+
+  // Ignore policy: skip the action without keeping it
+  const ignoring = await createServer("ignore", { protocolPolicy: "ignore" });
+  const ignored = await appendFromNewerPeer(
+    ignoring.server,
+    ignoring.channel.channelId,
+    "skipped"
+  );
+  assert.equal(
+    await ignoring.server.messages.getMessage(
+      ignored.id,
+      ignoring.channel.channelId
+    ),
+    null
+  );
+  assert.equal((await ignoring.server.getPendingActions()).length, 0);
+  assert.equal(await ignoring.server.isProcessed(ignored.action), false);
+  console.log("✓ Newer action ignored");
+  await ignoring.server.close();
+
+  // Block policy: hold back local writes until this peer is upgraded
+  const blocking = await createServer("block", { protocolPolicy: "block" });
+  await appendFromNewerPeer(
+    blocking.server,
+    blocking.channel.channelId,
+    "blocks writes"
+  );
+  assert.equal(blocking.server.getProtocolInfo().blockedBy, NEWER);
+  await blocking.server.messages.sendMessage({
+    channelId: blocking.channel.channelId,
+    content: "held back",
+  });
+  const queued = await blocking.server.outbox.getEntries("queued");
+  assert.equal(queued.length, 1);
+  assert.equal(queued[0].action.payload.content, "held back");
+  console.log("✓ Local writes blocked by a newer action");
+  await blocking.server.close();
+
+  assert.throws(
+    () =>
+      new SyncBase(new Corestore(path.join(TEST_DIR, "invalid")), {
+        replicate: false,
+        protocolPolicy: "drop",
+      }),
+    /Unknown protocol policy: drop/
+  );
+
+  // Peers advertise the versions they support when they connect
+  const host = await createServer("host");
+  const invite = await host.server.invites.createInvite({
+    serverId: b4a.toString(host.server.crypto.publicKey, "hex"),
+    expireInDays: 1,
+  });
+  const pairer = SyncBase.pair(
+    new Corestore(path.join(TEST_DIR, "joiner")),
+    invite,
+    { seedPhrase: "test seed phrase for protocol joiner", replicate: false }
+  );
+  const finished = pairer.finished();
+  await pairer.ready();
+
+  const s1 = host.server.replicate(true);
+  const s2 = pairer.replicate(false);
+  s1.pipe(s2).pipe(s1);
+
+  const joiner = await finished;
+  await joiner.ready();
+
+  await waitFor(() => host.server.getProtocolInfo().peers.length === 1);
+  await waitFor(() => joiner.getProtocolInfo().peers.length === 1);
+  const [peer] = joiner.getProtocolInfo().peers;
+  assert.deepEqual(
+    { min: peer.min, max: peer.max, compatible: peer.compatible },
+    {
+      min: ProtocolManager.MIN_PROTOCOL_VERSION,
+      max: ProtocolManager.PROTOCOL_VERSION,
+      compatible: true,
+    }
+  );
+  console.log("✓ Supported versions exchanged on connect");
+
+  await joiner.close();
+  await host.server.close();
+  console.log("\n✅ Protocol test complete!");
+}
+
+// Run the test
+runProtocolTest()
+  .then(() => {
+    console.log("Test completed successfully!");
+    cleanup();
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Test runner failed:", err);
+    cleanup();
+    process.exit(1);
+  });
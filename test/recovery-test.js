@@ -0,0 +1,231 @@
+const assert = require("assert");
+const Corestore = require("corestore");
+const path = require("path");
+const fs = require("fs");
+const rimraf = require("rimraf");
+const b4a = require("b4a");
+const SyncBase = require("../lib/syncbase");
+const CryptoManager = require("../lib/components/crypto-manager");
+
+// Test directory setup
+const TEST_DIR = path.join("./cores", "recovery-test-" + Date.now());
+console.log(`Test directory: ${TEST_DIR}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+// Cleanup function to run after tests
+function cleanup() {
+  console.log(`Cleaning up test directory: ${TEST_DIR}`);
+  rimraf.sync(TEST_DIR);
+  console.log("Cleanup complete");
+}
+
+const streams = [];
+
+function connect(a, b) {
+  const s1 = a.replicate(true);
+  const s2 = b.replicate(false);
+  s1.pipe(s2).pipe(s1);
+  streams.push(s1, s2);
+}
+
+async function join(server, name) {
+  const invite = await server.invites.createInvite({
+    serverId: server.userId,
+    expireInDays: 1,
+  });
+  const pairer = SyncBase.pair(
+    new Corestore(path.join(TEST_DIR, name)),
+    invite,
+    { seedPhrase: `test seed phrase for recovery ${name}`, replicate: false }
+  );
+  const finished = pairer.finished();
+  await pairer.ready();
+  connect(server, pairer);
+
+  const member = await finished;
+  await member.ready();
+  await waitFor(async () => {
+    await server.base.update();
+    return (await server.getWriters(member.userId)).length === 1;
+  });
+  return { pairer, member };
+}
+
+async function runRecoveryTest() {
+  console.log("\n=== TESTING SOCIAL RECOVERY ===");
+
+  const server = new SyncBase(new Corestore(path.join(TEST_DIR, "owner")), {
+    seedPhrase: "test seed phrase for recovery owner",
+    replicate: false,
+  });
+  await server.ready();
+  await server.initialize({ name: "Recovery Server" });
+  await server.base.update();
+  const [channel] = await server.channels.getChannels();
+  const ownerId = server.userId;
+
+  const alice = await join(server, "alice");
+  const bob = await join(server, "bob");
+  const carol = await join(server, "carol");
+  const guardians = [alice.member, bob.member, carol.member];
+
+  await assert.rejects(
+    server.setupRecovery({ guardians: [alice.member.userId], threshold: 2 }),
+    /between 2 and 255 guardians/
+  );
+  await server.setupRecovery({
+    guardians: guardians.map((guardian) => guardian.userId),
+    threshold: 2,
+  });
+  for (const guardian of guardians) {
+    await waitFor(async () => {
+      await guardian.base.update();
+      return !!(await guardian.getRecovery(ownerId));
+    });
+  }
+  const recovery = await server.getRecovery();
+  assert.equal(recovery.threshold, 2);
+  assert.equal(recovery.guardians.length, 3);
+  assert(
+    recovery.guardians.every((g) => !g.share.includes(ownerId)),
+    "Shares are sealed"
+  );
+  console.log("✓ The identity seed is split among the guardians");
+
+  // The owner lost the key and opens the server on a new device
+  const device = new SyncBase(new Corestore(path.join(TEST_DIR, "device")), {
+    key: server.base.key,
+    encryptionKey: server.base.encryptionKey,
+    seedPhrase: "test seed phrase for a recovering device",
+    replicate: false,
+  });
+  await device.ready();
+  connect(server, device);
+  await waitFor(async () => {
+    await device.base.update();
+    return !!(await device.getRecovery(ownerId));
+  });
+
+  const request = await device.requestRecovery({ userId: ownerId });
+  for (const guardian of guardians) {
+    await waitFor(async () => {
+      await server.base.update();
+      await guardian.base.update();
+      return (await guardian.getRecoveryRequests()).length === 1;
+    });
+  }
+  const [seen] = await alice.member.getRecoveryRequests();
+  assert.equal(seen.requesterKey, request.requesterKey);
+  console.log("✓ Guardians see the request of the new device");
+
+  await alice.member.approveRecovery(request.id);
+  await waitFor(async () => {
+    await server.base.update();
+    await device.base.update();
+    return (await device.recovery.getApprovals(request.id)).length === 1;
+  });
+  await assert.rejects(
+    device.completeRecovery(request.id),
+    /Not enough approvals: 1 of 2/
+  );
+  await assert.rejects(
+    server.approveRecovery(request.id),
+    /not a guardian of this user/
+  );
+
+  // A guardian hands over a share that is not theirs, it does not count
+  const forged = b4a.alloc(33, 7);
+  const approvedAt = carol.member.crypto.now();
+  await carol.member.outbox.append(
+    carol.member.crypto.createSignedAction("@server/approve-recovery", {
+      requestId: request.id,
+      guardianId: carol.member.userId,
+      share: b4a.toString(
+        CryptoManager.seal(forged, request.requesterKey),
+        "hex"
+      ),
+      approvedAt,
+      timestamp: approvedAt,
+    })
+  );
+  await waitFor(async () => {
+    await server.base.update();
+    await device.base.update();
+    return (await device.recovery.getApprovals(request.id)).length === 2;
+  });
+  await assert.rejects(
+    device.completeRecovery(request.id),
+    /Not enough valid shares: 1 of 2/
+  );
+  console.log("✓ A share that does not match its committed hash is skipped");
+
+  await bob.member.approveRecovery(request.id);
+  await waitFor(async () => {
+    await server.base.update();
+    await device.base.update();
+    return (await device.recovery.getApprovals(request.id)).length === 3;
+  });
+  assert.equal((await alice.member.getRecoveryRequests()).length, 0);
+
+  const recovered = await device.completeRecovery(request.id);
+  assert.equal(recovered.userId, ownerId);
+  assert(b4a.equals(device.crypto.publicKey, server.crypto.publicKey));
+  assert.equal(device.userId, ownerId);
+  console.log("✓ Two valid approvals reassemble the key on the new device");
+
+  // The device binds its writer and moves to a key the guardians never held
+  await waitFor(async () => {
+    await device.base.update();
+    await server.base.update();
+    return (await server.getWriters(ownerId)).length === 2;
+  });
+  const rotated = await device.rotateIdentity();
+  assert(await device.hasPermission("MANAGE_CHANNELS"), "Still the owner");
+  const sent = await device.messages.sendMessage({
+    channelId: channel.channelId,
+    content: "back in control",
+  });
+  await waitFor(async () => {
+    await server.base.update();
+    return !!(await server.messages.getMessage(sent.id, channel.channelId));
+  });
+  const message = await server.messages.getMessage(sent.id, channel.channelId);
+  assert.equal(message.author, ownerId);
+  const history = await server.getIdentityHistory(ownerId);
+  assert.equal(history[history.length - 1].key, rotated.key);
+  console.log("✓ The recovered identity acts as the owner and rotates away");
+
+  for (const stream of streams) stream.destroy();
+  await device.close();
+  for (const { member, pairer } of [alice, bob, carol]) {
+    await member.close();
+    await pairer.close();
+  }
+  await server.close();
+  console.log("\n✅ Recovery test complete!");
+}
+
+async function waitFor(check, attempts = 80) {
+  for (let i = 0; i < attempts; i++) {
+    if (await check()) return;
+    await sleep(250);
+  }
+  throw new Error("Timed out waiting for condition");
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Run the test
+runRecoveryTest()
+  .then(() => {
+    console.log("Test completed successfully!");
+    cleanup();
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Test runner failed:", err);
+    cleanup();
+    process.exit(1);
+  });
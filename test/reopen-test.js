@@ -0,0 +1,148 @@
+const assert = require("assert");
+const Corestore = require("corestore");
+const path = require("path");
+const fs = require("fs");
+const rimraf = require("rimraf");
+const b4a = require("b4a");
+const SyncBase = require("../lib/syncbase");
+
+// Test directory setup
+const TEST_DIR = path.join("./cores", "reopen-test-" + Date.now());
+console.log(`Test directory: ${TEST_DIR}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+// Cleanup function to run after tests
+function cleanup() {
+  console.log(`Cleaning up test directory: ${TEST_DIR}`);
+  rimraf.sync(TEST_DIR);
+  console.log("Cleanup complete");
+}
+
+const SERVER_SEED = "test seed phrase for reopen server";
+const JOINER_SEED = "test seed phrase for reopen joiner";
+
+async function runReopenTest() {
+  console.log("\n=== TESTING REOPEN FROM LOCAL STORAGE ===");
+
+  const serverDir = path.join(TEST_DIR, "server");
+  let store1 = new Corestore(serverDir);
+  let server = new SyncBase(store1, {
+    seedPhrase: SERVER_SEED,
+    replicate: false,
+  });
+  await server.ready();
+  await server.initialize({ name: "Reopen Server" });
+  await server.base.update();
+
+  const serverKey = b4a.toString(server.base.key, "hex");
+  const invite = await server.invites.createInvite({
+    serverId: b4a.toString(server.crypto.publicKey, "hex"),
+    expireInDays: 1,
+  });
+
+  const joinerDir = path.join(TEST_DIR, "joiner");
+  let store2 = new Corestore(joinerDir);
+  const pairer = SyncBase.pair(store2, invite, {
+    seedPhrase: JOINER_SEED,
+    replicate: false,
+  });
+  const finished = pairer.finished();
+  await pairer.ready();
+
+  const s1 = server.replicate(true);
+  const s2 = pairer.replicate(false);
+  s1.pipe(s2).pipe(s1);
+
+  let joiner = await finished;
+  await joiner.ready();
+  await waitFor(async () => {
+    await joiner.base.update();
+    const info = await joiner.getServerInfo();
+    return info && info.name === "Reopen Server";
+  });
+
+  s1.destroy();
+  s2.destroy();
+  await joiner.close();
+  await pairer.close();
+  await server.close();
+  await store1.close();
+  await store2.close();
+
+  // Restart both peers from disk
+  store1 = new Corestore(serverDir);
+  store2 = new Corestore(joinerDir);
+
+  const servers = await SyncBase.list(store1);
+  assert.equal(servers.length, 1);
+  assert.equal(servers[0].key, serverKey);
+  assert.equal(servers[0].name, "Reopen Server");
+  assert(servers[0].encryptionKey, "Encryption key is stored");
+  assert.equal(
+    servers[0].identity,
+    b4a.toString(server.crypto.publicKey, "hex")
+  );
+  console.log("✓ Server metadata listed after a restart");
+
+  server = await SyncBase.open(store1, {
+    seedPhrase: SERVER_SEED,
+    replicate: false,
+  });
+  assert.equal(b4a.toString(server.base.key, "hex"), serverKey);
+  assert.equal((await server.getServerInfo()).name, "Reopen Server");
+  console.log("✓ Created server reopened");
+
+  const joined = await SyncBase.list(store2);
+  assert.equal(joined.length, 1);
+  assert.equal(joined[0].key, serverKey);
+  assert.equal(joined[0].name, "Reopen Server");
+
+  await assert.rejects(
+    SyncBase.open(store2, { seedPhrase: SERVER_SEED, replicate: false }),
+    /does not match/
+  );
+
+  joiner = await SyncBase.open(store2, {
+    key: serverKey,
+    seedPhrase: JOINER_SEED,
+    replicate: false,
+  });
+  assert.equal(b4a.toString(joiner.base.key, "hex"), serverKey);
+  assert.equal((await joiner.getServerInfo()).name, "Reopen Server");
+  console.log("✓ Joined server reopened without the pairer");
+
+  await joiner.close();
+  await server.close();
+  await store1.close();
+  await store2.close();
+
+  const empty = new Corestore(path.join(TEST_DIR, "empty"));
+  await assert.rejects(SyncBase.open(empty), /No server is stored/);
+  await empty.close();
+  console.log("\n✅ Reopen test complete!");
+}
+
+async function waitFor(check, attempts = 40) {
+  for (let i = 0; i < attempts; i++) {
+    if (await check()) return;
+    await sleep(250);
+  }
+  throw new Error("Timed out waiting for condition");
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Run the test
+runReopenTest()
+  .then(() => {
+    console.log("Test completed successfully!");
+    cleanup();
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Test runner failed:", err);
+    cleanup();
+    process.exit(1);
+  });
@@ -0,0 +1,178 @@
+const assert = require("assert");
+const Corestore = require("corestore");
+const path = require("path");
+const fs = require("fs");
+const rimraf = require("rimraf");
+const HyperDB = require("hyperdb");
+const db = require("../lib/components/spec/db");
+const SyncBase = require("../lib/syncbase");
+const SchemaMigrator = require("../lib/components/schema-migrator");
+const ServerRegistry = require("../lib/components/server-registry");
+
+// Test directory setup
+const TEST_DIR = path.join("./cores", "schema-migration-test-" + Date.now());
+console.log(`Test directory: ${TEST_DIR}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+// Cleanup function to run after tests
+function cleanup() {
+  console.log(`Cleaning up test directory: ${TEST_DIR}`);
+  rimraf.sync(TEST_DIR);
+  console.log("Cleanup complete");
+}
+
+const SEED = "test seed phrase for schema migration";
+
+async function runSchemaMigrationTest() {
+  console.log("\n=== TESTING SCHEMA VERSIONING AND MIGRATIONS ===");
+
+  const storage = path.join(TEST_DIR, "server");
+  let server = new SyncBase(new Corestore(storage), {
+    seedPhrase: SEED,
+    replicate: false,
+  });
+  await server.ready();
+  await server.initialize({ name: "Versioned Server" });
+  await server.base.update();
+
+  const [channel] = await server.channels.getChannels();
+  const sent = await server.messages.sendMessage({
+    channelId: channel.channelId,
+    content: "written before the upgrade",
+  });
+  await server.base.update();
+
+  const key = server.base.key;
+  const current = SchemaMigrator.SCHEMA_VERSION;
+  assert.deepEqual(await server.getSchemaVersion(), {
+    schema: current,
+    view: current,
+  });
+  console.log(`✓ New view recorded schema version ${current}`);
+  await server.close();
+
+  // Reopen with a build that ships a newer schema and a migration
+  const migrated = [];
+  server = new SyncBase(new Corestore(storage), {
+    seedPhrase: SEED,
+    key,
+    replicate: false,
+  });
+  server.migrator.version = current + 1;
+  server.migrator.migrations.push({
+    version: current + 1,
+    description: "Mark existing messages as migrated",
+    up: async (view) => {
+      for await (const message of view.find("@server/message", {})) {
+        migrated.push(message.id);
+        await view.insert("@server/message", {
+          ...message,
+          content: message.content + " (migrated)",
+        });
+      }
+    },
+  });
+  await server.ready();
+
+  assert.deepEqual(migrated, [sent.id], "The migration ran once");
+  const message = await server.messages.getMessage(sent.id, channel.channelId);
+  assert.equal(message.content, "written before the upgrade (migrated)");
+  assert.equal((await server.getSchemaVersion()).view, current + 1);
+  const migrations = [];
+  for await (const record of server.base.view.find("@server/processed", {})) {
+    if (record.type === "@server/migrate-schema") migrations.push(record);
+  }
+  assert.equal(
+    migrations.length,
+    2,
+    "Creating and upgrading signed a migration"
+  );
+  console.log("✓ Outdated view migrated by a signed action when opened");
+
+  // Later batches leave the migrated view alone
+  await server.messages.sendMessage({
+    channelId: channel.channelId,
+    content: "written after the upgrade",
+  });
+  await server.base.update();
+  assert.equal(migrated.length, 1);
+  await server.close();
+
+  // The old build refuses the view written by the newer one
+  server = new SyncBase(new Corestore(storage), {
+    seedPhrase: SEED,
+    key,
+    replicate: false,
+  });
+  await assert.rejects(
+    server.ready(),
+    new RegExp(
+      `written with schema version ${
+        current + 1
+      }, .* only supports up to version ${current}`
+    )
+  );
+  console.log("✓ Newer view refused with a clear error");
+  await server.store.close();
+
+  // The view is checked too, when the registry does not know its version
+  const registry = new ServerRegistry(new Corestore(storage));
+  await registry.init();
+  await registry.remove(key);
+  await registry.close();
+  await registry.store.close();
+
+  server = new SyncBase(new Corestore(storage), {
+    seedPhrase: SEED,
+    key,
+    replicate: false,
+  });
+  await assert.rejects(
+    server.ready(),
+    new RegExp(`written with schema version ${current + 1}`)
+  );
+  console.log("✓ Newer view refused without a registry record");
+
+  await server.store.close();
+
+  // Writers bound before devices existed get the key of their user
+  const store = new Corestore(path.join(TEST_DIR, "scratch"));
+  const scratch = HyperDB.bee(store.get({ name: "view" }), db, {
+    autoUpdate: true,
+  });
+  await scratch.ready();
+  await scratch.insert("@server/writer", {
+    writerKey: "aa".repeat(32),
+    userId: "bb".repeat(32),
+    addedAt: 1,
+  });
+  await scratch.flush();
+
+  const { up } = new SchemaMigrator(null, null).migrations.find(
+    (migration) => migration.version === 9
+  );
+  await up(scratch);
+  await scratch.flush();
+  const writer = await scratch.get("@server/writer", {
+    writerKey: "aa".repeat(32),
+  });
+  assert.equal(writer.deviceKey, "bb".repeat(32));
+  console.log("✓ Version 9 backfills the device of bound writers");
+
+  await scratch.close();
+  await store.close();
+  console.log("\n✅ Schema migration test complete!");
+}
+
+// Run the test
+runSchemaMigrationTest()
+  .then(() => {
+    console.log("Test completed successfully!");
+    cleanup();
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Test runner failed:", err);
+    cleanup();
+    process.exit(1);
+  });
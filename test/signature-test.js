@@ -0,0 +1,222 @@
+const assert = require("assert");
+const Corestore = require("corestore");
+const path = require("path");
+const fs = require("fs");
+const rimraf = require("rimraf");
+const b4a = require("b4a");
+const SyncBase = require("../lib/syncbase");
+const CryptoManager = require("../lib/components/crypto-manager");
+
+// Test directory setup
+const TEST_DIR = path.join("./cores", "signature-test-" + Date.now());
+console.log(`Test directory: ${TEST_DIR}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+// Cleanup function to run after tests
+function cleanup() {
+  console.log(`Cleaning up test directory: ${TEST_DIR}`);
+  rimraf.sync(TEST_DIR);
+  console.log("Cleanup complete");
+}
+
+async function append(server, action) {
+  await server.base.append(action, { optimistic: true });
+  await server.base.update();
+}
+
+function messageAction(crypto, channelId, content) {
+  return crypto.createSignedAction("@server/send-message", {
+    id: crypto.generateId(),
+    channelId,
+    content,
+    author: b4a.toString(crypto.publicKey, "hex"),
+    attachments: JSON.stringify([]),
+  });
+}
+
+async function runSignatureTest() {
+  console.log("\n=== TESTING SIGNATURES AND REPLAYS ===");
+
+  const crypto = new CryptoManager("test seed phrase for signatures");
+  const action = crypto.createSignedAction("@server/update-server", {
+    name: "signed",
+    data: b4a.from("bytes"),
+    count: 3,
+  });
+  assert.equal(typeof action.nonce, "string");
+  assert(crypto.verifyAction(action));
+
+  // Peers receive the action as JSON, with its keys in any order
+  const received = JSON.parse(JSON.stringify(action));
+  received.payload = Object.fromEntries(
+    Object.entries(received.payload).reverse()
+  );
+  assert(crypto.verifyAction(received));
+  assert(
+    b4a.equals(CryptoManager.signable(action), CryptoManager.signable(received))
+  );
+  console.log("✓ Signatures cover a canonical encoding of the action");
+
+  for (const tamper of [
+    (a) => (a.payload.timestamp += 1),
+    (a) => (a.type = "@server/update-channel"),
+    (a) => (a.version += 1),
+    (a) => (a.nonce = crypto.generateId()),
+  ]) {
+    const tampered = JSON.parse(JSON.stringify(action));
+    tamper(tampered);
+    assert(!crypto.verifyAction(tampered));
+  }
+  assert.notEqual(
+    crypto.actionId(crypto.createSignedAction("@server/update-server", {})),
+    crypto.actionId(crypto.createSignedAction("@server/update-server", {})),
+    "Every action gets its own nonce"
+  );
+  console.log("✓ Timestamp, type, version and nonce are signed");
+
+  const server = new SyncBase(new Corestore(path.join(TEST_DIR, "server")), {
+    seedPhrase: "test seed phrase for signatures",
+    replicate: false,
+  });
+  await server.ready();
+  assert.equal(server.strict, true);
+  await server.initialize({ name: "Signed Server" });
+  await server.base.update();
+  const [channel] = await server.channels.getChannels();
+  const { channelId } = channel;
+
+  // Tampered actions and unregistered signers are refused by apply
+  const forged = messageAction(server.crypto, channelId, "original");
+  forged.payload.content = "forged";
+  await append(server, forged);
+  assert.equal(
+    await server.messages.getMessage(forged.payload.id, channelId),
+    null
+  );
+
+  const stranger = new CryptoManager("test seed phrase for a stranger");
+  const intruding = messageAction(stranger, channelId, "not a member");
+  await append(server, intruding);
+  assert.equal(
+    await server.messages.getMessage(intruding.payload.id, channelId),
+    null
+  );
+
+  const stripped = messageAction(server.crypto, channelId, "no nonce");
+  delete stripped.nonce;
+  await append(server, stripped);
+  assert.equal(
+    await server.messages.getMessage(stripped.payload.id, channelId),
+    null
+  );
+  console.log("✓ Apply checks signatures against registered signers");
+
+  // Actions signed before nonces were introduced are rejected, their
+  // signature covers the key-sorted payload but neither type nor timestamp
+  const legacyPayload = {
+    attachments: JSON.stringify([]),
+    author: b4a.toString(server.crypto.publicKey, "hex"),
+    channelId,
+    content: "legacy",
+    id: server.crypto.generateId(),
+  };
+  const legacy = {
+    type: "@server/send-message",
+    signature: server.crypto.sign(JSON.stringify(legacyPayload)),
+    payload: { ...legacyPayload, timestamp: server.crypto.now() },
+    signer: server.crypto.publicKey,
+  };
+  await append(server, legacy);
+  assert.equal(
+    await server.messages.getMessage(legacyPayload.id, channelId),
+    null
+  );
+
+  // Replayed under another type it would get a new action id
+  const retyped = { ...legacy, type: "@server/edit-message", version: 1 };
+  assert.notEqual(
+    server.crypto.actionId(retyped),
+    server.crypto.actionId(legacy)
+  );
+  assert.equal(server.crypto.verifyAction(retyped), false);
+  await append(server, retyped);
+  assert.equal(await server.isProcessed(retyped), false);
+  assert.equal(
+    await server.messages.getMessage(legacyPayload.id, channelId),
+    null
+  );
+  console.log("✓ Legacy actions without a nonce are rejected");
+
+  // A deleted message does not come back when its action is replayed
+  await server.messages.sendMessage({ channelId, content: "replayed" });
+  const [sent] = (await server.outbox.getEntries()).slice(-1);
+  const { id } = sent.action.payload;
+  await server.messages.deleteMessage({ messageId: id, channelId });
+  await server.base.update();
+  assert.equal(await server.messages.getMessage(id, channelId), null);
+
+  await append(server, sent.action);
+  await append(server, JSON.parse(JSON.stringify(sent.action)));
+  assert.equal(await server.messages.getMessage(id, channelId), null);
+  assert(await server.isProcessed(sent.action));
+  console.log("✓ Replays of an earlier action are rejected");
+
+  // Paired claims enroll a key only for an invite that exists
+  const newcomer = new CryptoManager("test seed phrase for a newcomer");
+  const newcomerId = b4a.toString(newcomer.publicKey, "hex");
+  const claim = (code) =>
+    server.crypto.createSignedAction("claim-invite", {
+      type: "claim-invite",
+      user: { id: newcomerId, code },
+    });
+  const isMember = async () =>
+    !!(await server.base.view.get("@server/role", { userId: newcomerId }));
+
+  await append(server, claim("00".repeat(32)));
+  assert.equal(await isMember(), false, "No invite, no member");
+
+  await server.invites.createInvite({ expireInMinutes: 30 });
+  const inviteId = b4a.toString(
+    (await server.base.view.findOne("@server/invite", {})).id,
+    "hex"
+  );
+  await append(server, claim(inviteId));
+  assert.equal(await isMember(), true);
+  console.log("✓ Paired claims are checked against their invite");
+
+  await server.close();
+
+  // Strict mode can be turned off for logs that predate signed actions
+  const lenient = new SyncBase(new Corestore(path.join(TEST_DIR, "lenient")), {
+    seedPhrase: "test seed phrase for lenient signatures",
+    replicate: false,
+    strict: false,
+  });
+  await lenient.ready();
+  await lenient.initialize({ name: "Lenient Server" });
+  await lenient.base.update();
+  const [open] = await lenient.channels.getChannels();
+  const unchecked = messageAction(lenient.crypto, open.channelId, "original");
+  unchecked.payload.content = "unchecked";
+  await append(lenient, unchecked);
+  assert(
+    await lenient.messages.getMessage(unchecked.payload.id, open.channelId)
+  );
+  console.log("✓ Signatures unchecked with strict off");
+
+  await lenient.close();
+  console.log("\n✅ Signature test complete!");
+}
+
+// Run the test
+runSignatureTest()
+  .then(() => {
+    console.log("Test completed successfully!");
+    cleanup();
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Test runner failed:", err);
+    cleanup();
+    process.exit(1);
+  });
@@ -0,0 +1,147 @@
+const assert = require("assert");
+const Corestore = require("corestore");
+const path = require("path");
+const fs = require("fs");
+const rimraf = require("rimraf");
+const b4a = require("b4a");
+const SyncBase = require("../lib/syncbase");
+
+// Test directory setup
+const TEST_DIR = path.join("./cores", "sync-status-test-" + Date.now());
+console.log(`Test directory: ${TEST_DIR}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+// Cleanup function to run after tests
+function cleanup() {
+  console.log(`Cleaning up test directory: ${TEST_DIR}`);
+  rimraf.sync(TEST_DIR);
+  console.log("Cleanup complete");
+}
+
+async function runSyncStatusTest() {
+  console.log("\n=== TESTING SYNC STATUS AND PEER EVENTS ===");
+
+  const store1 = new Corestore(path.join(TEST_DIR, "server"));
+  await store1.ready();
+
+  const server = new SyncBase(store1, {
+    seedPhrase: "test seed phrase for sync status",
+    replicate: false,
+  });
+  await server.ready();
+
+  const events = [];
+  for (const name of [
+    "peer-connected",
+    "peer-disconnected",
+    "indexed-length",
+    "caught-up",
+  ]) {
+    server.on(name, (data) => events.push({ name, data }));
+  }
+
+  await server.initialize({ name: "Sync Status Server" });
+  await server.base.update();
+  await server.syncMonitor.refresh();
+
+  let status = await server.getSyncStatus();
+  assert.equal(status.state, "offline", "No peers connected yet");
+  assert.equal(status.peers, 0);
+  assert(status.writable, "Server should be writable");
+  assert(
+    status.writers.some((w) => w.local),
+    "Local writer is listed"
+  );
+  assert(
+    events.some((e) => e.name === "indexed-length"),
+    "Indexed length should have moved"
+  );
+  console.log("✓ Offline status reported for the server");
+
+  const invite = await server.invites.createInvite({
+    serverId: b4a.toString(server.crypto.publicKey, "hex"),
+    expireInDays: 1,
+  });
+
+  const store2 = new Corestore(path.join(TEST_DIR, "joiner"));
+  await store2.ready();
+
+  const pairer = SyncBase.pair(store2, invite, {
+    seedPhrase: "test seed phrase for sync status joiner",
+    replicate: false,
+  });
+  const finished = pairer.finished();
+  await pairer.ready();
+
+  const s1 = server.replicate(true);
+  const s2 = pairer.replicate(false);
+  s1.pipe(s2).pipe(s1);
+
+  const joiner = await finished;
+  await joiner.ready();
+
+  assert(
+    events.some((e) => e.name === "peer-connected" && e.data.peers === 1),
+    "Server should report the connected peer"
+  );
+  console.log("✓ Peer connect reported");
+
+  await waitFor(async () => {
+    await joiner.base.update();
+    status = await joiner.getSyncStatus();
+    return status.caughtUp;
+  });
+
+  assert.equal(status.state, "synced");
+  assert.equal(status.peers, 1);
+  assert.equal(status.lag, 0);
+  const host = status.writers.find(
+    (w) => w.key === b4a.toString(server.writerKey, "hex")
+  );
+  assert(host, "Server writer should be listed on the joiner");
+  assert(host.applied > 0, "Server writer should have been applied");
+  console.log("✓ Joiner caught up with the server");
+
+  await waitFor(async () => {
+    await server.syncMonitor.refresh();
+    return events.some((e) => e.name === "caught-up" && e.data.peers === 1);
+  });
+  console.log("✓ Caught-up reported once a peer is connected");
+
+  s1.destroy();
+  s2.destroy();
+  await waitFor(async () =>
+    events.some((e) => e.name === "peer-disconnected" && e.data.peers === 0)
+  );
+  console.log("✓ Peer disconnect reported");
+
+  await joiner.close();
+  await pairer.close();
+  await server.close();
+  console.log("\n✅ Sync status test complete!");
+}
+
+async function waitFor(check, attempts = 40) {
+  for (let i = 0; i < attempts; i++) {
+    if (await check()) return;
+    await sleep(250);
+  }
+  throw new Error("Timed out waiting for condition");
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Run the test
+runSyncStatusTest()
+  .then(() => {
+    console.log("Test completed successfully!");
+    cleanup();
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Test runner failed:", err);
+    cleanup();
+    process.exit(1);
+  });
@@ -0,0 +1,307 @@
+const assert = require("assert");
+const Corestore = require("corestore");
+const path = require("path");
+const fs = require("fs");
+const rimraf = require("rimraf");
+const SyncBase = require("../lib/syncbase");
+
+// Test directory setup
+const TEST_DIR = path.join("./cores", "thread-test-" + Date.now());
+console.log(`Test directory: ${TEST_DIR}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+// Cleanup function to run after tests
+function cleanup() {
+  console.log(`Cleaning up test directory: ${TEST_DIR}`);
+  rimraf.sync(TEST_DIR);
+  console.log("Cleanup complete");
+}
+
+const streams = [];
+
+function connect(a, b) {
+  const s1 = a.replicate(true);
+  const s2 = b.replicate(false);
+  s1.pipe(s2).pipe(s1);
+  streams.push(s1, s2);
+}
+
+async function join(server, name) {
+  const invite = await server.invites.createInvite({
+    serverId: server.userId,
+    expireInDays: 1,
+  });
+  const pairer = SyncBase.pair(
+    new Corestore(path.join(TEST_DIR, name)),
+    invite,
+    {
+      seedPhrase: `test seed phrase for threads ${name}`,
+      replicate: false,
+    }
+  );
+  const finished = pairer.finished();
+  await pairer.ready();
+  connect(server, pairer);
+
+  const member = await finished;
+  await member.ready();
+  await waitFor(async () => {
+    await server.base.update();
+    return (await server.getWriters(member.userId)).length === 1;
+  });
+  return { pairer, member };
+}
+
+async function runThreadTest() {
+  console.log("\n=== TESTING THREADS ===");
+
+  const server = new SyncBase(new Corestore(path.join(TEST_DIR, "owner")), {
+    seedPhrase: "test seed phrase for threads owner",
+    replicate: false,
+  });
+  await server.ready();
+  await server.initialize({ name: "Thread Server" });
+  await server.base.update();
+  const [channel] = await server.channels.getChannels();
+  const { channelId } = channel;
+
+  const alice = await join(server, "alice");
+  const peers = [server, alice.member];
+  const sync = async (check) =>
+    waitFor(async () => {
+      for (const peer of peers) await peer.base.update();
+      return check();
+    });
+
+  const root = await server.messages.sendMessage({
+    channelId,
+    content: "release plan",
+  });
+  await sync(
+    async () => !!(await alice.member.messages.getMessage(root.id, channelId))
+  );
+
+  const answer = await alice.member.messages.sendMessage({
+    channelId,
+    content: "looks good",
+    replyTo: root.id,
+  });
+  await sync(
+    async () => !!(await server.messages.getMessage(answer.id, channelId))
+  );
+  assert.equal(
+    (await server.messages.getMessage(answer.id, channelId)).replyTo,
+    root.id
+  );
+  await assert.rejects(
+    server.messages.sendMessage({
+      channelId,
+      content: "?",
+      replyTo: "missing",
+    }),
+    /reply to was not found/
+  );
+  console.log("✓ Messages reply to other messages of their channel");
+
+  await alice.member.createThread({
+    channelId,
+    rootId: root.id,
+    title: "Plan",
+  });
+  await sync(async () => !!(await server.threads.getThreadRecord(root.id)));
+  await assert.rejects(
+    server.createThread({ channelId, rootId: root.id }),
+    /already has a thread/
+  );
+
+  const sent = [];
+  for (let i = 0; i < 5; i++) {
+    const peer = i % 2 ? alice.member : server;
+    sent.push(
+      await peer.replyInThread({ rootId: root.id, content: `step ${i}` })
+    );
+  }
+  await sync(
+    async () =>
+      (await server.messages.getMessage(root.id, channelId)).replyCount === 5 &&
+      (
+        await alice.member.messages.getMessage(root.id, channelId)
+      ).replyCount === 5
+  );
+  const counted = await alice.member.messages.getMessage(root.id, channelId);
+  assert.equal(
+    counted.lastReplyAt,
+    Math.max(...sent.map((reply) => reply.timestamp))
+  );
+  console.log("✓ Replies are counted on the root with the time of the latest");
+
+  // Pages go from the latest replies back to the first
+  const pages = [];
+  let before;
+  let hasMore = true;
+  while (hasMore) {
+    const page = await alice.member.getThread(root.id, { limit: 2, before });
+    assert.equal(page.root.id, root.id);
+    assert.equal(page.thread.title, "Plan");
+    pages.unshift(page.replies);
+    before = page.replies[0];
+    hasMore = page.hasMore;
+  }
+  assert.deepEqual(
+    pages.map((page) => page.length),
+    [1, 2, 2]
+  );
+  const ordered = [...sent].sort((a, b) => a.timestamp - b.timestamp);
+  assert.deepEqual(
+    pages.flat().map((reply) => reply.id),
+    ordered.map((reply) => reply.id)
+  );
+  assert(pages.flat().every((reply) => reply.threadId === root.id));
+  console.log("✓ Threads are read page by page");
+
+  await assert.rejects(
+    server.createThread({ channelId, rootId: sent[0].id }),
+    /cannot start a thread/
+  );
+
+  // Answering a reply outside of its thread is rejected on apply
+  const forged = alice.member.crypto.createSignedAction(
+    "@server/send-message",
+    {
+      id: alice.member.crypto.generateId(),
+      channelId,
+      content: "out of thread",
+      author: alice.member.userId,
+      attachments: JSON.stringify([]),
+      replyTo: sent[0].id,
+    }
+  );
+  await alice.member.outbox.append(forged);
+  await sync(
+    async () =>
+      (await alice.member.getActionStatus(forged)).status === "rejected"
+  );
+  console.log("✓ Replies stay in their conversation");
+
+  await server.messages.deleteMessage({ messageId: sent[0].id, channelId });
+  await sync(
+    async () =>
+      (
+        await alice.member.messages.getMessage(root.id, channelId)
+      ).replyCount === 4
+  );
+  assert.equal((await alice.member.getThread(root.id)).replies.length, 4);
+  console.log("✓ Deleted replies leave the count");
+
+  // Replies sent in the same millisecond are not skipped between pages
+  const busy = await server.messages.sendMessage({
+    channelId,
+    content: "busy",
+  });
+  await server.createThread({ channelId, rootId: busy.id });
+  await sync(
+    async () => !!(await alice.member.threads.getThreadRecord(busy.id))
+  );
+  const timestamp = server.crypto.now();
+  const burst = [];
+  for (let i = 0; i < 3; i++) {
+    const action = server.crypto.createSignedAction("@server/send-message", {
+      id: server.crypto.generateId(),
+      channelId,
+      content: `burst ${i}`,
+      author: server.userId,
+      attachments: JSON.stringify([]),
+      threadId: busy.id,
+      timestamp,
+    });
+    await server.outbox.append(action);
+    burst.push(action.payload.id);
+  }
+  await sync(
+    async () =>
+      (
+        await alice.member.messages.getMessage(busy.id, channelId)
+      ).replyCount === 3
+  );
+  const first = await alice.member.getThread(busy.id, { limit: 2 });
+  const rest = await alice.member.getThread(busy.id, {
+    limit: 2,
+    before: first.replies[0],
+  });
+  assert.equal(rest.hasMore, false);
+  assert.deepEqual(
+    [...rest.replies, ...first.replies].map((reply) => reply.id).sort(),
+    [...burst].sort()
+  );
+  console.log("✓ Pages do not skip replies sent at the same time");
+
+  // Threads in private channels are for members and have no title
+  const secret = await server.createPrivateChannel({ name: "secret" });
+  const hidden = await server.messages.sendMessage({
+    channelId: secret.channelId,
+    content: "members only",
+  });
+  await sync(
+    async () =>
+      !!(await alice.member.base.view.get("@server/message", {
+        id: hidden.id,
+        channelId: secret.channelId,
+      }))
+  );
+  await assert.rejects(
+    server.createThread({
+      channelId: secret.channelId,
+      rootId: hidden.id,
+      title: "leaked",
+    }),
+    /cannot have a title/
+  );
+  const outsider = alice.member.crypto.createSignedAction(
+    "@server/create-thread",
+    {
+      rootId: hidden.id,
+      channelId: secret.channelId,
+      createdBy: alice.member.userId,
+      createdAt: alice.member.crypto.now(),
+      timestamp: alice.member.crypto.now(),
+    }
+  );
+  await alice.member.outbox.append(outsider);
+  await sync(
+    async () =>
+      (await alice.member.getActionStatus(outsider)).status === "rejected"
+  );
+  await server.createThread({ channelId: secret.channelId, rootId: hidden.id });
+  await sync(async () => !!(await server.threads.getThreadRecord(hidden.id)));
+  console.log("✓ Only members open untitled threads in private channels");
+
+  for (const stream of streams) stream.destroy();
+  await alice.member.close();
+  await alice.pairer.close();
+  await server.close();
+  console.log("\n✅ Thread test complete!");
+}
+async function waitFor(check, attempts = 80) {
+  for (let i = 0; i < attempts; i++) {
+    if (await check()) return;
+    await sleep(250);
+  }
+  throw new Error("Timed out waiting for condition");
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Run the test
+runThreadTest()
+  .then(() => {
+    console.log("Test completed successfully!");
+    cleanup();
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Test runner failed:", err);
+    cleanup();
+    process.exit(1);
+  });
@@ -0,0 +1,103 @@
+const assert = require("assert");
+const Corestore = require("corestore");
+const path = require("path");
+const fs = require("fs");
+const rimraf = require("rimraf");
+const b4a = require("b4a");
+const SyncBase = require("../lib/syncbase");
+
+// Test directory setup
+const TEST_DIR = path.join("./cores", "transport-test-" + Date.now());
+console.log(`Test directory: ${TEST_DIR}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+// Cleanup function to run after tests
+function cleanup() {
+  console.log(`Cleaning up test directory: ${TEST_DIR}`);
+  rimraf.sync(TEST_DIR);
+  console.log("Cleanup complete");
+}
+
+async function runTransportTest() {
+  console.log("\n=== TESTING PAIRING OVER A PLAIN STREAM ===");
+
+  const store1 = new Corestore(path.join(TEST_DIR, "server"));
+  await store1.ready();
+
+  // No network, peers only connect through replicate()
+  const server = new SyncBase(store1, {
+    seedPhrase: "test seed phrase for stream transport",
+    replicate: false,
+  });
+  await server.ready();
+  assert.equal(server.swarm, null, "No swarm should be created");
+
+  await server.initialize({ name: "Stream Transport Server" });
+  const channel = await server.channels.createChannel({
+    name: "over-the-wire",
+    type: "TEXT",
+  });
+  await server.base.update();
+  console.log("✓ Server initialized without network");
+
+  const invite = await server.invites.createInvite({
+    serverId: b4a.toString(server.crypto.publicKey, "hex"),
+    expireInDays: 1,
+  });
+  console.log("✓ Created invite");
+
+  const store2 = new Corestore(path.join(TEST_DIR, "joiner"));
+  await store2.ready();
+
+  const pairer = SyncBase.pair(store2, invite, {
+    seedPhrase: "test seed phrase for stream joiner",
+    replicate: false,
+  });
+  const finished = pairer.finished();
+  await pairer.ready();
+
+  // Connect both sides over an in-memory duplex pair
+  const s1 = server.replicate(true);
+  const s2 = pairer.replicate(false);
+  s1.pipe(s2).pipe(s1);
+
+  const joiner = await finished;
+  await joiner.ready();
+  assert(b4a.equals(joiner.key, server.key), "Joined the inviting server");
+  console.log("✓ Invite claimed over the stream");
+
+  // The paired instance keeps replicating over the same stream
+  let channels = [];
+  for (let i = 0; i < 20 && channels.length === 0; i++) {
+    await joiner.base.update();
+    channels = await joiner.channels.getChannels();
+    if (channels.length === 0) await sleep(250);
+  }
+  assert(
+    channels.some((c) => c.channelId === channel.channelId),
+    "Channel should replicate to the joiner"
+  );
+  console.log("✓ Server state replicated over the stream");
+
+  await joiner.close();
+  await pairer.close();
+  await server.close();
+  console.log("\n✅ Transport test complete!");
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Run the test
+runTransportTest()
+  .then(() => {
+    console.log("Test completed successfully!");
+    cleanup();
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Test runner failed:", err);
+    cleanup();
+    process.exit(1);
+  });
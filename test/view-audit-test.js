@@ -0,0 +1,134 @@
+const assert = require("assert");
+const Corestore = require("corestore");
+const path = require("path");
+const fs = require("fs");
+const rimraf = require("rimraf");
+const SyncBase = require("../lib/syncbase");
+const CryptoManager = require("../lib/components/crypto-manager");
+
+// Test directory setup
+const TEST_DIR = path.join("./cores", "view-audit-test-" + Date.now());
+console.log(`Test directory: ${TEST_DIR}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+// Cleanup function to run after tests
+function cleanup() {
+  console.log(`Cleaning up test directory: ${TEST_DIR}`);
+  rimraf.sync(TEST_DIR);
+  console.log("Cleanup complete");
+}
+
+async function runViewAuditTest() {
+  console.log("\n=== TESTING VIEW AUDIT AND REPAIR ===");
+
+  let store = new Corestore(path.join(TEST_DIR, "server"));
+  let server = new SyncBase(store, {
+    seedPhrase: "test seed phrase for view audit",
+    replicate: false,
+  });
+  await server.ready();
+  await server.initialize({ name: "Audited Server" });
+  await server.base.update();
+
+  const [channel] = await server.channels.getChannels();
+  await server.messages.sendMessage({
+    channelId: channel.channelId,
+    content: "applied everywhere",
+  });
+  await server.base.update();
+
+  let report = await server.auditView();
+  assert(report.replayed > 0, "The log was replayed");
+  assert(report.consistent, "A healthy view matches its replay");
+  assert.deepEqual(report.collections, {});
+  console.log(`✓ Healthy view matches a replay of ${report.replayed} actions`);
+
+  // Make apply swallow the next message, like a failing handler would
+  const validateAction = server.validator.validateAction;
+  server.validator.validateAction = async () => false;
+  const lost = await server.messages.sendMessage({
+    channelId: channel.channelId,
+    content: "lost in apply",
+  });
+  await server.base.update();
+  server.validator.validateAction = validateAction;
+  assert.equal(
+    await server.messages.getMessage(lost.id, channel.channelId),
+    null
+  );
+
+  report = await server.auditView();
+  assert(!report.consistent, "The lost message is detected");
+  const messages = report.collections["@server/message"];
+  assert.equal(messages.missing.length, 1);
+  assert.equal(messages.missing[0].id, lost.id);
+  assert.equal(messages.extra.length, 0);
+  assert.equal(report.collections["@server/processed"].missing.length, 1);
+  assert.equal(report.repaired, false);
+  console.log("✓ Missing records reported per collection");
+
+  report = await server.auditView({ repair: true });
+  assert(report.repaired, "Repair was requested");
+  const repaired = await server.messages.getMessage(lost.id, channel.channelId);
+  assert(repaired, "The lost message is back in the view");
+  assert.equal(repaired.content, "lost in apply");
+
+  report = await server.auditView();
+  assert(report.consistent, "The repaired view matches its replay");
+  const [repair] = await server
+    .getOutbox({ status: "applied" })
+    .then((list) =>
+      list.filter((entry) => entry.action.type === "@server/repair-view")
+    );
+  assert(repair, "The repair is an action of the log");
+  assert(JSON.parse(repair.action.payload.changes).put.length > 0);
+  console.log("✓ View repaired in place");
+
+  // The repair is replicated with the log, it outlives a restart
+  await server.close();
+  await store.close();
+  store = new Corestore(path.join(TEST_DIR, "server"));
+  server = await SyncBase.open(store, {
+    seedPhrase: "test seed phrase for view audit",
+    replicate: false,
+  });
+  await server.base.update();
+  assert(await server.messages.getMessage(lost.id, channel.channelId));
+  console.log("✓ Repair kept after a restart");
+
+  // Only owners repair, and only records derived from the log
+  const local = server.crypto.createSignedAction("@server/repair-view", {
+    id: server.crypto.generateId(),
+    changes: JSON.stringify({
+      put: [{ collection: "@server/outbox", record: {} }],
+      del: [],
+    }),
+  });
+  assert.equal(server.auditor.validate(local), false);
+  const stranger = new CryptoManager("test seed phrase for a stranger");
+  const foreign = stranger.createSignedAction("@server/repair-view", {
+    id: stranger.generateId(),
+    changes: JSON.stringify({ put: [], del: [] }),
+  });
+  assert.equal(
+    await server.validator._validateRepairView(foreign, server.base.view),
+    false
+  );
+  console.log("✓ Repairs are limited to owners and replicated collections");
+
+  await server.close();
+  console.log("\n✅ View audit test complete!");
+}
+
+// Run the test
+runViewAuditTest()
+  .then(() => {
+    console.log("Test completed successfully!");
+    cleanup();
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Test runner failed:", err);
+    cleanup();
+    process.exit(1);
+  });
@@ -0,0 +1,197 @@
+const assert = require("assert");
+const Corestore = require("corestore");
+const path = require("path");
+const fs = require("fs");
+const rimraf = require("rimraf");
+const b4a = require("b4a");
+const SyncBase = require("../lib/syncbase");
+const CryptoManager = require("../lib/components/crypto-manager");
+
+// Test directory setup
+const TEST_DIR = path.join("./cores", "writer-binding-test-" + Date.now());
+console.log(`Test directory: ${TEST_DIR}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+// Cleanup function to run after tests
+function cleanup() {
+  console.log(`Cleaning up test directory: ${TEST_DIR}`);
+  rimraf.sync(TEST_DIR);
+  console.log("Cleanup complete");
+}
+
+function signMessage(crypto, channelId, content) {
+  return crypto.createSignedAction("@server/send-message", {
+    id: crypto.generateId(),
+    channelId,
+    content,
+    author: b4a.toString(crypto.publicKey, "hex"),
+    attachments: JSON.stringify([]),
+  });
+}
+
+async function runWriterBindingTest() {
+  console.log("\n=== TESTING WRITER BINDINGS ===");
+
+  const server = new SyncBase(new Corestore(path.join(TEST_DIR, "server")), {
+    seedPhrase: "test seed phrase for writer binding server",
+    replicate: false,
+  });
+  await server.ready();
+  await server.initialize({ name: "Bound Server" });
+  await server.base.update();
+
+  const [channel] = await server.channels.getChannels();
+  const ownerId = b4a.toString(server.crypto.publicKey, "hex");
+  const [ownerWriter] = await server.getWriters(ownerId);
+  assert.equal(
+    ownerWriter.writerKey,
+    b4a.toString(server.base.local.key, "hex")
+  );
+  console.log("✓ The writer that created the server acts for its creator");
+
+  // A joiner binds its writer once its invite is claimed
+  const invite = await server.invites.createInvite({
+    serverId: ownerId,
+    expireInDays: 1,
+  });
+  const pairer = SyncBase.pair(
+    new Corestore(path.join(TEST_DIR, "joiner")),
+    invite,
+    {
+      seedPhrase: "test seed phrase for writer binding joiner",
+      replicate: false,
+    }
+  );
+  const finished = pairer.finished();
+  await pairer.ready();
+
+  const s1 = server.replicate(true);
+  const s2 = pairer.replicate(false);
+  s1.pipe(s2).pipe(s1);
+
+  const joiner = await finished;
+  await joiner.ready();
+  const joinerId = b4a.toString(joiner.crypto.publicKey, "hex");
+
+  await waitFor(async () => {
+    await server.base.update();
+    return (await server.getWriters(joinerId)).length === 1;
+  });
+  const [joinerWriter] = await server.getWriters(joinerId);
+  assert.equal(
+    joinerWriter.writerKey,
+    b4a.toString(joiner.base.local.key, "hex")
+  );
+  assert.equal((await server.getWriters(ownerId)).length, 1);
+  console.log("✓ The joiner's writer is bound to the joiner");
+
+  // The joiner's writer cannot append actions signed by the owner, not even
+  // ones claiming a protocol from before bindings
+  const relayed = signMessage(server.crypto, channel.channelId, "relayed");
+  await joiner.base.append(relayed, { optimistic: true });
+  const legacy = signMessage(server.crypto, channel.channelId, "legacy");
+  legacy.version = 2;
+  legacy.signature = server.crypto.sign(CryptoManager.signable(legacy));
+  await joiner.base.append(legacy, { optimistic: true });
+  const own = await joiner.messages.sendMessage({
+    channelId: channel.channelId,
+    content: "from the joiner",
+  });
+
+  await waitFor(async () => {
+    await server.base.update();
+    return !!(await server.messages.getMessage(own.id, channel.channelId));
+  });
+  assert.equal(
+    await server.messages.getMessage(relayed.payload.id, channel.channelId),
+    null
+  );
+  assert.equal(
+    await joiner.messages.getMessage(relayed.payload.id, channel.channelId),
+    null
+  );
+  assert.equal(
+    await server.messages.getMessage(legacy.payload.id, channel.channelId),
+    null
+  );
+  console.log("✓ Actions of another member are refused from a writer");
+
+  // Owners cannot append actions of members either, as they are or wrapped
+  // like the actions of an import
+  const forwarded = signMessage(joiner.crypto, channel.channelId, "forwarded");
+  await server.base.append(forwarded, { optimistic: true });
+  const wrapped = server.crypto.createSignedAction("@server/import-action", {
+    action: JSON.stringify(
+      signMessage(joiner.crypto, channel.channelId, "wrapped")
+    ),
+  });
+  await server.base.append(wrapped, { optimistic: true });
+  await server.base.update();
+  assert.equal(
+    await server.messages.getMessage(forwarded.payload.id, channel.channelId),
+    null
+  );
+  assert.equal(await server.isProcessed(wrapped), false);
+  console.log("✓ Owners cannot append actions of members");
+
+  // A member's own signature cannot name someone else as the author
+  const impersonating = joiner.crypto.createSignedAction(
+    "@server/send-message",
+    {
+      id: joiner.crypto.generateId(),
+      channelId: channel.channelId,
+      content: "posted as the owner",
+      author: server.userId,
+      attachments: JSON.stringify([]),
+    }
+  );
+  await joiner.base.append(impersonating, { optimistic: true });
+  const after = await joiner.messages.sendMessage({
+    channelId: channel.channelId,
+    content: "after the impersonation",
+  });
+  await waitFor(async () => {
+    await server.base.update();
+    return !!(await server.messages.getMessage(after.id, channel.channelId));
+  });
+  assert.equal(
+    await server.messages.getMessage(
+      impersonating.payload.id,
+      channel.channelId
+    ),
+    null
+  );
+  console.log("✓ Messages cannot be attributed to another member");
+
+  s1.destroy();
+  s2.destroy();
+  await joiner.close();
+  await pairer.close();
+  await server.close();
+  console.log("\n✅ Writer binding test complete!");
+}
+
+async function waitFor(check, attempts = 80) {
+  for (let i = 0; i < attempts; i++) {
+    if (await check()) return;
+    await sleep(250);
+  }
+  throw new Error("Timed out waiting for condition");
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Run the test
+runWriterBindingTest()
+  .then(() => {
+    console.log("Test completed successfully!");
+    cleanup();
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Test runner failed:", err);
+    cleanup();
+    process.exit(1);
+  });